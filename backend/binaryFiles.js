@@ -0,0 +1,98 @@
+/**
+ * @file binaryFiles.js
+ * @description Detects binary files by their content rather than their extension.
+ *
+ * @dependencies
+ * - fs/promises: For reading file samples
+ * - util: TextDecoder for strict UTF-8 validation
+ *
+ * @notes
+ * - A file is binary if its first SNIFF_BYTES contain a null byte or are not valid UTF-8,
+ *   the same sample size git uses. This catches .wasm, .ico, .woff2, .pyc and
+ *   extensionless binaries that no blocklist would.
+ * - Text in other encodings (UTF-16, Latin-1) is treated as binary since it would end up
+ *   as mojibake in the master prompt anyway.
+ */
+
+const fs = require('fs').promises;
+const { TextDecoder } = require('util');
+
+const SNIFF_BYTES = 8000;
+const utf8Decoder = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * @function sequenceLength
+ * @description Byte length of the UTF-8 sequence started by a lead byte
+ * @param {number} byte - Lead byte
+ * @returns {number}
+ */
+const sequenceLength = (byte) => {
+  if (byte >= 0xf0) return 4;
+  if (byte >= 0xe0) return 3;
+  if (byte >= 0xc0) return 2;
+  return 1;
+};
+
+/**
+ * @function isBinaryBuffer
+ * @description Whether a buffer looks like binary data
+ * @param {Buffer} buffer - File contents or the start of them
+ * @param {boolean} isTruncated - Whether the buffer is only a sample, so a multi-byte
+ *                                character cut off at the end is not an error
+ * @returns {boolean}
+ */
+const isBinaryBuffer = (buffer, isTruncated = false) => {
+  if (buffer.includes(0)) return true;
+
+  let end = buffer.length;
+  if (isTruncated) {
+    // Walk back over continuation bytes to the last lead byte
+    let lead = end - 1;
+    while (lead > 0 && end - lead < 4 && (buffer[lead] & 0xc0) === 0x80) lead--;
+    if (lead >= 0 && lead + sequenceLength(buffer[lead]) > end) end = lead;
+  }
+
+  try {
+    utf8Decoder.decode(buffer.subarray(0, end));
+    return false;
+  } catch (err) {
+    return true;
+  }
+};
+
+/**
+ * @function sniffBinaryFile
+ * @description Reads the start of a file and tells whether it is binary
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<boolean>}
+ */
+const sniffBinaryFile = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const sample = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(sample, 0, SNIFF_BYTES, 0);
+    return isBinaryBuffer(sample.subarray(0, bytesRead), bytesRead === SNIFF_BYTES);
+  } finally {
+    await handle.close();
+  }
+};
+
+/**
+ * @function readTextFile
+ * @description Reads a file as UTF-8 text, refusing binary content
+ * @param {string} filePath - Absolute file path
+ * @returns {Promise<string>} File contents
+ * @throws {Error} With code 'BINARY_FILE' and status 415 if the file is binary
+ */
+const readTextFile = async (filePath) => {
+  const buffer = await fs.readFile(filePath);
+  if (isBinaryBuffer(buffer)) {
+    throw Object.assign(new Error('File is binary and cannot be included as text'), {
+      code: 'BINARY_FILE',
+      status: 415,
+    });
+  }
+  return buffer.toString('utf8');
+};
+
+module.exports = { isBinaryBuffer, sniffBinaryFile, readTextFile };
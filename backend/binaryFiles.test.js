@@ -0,0 +1,55 @@
+/**
+ * @file binaryFiles.test.js
+ * @description Tests for content-based binary detection in binaryFiles.js.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - binaryFiles.js: Module under test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isBinaryBuffer, sniffBinaryFile, readTextFile } = require('./binaryFiles');
+
+describe('isBinaryBuffer', () => {
+  test('accepts UTF-8 text, including multi-byte characters', () => {
+    expect(isBinaryBuffer(Buffer.from('plain text\n'))).toBe(false);
+    expect(isBinaryBuffer(Buffer.from('héllo wörld — ✓'))).toBe(false);
+  });
+
+  test('flags null bytes and invalid UTF-8', () => {
+    expect(isBinaryBuffer(Buffer.from([0x00, 0x61, 0x73, 0x6d]))).toBe(true);
+    expect(isBinaryBuffer(Buffer.from([0x68, 0xff, 0xfe, 0x69]))).toBe(true);
+  });
+
+  test('tolerates a character cut off at the end of a sample', () => {
+    const cut = Buffer.from('ab✓').subarray(0, 4);
+    expect(isBinaryBuffer(cut, true)).toBe(false);
+    expect(isBinaryBuffer(cut, false)).toBe(true);
+  });
+});
+
+describe('file helpers', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-binary-'));
+    fs.writeFileSync(path.join(tmpDir, 'notes'), 'just text');
+    fs.writeFileSync(path.join(tmpDir, 'module.wasm'), Buffer.from([0x00, 0x61, 0x73, 0x6d, 0x01]));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('sniffs files regardless of extension', async () => {
+    expect(await sniffBinaryFile(path.join(tmpDir, 'notes'))).toBe(false);
+    expect(await sniffBinaryFile(path.join(tmpDir, 'module.wasm'))).toBe(true);
+  });
+
+  test('refuses to read binary files as text', async () => {
+    await expect(readTextFile(path.join(tmpDir, 'notes'))).resolves.toBe('just text');
+    await expect(readTextFile(path.join(tmpDir, 'module.wasm'))).rejects.toMatchObject({ code: 'BINARY_FILE', status: 415 });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * @file composer.js
+ * @description Assembles the master prompt on the server: prompt contents in order,
+ *              directory trees and checked file contents, plus additional instructions,
+ *              rendered in one of the UI's output formats.
+ *
+ * @dependencies
+ * - pathGuard.js: For validating requested paths before reading them
+ * - binaryFiles.js: For refusing binary content
+ * - ignoreRules.js / gitStatus.js: For the git diff section of directory prompts
+ * - formatters.js: For the output formats (Markdown, XML tags, plain text, JSON)
+ * - tokenizer.js: For token counts matching the frontend
+ *
+ * @notes
+ * - Output must stay identical to what the UI renders in frontend/src/utils/composer.js
+ *   (segments, buildTreeText) and formatters.js; change both together.
+ * - Files that no longer exist are skipped; other read errors are inlined in the block.
+ * - A directory prompt with a diff section gets a diff section right after its tree,
+ *   covering the same files as the tree (ignored and excluded files are left out).
+ */
+
+const { createPathGuard } = require('./pathGuard');
+const { readTextFile } = require('./binaryFiles');
+const { createIgnoreMatcher } = require('./ignoreRules');
+const { readGitDiff } = require('./gitStatus');
+const { getOutputFormat } = require('./formatters');
+const { countTokens } = require('./tokenizer');
+
+/**
+ * @function buildTreeText
+ * @description Builds the condensed directory tree with [x]/[ ] markers for checked files
+ * @param {Array<Object>} files - Directory files, ordered by path
+ * @returns {string} Tree text
+ */
+const buildTreeText = (files) => {
+  const tree = {};
+  // Ignore patterns are applied by the scan; excluded files are hidden from the tree
+  files.filter(file => !file.isExcluded).forEach(file => {
+    const parts = file.path.split(/[\\/]/).filter(Boolean);
+    let current = tree;
+    parts.forEach((part, index) => {
+      if (!current[part]) {
+        current[part] = { children: {}, isFile: index === parts.length - 1, fileData: file };
+      }
+      current = current[part].children;
+    });
+  });
+
+  const lines = [];
+  const traverse = (node, levelIndent = '') => {
+    Object.keys(node).forEach(name => {
+      const item = node[name];
+      if (item.isFile) {
+        lines.push(`${levelIndent}${item.fileData.isChecked ? '[x]' : '[ ]'} ${name}`);
+      } else {
+        lines.push(`${levelIndent}- ${name}/`);
+        traverse(item.children, levelIndent + '  ');
+      }
+    });
+  };
+  traverse(tree);
+  return lines.join('\n');
+};
+
+/**
+ * @function readDirectoryFiles
+ * @description Reads several files of a directory prompt in one pass. Paths rejected by
+ *              the path guard are reported with the guard's error code.
+ * @param {Object} prompt - Directory prompt {content: root path, files}
+ * @param {Array<string>} filePaths - Paths within the directory
+ * @param {string} ignorePatterns - The prompt's effective ignore patterns
+ * @returns {Promise<Array<Object>>} In request order: {path, content} or {path, error, code}
+ */
+const readDirectoryFiles = async (prompt, filePaths, ignorePatterns = '') => {
+  const resolvePath = createPathGuard(prompt, ignorePatterns);
+  const results = [];
+  for (const filePath of filePaths) {
+    try {
+      const content = await readTextFile(await resolvePath(filePath));
+      results.push({ path: filePath, content });
+    } catch (err) {
+      results.push({ path: filePath, error: err.message, code: err.code });
+    }
+  }
+  return results;
+};
+
+/**
+ * @function readDirectoryDiff
+ * @description Reads the git diff for a directory prompt's diff section, leaving out
+ *              ignored and user-excluded files. Deleted files are kept.
+ * @param {Object} prompt - Directory prompt {content: root path, files, diffSection}
+ * @param {string} ignorePatterns - The prompt's effective ignore patterns
+ * @returns {Promise<string>} Unified diff, '' when nothing changed
+ */
+const readDirectoryDiff = async (prompt, ignorePatterns = '') => {
+  const matcher = createIgnoreMatcher(prompt.content, ignorePatterns);
+  const excludedPaths = new Set(prompt.files.filter(f => f.isExcluded).map(f => f.path));
+  return readGitDiff(
+    prompt.content,
+    prompt.diffSection,
+    async (filePath) => !excludedPaths.has(filePath) && !(await matcher.isIgnored(filePath))
+  );
+};
+
+/**
+ * @function readDiffSection
+ * @description Reads the diff section of a directory prompt as a segment diff
+ * @param {Object} prompt - Directory prompt with a diffSection
+ * @param {string} ignorePatterns - The prompt's effective ignore patterns
+ * @returns {Promise<Object|null>} {content} or {error}; null when the diff is empty
+ */
+const readDiffSection = async (prompt, ignorePatterns) => {
+  try {
+    const diff = await readDirectoryDiff(prompt, ignorePatterns);
+    return diff ? { content: diff } : null;
+  } catch (err) {
+    return { error: err.message };
+  }
+};
+
+/**
+ * @function buildDirectorySegment
+ * @description Reads the checked files and the diff of a directory prompt into a master
+ *              prompt segment, as the UI builds it
+ * @param {Object} prompt - Directory prompt with files
+ * @param {string} ignorePatterns - The prompt's effective ignore patterns
+ * @returns {Promise<Object>} {type: 'directory', promptId, name, tree, diff, files}
+ */
+const buildDirectorySegment = async (prompt, ignorePatterns) => {
+  const checkedPaths = prompt.files.filter(f => f.isChecked && !f.isExcluded).map(f => f.path);
+  const files = (await readDirectoryFiles(prompt, checkedPaths, ignorePatterns))
+    // Deleted since the last scan; the watcher will drop it shortly
+    .filter(file => file.code !== 'ENOENT')
+    .map(file => (file.error === undefined
+      ? { path: file.path, content: file.content }
+      : { path: file.path, error: file.error }));
+  return {
+    type: 'directory',
+    promptId: prompt.id,
+    name: prompt.name,
+    tree: buildTreeText(prompt.files),
+    diff: prompt.diffSection ? await readDiffSection(prompt, ignorePatterns) : null,
+    files,
+  };
+};
+
+/**
+ * @function composePrompts
+ * @description Assembles the selected prompts, in order, into the master prompt text
+ * @param {Array<Object>} prompts - Prompts in the order they should appear
+ * @param {string} additionalInstructions - Free text appended after the prompts
+ * @param {string} defaultIgnorePatterns - Patterns for directories without their own
+ * @param {string} tokenizerModel - Model to count tokens for (see tokenizer.js)
+ * @param {string} outputFormat - Output format value (see formatters.js), default Markdown
+ * @returns {Promise<{text: string, tokenCount: number}>}
+ */
+const composePrompts = async (
+  prompts,
+  additionalInstructions = '',
+  defaultIgnorePatterns = '',
+  tokenizerModel,
+  outputFormat
+) => {
+  const segments = [];
+  for (const prompt of prompts) {
+    if (!prompt.isDirectory) {
+      segments.push({ type: 'text', promptId: prompt.id, name: prompt.name, content: prompt.content });
+      continue;
+    }
+    const ignorePatterns = prompt.ignorePatterns != null ? prompt.ignorePatterns : defaultIgnorePatterns;
+    segments.push(await buildDirectorySegment(prompt, ignorePatterns));
+  }
+  const text = getOutputFormat(outputFormat).renderDocument(segments, additionalInstructions);
+  return { text, tokenCount: countTokens(text, tokenizerModel) };
+};
+
+module.exports = { composePrompts, readDirectoryFiles, readDirectoryDiff, buildTreeText };
@@ -0,0 +1,193 @@
+/**
+ * @file composer.test.js
+ * @description Tests for server-side master prompt assembly in composer.js.
+ *              Uses a throwaway directory so checked files are read from disk.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - composer.js: Module under test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { composePrompts, readDirectoryFiles, buildTreeText } = require('./composer');
+const { countTokens } = require('./tokenizer');
+
+describe('composer', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-compose-'));
+    fs.mkdirSync(path.join(tmpDir, 'src'));
+    fs.writeFileSync(path.join(tmpDir, 'a.js'), 'const a = 1;');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'const b = 2;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const directoryPrompt = (files) => ({
+    id: 2,
+    name: 'repo',
+    content: tmpDir,
+    isDirectory: true,
+    files,
+  });
+
+  test('builds a tree with checked markers and skips excluded files', () => {
+    const tree = buildTreeText([
+      { path: 'a.js', isChecked: true },
+      { path: 'secret.txt', isExcluded: true },
+      { path: 'src/b.js', isChecked: false },
+    ]);
+    expect(tree).toBe('[x] a.js\n- src/\n  [ ] b.js');
+  });
+
+  test('assembles prompts in order with file blocks and instructions', async () => {
+    const result = await composePrompts([
+      { id: 1, name: 'Intro', content: 'Review this code.', isDirectory: false },
+      directoryPrompt([
+        { path: 'a.js', isChecked: true },
+        { path: 'gone.js', isChecked: true },
+        { path: 'src/b.js', isChecked: false },
+      ]),
+    ], 'Be brief.');
+
+    expect(result.text).toBe([
+      'Review this code.',
+      'Directory Tree (repo):',
+      '[x] a.js',
+      '[x] gone.js',
+      '- src/',
+      '  [ ] b.js',
+      '```a.js',
+      'const a = 1;',
+      '```',
+      '',
+      'Be brief.',
+    ].join('\n'));
+    expect(result.tokenCount).toBe(countTokens(result.text));
+  });
+
+  test('lengthens the fence around files containing backticks', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'a.js'), 'const md = "```js\\nx\\n```";');
+    const { text } = await composePrompts([directoryPrompt([{ path: 'a.js', isChecked: true }])]);
+    expect(text).toBe('Directory Tree (repo):\n[x] a.js\n````a.js\nconst md = "```js\\nx\\n```";\n````');
+  });
+
+  test('reads many files in request order with per-file errors', async () => {
+    const prompt = directoryPrompt(['a.js', 'gone.js', 'src/b.js'].map(p => ({ path: p })));
+    const files = await readDirectoryFiles(prompt, ['src/b.js', 'gone.js', 'a.js', '../a.js']);
+    expect(files).toEqual([
+      { path: 'src/b.js', content: 'const b = 2;' },
+      { path: 'gone.js', error: expect.any(String), code: 'ENOENT' },
+      { path: 'a.js', content: 'const a = 1;' },
+      { path: '../a.js', error: expect.any(String), code: 'OUTSIDE_ROOT' },
+    ]);
+  });
+
+  test('adds a diff block after the tree and counts its tokens', async () => {
+    const git = (...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: tmpDir, stdio: 'pipe' });
+    git('init', '-q');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+    fs.writeFileSync(path.join(tmpDir, 'a.js'), 'const a = 2;');
+    fs.writeFileSync(path.join(tmpDir, 'src', 'b.js'), 'const b = 3;');
+
+    const prompt = {
+      ...directoryPrompt([
+        { path: 'a.js', isChecked: false },
+        { path: 'src/b.js', isChecked: false, isExcluded: true },
+      ]),
+      diffSection: { mode: 'working' },
+    };
+    const result = await composePrompts([prompt]);
+
+    expect(result.text).toMatch(/^Directory Tree \(repo\):\n\[ \] a\.js\n```diff\ndiff --git a\/a\.js b\/a\.js\n/);
+    expect(result.text).toContain('+const a = 2;');
+    expect(result.text).not.toContain('b.js b/src/b.js');
+    expect(result.text.endsWith('\n```')).toBe(true);
+    expect(result.tokenCount).toBe(countTokens(result.text));
+  });
+
+  test('inlines diff errors', async () => {
+    const prompt = { ...directoryPrompt([]), diffSection: { mode: 'refs', baseRef: 'main' } };
+    const { text } = await composePrompts([prompt]);
+    expect(text).toMatch(/```diff\n\[Error loading diff: .+\]\n```$/);
+  });
+
+  // Expected texts match frontend/src/utils/__tests__/formatters.test.js for the same segments
+  describe('output formats', () => {
+    const prompts = () => [
+      { id: 1, name: 'Intro', content: 'Review this.', isDirectory: false },
+      { ...directoryPrompt([{ path: 'a.md', isChecked: true }]), name: 'repo & co' },
+      { id: 3, name: 'Empty', content: '', isDirectory: false },
+    ];
+
+    beforeEach(() => {
+      fs.writeFileSync(path.join(tmpDir, 'a.md'), 'Use ```js fences``` and </file> tags');
+    });
+
+    test('renders Markdown by default', async () => {
+      const expected = [
+        'Review this.',
+        'Directory Tree (repo & co):',
+        '[x] a.md',
+        '````a.md\nUse ```js fences``` and </file> tags\n````',
+        '',
+        'Be brief.',
+      ].join('\n');
+      expect((await composePrompts(prompts(), 'Be brief.')).text).toBe(expected);
+      expect((await composePrompts(prompts(), 'Be brief.', '', undefined, 'markdown')).text).toBe(expected);
+    });
+
+    test('renders XML tags', async () => {
+      const { text, tokenCount } = await composePrompts(prompts(), 'Be brief.', '', 'claude', 'xml');
+      expect(text).toBe([
+        '<prompt name="Intro">\nReview this.\n</prompt>',
+        '<directory name="repo &amp; co">',
+        '<tree>\n[x] a.md\n</tree>',
+        '<file path="a.md">\nUse ```js fences``` and <\\/file> tags\n</file>',
+        '</directory>',
+        '',
+        '<instructions>\nBe brief.\n</instructions>',
+      ].join('\n'));
+      expect(tokenCount).toBe(countTokens(text, 'claude'));
+    });
+
+    test('renders plain text', async () => {
+      expect((await composePrompts(prompts(), 'Be brief.', '', undefined, 'plain')).text).toBe([
+        'Review this.',
+        '',
+        'Directory tree (repo & co):\n[x] a.md',
+        '--- a.md ---\nUse ```js fences``` and </file> tags\n--- end of a.md ---',
+        '',
+        'Be brief.',
+      ].join('\n'));
+    });
+
+    test('renders JSON', async () => {
+      const { text } = await composePrompts(prompts(), 'Be brief.', '', undefined, 'json');
+      expect(JSON.parse(text)).toEqual({
+        prompts: [
+          { type: 'prompt', name: 'Intro', content: 'Review this.' },
+          {
+            type: 'directory',
+            name: 'repo & co',
+            tree: '[x] a.md',
+            files: [{ path: 'a.md', content: 'Use ```js fences``` and </file> tags' }],
+          },
+        ],
+        instructions: 'Be brief.',
+      });
+      expect((await composePrompts([], '', '', undefined, 'json')).text).toBe('');
+    });
+  });
+
+  test('returns empty text for no prompts', async () => {
+    expect(await composePrompts([], '')).toEqual({ text: '', tokenCount: 0 });
+  });
+});
@@ -5,32 +5,79 @@
  *
  * @dependencies
  * - sqlite3: For SQLite database operations
+ * - migrations.js: Versioned schema migrations run on startup
  *
  * @notes
  * - Uses process.env.DB_PATH (default ./prompts.db).
  * - Set DB_PATH=:memory: in test environments for in-memory SQLite.
  * - Added `is_directory` and `files` columns for repo integration.
- * - `files` stored as JSON string in the database.
+ * - Schema changes go through versioned migrations in migrations.js; `ready` resolves
+ *   once they have run and rejects if the database is newer than the code.
+ * - Directory files live in the `directory_files` table, one row per file, so toggling a
+ *   single checkbox only touches that row. The legacy `prompts.files` JSON column is kept
+ *   empty.
+ * - Every create / update of a regular prompt snapshots it into `prompt_revisions`. The
+ *   history outlives the prompt: deleting a prompt leaves its revisions in place.
+ * - Directory ignore patterns are stored per prompt (`prompts.ignore_patterns`, NULL for
+ *   the defaults); the global default set lives in the `settings` table.
+ * - Binary files (`is_binary`, detected by content during scans) are never checked.
+ * - Directory prompts can add a git diff section (`diff_mode`, `diff_base_ref`,
+ *   `diff_head_ref`), exposed as `diffSection`.
+ * - Per-file token counts are cached in `token_counts` together with the content hash they
+ *   were counted from. `hash` is cleared whenever a file's mtime changes, so a stale file is
+ *   rehashed and its counts are reused only if the content is unchanged.
+ * - Presets (saved master prompt selections) keep their state as a JSON document in
+ *   `presets.state`; names are unique.
+ * - Text prompts are indexed for full-text search in the FTS5 table `prompts_fts`, which
+ *   triggers keep in step with `prompts`.
+ * - Bulk file writes pass the file list as one JSON parameter and expand it with
+ *   SQLite's json_each, so a rescan of thousands of files is a couple of statements.
  */
 
 const sqlite3 = require('sqlite3').verbose();
+const { runMigrations } = require('./migrations');
 
 // Respect DB_PATH from environment, or default to local prompts.db
 const DB_PATH = process.env.DB_PATH || './prompts.db';
 const db = new sqlite3.Database(DB_PATH);
 
-db.serialize(() => {
-  db.run(`
-    CREATE TABLE IF NOT EXISTS prompts (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      content TEXT NOT NULL,
-      tags TEXT,
-      is_directory BOOLEAN DEFAULT 0,
-      files TEXT DEFAULT '[]',  -- JSON string of file objects: [{path, content, isChecked}]
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
+db.run('PRAGMA foreign_keys = ON');
+
+// Resolves with the schema version once pending migrations have run; wait for it before querying
+const ready = runMigrations(db, DB_PATH);
+
+/**
+ * @function toFile
+ * @description Maps a directory_files row to the file object shape used by the API
+ * @param {Object} row - directory_files row
+ * @returns {Object} File object {path, size, mtime, isChecked, isExcluded, isBinary}
+ */
+const toFile = (row) => ({
+  path: row.path,
+  size: row.size,
+  mtime: row.mtime,
+  isChecked: !!row.is_checked,
+  isExcluded: !!row.is_excluded,
+  isBinary: !!row.is_binary,
+});
+
+/**
+ * @function toPrompt
+ * @description Maps a prompts row to the prompt object shape used by the API
+ * @param {Object} row - prompts row
+ * @param {Array} files - File objects belonging to the prompt
+ * @returns {Object} Prompt object
+ */
+const toPrompt = (row, files = []) => ({
+  ...row,
+  isDirectory: !!row.is_directory,
+  // Custom ignore patterns, or null when the directory uses the global defaults
+  ignorePatterns: row.ignore_patterns === undefined ? null : row.ignore_patterns,
+  // Git diff section of a directory prompt, or null when it has none
+  diffSection: row.diff_mode
+    ? { mode: row.diff_mode, baseRef: row.diff_base_ref, headRef: row.diff_head_ref }
+    : null,
+  files,
 });
 
 /**
@@ -45,28 +92,98 @@ db.serialize(() => {
  */
 const createPrompt = (name, content, tags, isDirectory = false, files = [], callback) => {
   db.run(
-    'INSERT INTO prompts (name, content, tags, is_directory, files) VALUES (?, ?, ?, ?, ?)',
-    [name, content, tags, isDirectory ? 1 : 0, JSON.stringify(files)],
+    'INSERT INTO prompts (name, content, tags, is_directory) VALUES (?, ?, ?, ?)',
+    [name, content, tags, isDirectory ? 1 : 0],
     function (err) {
-      callback(err, this.lastID);
+      if (err) return callback(err);
+      const id = this.lastID;
+      if (!isDirectory) return recordRevision(id, (revisionErr) => callback(revisionErr, id));
+      if (!files.length) return callback(null, id);
+      syncDirectoryFiles(id, files, (filesErr) => callback(filesErr, id));
     }
   );
 };
 
+/**
+ * @function recordRevision
+ * @description Snapshots the current name, content and tags of a regular prompt as its next
+ *              revision. Nothing is written for directory prompts or if the latest revision
+ *              already matches.
+ * @param {number} id - Prompt ID
+ * @param {function} callback - Callback with (err)
+ */
+const recordRevision = (id, callback) => {
+  db.run(`
+    INSERT INTO prompt_revisions (prompt_id, revision, name, content, tags)
+    SELECT p.id, COALESCE(latest.revision, 0) + 1, p.name, p.content, p.tags
+    FROM prompts p
+    LEFT JOIN prompt_revisions latest ON latest.prompt_id = p.id
+      AND latest.revision = (SELECT MAX(revision) FROM prompt_revisions WHERE prompt_id = p.id)
+    WHERE p.id = ? AND p.is_directory = 0
+      AND (latest.id IS NULL OR latest.name IS NOT p.name OR latest.content IS NOT p.content OR latest.tags IS NOT p.tags)
+  `, [id], callback);
+};
+
 /**
  * @function getPrompts
- * @description Retrieves all prompts, parsing JSON files field
+ * @description Retrieves all prompts, attaching the file list of directory prompts
  * @param {function} callback - Callback with (err, rows)
  */
 const getPrompts = (callback) => {
   db.all('SELECT * FROM prompts ORDER BY created_at DESC', [], (err, rows) => {
     if (err) return callback(err);
-    const parsedRows = rows.map(row => ({
-      ...row,
-      isDirectory: !!row.is_directory,
-      files: JSON.parse(row.files || '[]'),
-    }));
-    callback(null, parsedRows);
+    db.all('SELECT * FROM directory_files ORDER BY prompt_id, path', [], (filesErr, fileRows) => {
+      if (filesErr) return callback(filesErr);
+      const filesByPrompt = {};
+      fileRows.forEach(fileRow => {
+        (filesByPrompt[fileRow.prompt_id] = filesByPrompt[fileRow.prompt_id] || []).push(toFile(fileRow));
+      });
+      callback(null, rows.map(row => toPrompt(row, filesByPrompt[row.id] || [])));
+    });
+  });
+};
+
+/**
+ * @function getPromptById
+ * @description Retrieves a single prompt without its file list
+ * @param {number} id - Prompt ID
+ * @param {function} callback - Callback with (err, prompt), prompt is null if not found
+ */
+const getPromptById = (id, callback) => {
+  db.get('SELECT * FROM prompts WHERE id = ?', [id], (err, row) => {
+    if (err) return callback(err);
+    callback(null, row ? toPrompt(row) : null);
+  });
+};
+
+/**
+ * @function getDirectoryPromptWithFiles
+ * @description Retrieves a directory prompt together with its file list
+ * @param {number} id - Prompt ID
+ * @param {function} callback - Callback with (err, prompt), prompt is null if not found
+ *                             or not a directory prompt
+ */
+const getDirectoryPromptWithFiles = (id, callback) => {
+  getPromptById(id, (err, prompt) => {
+    if (err) return callback(err);
+    if (!prompt || !prompt.isDirectory) return callback(null, null);
+    getDirectoryFiles(id, (filesErr, files) => {
+      if (filesErr) return callback(filesErr);
+      callback(null, { ...prompt, files });
+    });
+  });
+};
+
+/**
+ * @function getDirectoryFiles
+ * @description Retrieves the file list of a directory prompt
+ * @param {number} promptId - Directory prompt ID
+ * @param {function} callback - Callback with (err, files)
+ */
+const getDirectoryFiles = (promptId, callback) => {
+  db.all('SELECT * FROM directory_files WHERE prompt_id = ? ORDER BY path', [promptId], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(toFile));
   });
 };
 
@@ -77,27 +194,538 @@ const getPrompts = (callback) => {
  * @param {string} name - Updated name
  * @param {string} content - Updated content
  * @param {string} tags - Updated tags
- * @param {Array} files - Updated files array for directory prompts (optional)
+ * @param {Array} files - Updated files array for directory prompts (optional, see syncDirectoryFiles)
  * @param {function} callback - Callback with (err)
  */
 const updatePrompt = (id, name, content, tags, files, callback) => {
-  const params = files !== undefined
-    ? [name, content, tags, JSON.stringify(files), id]
-    : [name, content, tags, id];
-  const sql = files !== undefined
-    ? 'UPDATE prompts SET name = ?, content = ?, tags = ?, files = ? WHERE id = ?'
-    : 'UPDATE prompts SET name = ?, content = ?, tags = ? WHERE id = ?';
-  db.run(sql, params, callback);
+  db.run('UPDATE prompts SET name = ?, content = ?, tags = ? WHERE id = ?', [name, content, tags, id], (err) => {
+    if (err) return callback(err);
+    if (files === undefined) return recordRevision(id, callback);
+    syncDirectoryFiles(id, files, callback);
+  });
+};
+
+/**
+ * @function getPromptRevisions
+ * @description Retrieves the revision history of a prompt, newest first
+ * @param {number} promptId - Prompt ID
+ * @param {function} callback - Callback with (err, revisions) as [{revision, name, content, tags, createdAt}]
+ */
+const getPromptRevisions = (promptId, callback) => {
+  db.all(
+    'SELECT revision, name, content, tags, created_at FROM prompt_revisions WHERE prompt_id = ? ORDER BY revision DESC',
+    [promptId],
+    (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.map(({ created_at, ...row }) => ({ ...row, createdAt: created_at })));
+    }
+  );
+};
+
+/**
+ * @function getPromptRevision
+ * @description Retrieves one revision of a prompt
+ * @param {number} promptId - Prompt ID
+ * @param {number} revision - Revision number
+ * @param {function} callback - Callback with (err, revision), revision is null if not found
+ */
+const getPromptRevision = (promptId, revision, callback) => {
+  db.get(
+    'SELECT revision, name, content, tags, created_at FROM prompt_revisions WHERE prompt_id = ? AND revision = ?',
+    [promptId, revision],
+    (err, row) => {
+      if (err || !row) return callback(err, null);
+      const { created_at, ...rest } = row;
+      callback(null, { ...rest, createdAt: created_at });
+    }
+  );
+};
+
+/**
+ * @function syncDirectoryFiles
+ * @description Replaces the file list of a directory prompt with a fresh scan. Metadata of
+ *              existing rows is updated in place so their checked / excluded states survive;
+ *              rows missing from the scan are removed.
+ * @param {number} promptId - Directory prompt ID
+ * @param {Array} files - File objects {path, size, mtime}
+ * @param {function} callback - Callback with (err)
+ */
+const syncDirectoryFiles = (promptId, files, callback) => {
+  const filesJson = JSON.stringify(files.map(f => ({
+    path: f.path,
+    size: f.size || 0,
+    mtime: f.mtime !== undefined ? Math.round(f.mtime) : null,
+    isChecked: f.isChecked ? 1 : 0,
+    isExcluded: f.isExcluded ? 1 : 0,
+    isBinary: f.isBinary ? 1 : 0,
+  })));
+  let firstErr = null;
+  const track = (err) => { if (err && !firstErr) firstErr = err; };
+
+  db.serialize(() => {
+    db.run(`
+      INSERT INTO directory_files (prompt_id, path, size, mtime, is_checked, is_excluded, is_binary)
+      SELECT ?, json_extract(value, '$.path'), json_extract(value, '$.size'), json_extract(value, '$.mtime'),
+             json_extract(value, '$.isChecked') AND NOT json_extract(value, '$.isBinary'),
+             json_extract(value, '$.isExcluded'), json_extract(value, '$.isBinary')
+      FROM json_each(?) WHERE true
+      ON CONFLICT (prompt_id, path) DO UPDATE SET
+        size = excluded.size,
+        mtime = excluded.mtime,
+        is_binary = excluded.is_binary,
+        -- Binary files can never be checked
+        is_checked = directory_files.is_checked AND NOT excluded.is_binary,
+        hash = CASE WHEN directory_files.mtime IS excluded.mtime THEN directory_files.hash ELSE NULL END
+    `, [promptId, filesJson], track);
+    db.run(`
+      DELETE FROM directory_files
+      WHERE prompt_id = ? AND path NOT IN (SELECT json_extract(value, '$.path') FROM json_each(?))
+    `, [promptId, filesJson], (err) => {
+      track(err);
+      callback(firstErr);
+    });
+  });
+};
+
+/**
+ * @function upsertDirectoryFile
+ * @description Adds a file to a directory prompt or refreshes its metadata, keeping its states
+ * @param {number} promptId - Directory prompt ID
+ * @param {Object} file - File object {path, size, mtime, isBinary}
+ * @param {function} callback - Callback with (err)
+ */
+const upsertDirectoryFile = (promptId, file, callback) => {
+  db.run(`
+    INSERT INTO directory_files (prompt_id, path, size, mtime, is_binary) VALUES (?, ?, ?, ?, ?)
+    ON CONFLICT (prompt_id, path) DO UPDATE SET
+      size = excluded.size,
+      mtime = excluded.mtime,
+      is_binary = excluded.is_binary,
+      is_checked = directory_files.is_checked AND NOT excluded.is_binary,
+      hash = CASE WHEN directory_files.mtime IS excluded.mtime THEN directory_files.hash ELSE NULL END
+  `, [
+    promptId,
+    file.path,
+    file.size || 0,
+    file.mtime !== undefined ? Math.round(file.mtime) : null,
+    file.isBinary ? 1 : 0,
+  ], callback);
+};
+
+/**
+ * @function removeDirectoryPath
+ * @description Removes a file, or a directory and every file beneath it, from a directory prompt
+ * @param {number} promptId - Directory prompt ID
+ * @param {string} relativePath - File or directory path relative to the watched root
+ * @param {string} separator - Path separator used in stored paths
+ * @param {function} callback - Callback with (err)
+ */
+const removeDirectoryPath = (promptId, relativePath, separator, callback) => {
+  const prefix = relativePath + separator;
+  db.run(
+    'DELETE FROM directory_files WHERE prompt_id = ? AND (path = ? OR substr(path, 1, ?) = ?)',
+    [promptId, relativePath, prefix.length, prefix],
+    callback
+  );
+};
+
+/**
+ * @function updateDirectoryFileState
+ * @description Updates the checked and/or excluded state of a single file
+ * @param {number} promptId - Directory prompt ID
+ * @param {string} filePath - File path relative to the watched root
+ * @param {Object} states - {isChecked?, isExcluded?}; omitted states are left unchanged
+ * @param {function} callback - Callback with (err, changes) where changes is 0 if the file is unknown
+ */
+const updateDirectoryFileState = (promptId, filePath, { isChecked, isExcluded }, callback) => {
+  db.run(`
+    UPDATE directory_files
+    SET is_checked = COALESCE(?, is_checked) AND NOT is_binary, is_excluded = COALESCE(?, is_excluded)
+    WHERE prompt_id = ? AND path = ?
+  `, [
+    isChecked === undefined ? null : (isChecked ? 1 : 0),
+    isExcluded === undefined ? null : (isExcluded ? 1 : 0),
+    promptId,
+    filePath,
+  ], function (err) {
+    callback(err, err ? 0 : this.changes);
+  });
+};
+
+/**
+ * @function setAllDirectoryFilesChecked
+ * @description Sets the checked state of every file in a directory prompt
+ * @param {number} promptId - Directory prompt ID
+ * @param {boolean} isChecked - New checked state
+ * @param {function} callback - Callback with (err)
+ */
+const setAllDirectoryFilesChecked = (promptId, isChecked, callback) => {
+  db.run(
+    'UPDATE directory_files SET is_checked = ? AND NOT is_binary WHERE prompt_id = ?',
+    [isChecked ? 1 : 0, promptId],
+    callback
+  );
+};
+
+/**
+ * @function setDirectoryFilesChecked
+ * @description Sets the checked state of a set of files in a directory prompt; binary
+ *              files stay unchecked
+ * @param {number} promptId - Directory prompt ID
+ * @param {Array<string>} filePaths - File paths to update
+ * @param {boolean} isChecked - New checked state
+ * @param {function} callback - Callback with (err)
+ */
+const setDirectoryFilesChecked = (promptId, filePaths, isChecked, callback) => {
+  db.run(`
+    UPDATE directory_files SET is_checked = ? AND NOT is_binary
+    WHERE prompt_id = ? AND path IN (SELECT value FROM json_each(?))
+  `, [isChecked ? 1 : 0, promptId, JSON.stringify(filePaths)], callback);
+};
+
+/**
+ * @function selectDirectoryFiles
+ * @description Checks exactly the given files of a directory prompt and unchecks the rest
+ * @param {number} promptId - Directory prompt ID
+ * @param {Array<string>} filePaths - File paths to check
+ * @param {function} callback - Callback with (err)
+ */
+const selectDirectoryFiles = (promptId, filePaths, callback) => {
+  db.run(`
+    UPDATE directory_files
+    SET is_checked = path IN (SELECT value FROM json_each(?)) AND NOT is_binary
+    WHERE prompt_id = ?
+  `, [JSON.stringify(filePaths), promptId], callback);
+};
+
+/**
+ * @function setDirectoryFilesExcluded
+ * @description Sets the excluded state of a set of files in a directory prompt
+ * @param {number} promptId - Directory prompt ID
+ * @param {Array<string>} filePaths - File paths to update
+ * @param {boolean} isExcluded - New excluded state
+ * @param {function} callback - Callback with (err)
+ */
+const setDirectoryFilesExcluded = (promptId, filePaths, isExcluded, callback) => {
+  db.run(`
+    UPDATE directory_files SET is_excluded = ?
+    WHERE prompt_id = ? AND path IN (SELECT value FROM json_each(?))
+  `, [isExcluded ? 1 : 0, promptId, JSON.stringify(filePaths)], callback);
+};
+
+/**
+ * @function setDirectoryIgnorePatterns
+ * @description Stores custom ignore patterns for a directory prompt
+ * @param {number} promptId - Directory prompt ID
+ * @param {string|null} patterns - .gitignore-style patterns, or null to use the global defaults
+ * @param {function} callback - Callback with (err, changes) where changes is 0 if the prompt is unknown
+ */
+const setDirectoryIgnorePatterns = (promptId, patterns, callback) => {
+  db.run(
+    'UPDATE prompts SET ignore_patterns = ? WHERE id = ? AND is_directory = 1',
+    [patterns, promptId],
+    function (err) {
+      callback(err, err ? 0 : this.changes);
+    }
+  );
+};
+
+/**
+ * @function setDirectoryDiffSection
+ * @description Stores the git diff section settings of a directory prompt
+ * @param {number} promptId - Directory prompt ID
+ * @param {Object|null} section - {mode, baseRef, headRef}, or null to remove the diff section
+ * @param {function} callback - Callback with (err, changes) where changes is 0 if the prompt is unknown
+ */
+const setDirectoryDiffSection = (promptId, section, callback) => {
+  db.run(
+    'UPDATE prompts SET diff_mode = ?, diff_base_ref = ?, diff_head_ref = ? WHERE id = ? AND is_directory = 1',
+    section
+      ? [section.mode, section.baseRef || null, section.headRef || null, promptId]
+      : [null, null, null, promptId],
+    function (err) {
+      callback(err, err ? 0 : this.changes);
+    }
+  );
+};
+
+/**
+ * @function getDirectoryTokenCache
+ * @description Retrieves the cached token counts of a directory prompt's files
+ * @param {number} promptId - Directory prompt ID
+ * @param {function} callback - Callback with (err, entries), entries {path, mtime, isBinary,
+ *                             hash, tokenCounts} where hash is null once the file's mtime
+ *                             changed and tokenCounts is {hash, counts} or null
+ */
+const getDirectoryTokenCache = (promptId, callback) => {
+  db.all(
+    'SELECT path, mtime, is_binary, hash, token_counts FROM directory_files WHERE prompt_id = ? ORDER BY path',
+    [promptId],
+    (err, rows) => {
+      if (err) return callback(err);
+      callback(null, rows.map(row => {
+        let tokenCounts = null;
+        try {
+          tokenCounts = row.token_counts ? JSON.parse(row.token_counts) : null;
+        } catch (parseErr) {
+          // A corrupt cache entry is simply recounted
+        }
+        return { path: row.path, mtime: row.mtime, isBinary: !!row.is_binary, hash: row.hash, tokenCounts };
+      }));
+    }
+  );
+};
+
+/**
+ * @function saveDirectoryTokenCache
+ * @description Stores content hashes and token counts of directory files. Entries whose
+ *              file changed (different mtime) since it was read are skipped.
+ * @param {number} promptId - Directory prompt ID
+ * @param {Array<Object>} entries - {path, mtime, hash, tokenCounts}
+ * @param {function} callback - Callback with (err)
+ */
+const saveDirectoryTokenCache = (promptId, entries, callback) => {
+  if (!entries.length) return callback(null);
+  const entriesJson = JSON.stringify(entries);
+  db.run(`
+    UPDATE directory_files SET
+      hash = (SELECT json_extract(value, '$.hash') FROM json_each(?1)
+              WHERE json_extract(value, '$.path') = directory_files.path),
+      token_counts = (SELECT json_extract(value, '$.tokenCounts') FROM json_each(?1)
+                      WHERE json_extract(value, '$.path') = directory_files.path)
+    WHERE prompt_id = ?2 AND EXISTS (
+      SELECT 1 FROM json_each(?1)
+      WHERE json_extract(value, '$.path') = directory_files.path
+        AND json_extract(value, '$.mtime') IS directory_files.mtime
+    )
+  `, [entriesJson, promptId], callback);
+};
+
+/**
+ * @function getDefaultIgnorePatterns
+ * @description Retrieves the global default ignore patterns
+ * @param {function} callback - Callback with (err, patterns)
+ */
+const getDefaultIgnorePatterns = (callback) => {
+  db.get("SELECT value FROM settings WHERE key = 'default_ignore_patterns'", [], (err, row) => {
+    if (err) return callback(err);
+    callback(null, row ? row.value || '' : '');
+  });
+};
+
+/**
+ * @function setDefaultIgnorePatterns
+ * @description Replaces the global default ignore patterns
+ * @param {string} patterns - .gitignore-style patterns
+ * @param {function} callback - Callback with (err)
+ */
+const setDefaultIgnorePatterns = (patterns, callback) => {
+  db.run(`
+    INSERT INTO settings (key, value) VALUES ('default_ignore_patterns', ?)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value
+  `, [patterns], callback);
+};
+
+/**
+ * @function getTokenizerModel
+ * @description Retrieves the tokenizer model chosen in the UI
+ * @param {function} callback - Callback with (err, model), model null when never chosen
+ */
+const getTokenizerModel = (callback) => {
+  db.get("SELECT value FROM settings WHERE key = 'tokenizer_model'", [], (err, row) => {
+    if (err) return callback(err);
+    callback(null, row ? row.value : null);
+  });
+};
+
+/**
+ * @function setTokenizerModel
+ * @description Stores the tokenizer model chosen in the UI
+ * @param {string} model - Model id (validated by the caller)
+ * @param {function} callback - Callback with (err)
+ */
+const setTokenizerModel = (model, callback) => {
+  db.run(`
+    INSERT INTO settings (key, value) VALUES ('tokenizer_model', ?)
+    ON CONFLICT (key) DO UPDATE SET value = excluded.value
+  `, [model], callback);
+};
+
+/**
+ * @function applyDirectoryFileStates
+ * @description Checks and excludes exactly the given files of a directory prompt, e.g. when
+ *              a preset is loaded. Paths that no longer exist are ignored.
+ * @param {number} promptId - Directory prompt ID
+ * @param {Array<string>} checkedPaths - Files to check; all others are unchecked
+ * @param {Array<string>} excludedPaths - Files to exclude; all others are included
+ * @param {function} callback - Callback with (err)
+ */
+const applyDirectoryFileStates = (promptId, checkedPaths, excludedPaths, callback) => {
+  db.run(`
+    UPDATE directory_files
+    SET is_checked = path IN (SELECT value FROM json_each(?)) AND NOT is_binary,
+        is_excluded = path IN (SELECT value FROM json_each(?))
+    WHERE prompt_id = ?
+  `, [JSON.stringify(checkedPaths), JSON.stringify(excludedPaths), promptId], callback);
+};
+
+/**
+ * @function mapPresetRow
+ * @description Converts a presets row to the API shape
+ * @param {Object} row - Database row
+ * @returns {Object} {id, name, state, createdAt, updatedAt}
+ */
+const mapPresetRow = (row) => ({
+  id: row.id,
+  name: row.name,
+  state: JSON.parse(row.state),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at,
+});
+
+/**
+ * @function getPresets
+ * @description Retrieves all presets, ordered by name
+ * @param {function} callback - Callback with (err, presets)
+ */
+const getPresets = (callback) => {
+  db.all('SELECT * FROM presets ORDER BY name COLLATE NOCASE', [], (err, rows) => {
+    if (err) return callback(err);
+    callback(null, rows.map(mapPresetRow));
+  });
+};
+
+/**
+ * @function getPresetById
+ * @description Retrieves one preset
+ * @param {number} id - Preset ID
+ * @param {function} callback - Callback with (err, preset), preset is null if not found
+ */
+const getPresetById = (id, callback) => {
+  db.get('SELECT * FROM presets WHERE id = ?', [id], (err, row) => {
+    if (err || !row) return callback(err, null);
+    callback(null, mapPresetRow(row));
+  });
+};
+
+/**
+ * @function createPreset
+ * @description Saves a new preset
+ * @param {string} name - Unique preset name
+ * @param {Object} state - Preset state (validated by the caller)
+ * @param {function} callback - Callback with (err, id); err.code is SQLITE_CONSTRAINT for a
+ *                              name that is taken
+ */
+const createPreset = (name, state, callback) => {
+  db.run(
+    'INSERT INTO presets (name, state) VALUES (?, ?)',
+    [name, JSON.stringify(state)],
+    function (err) {
+      callback(err, err ? null : this.lastID);
+    }
+  );
+};
+
+/**
+ * @function updatePreset
+ * @description Renames a preset and replaces its state
+ * @param {number} id - Preset ID
+ * @param {string} name - Unique preset name
+ * @param {Object} state - Preset state (validated by the caller)
+ * @param {function} callback - Callback with (err, changes) where changes is 0 if the preset is unknown
+ */
+const updatePreset = (id, name, state, callback) => {
+  db.run(
+    'UPDATE presets SET name = ?, state = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [name, JSON.stringify(state), id],
+    function (err) {
+      callback(err, err ? 0 : this.changes);
+    }
+  );
+};
+
+/**
+ * @function deletePreset
+ * @description Deletes a preset
+ * @param {number} id - Preset ID
+ * @param {function} callback - Callback with (err, changes) where changes is 0 if the preset is unknown
+ */
+const deletePreset = (id, callback) => {
+  db.run('DELETE FROM presets WHERE id = ?', [id], function (err) {
+    callback(err, err ? 0 : this.changes);
+  });
+};
+
+/**
+ * @function searchPrompts
+ * @description Full-text search over the names, contents and tags of text prompts
+ * @param {string} ftsQuery - FTS5 query (see search.toFtsQuery)
+ * @param {Object} markers - {start, end} strings wrapped around matched terms
+ * @param {number} limit - Maximum number of results
+ * @param {function} callback - Callback with (err, rows) as [{id, name, tags, content}],
+ *                              best match first; name and tags are highlighted in full,
+ *                              content is a snippet around the matches
+ */
+const searchPrompts = (ftsQuery, { start, end }, limit, callback) => {
+  db.all(`
+    SELECT rowid AS id,
+           highlight(prompts_fts, 0, ?, ?) AS name,
+           highlight(prompts_fts, 2, ?, ?) AS tags,
+           snippet(prompts_fts, 1, ?, ?, '…', 16) AS content
+    FROM prompts_fts
+    WHERE prompts_fts MATCH ?
+    ORDER BY bm25(prompts_fts, 10.0, 1.0, 5.0)
+    LIMIT ?
+  `, [start, end, start, end, start, end, ftsQuery, limit], callback);
 };
 
 /**
  * @function deletePrompt
- * @description Deletes a prompt by ID
+ * @description Deletes a prompt by ID, along with its directory files. Its revisions are kept.
  * @param {number} id - Prompt ID
- * @param {function} callback - Callback with (err)
+ * @param {function} callback - Callback with (err, changes) where changes is 0 if the prompt is unknown
  */
 const deletePrompt = (id, callback) => {
-  db.run('DELETE FROM prompts WHERE id = ?', [id], callback);
+  db.serialize(() => {
+    db.run('DELETE FROM directory_files WHERE prompt_id = ?', [id]);
+    db.run('DELETE FROM prompts WHERE id = ?', [id], function (err) {
+      callback(err, err ? 0 : this.changes);
+    });
+  });
 };
 
-module.exports = { createPrompt, getPrompts, updatePrompt, deletePrompt };
\ No newline at end of file
+module.exports = {
+  ready,
+  createPrompt,
+  getPrompts,
+  getPromptById,
+  getDirectoryFiles,
+  getDirectoryPromptWithFiles,
+  updatePrompt,
+  getPromptRevisions,
+  getPromptRevision,
+  deletePrompt,
+  syncDirectoryFiles,
+  upsertDirectoryFile,
+  removeDirectoryPath,
+  updateDirectoryFileState,
+  setAllDirectoryFilesChecked,
+  setDirectoryFilesChecked,
+  selectDirectoryFiles,
+  setDirectoryFilesExcluded,
+  setDirectoryIgnorePatterns,
+  setDirectoryDiffSection,
+  getDefaultIgnorePatterns,
+  setDefaultIgnorePatterns,
+  getTokenizerModel,
+  setTokenizerModel,
+  getDirectoryTokenCache,
+  saveDirectoryTokenCache,
+  applyDirectoryFileStates,
+  getPresets,
+  getPresetById,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  searchPrompts,
+};
@@ -0,0 +1,294 @@
+/**
+ * @file db.test.js
+ * @description Tests for the SQLite layer in db.js against an in-memory database.
+ *              Covers the directory_files table, its single-row / bulk updates and
+ *              prompt revision history, ignore pattern settings, diff sections, presets and the
+ *              full-text prompt index.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - db.js: Database operations module (real, not mocked)
+ *
+ * @notes
+ * - DB_PATH is set to :memory: before db.js is required so no prompts.db is touched.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { promisify } = require('util');
+const db = require('./db');
+
+const createPrompt = promisify(db.createPrompt);
+const getPrompts = promisify(db.getPrompts);
+const getDirectoryFiles = promisify(db.getDirectoryFiles);
+const syncDirectoryFiles = promisify(db.syncDirectoryFiles);
+const updateDirectoryFileState = promisify(db.updateDirectoryFileState);
+const setDirectoryFilesExcluded = promisify(db.setDirectoryFilesExcluded);
+const setAllDirectoryFilesChecked = promisify(db.setAllDirectoryFilesChecked);
+const setDirectoryFilesChecked = promisify(db.setDirectoryFilesChecked);
+const selectDirectoryFiles = promisify(db.selectDirectoryFiles);
+const removeDirectoryPath = promisify(db.removeDirectoryPath);
+const deletePrompt = promisify(db.deletePrompt);
+const updatePrompt = promisify(db.updatePrompt);
+const getPromptRevisions = promisify(db.getPromptRevisions);
+const getPromptRevision = promisify(db.getPromptRevision);
+const getPromptById = promisify(db.getPromptById);
+const setDirectoryIgnorePatterns = promisify(db.setDirectoryIgnorePatterns);
+const getDefaultIgnorePatterns = promisify(db.getDefaultIgnorePatterns);
+const setDefaultIgnorePatterns = promisify(db.setDefaultIgnorePatterns);
+const setDirectoryDiffSection = promisify(db.setDirectoryDiffSection);
+const getTokenizerModel = promisify(db.getTokenizerModel);
+const setTokenizerModel = promisify(db.setTokenizerModel);
+const getDirectoryTokenCache = promisify(db.getDirectoryTokenCache);
+const saveDirectoryTokenCache = promisify(db.saveDirectoryTokenCache);
+const applyDirectoryFileStates = promisify(db.applyDirectoryFileStates);
+const getPresets = promisify(db.getPresets);
+const getPresetById = promisify(db.getPresetById);
+const createPreset = promisify(db.createPreset);
+const updatePreset = promisify(db.updatePreset);
+const deletePreset = promisify(db.deletePreset);
+const searchPrompts = (query, limit = 10) => promisify(db.searchPrompts)(query, { start: '[', end: ']' }, limit);
+
+beforeAll(() => db.ready);
+
+describe('db.js directory files', () => {
+  let dirId;
+
+  beforeEach(async () => {
+    dirId = await createPrompt('repo', '/tmp/repo', 'directory', true, [
+      { path: 'a.js', size: 10, mtime: 1 },
+      { path: 'src/b.js', size: 20, mtime: 2 },
+      { path: 'src/c.js', size: 30, mtime: 3 },
+    ]);
+  });
+
+  afterEach(async () => {
+    await deletePrompt(dirId);
+  });
+
+  test('attaches file rows to directory prompts', async () => {
+    const prompts = await getPrompts();
+    const dir = prompts.find(p => p.id === dirId);
+    expect(dir.isDirectory).toBe(true);
+    expect(dir.files.map(f => f.path)).toEqual(['a.js', 'src/b.js', 'src/c.js']);
+    expect(dir.files[0]).toEqual({ path: 'a.js', size: 10, mtime: 1, isChecked: false, isExcluded: false, isBinary: false });
+  });
+
+  test('updates a single file state and reports unknown files', async () => {
+    expect(await updateDirectoryFileState(dirId, 'src/b.js', { isChecked: true })).toBe(1);
+    expect(await updateDirectoryFileState(dirId, 'missing.js', { isChecked: true })).toBe(0);
+
+    const files = await getDirectoryFiles(dirId);
+    expect(files.find(f => f.path === 'src/b.js')).toMatchObject({ isChecked: true, isExcluded: false });
+    expect(files.find(f => f.path === 'a.js').isChecked).toBe(false);
+  });
+
+  test('keeps checked and excluded states across a rescan', async () => {
+    await updateDirectoryFileState(dirId, 'a.js', { isChecked: true });
+    await setDirectoryFilesExcluded(dirId, ['src/c.js'], true);
+
+    await syncDirectoryFiles(dirId, [
+      { path: 'a.js', size: 11, mtime: 5 },
+      { path: 'src/c.js', size: 30, mtime: 3 },
+      { path: 'new.js', size: 1, mtime: 6 },
+    ]);
+
+    const files = await getDirectoryFiles(dirId);
+    expect(files.map(f => f.path)).toEqual(['a.js', 'new.js', 'src/c.js']);
+    expect(files[0]).toMatchObject({ size: 11, isChecked: true });
+    expect(files[2]).toMatchObject({ isExcluded: true });
+  });
+
+  test('never checks binary files', async () => {
+    await syncDirectoryFiles(dirId, [
+      { path: 'a.js', size: 10, mtime: 1 },
+      { path: 'logo.ico', size: 5, mtime: 1, isBinary: true },
+    ]);
+    expect(await updateDirectoryFileState(dirId, 'logo.ico', { isChecked: true })).toBe(1);
+    await setAllDirectoryFilesChecked(dirId, true);
+
+    const files = await getDirectoryFiles(dirId);
+    expect(files.find(f => f.path === 'logo.ico')).toMatchObject({ isBinary: true, isChecked: false });
+    expect(files.find(f => f.path === 'a.js')).toMatchObject({ isBinary: false, isChecked: true });
+  });
+
+  test('checks and unchecks a set of files, leaving binary files unchecked', async () => {
+    await syncDirectoryFiles(dirId, [
+      { path: 'a.js', size: 10, mtime: 1 },
+      { path: 'src/b.js', size: 20, mtime: 2 },
+      { path: 'logo.ico', size: 5, mtime: 1, isBinary: true },
+    ]);
+    await setDirectoryFilesChecked(dirId, ['src/b.js', 'logo.ico', 'gone.js'], true);
+
+    let files = await getDirectoryFiles(dirId);
+    expect(files.filter(f => f.isChecked).map(f => f.path)).toEqual(['src/b.js']);
+
+    await setDirectoryFilesChecked(dirId, ['src/b.js'], false);
+    files = await getDirectoryFiles(dirId);
+    expect(files.filter(f => f.isChecked)).toEqual([]);
+  });
+
+  test('caches token counts until a file changes, keeping them for a content check', async () => {
+    const tokenCounts = { hash: 'h1', counts: { cl100k: 42 } };
+    await saveDirectoryTokenCache(dirId, [
+      { path: 'a.js', mtime: 1, hash: 'h1', tokenCounts },
+      // Read before the file changed again: not saved
+      { path: 'src/b.js', mtime: 1, hash: 'h2', tokenCounts: { hash: 'h2', counts: { cl100k: 7 } } },
+    ]);
+
+    let cache = await getDirectoryTokenCache(dirId);
+    expect(cache[0]).toEqual({ path: 'a.js', mtime: 1, isBinary: false, hash: 'h1', tokenCounts });
+    expect(cache[1]).toMatchObject({ path: 'src/b.js', hash: null, tokenCounts: null });
+
+    await syncDirectoryFiles(dirId, [{ path: 'a.js', size: 10, mtime: 9 }]);
+    cache = await getDirectoryTokenCache(dirId);
+    expect(cache).toEqual([{ path: 'a.js', mtime: 9, isBinary: false, hash: null, tokenCounts }]);
+  });
+
+  test('checks exactly the selected files', async () => {
+    await updateDirectoryFileState(dirId, 'a.js', { isChecked: true });
+    await selectDirectoryFiles(dirId, ['src/b.js', 'src/c.js', 'gone.js']);
+
+    const files = await getDirectoryFiles(dirId);
+    expect(files.filter(f => f.isChecked).map(f => f.path)).toEqual(['src/b.js', 'src/c.js']);
+  });
+
+  test('applies exact checked and excluded sets', async () => {
+    await updateDirectoryFileState(dirId, 'a.js', { isChecked: true });
+    await setDirectoryFilesExcluded(dirId, ['a.js'], true);
+    await applyDirectoryFileStates(dirId, ['src/b.js', 'gone.js'], ['src/c.js']);
+
+    const files = await getDirectoryFiles(dirId);
+    expect(files.map(f => [f.path, f.isChecked, f.isExcluded])).toEqual([
+      ['a.js', false, false],
+      ['src/b.js', true, false],
+      ['src/c.js', false, true],
+    ]);
+  });
+
+  test('removes a directory and everything beneath it', async () => {
+    await removeDirectoryPath(dirId, 'src', '/');
+    const files = await getDirectoryFiles(dirId);
+    expect(files.map(f => f.path)).toEqual(['a.js']);
+  });
+});
+
+describe('db.js prompt revisions', () => {
+  test('records a revision per change and skips no-op saves', async () => {
+    const id = await createPrompt('Review', 'v1', 'code', false, []);
+    await updatePrompt(id, 'Review', 'v2', 'code', undefined);
+    await updatePrompt(id, 'Review', 'v2', 'code', undefined);
+
+    const revisions = await getPromptRevisions(id);
+    expect(revisions.map(r => [r.revision, r.content])).toEqual([[2, 'v2'], [1, 'v1']]);
+    expect(await getPromptRevision(id, 1)).toMatchObject({ name: 'Review', content: 'v1', tags: 'code' });
+    await deletePrompt(id);
+  });
+
+  test('keeps the history of a deleted prompt', async () => {
+    const id = await createPrompt('Summary', 'v1', '', false, []);
+    await updatePrompt(id, 'Summary', 'v2', '', undefined);
+
+    await expect(deletePrompt(id)).resolves.toBe(1);
+    expect(await getPromptById(id)).toBeNull();
+    expect((await getPromptRevisions(id)).map(r => r.content)).toEqual(['v2', 'v1']);
+
+    // Ids are never reused, so a new prompt starts its own history
+    const nextId = await createPrompt('Summary', 'new', '', false, []);
+    expect(nextId).not.toBe(id);
+    expect((await getPromptRevisions(nextId)).map(r => r.revision)).toEqual([1]);
+    await deletePrompt(nextId);
+  });
+
+  test('does not keep history for directory prompts', async () => {
+    const id = await createPrompt('repo', '/tmp/repo', 'directory', true, []);
+    expect(await getPromptRevisions(id)).toEqual([]);
+    await deletePrompt(id);
+  });
+});
+
+describe('db.js ignore patterns', () => {
+  test('seeds the global defaults and lets them be replaced', async () => {
+    expect(await getDefaultIgnorePatterns()).toContain('node_modules');
+    await setDefaultIgnorePatterns('*.tmp');
+    expect(await getDefaultIgnorePatterns()).toBe('*.tmp');
+  });
+
+  test('stores custom patterns per directory, null meaning the defaults', async () => {
+    const id = await createPrompt('repo', '/tmp/repo', 'directory', true, []);
+    expect((await getPromptById(id)).ignorePatterns).toBeNull();
+
+    expect(await setDirectoryIgnorePatterns(id, 'fixtures/')).toBe(1);
+    expect((await getPromptById(id)).ignorePatterns).toBe('fixtures/');
+
+    await setDirectoryIgnorePatterns(id, null);
+    expect((await getPromptById(id)).ignorePatterns).toBeNull();
+    expect(await setDirectoryIgnorePatterns(9999, 'x')).toBe(0);
+    await deletePrompt(id);
+  });
+});
+
+describe('db.js tokenizer model', () => {
+  test('is unset until chosen, then remembers the last choice', async () => {
+    expect(await getTokenizerModel()).toBeNull();
+    await setTokenizerModel('o200k');
+    await setTokenizerModel('claude');
+    expect(await getTokenizerModel()).toBe('claude');
+  });
+});
+
+describe('db.js diff sections', () => {
+  test('stores a diff section per directory, null meaning none', async () => {
+    const id = await createPrompt('repo', '/tmp/repo', 'directory', true, []);
+    expect((await getPromptById(id)).diffSection).toBeNull();
+
+    expect(await setDirectoryDiffSection(id, { mode: 'refs', baseRef: 'main', headRef: 'feature' })).toBe(1);
+    expect((await getPromptById(id)).diffSection).toEqual({ mode: 'refs', baseRef: 'main', headRef: 'feature' });
+
+    await setDirectoryDiffSection(id, { mode: 'staged' });
+    expect((await getPromptById(id)).diffSection).toEqual({ mode: 'staged', baseRef: null, headRef: null });
+
+    await setDirectoryDiffSection(id, null);
+    expect((await getPromptById(id)).diffSection).toBeNull();
+    await deletePrompt(id);
+  });
+});
+
+describe('db.js presets', () => {
+  const state = { selectedPromptIds: [1], promptOrder: [1], directories: [], additionalInstructions: '' };
+
+  test('saves, lists, renames and deletes presets with unique names', async () => {
+    const id = await createPreset('Morning', state);
+    await createPreset('afternoon', { ...state, additionalInstructions: 'Later' });
+    await expect(createPreset('Morning', state)).rejects.toMatchObject({ code: 'SQLITE_CONSTRAINT' });
+
+    expect((await getPresets()).map(p => p.name)).toEqual(['afternoon', 'Morning']);
+    expect(await getPresetById(id)).toMatchObject({ id, name: 'Morning', state });
+
+    expect(await updatePreset(id, 'Daily', { ...state, promptOrder: [] })).toBe(1);
+    expect(await getPresetById(id)).toMatchObject({ name: 'Daily', state: { promptOrder: [] } });
+    expect(await updatePreset(9999, 'x', state)).toBe(0);
+
+    expect(await deletePreset(id)).toBe(1);
+    expect(await getPresetById(id)).toBeNull();
+  });
+});
+
+describe('db.js full-text search', () => {
+  test('indexes text prompts and follows updates and deletes', async () => {
+    const id = await createPrompt('Code Review', 'Review the diff for naming issues.', 'review, quality', false, []);
+    await createPrompt('Release notes', 'Summarize the changes since the last tag.', 'writing', false, []);
+    await createPrompt('reviewer-repo', '/tmp/reviewer-repo', 'directory', true, []);
+
+    expect(await searchPrompts('"review"*')).toEqual([
+      { id, name: 'Code [Review]', tags: '[review], quality', content: '[Review] the diff for naming issues.' },
+    ]);
+
+    await updatePrompt(id, 'Code check', 'Look for naming issues.', 'quality', undefined);
+    expect(await searchPrompts('"review"*')).toEqual([]);
+    expect((await searchPrompts('"naming"*')).map(row => row.id)).toEqual([id]);
+
+    await deletePrompt(id);
+    expect(await searchPrompts('"naming"*')).toEqual([]);
+  });
+});
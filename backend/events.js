@@ -0,0 +1,58 @@
+/**
+ * @file events.js
+ * @description Server-Sent Events hub that pushes prompt and directory changes to every
+ *              connected UI.
+ *
+ * @notes
+ * - Event names: prompt-created, prompt-updated, prompt-deleted, directory-updated.
+ *   Payloads are JSON in the `data` field.
+ * - A comment line is sent every HEARTBEAT_MS so proxies do not close idle streams.
+ * - Clients are forgotten as soon as their connection closes.
+ */
+
+const HEARTBEAT_MS = 25000;
+
+/**
+ * @function formatEvent
+ * @description Serializes an event in the text/event-stream wire format
+ * @param {string} event - Event name
+ * @param {*} data - JSON-serializable payload
+ * @returns {string}
+ */
+const formatEvent = (event, data) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+
+/**
+ * @function createEventHub
+ * @description Creates a set of SSE connections that events are broadcast to
+ * @returns {Object} { connect(req, res), broadcast(event, data), clientCount() }
+ */
+const createEventHub = () => {
+  const clients = new Set();
+
+  // Opens an event stream on an Express response and keeps it until the client leaves
+  const connect = (req, res) => {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+    });
+    res.write(': connected\n\n');
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+    clients.add(res);
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      clients.delete(res);
+    });
+  };
+
+  const broadcast = (event, data) => {
+    const message = formatEvent(event, data);
+    clients.forEach(res => res.write(message));
+  };
+
+  return { connect, broadcast, clientCount: () => clients.size };
+};
+
+module.exports = { createEventHub, formatEvent };
@@ -0,0 +1,65 @@
+/**
+ * @file events.test.js
+ * @description Tests for the Server-Sent Events hub in events.js, using fake
+ *              request / response objects.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - events.js: Module under test
+ */
+
+const { EventEmitter } = require('events');
+const { createEventHub, formatEvent } = require('./events');
+
+describe('event hub', () => {
+  const connectClient = (hub) => {
+    const req = new EventEmitter();
+    const res = { writeHead: jest.fn(), write: jest.fn() };
+    hub.connect(req, res);
+    return { req, res };
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('formats events in the event-stream wire format', () => {
+    expect(formatEvent('prompt-deleted', { id: 3 })).toBe('event: prompt-deleted\ndata: {"id":3}\n\n');
+  });
+
+  test('opens a stream and broadcasts to every connected client', () => {
+    const hub = createEventHub();
+    const first = connectClient(hub);
+    const second = connectClient(hub);
+
+    expect(first.res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream',
+    }));
+
+    hub.broadcast('prompt-created', { id: 1, name: 'Intro' });
+    const message = formatEvent('prompt-created', { id: 1, name: 'Intro' });
+    expect(first.res.write).toHaveBeenLastCalledWith(message);
+    expect(second.res.write).toHaveBeenLastCalledWith(message);
+  });
+
+  test('forgets clients and stops heartbeats once they disconnect', () => {
+    const hub = createEventHub();
+    const { req, res } = connectClient(hub);
+    expect(hub.clientCount()).toBe(1);
+
+    jest.advanceTimersByTime(25000);
+    expect(res.write).toHaveBeenLastCalledWith(': heartbeat\n\n');
+
+    req.emit('close');
+    const writes = res.write.mock.calls.length;
+    jest.advanceTimersByTime(50000);
+    hub.broadcast('prompt-deleted', { id: 1 });
+
+    expect(hub.clientCount()).toBe(0);
+    expect(res.write).toHaveBeenCalledTimes(writes);
+  });
+});
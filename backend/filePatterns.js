@@ -0,0 +1,141 @@
+/**
+ * @file filePatterns.js
+ * @description Glob and regular expression matching of directory file paths, for the
+ *              "select by pattern" bulk updates.
+ *
+ * @notes
+ * - Mirrors frontend/src/utils/filePatterns.js so the UI's match count agrees with what
+ *   the bulk endpoints update; change both together.
+ * - Globs: `*` and `?` stay within a path segment, `**` crosses segments, `[abc]` / `[!abc]`
+ *   are character classes and `{a,b}` alternatives. A glob without a `/` matches file
+ *   names at any depth (`*.test.js`); a leading `/` anchors it to the root. A glob that
+ *   matches a folder matches every file in it.
+ * - Regexes are JavaScript syntax, tested against the whole relative path (unanchored,
+ *   case-sensitive).
+ * - Paths are matched with `/` separators whatever the platform stores, so patterns written
+ *   with `/` work for Windows paths too.
+ * - Patterns come from clients and run on the single server thread: they are capped at
+ *   MAX_PATTERN_LENGTH characters and matchPaths gives up after MATCH_TIMEOUT_MS, so a
+ *   catastrophically backtracking regex cannot stall other requests and watchers.
+ */
+
+const vm = require('vm');
+
+const PATTERN_TYPES = ['glob', 'regex'];
+const MAX_PATTERN_LENGTH = 500;
+const MATCH_TIMEOUT_MS = 200;
+
+const patternError = (message) => Object.assign(new Error(message), { code: 'INVALID_PATTERN' });
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * @function globToRegExp
+ * @description Compiles a glob into an anchored regular expression over relative paths
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ * @throws {Error} With code INVALID_PATTERN for unbalanced braces
+ */
+const globToRegExp = (glob) => {
+  const isAnchored = glob.startsWith('/');
+  const body = isAnchored ? glob.slice(1) : glob;
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '*' && body[i + 1] === '*') {
+      const isWholeSegment = (i === 0 || body[i - 1] === '/') && body[i + 2] === '/';
+      // `**/` matches zero or more folders; any other `**` matches anything
+      source += isWholeSegment ? '(?:.*/)?' : '.*';
+      i += isWholeSegment ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      // A `]` right after `[` or `[!` belongs to the class
+      const start = body[i + 1] === '!' || body[i + 1] === '^' ? i + 2 : i + 1;
+      const end = body.indexOf(']', start + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const negate = start === i + 2 ? '^' : '';
+        source += `[${negate}${body.slice(start, end).replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  if (braceDepth > 0) throw patternError('Unclosed { in glob');
+
+  const anyFolder = !isAnchored && !body.includes('/') ? '(?:.*/)?' : '';
+  return new RegExp(`^${anyFolder}${source}(?:/.*)?$`);
+};
+
+/**
+ * @function compilePathPattern
+ * @description Compiles a glob or regex into a predicate on relative file paths
+ * @param {string} pattern - Glob or regular expression
+ * @param {string} patternType - 'glob' (default) or 'regex'
+ * @returns {function} (filePath) => boolean
+ * @throws {Error} With code INVALID_PATTERN for a missing or invalid pattern
+ */
+const compilePathPattern = (pattern, patternType = 'glob') => {
+  if (!PATTERN_TYPES.includes(patternType)) {
+    throw patternError(`patternType must be one of: ${PATTERN_TYPES.join(', ')}`);
+  }
+  if (typeof pattern !== 'string' || !pattern.trim()) throw patternError('pattern is required');
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw patternError(`pattern must be at most ${MAX_PATTERN_LENGTH} characters`);
+  }
+
+  let regExp;
+  try {
+    regExp = patternType === 'regex' ? new RegExp(pattern) : globToRegExp(pattern.trim());
+  } catch (err) {
+    throw err.code === 'INVALID_PATTERN' ? err : patternError(`Invalid ${patternType}: ${err.message}`);
+  }
+  return (filePath) => regExp.test(filePath.replace(/\\/g, '/'));
+};
+
+/**
+ * @function matchPaths
+ * @description Filters file paths by a glob or regex, within a time limit
+ * @param {string} pattern - Glob or regular expression
+ * @param {string} patternType - 'glob' or 'regex'
+ * @param {Array<string>} filePaths - Relative file paths
+ * @param {number} timeoutMs - Time allowed for matching every path
+ * @returns {Array<string>} The matching paths, in order
+ * @throws {Error} With code INVALID_PATTERN for an invalid pattern or one that takes too long
+ */
+const matchPaths = (pattern, patternType, filePaths, timeoutMs = MATCH_TIMEOUT_MS) => {
+  const matches = compilePathPattern(pattern, patternType);
+  try {
+    // vm's timeout interrupts a runaway regex, which nothing else on this thread could
+    const matched = vm.runInNewContext('filePaths.filter(matches)', { filePaths, matches }, { timeout: timeoutMs });
+    return Array.from(matched);
+  } catch (err) {
+    if (err.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+      throw patternError(`Pattern took longer than ${timeoutMs}ms to match; simplify it`);
+    }
+    throw err;
+  }
+};
+
+module.exports = {
+  PATTERN_TYPES,
+  MAX_PATTERN_LENGTH,
+  globToRegExp,
+  compilePathPattern,
+  matchPaths,
+};
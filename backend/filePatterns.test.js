@@ -0,0 +1,77 @@
+/**
+ * @file filePatterns.test.js
+ * @description Tests for glob and regex path matching in filePatterns.js, including the
+ *              limits on client-supplied patterns.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - filePatterns.js: Module under test
+ */
+
+const { compilePathPattern, matchPaths, MAX_PATTERN_LENGTH } = require('./filePatterns');
+
+const paths = [
+  'README.md',
+  'src/index.js',
+  'src/app.test.js',
+  'src/components/Button.js',
+  'src/components/Button.test.js',
+  'docs/guide.md',
+];
+
+const matching = (pattern, patternType) => paths.filter(compilePathPattern(pattern, patternType));
+
+describe('compilePathPattern', () => {
+  test('matches globs with segment wildcards and globstars', () => {
+    expect(matching('src/**/*.test.js')).toEqual(['src/app.test.js', 'src/components/Button.test.js']);
+    expect(matching('src/*.js')).toEqual(['src/index.js', 'src/app.test.js']);
+    expect(matching('**/Button.?s')).toEqual(['src/components/Button.js']);
+  });
+
+  test('matches globs without a slash at any depth and folders with their files', () => {
+    expect(matching('*.md')).toEqual(['README.md', 'docs/guide.md']);
+    expect(matching('components')).toEqual(['src/components/Button.js', 'src/components/Button.test.js']);
+    expect(matching('/README.md')).toEqual(['README.md']);
+    expect(matching('/guide.md')).toEqual([]);
+  });
+
+  test('supports braces and character classes', () => {
+    expect(matching('*.{md,test.js}')).toEqual([
+      'README.md', 'src/app.test.js', 'src/components/Button.test.js', 'docs/guide.md',
+    ]);
+    expect(matching('src/[!c]*')).toEqual(['src/index.js', 'src/app.test.js']);
+    expect(matching('[A-Z]*.md')).toEqual(['README.md']);
+  });
+
+  test('matches regexes against the whole path', () => {
+    expect(matching('^src/.*Button', 'regex')).toEqual(['src/components/Button.js', 'src/components/Button.test.js']);
+    expect(matching('\\.md$', 'regex')).toEqual(['README.md', 'docs/guide.md']);
+  });
+
+  test('matches Windows paths with / in the pattern', () => {
+    const windowsPaths = ['src\\components\\Button.js', 'docs\\guide.md'];
+    expect(windowsPaths.filter(compilePathPattern('src/**/*.js'))).toEqual(['src\\components\\Button.js']);
+    expect(windowsPaths.filter(compilePathPattern('^docs/', 'regex'))).toEqual(['docs\\guide.md']);
+  });
+
+  test('rejects invalid patterns with INVALID_PATTERN', () => {
+    expect(() => compilePathPattern('src/{a,b')).toThrow(expect.objectContaining({ code: 'INVALID_PATTERN' }));
+    expect(() => compilePathPattern('(', 'regex')).toThrow(/Invalid regex/);
+    expect(() => compilePathPattern('  ')).toThrow('pattern is required');
+    expect(() => compilePathPattern('*', 'fuzzy')).toThrow(/patternType must be one of/);
+    expect(() => compilePathPattern('a'.repeat(MAX_PATTERN_LENGTH + 1))).toThrow(/at most/);
+  });
+});
+
+describe('matchPaths', () => {
+  test('filters paths by a pattern', () => {
+    expect(matchPaths('*.md', 'glob', paths)).toEqual(['README.md', 'docs/guide.md']);
+  });
+
+  test('gives up on a regex that backtracks catastrophically', () => {
+    const slowPaths = [`${'a'.repeat(40)}!`];
+    expect(() => matchPaths('^(a+)+$', 'regex', slowPaths, 50)).toThrow(
+      expect.objectContaining({ code: 'INVALID_PATTERN', message: expect.stringMatching(/took longer than 50ms/) })
+    );
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * @file formatters.js
+ * @description Output formats for the master prompt composed on the server. Each format
+ *              decides how prompts, directory trees, diffs and files are delimited and how
+ *              file contents are protected from clashing with those delimiters.
+ *
+ * @notes
+ * - Output must stay identical to frontend/src/utils/formatters.js and the Markdown
+ *   rendering in frontend/src/utils/composer.js; change both together.
+ * - A format is { value, label, renderFile, renderSegment, renderDocument } over the same
+ *   segments as the frontend: {type: 'text', name, content} or {type: 'directory', name,
+ *   tree, diff: {content}|{error}|null, files: [{path, content}|{path, error}]}.
+ * - Backticks in file contents only matter to Markdown, which lengthens the fence around
+ *   them. XML, plain text and JSON keep contents as they are, apart from XML breaking up
+ *   closing tags and JSON string escaping.
+ */
+
+const fileText = (file) => (file.error === undefined ? file.content : `[Error loading content: ${file.error}]`);
+const diffText = (diff) => (diff.error === undefined ? diff.content : `[Error loading diff: ${diff.error}]`);
+
+// Text prompts without content are left out by every format
+const nonEmpty = (segments) => segments.filter(segment => segment.type === 'directory' || segment.content);
+
+/**
+ * @function formatBlock
+ * @description Wraps content in a fenced block labelled with a file path or language. The
+ *              fence is longer than any backtick run in the content, so code blocks inside
+ *              it stay intact.
+ * @param {string} label - Text after the opening fence
+ * @param {string} content - Block content
+ * @returns {string}
+ */
+const formatBlock = (label, content) => {
+  const longestRun = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${label}\n${content}\n${fence}`;
+};
+
+/**
+ * @function escapeAttribute
+ * @description Escapes a value for an XML attribute
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * @function xmlElement
+ * @description Wraps content in an XML-style tag. Contents stay raw; only a literal closing
+ *              tag of the same name is broken up so it cannot end the element early.
+ * @param {string} name - Tag name
+ * @param {Object} attributes - Attribute name -> value
+ * @param {string} content - Element content
+ * @returns {string}
+ */
+const xmlElement = (name, attributes, content) => {
+  const attributeText = Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+    .join('');
+  const safeContent = content.split(`</${name}>`).join(`<\\/${name}>`);
+  return `<${name}${attributeText}>\n${safeContent}\n</${name}>`;
+};
+
+const markdownFile = (file) => formatBlock(file.path, fileText(file));
+
+const markdownSegment = (segment) => {
+  if (segment.type !== 'directory') return segment.content;
+
+  const blocks = [];
+  if (segment.diff) blocks.push(formatBlock('diff', diffText(segment.diff)));
+  segment.files.forEach(file => blocks.push(markdownFile(file)));
+  return `Directory Tree (${segment.name}):\n${segment.tree}\n${blocks.join('\n')}`.trim();
+};
+
+const markdown = {
+  value: 'markdown',
+  label: 'Markdown',
+  renderFile: markdownFile,
+  renderSegment: markdownSegment,
+  renderDocument: (segments, additionalInstructions) => [
+    segments.map(markdownSegment).filter(Boolean).join('\n'),
+    additionalInstructions,
+  ].filter(Boolean).join('\n\n'),
+};
+
+const xmlParts = (segment) => {
+  if (segment.type !== 'directory') {
+    return segment.content ? [xmlElement('prompt', { name: segment.name || '' }, segment.content)] : [];
+  }
+  return [
+    `<directory name="${escapeAttribute(segment.name)}">\n${xmlElement('tree', {}, segment.tree)}`,
+    ...(segment.diff ? [xmlElement('diff', {}, diffText(segment.diff))] : []),
+    ...segment.files.map(file => xmlElement('file', { path: file.path }, fileText(file))),
+    '</directory>',
+  ];
+};
+
+const xml = {
+  value: 'xml',
+  label: 'XML tags',
+  renderFile: (file) => xmlElement('file', { path: file.path }, fileText(file)),
+  renderSegment: (segment) => xmlParts(segment).join('\n'),
+  renderDocument: (segments, additionalInstructions) => [
+    nonEmpty(segments).map(segment => xmlParts(segment).join('\n')).join('\n'),
+    additionalInstructions ? xmlElement('instructions', {}, additionalInstructions) : '',
+  ].filter(Boolean).join('\n\n'),
+};
+
+const plainFile = (file) => `--- ${file.path} ---\n${fileText(file)}\n--- end of ${file.path} ---`;
+
+const plainParts = (segment) => {
+  if (segment.type !== 'directory') return [segment.content].filter(Boolean);
+  return [
+    `Directory tree (${segment.name}):\n${segment.tree}`,
+    ...(segment.diff ? [`--- git diff ---\n${diffText(segment.diff)}\n--- end of git diff ---`] : []),
+    ...segment.files.map(plainFile),
+  ];
+};
+
+const plain = {
+  value: 'plain',
+  label: 'Plain text',
+  renderFile: plainFile,
+  renderSegment: (segment) => plainParts(segment).join('\n'),
+  // Blank lines between prompts, as there are no other delimiters around text prompts
+  renderDocument: (segments, additionalInstructions) => [
+    ...nonEmpty(segments).map(segment => plainParts(segment).join('\n')),
+    additionalInstructions,
+  ].filter(Boolean).join('\n\n'),
+};
+
+const jsonSegment = (segment) => (segment.type !== 'directory'
+  ? { type: 'prompt', name: segment.name, content: segment.content }
+  : {
+    type: 'directory',
+    name: segment.name,
+    tree: segment.tree,
+    ...(segment.diff ? { diff: segment.diff } : {}),
+    files: segment.files,
+  });
+
+const json = {
+  value: 'json',
+  label: 'JSON',
+  renderFile: (file) => JSON.stringify(file, null, 2),
+  renderSegment: (segment) => JSON.stringify(jsonSegment(segment), null, 2),
+  renderDocument: (segments, additionalInstructions) => {
+    const prompts = nonEmpty(segments).map(jsonSegment);
+    if (!prompts.length && !additionalInstructions) return '';
+    return JSON.stringify({
+      prompts,
+      ...(additionalInstructions ? { instructions: additionalInstructions } : {}),
+    }, null, 2);
+  },
+};
+
+const OUTPUT_FORMATS = [markdown, xml, plain, json];
+
+const DEFAULT_OUTPUT_FORMAT = markdown.value;
+
+/**
+ * @function isOutputFormat
+ * @description Checks whether a value names an output format
+ * @param {string} value - Format value
+ * @returns {boolean}
+ */
+const isOutputFormat = (value) => OUTPUT_FORMATS.some(format => format.value === value);
+
+/**
+ * @function getOutputFormat
+ * @description Looks up an output format, falling back to Markdown
+ * @param {string} value - Format value
+ * @returns {Object}
+ */
+const getOutputFormat = (value) =>
+  OUTPUT_FORMATS.find(format => format.value === value) || markdown;
+
+module.exports = {
+  OUTPUT_FORMATS,
+  DEFAULT_OUTPUT_FORMAT,
+  isOutputFormat,
+  getOutputFormat,
+  formatBlock,
+};
@@ -0,0 +1,83 @@
+/**
+ * @file formatters.test.js
+ * @description Tests for the server-side master prompt output formats in formatters.js.
+ *              Expectations are shared with frontend/src/utils/__tests__/formatters.test.js.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - formatters.js: Module under test
+ */
+
+const { getOutputFormat, isOutputFormat, OUTPUT_FORMATS } = require('./formatters');
+
+describe('formatters', () => {
+  const segments = [
+    { type: 'text', name: 'Intro', content: 'Review this.' },
+    {
+      type: 'directory',
+      name: 'repo & co',
+      tree: '[x] a.md',
+      diff: { content: '+added' },
+      files: [
+        { path: 'a.md', content: 'Use ```js fences``` and </file> tags' },
+        { path: 'b.js', error: 'EACCES' },
+      ],
+    },
+    { type: 'text', name: 'Empty', content: '' },
+  ];
+
+  test('markdown lengthens fences around nested backticks', () => {
+    expect(getOutputFormat('markdown').renderDocument(segments, 'Be brief.')).toBe([
+      'Review this.',
+      'Directory Tree (repo & co):',
+      '[x] a.md',
+      '```diff\n+added\n```',
+      '````a.md\nUse ```js fences``` and </file> tags\n````',
+      '```b.js\n[Error loading content: EACCES]\n```',
+      '',
+      'Be brief.',
+    ].join('\n'));
+  });
+
+  test('xml wraps prompts, trees and files in tags', () => {
+    expect(getOutputFormat('xml').renderDocument(segments, 'Be brief.')).toBe([
+      '<prompt name="Intro">\nReview this.\n</prompt>',
+      '<directory name="repo &amp; co">',
+      '<tree>\n[x] a.md\n</tree>',
+      '<diff>\n+added\n</diff>',
+      '<file path="a.md">\nUse ```js fences``` and <\\/file> tags\n</file>',
+      '<file path="b.js">\n[Error loading content: EACCES]\n</file>',
+      '</directory>',
+      '',
+      '<instructions>\nBe brief.\n</instructions>',
+    ].join('\n'));
+  });
+
+  test('plain text delimits files with marker lines', () => {
+    expect(getOutputFormat('plain').renderDocument(segments.slice(0, 1), 'Be brief.')).toBe('Review this.\n\nBe brief.');
+    expect(getOutputFormat('plain').renderSegment(segments[1])).toBe([
+      'Directory tree (repo & co):\n[x] a.md',
+      '--- git diff ---\n+added\n--- end of git diff ---',
+      '--- a.md ---\nUse ```js fences``` and </file> tags\n--- end of a.md ---',
+      '--- b.js ---\n[Error loading content: EACCES]\n--- end of b.js ---',
+    ].join('\n'));
+  });
+
+  test('json round-trips the prompts and instructions', () => {
+    expect(JSON.parse(getOutputFormat('json').renderDocument(segments, 'Be brief.'))).toEqual({
+      prompts: [
+        { type: 'prompt', name: 'Intro', content: 'Review this.' },
+        { type: 'directory', name: 'repo & co', tree: '[x] a.md', diff: { content: '+added' }, files: segments[1].files },
+      ],
+      instructions: 'Be brief.',
+    });
+    expect(getOutputFormat('json').renderDocument([], '')).toBe('');
+  });
+
+  test('looks up formats by value', () => {
+    expect(OUTPUT_FORMATS.map(format => format.value)).toEqual(['markdown', 'xml', 'plain', 'json']);
+    expect(isOutputFormat('xml')).toBe(true);
+    expect(isOutputFormat('html')).toBe(false);
+    expect(getOutputFormat('unknown').value).toBe('markdown');
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * @file gitStatus.js
+ * @description Reads the git status and diffs of a watched directory with the local `git`
+ *              binary.
+ *
+ * @dependencies
+ * - child_process: For running git
+ * - path: Path manipulation utilities
+ *
+ * @notes
+ * - Paths are returned relative to the watched directory, which may be a subdirectory of
+ *   the repository; changes outside it are left out.
+ * - A directory that is not inside a work tree, or a machine without git, has no status
+ *   (readGitStatus resolves null) rather than an error.
+ * - Refs are validated before use and never passed where git could read them as options.
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+
+const GIT_TIMEOUT_MS = 10000;
+const GIT_MAX_BUFFER = 64 * 1024 * 1024;
+
+/**
+ * @function gitError
+ * @description Creates an error with a machine-readable code and an HTTP status
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {number} status - HTTP status to respond with
+ * @returns {Error}
+ */
+const gitError = (message, code, status) => Object.assign(new Error(message), { code, status });
+
+/**
+ * @function runGit
+ * @description Runs git in a directory
+ * @param {string} cwd - Working directory
+ * @param {Array<string>} args - git arguments
+ * @returns {Promise<string>} stdout
+ */
+const runGit = (cwd, args) => new Promise((resolve, reject) => {
+  execFile('git', args, { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: GIT_MAX_BUFFER }, (err, stdout) => {
+    if (err) return reject(err);
+    resolve(stdout);
+  });
+});
+
+/**
+ * @function getRepoPrefix
+ * @description Path of the directory relative to the repository root ('' at the root)
+ * @param {string} rootPath - Watched directory
+ * @returns {Promise<string|null>} Prefix ending in '/', or null if not in a work tree
+ */
+const getRepoPrefix = async (rootPath) => {
+  try {
+    return (await runGit(rootPath, ['rev-parse', '--show-prefix'])).trim();
+  } catch (err) {
+    // Exit code 128: not a repository; ENOENT: git is not installed
+    if (err.code === 128 || err.code === 'ENOENT') return null;
+    throw err;
+  }
+};
+
+/**
+ * @function toRelativePath
+ * @description Converts a repository path from git output to one relative to the watched
+ *              directory
+ * @param {string} repoPath - Path relative to the repository root, '/'-separated
+ * @param {string} prefix - Watched directory's repo prefix
+ * @returns {string|null} null if the path is outside the watched directory
+ */
+const toRelativePath = (repoPath, prefix) => {
+  if (!repoPath.startsWith(prefix)) return null;
+  return repoPath.slice(prefix.length).split('/').join(path.sep);
+};
+
+/**
+ * @function parseBranch
+ * @description Extracts the branch name from a porcelain `## ...` header
+ * @param {string} header - Header without the leading '## '
+ * @returns {string} Branch name, or 'HEAD' when detached
+ */
+const parseBranch = (header) => {
+  const name = header.replace(/^No commits yet on /, '').replace(/^Initial commit on /, '');
+  if (name.startsWith('HEAD (no branch)')) return 'HEAD';
+  return name.split('...')[0].split(' ')[0];
+};
+
+/**
+ * @function parseStatusCode
+ * @description Turns a porcelain XY code into flags
+ * @param {string} code - Two-character status code, e.g. 'M ', ' M', '??'
+ * @returns {Object} { code, staged, modified, untracked }
+ */
+const parseStatusCode = (code) => {
+  const untracked = code === '??';
+  return {
+    code,
+    staged: !untracked && code[0] !== ' ',
+    modified: !untracked && code[1] !== ' ',
+    untracked,
+  };
+};
+
+/**
+ * @function readGitStatus
+ * @description Reads the branch and the status of every changed file in a directory
+ * @param {string} rootPath - Watched directory
+ * @returns {Promise<Object|null>} { branch, files: { [relativePath]: {code, staged, modified,
+ *          untracked} } }, or null if the directory is not in a git work tree
+ */
+const readGitStatus = async (rootPath) => {
+  const prefix = await getRepoPrefix(rootPath);
+  if (prefix === null) return null;
+
+  // Without optional locks git does not rewrite .git/index, which would wake the watcher
+  const output = await runGit(rootPath, [
+    '--no-optional-locks', 'status', '--porcelain=v1', '-z', '--branch', '--untracked-files=all', '--', '.',
+  ]);
+  const entries = output.split('\0');
+  const status = { branch: null, files: {} };
+
+  for (let i = 0; i < entries.length; i++) {
+    const entry = entries[i];
+    if (!entry) continue;
+    if (entry.startsWith('## ')) {
+      status.branch = parseBranch(entry.slice(3));
+      continue;
+    }
+    const code = entry.slice(0, 2);
+    // Renames and copies are followed by the original path, which is no longer a file here
+    if (code[0] === 'R' || code[0] === 'C') i++;
+    const relativePath = toRelativePath(entry.slice(3), prefix);
+    if (relativePath) status.files[relativePath] = parseStatusCode(code);
+  }
+  return status;
+};
+
+/**
+ * @function resolveCommit
+ * @description Checks that a ref is safe to pass to git and names a commit
+ * @param {string} rootPath - Watched directory
+ * @param {string} ref - Branch, tag or commit
+ * @returns {Promise<string>} Commit hash
+ * @throws {Error} UNKNOWN_REF with status 400
+ */
+const resolveCommit = async (rootPath, ref) => {
+  if (typeof ref !== 'string' || !ref || ref.startsWith('-') || /[\0\s]/.test(ref)) {
+    throw gitError(`Invalid ref: ${ref}`, 'UNKNOWN_REF', 400);
+  }
+  try {
+    return (await runGit(rootPath, ['rev-parse', '--verify', '--quiet', `${ref}^{commit}`])).trim();
+  } catch (err) {
+    throw gitError(`Unknown ref: ${ref}`, 'UNKNOWN_REF', 400);
+  }
+};
+
+/**
+ * @function requireRepoPrefix
+ * @description Like getRepoPrefix, but a directory outside a work tree is an error
+ * @param {string} rootPath - Watched directory
+ * @returns {Promise<string>} Prefix
+ * @throws {Error} NOT_A_REPOSITORY with status 400
+ */
+const requireRepoPrefix = async (rootPath) => {
+  const prefix = await getRepoPrefix(rootPath);
+  if (prefix === null) {
+    throw gitError('Directory is not inside a git repository', 'NOT_A_REPOSITORY', 400);
+  }
+  return prefix;
+};
+
+/**
+ * @function listChangedFiles
+ * @description Lists files that differ from a ref: everything committed since the branch
+ *              point with that ref, uncommitted changes and untracked files
+ * @param {string} rootPath - Watched directory
+ * @param {string} ref - Branch, tag or commit to compare against
+ * @returns {Promise<Array<string>>} Paths relative to the watched directory
+ * @throws {Error} NOT_A_REPOSITORY or UNKNOWN_REF, with status 400
+ */
+const listChangedFiles = async (rootPath, ref) => {
+  const prefix = await requireRepoPrefix(rootPath);
+  const commit = await resolveCommit(rootPath, ref);
+
+  // Compare against where the branches split, like a pull request diff
+  const base = await runGit(rootPath, ['merge-base', 'HEAD', commit])
+    .then(out => out.trim())
+    .catch(() => commit);
+
+  const diffOutput = await runGit(rootPath, ['diff', '--name-only', '-z', '--no-renames', base, '--', '.']);
+  const changed = new Set(
+    diffOutput.split('\0').filter(Boolean).map(p => toRelativePath(p, prefix)).filter(Boolean)
+  );
+
+  const status = await readGitStatus(rootPath);
+  Object.entries(status.files).forEach(([filePath, fileStatus]) => {
+    if (fileStatus.untracked) changed.add(filePath);
+  });
+  return [...changed].sort();
+};
+
+/**
+ * @function readGitDiff
+ * @description Produces the diff for a directory prompt's diff section, limited to the
+ *              watched directory and to paths the caller allows
+ * @param {string} rootPath - Watched directory
+ * @param {Object} section - { mode: 'working' | 'staged' | 'refs', baseRef, headRef }.
+ *                           'working' is the unstaged diff, 'staged' the index against HEAD
+ *                           and 'refs' headRef (default HEAD) since branching from baseRef.
+ * @param {Function} includePath - async (relativePath) => boolean, e.g. to drop ignored
+ *                                 and excluded files
+ * @returns {Promise<string>} Unified diff, '' when nothing changed
+ * @throws {Error} NOT_A_REPOSITORY, UNKNOWN_REF or INVALID_DIFF_MODE, with status 400
+ */
+const readGitDiff = async (rootPath, section, includePath = async () => true) => {
+  await requireRepoPrefix(rootPath);
+
+  let range;
+  if (section.mode === 'working') {
+    range = [];
+  } else if (section.mode === 'staged') {
+    range = ['--cached'];
+  } else if (section.mode === 'refs') {
+    const base = await resolveCommit(rootPath, section.baseRef);
+    const head = await resolveCommit(rootPath, section.headRef || 'HEAD');
+    range = [`${base}...${head}`];
+  } else {
+    throw gitError(`Unknown diff mode: ${section.mode}`, 'INVALID_DIFF_MODE', 400);
+  }
+
+  // --relative limits the diff to the watched directory and makes paths relative to it
+  const options = ['--relative', '--no-renames', '--no-color', '--no-ext-diff'];
+  const names = (await runGit(rootPath, ['diff', '--name-only', '-z', ...options, ...range, '--']))
+    .split('\0')
+    .filter(Boolean);
+
+  const paths = [];
+  for (const name of names) {
+    if (await includePath(name.split('/').join(path.sep))) paths.push(name);
+  }
+  if (!paths.length) return '';
+
+  const diff = await runGit(rootPath, ['--literal-pathspecs', 'diff', ...options, ...range, '--', ...paths]);
+  return diff.replace(/\n$/, '');
+};
+
+module.exports = { readGitStatus, listChangedFiles, readGitDiff };
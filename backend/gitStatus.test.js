@@ -0,0 +1,140 @@
+/**
+ * @file gitStatus.test.js
+ * @description Tests for git status and diffs in gitStatus.js, against throwaway repositories
+ *              created with the local git binary.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - gitStatus.js: Module under test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { readGitStatus, listChangedFiles, readGitDiff } = require('./gitStatus');
+
+describe('gitStatus', () => {
+  let repoPath;
+
+  const git = (...args) => execFileSync('git', [
+    '-c', 'user.name=Test', '-c', 'user.email=test@example.com', '-c', 'init.defaultBranch=main', ...args,
+  ], { cwd: repoPath, stdio: 'pipe' });
+
+  const write = (relativePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(repoPath, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(repoPath, relativePath), content);
+  };
+
+  beforeEach(() => {
+    repoPath = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-git-'));
+    git('init', '-q');
+    write('a.js', 'a');
+    write('src/b.js', 'b');
+    write('src/c.js', 'c');
+    git('add', '.');
+    git('commit', '-q', '-m', 'initial');
+  });
+
+  afterEach(() => {
+    fs.rmSync(repoPath, { recursive: true, force: true });
+  });
+
+  test('reports staged, modified and untracked files with the branch', async () => {
+    write('a.js', 'a2');
+    write('src/b.js', 'b2');
+    git('add', 'src/b.js');
+    write('src/b.js', 'b3');
+    write('src/new.js', 'new');
+    git('mv', 'src/c.js', 'src/moved.js');
+
+    const status = await readGitStatus(repoPath);
+
+    expect(status.branch).toBe('main');
+    expect(status.files).toEqual({
+      'a.js': { code: ' M', staged: false, modified: true, untracked: false },
+      'src/b.js': { code: 'MM', staged: true, modified: true, untracked: false },
+      'src/moved.js': { code: 'R ', staged: true, modified: false, untracked: false },
+      'src/new.js': { code: '??', staged: false, modified: false, untracked: true },
+    });
+  });
+
+  test('reports paths relative to a watched subdirectory', async () => {
+    write('a.js', 'a2');
+    write('src/b.js', 'b2');
+
+    const status = await readGitStatus(path.join(repoPath, 'src'));
+
+    expect(Object.keys(status.files)).toEqual(['b.js']);
+  });
+
+  test('returns null outside a repository', async () => {
+    const plainDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-nogit-'));
+    try {
+      // GIT_CEILING_DIRECTORIES keeps git from finding a repository above the temp dir
+      process.env.GIT_CEILING_DIRECTORIES = path.dirname(plainDir);
+      expect(await readGitStatus(plainDir)).toBeNull();
+    } finally {
+      delete process.env.GIT_CEILING_DIRECTORIES;
+      fs.rmSync(plainDir, { recursive: true, force: true });
+    }
+  });
+
+  test('lists files changed since the branch point with a ref', async () => {
+    git('checkout', '-q', '-b', 'feature');
+    write('src/b.js', 'b2');
+    git('commit', '-q', '-am', 'change b');
+
+    // A commit on main after branching is not part of the feature's changes
+    git('checkout', '-q', 'main');
+    write('src/c.js', 'c2');
+    git('commit', '-q', '-am', 'change c on main');
+    git('checkout', '-q', 'feature');
+
+    write('a.js', 'a2');
+    write('untracked.js', 'u');
+
+    expect(await listChangedFiles(repoPath, 'main')).toEqual(['a.js', 'src/b.js', 'untracked.js']);
+  });
+
+  test('diffs the working tree, the index and a range of refs', async () => {
+    git('checkout', '-q', '-b', 'feature');
+    write('src/b.js', 'b2\n');
+    git('commit', '-q', '-am', 'change b');
+    write('a.js', 'a2\n');
+    write('src/c.js', 'c2\n');
+    git('add', 'src/c.js');
+
+    const working = await readGitDiff(repoPath, { mode: 'working' });
+    expect(working).toMatch(/^diff --git a\/a\.js b\/a\.js/);
+    expect(working).toContain('+a2');
+    expect(working).not.toContain('c.js');
+
+    const staged = await readGitDiff(repoPath, { mode: 'staged' });
+    expect(staged).toContain('+c2');
+    expect(staged).not.toContain('a.js');
+
+    const refs = await readGitDiff(repoPath, { mode: 'refs', baseRef: 'main' });
+    expect(refs).toContain('+b2');
+    expect(refs).not.toContain('a.js');
+    expect(refs.endsWith('\n')).toBe(false);
+  });
+
+  test('limits diffs to a watched subdirectory and allowed paths', async () => {
+    write('a.js', 'a2\n');
+    write('src/b.js', 'b2\n');
+    write('src/c.js', 'c2\n');
+
+    const diff = await readGitDiff(path.join(repoPath, 'src'), { mode: 'working' }, async p => p !== 'c.js');
+
+    expect(diff).toMatch(/^diff --git a\/b\.js b\/b\.js/);
+    expect(diff).not.toContain('a.js');
+    expect(diff).not.toContain('c.js');
+    expect(await readGitDiff(repoPath, { mode: 'working' }, async () => false)).toBe('');
+  });
+
+  test('rejects unknown refs and option-like refs', async () => {
+    await expect(listChangedFiles(repoPath, 'no-such-branch')).rejects.toMatchObject({ code: 'UNKNOWN_REF', status: 400 });
+    await expect(listChangedFiles(repoPath, '--output=/tmp/x')).rejects.toMatchObject({ code: 'UNKNOWN_REF', status: 400 });
+  });
+});
@@ -0,0 +1,218 @@
+/**
+ * @file ignoreRules.js
+ * @description Ignore rules for watched directories, following git's cascading semantics
+ *              across nested .gitignore files, .git/info/exclude and .promptignore.
+ *
+ * @dependencies
+ * - fs/promises: For reading ignore files
+ * - path: Path manipulation utilities
+ * - ignore: Parse .gitignore files
+ *
+ * @notes
+ * - Each directory's ignore files apply to paths beneath it, relative to that directory.
+ *   Deeper files take precedence over shallower ones, and within a directory the last
+ *   matching pattern wins, so `!pattern` can re-include what a parent excluded.
+ * - As in git, nothing inside an excluded directory can be re-included.
+ * - When the watched directory lies inside a repository, the repository's
+ *   info/exclude and the ignore files of every directory from the repository's top level
+ *   down to the watched directory apply too, each relative to its own directory. A
+ *   watched directory the repository itself ignores (e.g. build/) is matched by its own
+ *   rules only, so its files are still listed.
+ * - Ignore files above the watched root are not watched; rescan after changing them.
+ * - Precedence from lowest to highest: the directory's ignore patterns (stored per
+ *   directory prompt, defaulting to the global set), the repository's info/exclude,
+ *   then per directory from the top level down .gitignore and .promptignore. .promptignore uses .gitignore syntax and hides files from Promptner
+ *   without touching git.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const ignore = require('ignore');
+
+// Files whose patterns apply to the directory they live in, in increasing precedence
+const IGNORE_FILES = ['.gitignore', '.promptignore'];
+// Repository-wide excludes, inside the git directory
+const GIT_EXCLUDE_FILE = path.join('info', 'exclude');
+// The same file as seen from a watched repository root
+const GIT_EXCLUDE_PATH = path.join('.git', GIT_EXCLUDE_FILE);
+
+/**
+ * @function readIgnoreFile
+ * @description Reads an ignore file, treating a missing one as empty
+ * @param {string} filePath - Ignore file path
+ * @returns {Promise<string>} File contents
+ */
+const readIgnoreFile = async (filePath) => {
+  try {
+    return await fs.readFile(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT' || err.code === 'ENOTDIR') return '';
+    throw err;
+  }
+};
+
+/**
+ * @function resolveGitDir
+ * @description Resolves the git directory holding info/exclude for a `.git` entry: the
+ *              directory itself, or for worktrees and submodules the one a `.git` file
+ *              points to (its common directory for linked worktrees)
+ * @param {string} dotGitPath - Path of a `.git` directory or file
+ * @returns {Promise<string|null>} null if the entry is neither
+ */
+const resolveGitDir = async (dotGitPath) => {
+  const stats = await fs.stat(dotGitPath);
+  if (stats.isDirectory()) return dotGitPath;
+
+  const match = /^gitdir:\s*(.+)$/m.exec(await readIgnoreFile(dotGitPath));
+  if (!match) return null;
+  const gitDir = path.resolve(path.dirname(dotGitPath), match[1].trim());
+  const commonDir = (await readIgnoreFile(path.join(gitDir, 'commondir'))).trim();
+  return commonDir ? path.resolve(gitDir, commonDir) : gitDir;
+};
+
+/**
+ * @function findRepository
+ * @description Finds the git repository a directory belongs to by walking up to the
+ *              nearest `.git` entry, as git does
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<Object|null>} { topLevel, gitDir }, or null outside a repository
+ */
+const findRepository = async (dirPath) => {
+  let current = path.resolve(dirPath);
+  for (;;) {
+    try {
+      const gitDir = await resolveGitDir(path.join(current, '.git'));
+      if (gitDir) return { topLevel: current, gitDir };
+    } catch (err) {
+      if (err.code !== 'ENOENT' && err.code !== 'ENOTDIR') throw err;
+    }
+    const parent = path.dirname(current);
+    if (parent === current) return null;
+    current = parent;
+  }
+};
+
+/**
+ * @function isIgnoreRulesFile
+ * @description Whether a changed path can change which files are ignored
+ * @param {string} relativePath - Path relative to the watched root
+ * @returns {boolean}
+ */
+const isIgnoreRulesFile = (relativePath) =>
+  IGNORE_FILES.includes(path.basename(relativePath)) || path.normalize(relativePath) === GIT_EXCLUDE_PATH;
+
+/**
+ * @function compilePatterns
+ * @description Compiles pattern sources into one ignore instance
+ * @param {Array<string>} sources - Pattern texts in increasing precedence
+ * @returns {Object|null} null when there are no patterns
+ */
+const compilePatterns = (sources) => {
+  const patterns = sources.filter(Boolean).join('\n');
+  return patterns ? ignore().add(patterns) : null;
+};
+
+/**
+ * @function createIgnoreMatcher
+ * @description Creates a matcher for paths inside a watched directory. Ignore files are
+ *              read once per directory and cached for the lifetime of the matcher, so
+ *              create a new one per scan.
+ * @param {string} rootPath - Watched directory path
+ * @param {string} basePatterns - The directory prompt's own ignore patterns, matched
+ *                                relative to the root
+ * @returns {Object} { isIgnored: async (relativePath, isDirectory) => boolean }
+ */
+const createIgnoreMatcher = (rootPath, basePatterns = '') => {
+  const absoluteRoot = path.resolve(rootPath);
+  const base = compilePatterns([basePatterns]);
+  // Relative directory ('' for the root) -> Promise<ignore instance | null>
+  const levels = new Map();
+
+  // Rules from the repository above the root: [{ ig, prefix }] from the top level down,
+  // where prefix is the root's path relative to the level's directory
+  let outerLevels = null;
+  const loadOuterLevels = () => {
+    if (!outerLevels) {
+      outerLevels = (async () => {
+        const repository = await findRepository(absoluteRoot);
+        if (!repository) return [];
+        const exclude = await readIgnoreFile(path.join(repository.gitDir, GIT_EXCLUDE_FILE));
+        const ancestors = [];
+        for (let dir = absoluteRoot; dir !== repository.topLevel; dir = path.dirname(dir)) {
+          ancestors.unshift(path.dirname(dir));
+        }
+
+        const result = [];
+        for (const dir of ancestors) {
+          const sources = dir === repository.topLevel ? [exclude] : [];
+          for (const fileName of IGNORE_FILES) {
+            sources.push(await readIgnoreFile(path.join(dir, fileName)));
+          }
+          const ig = compilePatterns(sources);
+          if (ig) result.push({ ig, prefix: path.relative(dir, absoluteRoot).split(path.sep).join('/') });
+        }
+        // A root at the top level reads info/exclude with its own ignore files
+        if (!ancestors.length && exclude) result.push({ ig: ignore().add(exclude), prefix: '' });
+
+        // The user chose to watch the root; rules that exclude the root itself would hide everything
+        let isRootIgnored = false;
+        result.forEach(({ ig, prefix }) => {
+          if (!prefix) return;
+          const verdict = ig.test(`${prefix}/`);
+          if (verdict.ignored) isRootIgnored = true;
+          else if (verdict.unignored) isRootIgnored = false;
+        });
+        return isRootIgnored ? [] : result;
+      })();
+    }
+    return outerLevels;
+  };
+
+  const loadLevel = (relativeDir) => {
+    if (!levels.has(relativeDir)) {
+      levels.set(relativeDir, (async () => {
+        const dirPath = path.join(absoluteRoot, relativeDir);
+        const sources = [];
+        for (const fileName of IGNORE_FILES) {
+          sources.push(await readIgnoreFile(path.join(dirPath, fileName)));
+        }
+        return compilePatterns(sources);
+      })());
+    }
+    return levels.get(relativeDir);
+  };
+
+  // The verdict for one path, ignoring whether any parent directory is excluded
+  const matchPath = async (parts, isDirectory) => {
+    const suffix = isDirectory ? '/' : '';
+    let ignored = false;
+    const apply = (ig, testPath) => {
+      const result = ig.test(testPath + suffix);
+      if (result.ignored) ignored = true;
+      else if (result.unignored) ignored = false;
+    };
+
+    if (base) apply(base, parts.join('/'));
+    for (const { ig, prefix } of await loadOuterLevels()) {
+      apply(ig, [prefix, ...parts].filter(Boolean).join('/'));
+    }
+    for (let depth = 0; depth < parts.length; depth++) {
+      const ig = await loadLevel(parts.slice(0, depth).join('/'));
+      if (ig) apply(ig, parts.slice(depth).join('/'));
+    }
+    return ignored;
+  };
+
+  const isIgnored = async (relativePath, isDirectory = false) => {
+    const parts = relativePath.split(/[\\/]/).filter(Boolean);
+    if (parts.includes('.git')) return true;
+    for (let end = 1; end < parts.length; end++) {
+      if (await matchPath(parts.slice(0, end), true)) return true;
+    }
+    return matchPath(parts, isDirectory);
+  };
+
+  return { isIgnored };
+};
+
+module.exports = { createIgnoreMatcher, isIgnoreRulesFile };
@@ -0,0 +1,121 @@
+/**
+ * @file ignoreRules.test.js
+ * @description Tests for cascading ignore rules in ignoreRules.js: nested .gitignore
+ *              files, .git/info/exclude, .promptignore, re-inclusion and roots nested
+ *              inside a repository.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - ignoreRules.js: Module under test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createIgnoreMatcher, isIgnoreRulesFile } = require('./ignoreRules');
+
+describe('createIgnoreMatcher', () => {
+  let rootPath;
+
+  const write = (relativePath, content) => {
+    fs.mkdirSync(path.dirname(path.join(rootPath, relativePath)), { recursive: true });
+    fs.writeFileSync(path.join(rootPath, relativePath), content);
+  };
+
+  beforeEach(() => {
+    rootPath = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-ignore-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(rootPath, { recursive: true, force: true });
+  });
+
+  test('applies parent patterns to nested paths', async () => {
+    write('.gitignore', '*.tmp\n/root-only.txt\n');
+    const { isIgnored } = createIgnoreMatcher(rootPath);
+
+    expect(await isIgnored('src/deep/cache.tmp')).toBe(true);
+    expect(await isIgnored('root-only.txt')).toBe(true);
+    expect(await isIgnored('src/root-only.txt')).toBe(false);
+  });
+
+  test('matches nested .gitignore patterns relative to their own directory', async () => {
+    write('src/.gitignore', '/generated/\nlocal.js\n');
+    const { isIgnored } = createIgnoreMatcher(rootPath);
+
+    expect(await isIgnored('src/generated/a.js')).toBe(true);
+    expect(await isIgnored('generated/a.js')).toBe(false);
+    expect(await isIgnored('src/lib/local.js')).toBe(true);
+    expect(await isIgnored('local.js')).toBe(false);
+  });
+
+  test('lets deeper files re-include, but not inside excluded directories', async () => {
+    write('.gitignore', '*.env\nsecrets/\n');
+    write('config/.gitignore', '!example.env\n');
+    write('secrets/.gitignore', '!keep.txt\n');
+    const { isIgnored } = createIgnoreMatcher(rootPath);
+
+    expect(await isIgnored('config/example.env')).toBe(false);
+    expect(await isIgnored('config/prod.env')).toBe(true);
+    expect(await isIgnored('secrets/keep.txt')).toBe(true);
+  });
+
+  test('reads .git/info/exclude and .promptignore', async () => {
+    write('.git/info/exclude', 'scratch/\n');
+    write('.promptignore', 'fixtures/\n');
+    write('.gitignore', '!fixtures/\n');
+    const { isIgnored } = createIgnoreMatcher(rootPath);
+
+    expect(await isIgnored('scratch', true)).toBe(true);
+    expect(await isIgnored('fixtures/big.json')).toBe(true);
+    expect(await isIgnored('.git/config')).toBe(true);
+    expect(await isIgnored('src/index.js')).toBe(false);
+  });
+
+  describe('inside a repository', () => {
+    test('applies the ignore files above the root and the repository\'s info/exclude', async () => {
+      write('.git/info/exclude', '*.log\n');
+      write('.gitignore', 'dist/\n/top-only.txt\n');
+      write('packages/.gitignore', '*.tmp\n!keep.tmp\n/app/generated/\n');
+      write('packages/app/.gitignore', '!debug.log\n');
+      const { isIgnored } = createIgnoreMatcher(path.join(rootPath, 'packages', 'app'));
+
+      expect(await isIgnored('dist/bundle.js')).toBe(true);
+      expect(await isIgnored('server.log')).toBe(true);
+      expect(await isIgnored('debug.log')).toBe(false);
+      expect(await isIgnored('src/cache.tmp')).toBe(true);
+      expect(await isIgnored('keep.tmp')).toBe(false);
+      expect(await isIgnored('generated/a.js')).toBe(true);
+      expect(await isIgnored('top-only.txt')).toBe(false);
+      expect(await isIgnored('src/index.js')).toBe(false);
+    });
+
+    test('matches a root the repository ignores by its own rules only', async () => {
+      write('.git/HEAD', 'ref: refs/heads/main\n');
+      write('.gitignore', 'build/\n*.map\n');
+      write('build/.gitignore', '*.tmp\n');
+      const { isIgnored } = createIgnoreMatcher(path.join(rootPath, 'build'));
+
+      expect(await isIgnored('app.js')).toBe(false);
+      expect(await isIgnored('app.js.map')).toBe(false);
+      expect(await isIgnored('cache.tmp')).toBe(true);
+    });
+
+    test('follows a .git file to the git directory of a linked worktree', async () => {
+      write('main/.git/info/exclude', 'scratch/\n');
+      write('main/.git/worktrees/feature/commondir', '../..\n');
+      write('feature/.git', `gitdir: ${path.join(rootPath, 'main', '.git', 'worktrees', 'feature')}\n`);
+      const { isIgnored } = createIgnoreMatcher(path.join(rootPath, 'feature', 'src'));
+
+      expect(await isIgnored('scratch/notes.md')).toBe(true);
+      expect(await isIgnored('index.js')).toBe(false);
+    });
+  });
+
+  test('recognises files that change the rules', () => {
+    expect(isIgnoreRulesFile(path.join('src', '.gitignore'))).toBe(true);
+    expect(isIgnoreRulesFile('.promptignore')).toBe(true);
+    expect(isIgnoreRulesFile(path.join('.git', 'info', 'exclude'))).toBe(true);
+    expect(isIgnoreRulesFile('src/index.js')).toBe(false);
+  });
+});
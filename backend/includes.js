@@ -0,0 +1,39 @@
+/**
+ * @file includes.js
+ * @description Expands `{{> prompt-name}}` includes in text prompts, recursively, for
+ *              POST /compose.
+ *
+ * @notes
+ * - Mirrors frontend/src/utils/includes.js so /compose matches the UI; change both together.
+ * - Missing prompts, directory prompts and cycles are inlined as `[Include error: ...]`.
+ */
+
+// {{> name}}; the name runs to the closing braces and is matched after trimming
+const INCLUDE_PATTERN = /\{\{>\s*([^{}]*?)\s*\}\}/g;
+
+/**
+ * @function expandIncludes
+ * @description Expands the includes of a prompt
+ * @param {Object} prompt - Text prompt {name, content}
+ * @param {Array<Object>} prompts - All prompts, to resolve names against
+ * @returns {string} Content with every include replaced
+ */
+const expandIncludes = (prompt, prompts) => {
+  const byName = new Map();
+  prompts.forEach(p => {
+    // The first prompt with a name wins, as in the UI
+    if (!byName.has(p.name)) byName.set(p.name, p);
+  });
+
+  const expand = (content, chain) => content.replace(INCLUDE_PATTERN, (directive, name) => {
+    if (chain.includes(name)) return `[Include error: cycle ${[...chain, name].join(' → ')}]`;
+    const included = byName.get(name);
+    if (!included) return `[Include error: no prompt named "${name}"]`;
+    if (included.isDirectory) return `[Include error: "${name}" is a directory prompt]`;
+    return expand(included.content || '', [...chain, name]);
+  });
+
+  return prompt.content ? expand(prompt.content, [prompt.name]) : prompt.content;
+};
+
+module.exports = { expandIncludes };
@@ -0,0 +1,31 @@
+/**
+ * @file includes.test.js
+ * @description Tests for expanding {{> prompt-name}} includes in includes.js.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - includes.js: Module under test
+ */
+
+const { expandIncludes } = require('./includes');
+
+describe('expandIncludes', () => {
+  const prompts = [
+    { id: 1, name: 'preamble', content: 'You are {{> persona }}.' },
+    { id: 2, name: 'persona', content: 'a careful reviewer' },
+    { id: 3, name: 'loop-a', content: 'A {{> loop-b}}' },
+    { id: 4, name: 'loop-b', content: 'B {{>loop-a}}' },
+    { id: 5, name: 'repo', content: '/tmp/repo', isDirectory: true },
+  ];
+
+  test('expands includes recursively', () => {
+    expect(expandIncludes({ name: 'task', content: '{{> preamble}}\nReview {{> persona}}.' }, prompts))
+      .toBe('You are a careful reviewer.\nReview a careful reviewer.');
+  });
+
+  test('inlines cycles, unknown names and directory prompts as errors', () => {
+    expect(expandIncludes(prompts[2], prompts)).toBe('A B [Include error: cycle loop-a → loop-b → loop-a]');
+    expect(expandIncludes({ name: 'x', content: '{{> missing}} {{> repo}}' }, prompts))
+      .toBe('[Include error: no prompt named "missing"] [Include error: "repo" is a directory prompt]');
+  });
+});
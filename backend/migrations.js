@@ -0,0 +1,354 @@
+/**
+ * @file migrations.js
+ * @description Versioned schema migrations for the Promptner SQLite database.
+ *
+ * @dependencies
+ * - fs: For backing up the database file before migrating
+ *
+ * @notes
+ * - The applied version is tracked in the `schema_version` table; migrations newer than
+ *   it run in order, each in its own transaction, when the server starts.
+ * - A copy of the database file is taken before the first pending migration runs
+ *   (`<DB_PATH>.backup-v<from>-<timestamp>`). In-memory databases are not backed up.
+ * - Startup fails if the database was migrated by a newer Promptner than this one.
+ * - Migrations 1 and 2 describe the schema that existed before versioning and are written
+ *   to be no-ops on databases that already have it.
+ * - Append new migrations to MIGRATIONS; never edit or reorder ones that have shipped.
+ */
+
+const fs = require('fs');
+
+/**
+ * @function createHelpers
+ * @description Wraps a sqlite3 Database in small promise-returning helpers for migrations
+ * @param {Object} db - sqlite3 Database
+ * @returns {Object} {run, get, all}
+ */
+const createHelpers = (db) => ({
+  run: (sql, params = []) => new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) return reject(err);
+      resolve(this);
+    });
+  }),
+  get: (sql, params = []) => new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+  }),
+  all: (sql, params = []) => new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+  }),
+});
+
+/**
+ * @function addColumnIfMissing
+ * @description Adds a column to a table unless it already exists
+ * @param {Object} helpers - Helpers from createHelpers
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ */
+const addColumnIfMissing = async ({ run, all }, table, column, definition) => {
+  const columns = await all(`PRAGMA table_info(${table})`);
+  if (!columns.some(c => c.name === column)) {
+    await run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  }
+};
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Create prompts table with directory prompt columns',
+    up: async (helpers) => {
+      await helpers.run(`
+        CREATE TABLE IF NOT EXISTS prompts (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          content TEXT NOT NULL,
+          tags TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      // Bolted on for repo integration; databases from before that lack them
+      await addColumnIfMissing(helpers, 'prompts', 'is_directory', 'BOOLEAN DEFAULT 0');
+      await addColumnIfMissing(helpers, 'prompts', 'files', "TEXT DEFAULT '[]'");
+    },
+  },
+  {
+    version: 2,
+    description: 'Move directory file lists into the directory_files table',
+    up: async ({ run }) => {
+      await run(`
+        CREATE TABLE IF NOT EXISTS directory_files (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+          path TEXT NOT NULL,
+          size INTEGER DEFAULT 0,
+          mtime INTEGER,            -- Last modification time in ms since epoch
+          is_checked BOOLEAN DEFAULT 0,
+          is_excluded BOOLEAN DEFAULT 0,
+          hash TEXT,                -- Content hash, filled lazily by features that need it
+          UNIQUE (prompt_id, path)
+        )
+      `);
+      await run('CREATE INDEX IF NOT EXISTS idx_directory_files_checked ON directory_files (prompt_id, is_checked)');
+
+      // Move file lists still stored as JSON blobs into directory_files
+      await run(`
+        INSERT OR IGNORE INTO directory_files (prompt_id, path, size, is_checked, is_excluded)
+        SELECT p.id,
+               json_extract(f.value, '$.path'),
+               COALESCE(json_extract(f.value, '$.size'), 0),
+               COALESCE(json_extract(f.value, '$.isChecked'), 0),
+               COALESCE(json_extract(f.value, '$.isExcluded'), 0)
+        FROM prompts p, json_each(p.files) f
+        WHERE p.is_directory = 1 AND json_valid(p.files) AND json_extract(f.value, '$.path') IS NOT NULL
+      `);
+      await run(`UPDATE prompts SET files = '[]' WHERE is_directory = 1 AND files IS NOT NULL AND files != '[]'`);
+    },
+  },
+  {
+    version: 3,
+    description: 'Add prompt_revisions table for prompt version history',
+    up: async ({ run }) => {
+      await run(`
+        CREATE TABLE prompt_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          prompt_id INTEGER NOT NULL REFERENCES prompts(id) ON DELETE CASCADE,
+          revision INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          content TEXT NOT NULL,
+          tags TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (prompt_id, revision)
+        )
+      `);
+      // Existing prompts start their history at their current state
+      await run(`
+        INSERT INTO prompt_revisions (prompt_id, revision, name, content, tags, created_at)
+        SELECT id, 1, name, content, tags, created_at FROM prompts WHERE is_directory = 0
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'Add per-directory ignore patterns and a global default set',
+    up: async ({ run }) => {
+      await run(`
+        CREATE TABLE settings (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        )
+      `);
+      // NULL means the directory uses the global default patterns
+      await run('ALTER TABLE prompts ADD COLUMN ignore_patterns TEXT');
+      // The patterns that used to be hard-coded in the scanner, minus project-specific ones
+      await run("INSERT INTO settings (key, value) VALUES ('default_ignore_patterns', ?)", [[
+        '# Binary files',
+        '*.exe', '*.dll', '*.so', '*.dylib',
+        '*.zip', '*.tar', '*.gz', '*.rar',
+        '*.jpg', '*.jpeg', '*.png', '*.gif', '*.bmp',
+        '*.mp3', '*.mp4', '*.avi', '*.mov',
+        '*.pdf', '*.doc', '*.docx', '*.ppt', '*.pptx',
+        '*.xls', '*.xlsx', '*.db', '*.sqlite',
+        '# Dependencies and build output',
+        'node_modules', '.venv', 'venv',
+        'dist', 'build', 'coverage',
+        'package-lock.json',
+        '*.log',
+      ].join('\n')]);
+    },
+  },
+  {
+    version: 5,
+    description: 'Flag binary directory files',
+    up: async ({ run }) => {
+      // Filled in by the next scan of each directory
+      await run('ALTER TABLE directory_files ADD COLUMN is_binary BOOLEAN DEFAULT 0');
+    },
+  },
+  {
+    version: 6,
+    description: 'Add git diff section settings to directory prompts',
+    up: async ({ run }) => {
+      // diff_mode: NULL (no diff section), 'working', 'staged' or 'refs'
+      await run('ALTER TABLE prompts ADD COLUMN diff_mode TEXT');
+      await run('ALTER TABLE prompts ADD COLUMN diff_base_ref TEXT');
+      await run('ALTER TABLE prompts ADD COLUMN diff_head_ref TEXT');
+    },
+  },
+  {
+    version: 7,
+    description: 'Cache per-file token counts',
+    up: async ({ run }) => {
+      // JSON {hash, counts: {model: tokens}}; counts stay valid while the content hash matches
+      await run('ALTER TABLE directory_files ADD COLUMN token_counts TEXT');
+    },
+  },
+  {
+    version: 8,
+    description: 'Add presets table for saved master prompt selections',
+    up: async ({ run }) => {
+      // state: JSON {selectedPromptIds, promptOrder, directories, additionalInstructions}
+      await run(`
+        CREATE TABLE presets (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL UNIQUE,
+          state TEXT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+    },
+  },
+  {
+    version: 9,
+    description: 'Add full-text index over text prompts',
+    up: async ({ run }) => {
+      // External-content FTS5 table over prompts, kept in step by triggers. Directory
+      // prompts are left out: their content is a path and their files are searched on demand.
+      await run(`
+        CREATE VIRTUAL TABLE prompts_fts USING fts5(
+          name, content, tags,
+          content = 'prompts', content_rowid = 'id', tokenize = 'unicode61 remove_diacritics 2'
+        )
+      `);
+      await run(`
+        CREATE TRIGGER prompts_fts_insert AFTER INSERT ON prompts WHEN NEW.is_directory = 0 BEGIN
+          INSERT INTO prompts_fts (rowid, name, content, tags) VALUES (NEW.id, NEW.name, NEW.content, NEW.tags);
+        END
+      `);
+      await run(`
+        CREATE TRIGGER prompts_fts_delete AFTER DELETE ON prompts WHEN OLD.is_directory = 0 BEGIN
+          INSERT INTO prompts_fts (prompts_fts, rowid, name, content, tags) VALUES ('delete', OLD.id, OLD.name, OLD.content, OLD.tags);
+        END
+      `);
+      await run(`
+        CREATE TRIGGER prompts_fts_update AFTER UPDATE OF name, content, tags ON prompts WHEN OLD.is_directory = 0 BEGIN
+          INSERT INTO prompts_fts (prompts_fts, rowid, name, content, tags) VALUES ('delete', OLD.id, OLD.name, OLD.content, OLD.tags);
+          INSERT INTO prompts_fts (rowid, name, content, tags) VALUES (NEW.id, NEW.name, NEW.content, NEW.tags);
+        END
+      `);
+      await run(`
+        INSERT INTO prompts_fts (rowid, name, content, tags)
+        SELECT id, name, content, tags FROM prompts WHERE is_directory = 0
+      `);
+    },
+  },
+  {
+    version: 10,
+    description: 'Keep prompt revisions when their prompt is deleted',
+    up: async ({ run }) => {
+      // SQLite cannot drop a foreign key in place, so the table is rebuilt without the
+      // cascading reference. Prompt ids are AUTOINCREMENT and never reused, so a deleted
+      // prompt's history cannot attach to a new prompt.
+      await run(`
+        CREATE TABLE prompt_revisions_new (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          prompt_id INTEGER NOT NULL,
+          revision INTEGER NOT NULL,
+          name TEXT NOT NULL,
+          content TEXT NOT NULL,
+          tags TEXT,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          UNIQUE (prompt_id, revision)
+        )
+      `);
+      await run(`
+        INSERT INTO prompt_revisions_new (id, prompt_id, revision, name, content, tags, created_at)
+        SELECT id, prompt_id, revision, name, content, tags, created_at FROM prompt_revisions
+      `);
+      await run('DROP TABLE prompt_revisions');
+      await run('ALTER TABLE prompt_revisions_new RENAME TO prompt_revisions');
+    },
+  },
+];
+
+const LATEST_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * @function getSchemaVersion
+ * @description Reads the applied schema version without creating anything
+ * @param {Object} helpers - Helpers from createHelpers
+ * @returns {Promise<number>} Applied version, 0 for unversioned or new databases
+ */
+const getSchemaVersion = async ({ get }) => {
+  const table = await get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = 'schema_version'");
+  if (!table) return 0;
+  const row = await get('SELECT MAX(version) AS version FROM schema_version');
+  return row.version || 0;
+};
+
+/**
+ * @function backupDatabase
+ * @description Copies the database file next to itself before migrating
+ * @param {Object} helpers - Helpers from createHelpers
+ * @param {string} dbPath - Database file path
+ * @param {number} fromVersion - Version being migrated from
+ * @returns {Promise<string|null>} Backup path, or null if there was nothing to back up
+ */
+const backupDatabase = async ({ get }, dbPath, fromVersion) => {
+  if (!dbPath || dbPath === ':memory:' || !fs.existsSync(dbPath)) return null;
+  // A freshly created database has no tables yet and nothing worth keeping
+  const { count } = await get("SELECT COUNT(*) AS count FROM sqlite_master WHERE type = 'table'");
+  if (!count) return null;
+
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${dbPath}.backup-v${fromVersion}-${timestamp}`;
+  await fs.promises.copyFile(dbPath, backupPath);
+  return backupPath;
+};
+
+/**
+ * @function runMigrations
+ * @description Applies all pending migrations in order
+ * @param {Object} db - sqlite3 Database
+ * @param {string} dbPath - Database file path, used for the backup
+ * @returns {Promise<number>} Schema version after migrating
+ * @throws {Error} If the database is newer than the code, or a migration fails
+ */
+const runMigrations = async (db, dbPath) => {
+  const helpers = createHelpers(db);
+  const currentVersion = await getSchemaVersion(helpers);
+
+  if (currentVersion > LATEST_VERSION) {
+    throw new Error(
+      `Database schema version ${currentVersion} is newer than this version of Promptner supports ` +
+      `(${LATEST_VERSION}). Upgrade Promptner or point DB_PATH at an older backup.`
+    );
+  }
+
+  const pending = MIGRATIONS.filter(m => m.version > currentVersion);
+  if (!pending.length) return currentVersion;
+
+  const backupPath = await backupDatabase(helpers, dbPath, currentVersion);
+  if (backupPath) console.log(`Backed up database to ${backupPath} before migrating`);
+
+  await helpers.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      description TEXT,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+  for (const migration of pending) {
+    await helpers.run('BEGIN TRANSACTION');
+    try {
+      await migration.up(helpers);
+      await helpers.run(
+        'INSERT INTO schema_version (version, description) VALUES (?, ?)',
+        [migration.version, migration.description]
+      );
+      await helpers.run('COMMIT');
+      console.log(`Applied migration ${migration.version}: ${migration.description}`);
+    } catch (err) {
+      await helpers.run('ROLLBACK').catch(() => {});
+      err.message = `Migration ${migration.version} (${migration.description}) failed: ${err.message}`;
+      throw err;
+    }
+  }
+
+  return LATEST_VERSION;
+};
+
+module.exports = { runMigrations, MIGRATIONS, LATEST_VERSION };
@@ -0,0 +1,89 @@
+/**
+ * @file migrations.test.js
+ * @description Tests for the versioned migration runner in migrations.js.
+ *              Uses throwaway database files so backups can be checked.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - sqlite3: Real databases in a temp directory
+ * - migrations.js: Migration runner under test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+const { runMigrations, LATEST_VERSION } = require('./migrations');
+
+const open = (dbPath) => new sqlite3.Database(dbPath);
+const query = (db, sql) => new Promise((resolve, reject) => {
+  db.all(sql, [], (err, rows) => (err ? reject(err) : resolve(rows)));
+});
+const close = (db) => new Promise(resolve => db.close(resolve));
+
+describe('runMigrations', () => {
+  let tmpDir;
+  let dbPath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-migrations-'));
+    dbPath = path.join(tmpDir, 'prompts.db');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('creates the full schema on a new database without a backup', async () => {
+    const db = open(dbPath);
+    await expect(runMigrations(db, dbPath)).resolves.toBe(LATEST_VERSION);
+
+    const versions = await query(db, 'SELECT version FROM schema_version ORDER BY version');
+    expect(versions.map(v => v.version)).toEqual(
+      Array.from({ length: LATEST_VERSION }, (_, i) => i + 1)
+    );
+    await close(db);
+    expect(fs.readdirSync(tmpDir).filter(f => f.includes('.backup-'))).toHaveLength(0);
+  });
+
+  test('upgrades an unversioned database and backs it up first', async () => {
+    const db = open(dbPath);
+    await query(db, 'CREATE TABLE prompts (id INTEGER PRIMARY KEY AUTOINCREMENT, name TEXT NOT NULL, content TEXT NOT NULL, tags TEXT, created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP)');
+    await query(db, "INSERT INTO prompts (name, content, tags) VALUES ('Old', 'Old content', '')");
+
+    await runMigrations(db, dbPath);
+
+    const columns = await query(db, 'PRAGMA table_info(prompts)');
+    expect(columns.map(c => c.name)).toEqual(expect.arrayContaining(['is_directory', 'files']));
+    const prompts = await query(db, 'SELECT name FROM prompts');
+    expect(prompts).toEqual([{ name: 'Old' }]);
+    // Seeded by migration 3 and carried over when migration 10 rebuilds the table
+    const revisions = await query(db, 'SELECT prompt_id, revision, content FROM prompt_revisions');
+    expect(revisions).toEqual([{ prompt_id: 1, revision: 1, content: 'Old content' }]);
+    await close(db);
+
+    const backups = fs.readdirSync(tmpDir).filter(f => f.startsWith('prompts.db.backup-v0-'));
+    expect(backups).toHaveLength(1);
+  });
+
+  test('does nothing when the database is already current', async () => {
+    const db = open(dbPath);
+    await runMigrations(db, dbPath);
+    await runMigrations(db, dbPath);
+
+    const versions = await query(db, 'SELECT COUNT(*) AS count FROM schema_version');
+    expect(versions[0].count).toBe(LATEST_VERSION);
+    await close(db);
+  });
+
+  test('refuses a database migrated by a newer version', async () => {
+    const db = open(dbPath);
+    await runMigrations(db, dbPath);
+    await query(db, `INSERT INTO schema_version (version) VALUES (${LATEST_VERSION + 1})`);
+
+    await expect(runMigrations(db, dbPath)).rejects.toThrow(/newer than this version/);
+    await close(db);
+  });
+});
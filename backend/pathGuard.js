@@ -0,0 +1,85 @@
+/**
+ * @file pathGuard.js
+ * @description Validates file paths requested from a watched directory before they are read.
+ *
+ * @dependencies
+ * - fs/promises: For resolving symlinks
+ * - path: Path manipulation utilities
+ * - ignoreRules.js: For rejecting ignored paths
+ *
+ * @notes
+ * - A path is readable only if it resolves inside the watched root (also after following
+ *   symlinks), is in the prompt's stored file list and is not ignored.
+ * - Rejections are Errors with a `code` and an HTTP `status`; a file that has disappeared
+ *   since the last scan surfaces as the usual ENOENT from fs.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createIgnoreMatcher } = require('./ignoreRules');
+
+/**
+ * @function accessError
+ * @description Creates a rejection error for a requested path
+ * @param {string} message - Error message
+ * @param {string} code - Machine-readable error code
+ * @param {number} status - HTTP status to respond with
+ * @returns {Error}
+ */
+const accessError = (message, code, status) => Object.assign(new Error(message), { code, status });
+
+/**
+ * @function isInside
+ * @description Whether target is rootPath itself or somewhere beneath it
+ * @param {string} rootPath - Absolute root path
+ * @param {string} target - Absolute path to check
+ * @returns {boolean}
+ */
+const isInside = (rootPath, target) => {
+  const relative = path.relative(rootPath, target);
+  // `..env` or `...config` are names inside the root, not steps out of it
+  const leavesRoot = relative === '..' || relative.startsWith('..' + path.sep);
+  return relative === '' || (!leavesRoot && !path.isAbsolute(relative));
+};
+
+/**
+ * @function createPathGuard
+ * @description Creates a resolver for file paths of one directory prompt
+ * @param {Object} prompt - Directory prompt {content: root path, files}
+ * @param {string} ignorePatterns - The prompt's effective ignore patterns
+ * @returns {Function} async (filePath) => absolute path safe to read; throws on rejection
+ */
+const createPathGuard = (prompt, ignorePatterns = '') => {
+  const rootPath = path.resolve(prompt.content);
+  const knownPaths = new Set(prompt.files.map(f => f.path));
+  const matcher = createIgnoreMatcher(rootPath, ignorePatterns);
+  let realRoot = null;
+
+  return async (filePath) => {
+    if (typeof filePath !== 'string' || !filePath || filePath.includes('\0') || path.isAbsolute(filePath)) {
+      throw accessError(`Invalid file path: ${filePath}`, 'INVALID_PATH', 400);
+    }
+
+    const fullPath = path.resolve(rootPath, filePath);
+    const relativePath = path.relative(rootPath, fullPath);
+    if (!relativePath || !isInside(rootPath, fullPath)) {
+      throw accessError(`Path is outside the watched directory: ${filePath}`, 'OUTSIDE_ROOT', 403);
+    }
+    if (!knownPaths.has(relativePath)) {
+      throw accessError(`File is not part of this directory prompt: ${filePath}`, 'NOT_IN_FILE_LIST', 404);
+    }
+    if (await matcher.isIgnored(relativePath)) {
+      throw accessError(`File is ignored: ${filePath}`, 'IGNORED', 403);
+    }
+
+    // A symlinked file or parent directory may still point outside the root
+    if (!realRoot) realRoot = await fs.realpath(rootPath);
+    const realPath = await fs.realpath(fullPath);
+    if (!isInside(realRoot, realPath)) {
+      throw accessError(`Path resolves outside the watched directory: ${filePath}`, 'OUTSIDE_ROOT', 403);
+    }
+    return realPath;
+  };
+};
+
+module.exports = { createPathGuard };
@@ -0,0 +1,63 @@
+/**
+ * @file pathGuard.test.js
+ * @description Tests for path validation in pathGuard.js: traversal, unknown and ignored
+ *              paths, and symlinks escaping the watched root.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - pathGuard.js: Module under test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPathGuard } = require('./pathGuard');
+
+describe('createPathGuard', () => {
+  let tmpDir;
+  let rootPath;
+  let resolvePath;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-guard-'));
+    rootPath = path.join(tmpDir, 'repo');
+    fs.mkdirSync(path.join(rootPath, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(rootPath, 'src', 'a.js'), 'a');
+    fs.writeFileSync(path.join(rootPath, 'secret.env'), 'KEY=1');
+    fs.writeFileSync(path.join(rootPath, '..config'), 'dots');
+    fs.writeFileSync(path.join(rootPath, '.gitignore'), '*.env\n');
+    fs.writeFileSync(path.join(tmpDir, 'outside.txt'), 'outside');
+    fs.symlinkSync(path.join(tmpDir, 'outside.txt'), path.join(rootPath, 'link.txt'));
+
+    resolvePath = createPathGuard({
+      content: rootPath,
+      files: ['src/a.js', 'secret.env', 'link.txt', '..config'].map(p => ({ path: p })),
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('resolves files from the stored file list', async () => {
+    await expect(resolvePath('src/a.js')).resolves.toBe(fs.realpathSync(path.join(rootPath, 'src', 'a.js')));
+    await expect(resolvePath('src/../src/a.js')).resolves.toBeTruthy();
+    // Starts with '..' but is a file inside the root
+    await expect(resolvePath('..config')).resolves.toBe(fs.realpathSync(path.join(rootPath, '..config')));
+  });
+
+  test('rejects paths that leave the root', async () => {
+    await expect(resolvePath('../outside.txt')).rejects.toMatchObject({ code: 'OUTSIDE_ROOT', status: 403 });
+    await expect(resolvePath('src/../../outside.txt')).rejects.toMatchObject({ code: 'OUTSIDE_ROOT' });
+    await expect(resolvePath('/etc/passwd')).rejects.toMatchObject({ code: 'INVALID_PATH', status: 400 });
+  });
+
+  test('rejects unknown and ignored files', async () => {
+    await expect(resolvePath('src/other.js')).rejects.toMatchObject({ code: 'NOT_IN_FILE_LIST', status: 404 });
+    await expect(resolvePath('secret.env')).rejects.toMatchObject({ code: 'IGNORED', status: 403 });
+  });
+
+  test('rejects symlinks that point outside the root', async () => {
+    await expect(resolvePath('link.txt')).rejects.toMatchObject({ code: 'OUTSIDE_ROOT' });
+  });
+});
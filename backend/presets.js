@@ -0,0 +1,73 @@
+/**
+ * @file presets.js
+ * @description Validation of preset state and planning what loading a preset restores.
+ *
+ * @notes
+ * - A preset's state is {selectedPromptIds, promptOrder, directories, additionalInstructions}
+ *   where directories is [{promptId, checkedPaths, excludedPaths}].
+ * - Planning is pure: the caller applies the file states and reports what is missing.
+ */
+
+const isIdArray = (value) => Array.isArray(value) && value.every(Number.isInteger);
+const isPathArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+/**
+ * @function parsePresetState
+ * @description Validates preset state from a request body, dropping unknown fields
+ * @param {Object} state - Candidate state
+ * @returns {Object} {state} when valid, otherwise {error}
+ */
+const parsePresetState = (state) => {
+  if (!state || typeof state !== 'object') return { error: 'state object is required' };
+  const { selectedPromptIds, promptOrder, directories, additionalInstructions = '' } = state;
+
+  if (!isIdArray(selectedPromptIds)) return { error: 'state.selectedPromptIds must be an array of prompt IDs' };
+  if (!isIdArray(promptOrder)) return { error: 'state.promptOrder must be an array of prompt IDs' };
+  if (typeof additionalInstructions !== 'string') return { error: 'state.additionalInstructions must be a string' };
+  if (!Array.isArray(directories) || !directories.every(d => d && Number.isInteger(d.promptId)
+    && isPathArray(d.checkedPaths) && isPathArray(d.excludedPaths))) {
+    return { error: 'state.directories must be an array of {promptId, checkedPaths, excludedPaths}' };
+  }
+
+  return {
+    state: {
+      selectedPromptIds,
+      promptOrder,
+      directories: directories.map(({ promptId, checkedPaths, excludedPaths }) => ({ promptId, checkedPaths, excludedPaths })),
+      additionalInstructions,
+    },
+  };
+};
+
+/**
+ * @function planPresetRestore
+ * @description Works out which file states to apply for a preset and what no longer exists
+ * @param {Object} state - Preset state
+ * @param {Array<Object>} prompts - Current prompts, directories with their files
+ * @returns {Object} { directories: [{promptId, checkedPaths, excludedPaths}] to apply,
+ *          missingPromptIds, missingFiles: [{promptId, promptName, path}] }
+ */
+const planPresetRestore = (state, prompts) => {
+  const byId = new Map(prompts.map(p => [p.id, p]));
+  const missingPromptIds = [...new Set([...state.promptOrder, ...state.selectedPromptIds])]
+    .filter(id => !byId.has(id));
+  const directories = [];
+  const missingFiles = [];
+
+  state.directories.forEach(({ promptId, checkedPaths, excludedPaths }) => {
+    const prompt = byId.get(promptId);
+    if (!prompt || !prompt.isDirectory) {
+      if (!missingPromptIds.includes(promptId)) missingPromptIds.push(promptId);
+      return;
+    }
+    const existing = new Set(prompt.files.map(f => f.path));
+    [...new Set([...checkedPaths, ...excludedPaths])]
+      .filter(filePath => !existing.has(filePath))
+      .forEach(filePath => missingFiles.push({ promptId, promptName: prompt.name, path: filePath }));
+    directories.push({ promptId, checkedPaths, excludedPaths });
+  });
+
+  return { directories, missingPromptIds, missingFiles };
+};
+
+module.exports = { parsePresetState, planPresetRestore };
@@ -0,0 +1,46 @@
+/**
+ * @file presets.test.js
+ * @description Tests for preset state validation and restore planning in presets.js.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - presets.js: Module under test
+ */
+
+const { parsePresetState, planPresetRestore } = require('./presets');
+
+describe('presets', () => {
+  const state = {
+    selectedPromptIds: [1, 2],
+    promptOrder: [2, 1, 9],
+    directories: [
+      { promptId: 2, checkedPaths: ['a.js', 'gone.js'], excludedPaths: ['secret.txt'] },
+      { promptId: 8, checkedPaths: ['x.js'], excludedPaths: [] },
+    ],
+    additionalInstructions: 'Be brief.',
+  };
+
+  test('accepts valid state and drops unknown fields', () => {
+    expect(parsePresetState({ ...state, extra: true })).toEqual({ state });
+    expect(parsePresetState({ ...state, additionalInstructions: undefined }).state.additionalInstructions).toBe('');
+  });
+
+  test('rejects malformed state', () => {
+    expect(parsePresetState(null).error).toMatch(/state object/);
+    expect(parsePresetState({ ...state, promptOrder: ['1'] }).error).toMatch(/promptOrder/);
+    expect(parsePresetState({ ...state, directories: [{ promptId: 2, checkedPaths: 'a.js', excludedPaths: [] }] }).error)
+      .toMatch(/directories/);
+  });
+
+  test('plans file states and reports missing prompts and files', () => {
+    const prompts = [
+      { id: 1, name: 'Intro', isDirectory: false },
+      { id: 2, name: 'repo', isDirectory: true, files: [{ path: 'a.js' }, { path: 'secret.txt' }] },
+    ];
+    expect(planPresetRestore(state, prompts)).toEqual({
+      directories: [state.directories[0]],
+      missingPromptIds: [9, 8],
+      missingFiles: [{ promptId: 2, promptName: 'repo', path: 'gone.js' }],
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * @file search.js
+ * @description Full-text search helpers: turning search box input into an FTS5 query for
+ *              the prompts index, and an on-demand line search through the files of
+ *              watched directories.
+ *
+ * @dependencies
+ * - pathGuard.js: For validating paths before reading them
+ * - binaryFiles.js: For reading text files
+ *
+ * @notes
+ * - Snippets are returned as {text, highlights} with highlights as [start, end) offsets
+ *   into text, so clients can mark matches without parsing markup.
+ * - File search matches the query literally, per line, with smart case: it ignores case
+ *   unless the query contains an upper-case letter. Case is ignored by the regex engine
+ *   rather than by lower-casing the line, which can change its length (`İ`) and shift the
+ *   highlights.
+ * - Binary, excluded and very large files are not searched.
+ */
+
+const { createPathGuard } = require('./pathGuard');
+const { readTextFile } = require('./binaryFiles');
+
+// Marker characters wrapped around matches by FTS5 highlight() / snippet()
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+// Files larger than this are skipped by the file search
+const MAX_SEARCH_FILE_BYTES = 1024 * 1024;
+// Characters of a matching line kept on each side of the first match
+const SNIPPET_CONTEXT = 60;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * @function toFtsQuery
+ * @description Turns search box input into an FTS5 query: every word must match, as a
+ *              prefix, and FTS5 syntax in the input is taken literally
+ * @param {string} query - Search box input
+ * @returns {string|null} FTS5 query, or null if the input has no words
+ */
+const toFtsQuery = (query) => {
+  const words = query.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word));
+  if (!words.length) return null;
+  return words.map(word => `"${word.replace(/"/g, '""')}"*`).join(' ');
+};
+
+/**
+ * @function parseHighlights
+ * @description Converts text with highlight markers into {text, highlights}
+ * @param {string|null} marked - Text from FTS5 highlight() or snippet()
+ * @returns {Object} {text, highlights: [[start, end]]}
+ */
+const parseHighlights = (marked) => {
+  const highlights = [];
+  let text = '';
+  let start = null;
+  for (const char of marked || '') {
+    if (char === HIGHLIGHT_START) {
+      start = text.length;
+    } else if (char === HIGHLIGHT_END) {
+      if (start !== null && text.length > start) highlights.push([start, text.length]);
+      start = null;
+    } else {
+      text += char;
+    }
+  }
+  return { text, highlights };
+};
+
+/**
+ * @function lineSnippet
+ * @description Cuts a matching line down to the text around its first match
+ * @param {string} line - Matching line
+ * @param {Array<Array<number>>} matches - [start, end) range of every match in the line
+ * @returns {Object} {text, highlights}
+ */
+const lineSnippet = (line, matches) => {
+  const from = Math.max(0, matches[0][0] - SNIPPET_CONTEXT);
+  const to = Math.min(line.length, matches[0][1] + SNIPPET_CONTEXT);
+  const prefix = from > 0 ? '…' : '';
+  const text = `${prefix}${line.slice(from, to)}${to < line.length ? '…' : ''}`;
+  const shift = prefix.length - from;
+  const highlights = matches
+    .filter(([start, end]) => start >= from && end <= to)
+    .map(([start, end]) => [start + shift, end + shift]);
+  return { text, highlights };
+};
+
+/**
+ * @function findMatches
+ * @description Ranges of every non-overlapping match of a query pattern in a line
+ * @param {string} line - Line to search
+ * @param {RegExp} pattern - Global pattern for the query
+ * @returns {Array<Array<number>>} [start, end) ranges
+ */
+const findMatches = (line, pattern) =>
+  Array.from(line.matchAll(pattern), match => [match.index, match.index + match[0].length]);
+
+/**
+ * @function searchDirectoryFiles
+ * @description Searches the text files of directory prompts line by line
+ * @param {Array<Object>} directories - Directory prompts {id, name, content: root path, files}
+ * @param {string} query - Text to find
+ * @param {function} resolveIgnorePatterns - async (prompt) => the prompt's ignore patterns
+ * @param {Object} options - { maxResults, maxMatchesPerFile }
+ * @returns {Promise<Object>} { files: [{promptId, promptName, path, line, snippet}], truncated }
+ */
+const searchDirectoryFiles = async (directories, query, resolveIgnorePatterns, {
+  maxResults = 100,
+  maxMatchesPerFile = 3,
+} = {}) => {
+  const isCaseSensitive = query !== query.toLowerCase();
+  const pattern = new RegExp(escapeRegExp(query), isCaseSensitive ? 'gu' : 'giu');
+  const results = [];
+
+  for (const directory of directories) {
+    const resolvePath = createPathGuard(directory, await resolveIgnorePatterns(directory));
+    const candidates = directory.files.filter(file =>
+      !file.isBinary && !file.isExcluded && (file.size || 0) <= MAX_SEARCH_FILE_BYTES);
+
+    for (const file of candidates) {
+      let content;
+      try {
+        content = await readTextFile(await resolvePath(file.path));
+      } catch (err) {
+        // Deleted, ignored or binary since the last scan
+        continue;
+      }
+
+      let fileMatches = 0;
+      const lines = content.split(/\r?\n/);
+      for (let index = 0; index < lines.length && fileMatches < maxMatchesPerFile; index++) {
+        const line = lines[index];
+        const matches = findMatches(line, pattern);
+        if (!matches.length) continue;
+        if (results.length === maxResults) return { files: results, truncated: true };
+        results.push({
+          promptId: directory.id,
+          promptName: directory.name,
+          path: file.path,
+          line: index + 1,
+          snippet: lineSnippet(line, matches),
+        });
+        fileMatches++;
+      }
+    }
+  }
+
+  return { files: results, truncated: false };
+};
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  toFtsQuery,
+  parseHighlights,
+  searchDirectoryFiles,
+};
@@ -0,0 +1,115 @@
+/**
+ * @file search.test.js
+ * @description Tests for FTS5 query building, highlight parsing and the directory file
+ *              search in search.js.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - search.js: Module under test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  toFtsQuery,
+  parseHighlights,
+  searchDirectoryFiles,
+} = require('./search');
+
+describe('toFtsQuery', () => {
+  test('matches every word as a prefix and quotes FTS5 syntax', () => {
+    expect(toFtsQuery('code  review')).toBe('"code"* "review"*');
+    expect(toFtsQuery('say "hi" OR NEAR(x')).toBe('"say"* """hi"""* "OR"* "NEAR(x"*');
+  });
+
+  test('returns null without any words', () => {
+    expect(toFtsQuery('  * - ')).toBeNull();
+  });
+});
+
+describe('parseHighlights', () => {
+  test('strips the markers and records their offsets', () => {
+    const marked = `a ${HIGHLIGHT_START}bc${HIGHLIGHT_END} d ${HIGHLIGHT_START}e${HIGHLIGHT_END}`;
+    expect(parseHighlights(marked)).toEqual({ text: 'a bc d e', highlights: [[2, 4], [7, 8]] });
+    expect(parseHighlights(null)).toEqual({ text: '', highlights: [] });
+  });
+});
+
+describe('searchDirectoryFiles', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-search-'));
+    fs.writeFileSync(path.join(tmpDir, 'a.js'), 'const Token = 1;\r\nlet token = token + 1;\n');
+    fs.writeFileSync(path.join(tmpDir, 'b.js'), `${'x'.repeat(100)} token ${'y'.repeat(100)}\n`);
+    fs.writeFileSync(path.join(tmpDir, 'excluded.js'), 'token');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const directory = () => ({
+    id: 4,
+    name: 'repo',
+    content: tmpDir,
+    isDirectory: true,
+    files: [
+      { path: 'a.js' },
+      { path: 'b.js' },
+      { path: 'excluded.js', isExcluded: true },
+      { path: 'logo.png', isBinary: true },
+      { path: 'gone.js' },
+    ],
+  });
+  const noPatterns = async () => '';
+
+  test('finds matching lines ignoring case, with highlighted snippets', async () => {
+    const { files, truncated } = await searchDirectoryFiles([directory()], 'token', noPatterns);
+
+    expect(truncated).toBe(false);
+    expect(files.map(({ path: filePath, line }) => `${filePath}:${line}`)).toEqual(['a.js:1', 'a.js:2', 'b.js:1']);
+    expect(files[0]).toEqual({
+      promptId: 4,
+      promptName: 'repo',
+      path: 'a.js',
+      line: 1,
+      snippet: { text: 'const Token = 1;', highlights: [[6, 11]] },
+    });
+    expect(files[1].snippet.highlights).toEqual([[4, 9], [12, 17]]);
+
+    const { text, highlights } = files[2].snippet;
+    expect(text).toBe(`…${'x'.repeat(59)} token ${'y'.repeat(59)}…`);
+    expect(text.slice(...highlights[0])).toBe('token');
+  });
+
+  test('keeps highlights on the match when lower-casing would change the line length', async () => {
+    fs.writeFileSync(path.join(tmpDir, 'c.js'), 'İİ TOKEN a.b axb\n');
+    const search = async (query) => (await searchDirectoryFiles(
+      [{ ...directory(), files: [{ path: 'c.js' }] }], query, noPatterns
+    )).files[0].snippet;
+
+    const { text, highlights } = await search('token');
+    expect(highlights).toEqual([[3, 8]]);
+    expect(text.slice(...highlights[0])).toBe('TOKEN');
+    // The query is literal text, not a regex
+    expect((await search('a.b')).highlights).toEqual([[9, 12]]);
+  });
+
+  test('matches case when the query has upper-case letters', async () => {
+    const { files } = await searchDirectoryFiles([directory()], 'Token', noPatterns);
+    expect(files.map(file => file.line)).toEqual([1]);
+  });
+
+  test('stops at maxResults and limits matches per file', async () => {
+    const limited = await searchDirectoryFiles([directory()], 'token', noPatterns, { maxResults: 2 });
+    expect(limited.files).toHaveLength(2);
+    expect(limited.truncated).toBe(true);
+
+    const perFile = await searchDirectoryFiles([directory()], 'token', noPatterns, { maxMatchesPerFile: 1 });
+    expect(perFile.files.map(file => file.path)).toEqual(['a.js', 'b.js']);
+  });
+});
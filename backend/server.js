@@ -8,25 +8,134 @@
  * - body-parser: Parse incoming request bodies
  * - fs: Filesystem operations for directory watching
  * - path: Path manipulation utilities
- * - ignore: Parse .gitignore files
+ * - ignoreRules.js: Cascading .gitignore / .promptignore rules and built-in patterns
  * - db.js: Database operations module
+ * - composer.js: Server-side master prompt assembly
+ * - formatters.js: Output formats of the master prompt, as in the UI
+ * - pathGuard.js: Validates requested file paths against the watched root
+ * - binaryFiles.js: Content-based binary detection
+ * - events.js: Server-Sent Events hub for live UI updates
+ * - gitStatus.js: Git status of watched directories
+ * - tokenizer.js: Token counts for the selectable tokenizer models
+ * - tokenCounts.js: Cached per-file token counts of directory prompts
+ * - includes.js: Expands {{> prompt-name}} includes for /compose
+ * - templates.js: Fills {{variable}} placeholders for /compose
+ * - presets.js: Validates preset state and plans restoring it
+ * - search.js: FTS5 query building and the directory file search
+ * - filePatterns.js: Glob / regex matching for pattern-based bulk updates
  *
  * @notes
  * - Runs on port 5001 by default (configurable via PORT env var).
  * - CORS configured for http://localhost:3001 (frontend).
  * - Body parser limit increased to 10MB for large prompts.
- * - Implements filesystem watching for repo integration with debounced updates.
+ * - Implements filesystem watching for repo integration with per-directory debounced
+ *   updates that patch only the changed paths, rescanning fully only when needed.
  * - Added DELETE /directory/:id endpoint to stop watching and remove directories.
  * - Enhanced watcher management for better state consistency.
- * - Updated readDirectory to exclude files listed in .gitignore contents.
+ * - readDirectory applies nested .gitignore files, .git/info/exclude and .promptignore
+ *   with git's cascading semantics, including those of an enclosing repository.
+ * - File check / exclude endpoints update individual directory_files rows and publish
+ *   directory-updated, so other open windows follow. The bulk endpoints take an explicit
+ *   filePaths list or a glob / regex pattern; with a pattern the response lists the
+ *   matched paths.
+ * - Waits for database migrations before listening; exits if they fail.
+ * - Exposes prompt revision history and restore endpoints.
+ * - Ignore patterns are stored per directory prompt with a global default set; changing
+ *   them rescans the affected directories.
+ * - Files are sniffed for binary content during scans (isBinary); content endpoints refuse
+ *   binary files with code BINARY_FILE.
+ * - File reads only serve paths inside the watched root that are in the stored file list
+ *   and not ignored, after following symlinks.
+ * - POST /directory/:id/files/contents reads many files in one request, with per-file errors.
+ * - POST /compose assembles the master prompt exactly as the UI does, for scripts and tools,
+ *   expanding prompt includes against all stored prompts.
+ * - The tokenizer model chosen in the UI is stored in settings; /compose counts tokens with
+ *   it unless the request names another.
+ * - /compose renders Markdown unless the request names another output format.
+ * - /compose fills template variables of text prompts (after expanding includes) from the
+ *   request's `variables`, falling back to defaults; missing required ones are a 400.
+ * - GET /directory/:id/tokens returns per-file token counts, cached in the database until
+ *   a file's content changes.
+ * - Directory prompts carry their git branch (gitBranch) and each changed file its git
+ *   status (gitStatus). Changes inside .git (staging, commits, checkouts) republish the
+ *   directory so the status stays current.
+ * - The git status is read once per directory and cached until the next watcher flush or
+ *   rescan of that directory, so listing prompts does not spawn git.
+ * - Directory prompts can carry a git diff section (working tree, staged or between refs)
+ *   that the master prompt renders as a fenced diff block after the tree.
+ * - Presets save a master prompt selection (prompt order, checked / excluded files per
+ *   directory, additional instructions). POST /presets/:id/apply restores the file states
+ *   and reports prompts and files that no longer exist.
+ * - GET /search finds text prompts through the FTS5 index and, on request, lines in the
+ *   files of watched directories, returning snippets with highlight offsets.
+ * - GET /events streams prompt-created / prompt-updated / prompt-deleted and
+ *   directory-updated (after every file list rewrite) to connected UIs.
+ * - Restores watchers for every stored directory prompt on startup and flags
+ *   directories whose path no longer exists as missing.
+ * - Listens only when run directly; requiring it (as the tests do) exports the app, the
+ *   directory sync functions and restoreDirectoryWatchers for the startup path.
  */
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
 const fs = require('fs').promises;
+const { watch } = require('fs');
 const path = require('path');
-const ignore = require('ignore');
-const { createPrompt, getPrompts, updatePrompt, deletePrompt } = require('./db');
+const { promisify } = require('util');
+const {
+  ready: databaseReady,
+  createPrompt,
+  getPrompts,
+  getPromptById,
+  getDirectoryPromptWithFiles,
+  updatePrompt,
+  getPromptRevisions,
+  getPromptRevision,
+  deletePrompt,
+  syncDirectoryFiles,
+  upsertDirectoryFile,
+  removeDirectoryPath,
+  updateDirectoryFileState,
+  setAllDirectoryFilesChecked,
+  setDirectoryFilesChecked,
+  setDirectoryFilesExcluded,
+  selectDirectoryFiles,
+  setDirectoryIgnorePatterns,
+  setDirectoryDiffSection,
+  getDefaultIgnorePatterns,
+  setDefaultIgnorePatterns,
+  getTokenizerModel,
+  setTokenizerModel,
+  getDirectoryTokenCache,
+  saveDirectoryTokenCache,
+  applyDirectoryFileStates,
+  getPresets,
+  getPresetById,
+  createPreset,
+  updatePreset,
+  deletePreset,
+  searchPrompts,
+} = require('./db');
+const { composePrompts, readDirectoryFiles, readDirectoryDiff } = require('./composer');
+const { OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT, isOutputFormat } = require('./formatters');
+const { expandIncludes } = require('./includes');
+const { findTemplateVariables, fillTemplate, findMissingVariables } = require('./templates');
+const { createIgnoreMatcher, isIgnoreRulesFile } = require('./ignoreRules');
+const { createPathGuard } = require('./pathGuard');
+const { sniffBinaryFile, readTextFile } = require('./binaryFiles');
+const { createEventHub } = require('./events');
+const { readGitStatus, listChangedFiles } = require('./gitStatus');
+const { TOKENIZER_MODELS, DEFAULT_TOKENIZER_MODEL, isTokenizerModel } = require('./tokenizer');
+const { countDirectoryTokens } = require('./tokenCounts');
+const { parsePresetState, planPresetRestore } = require('./presets');
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  toFtsQuery,
+  parseHighlights,
+  searchDirectoryFiles,
+} = require('./search');
+const { matchPaths } = require('./filePatterns');
 
 const app = express();
 const PORT = process.env.PORT || 5001;
@@ -38,73 +147,99 @@ app.use(cors({
 }));
 app.use(bodyParser.json({ limit: '10mb' }));
 
+const events = createEventHub();
 const watchers = new Map();
+// IDs of directory prompts whose path could not be found on disk
+const missingDirectories = new Set();
+// Git status per directory prompt until its next sync: id -> { dirPath, status: Promise }
+const gitStatusCache = new Map();
 
-const debounce = (func, wait) => {
-  let timeout;
-  return (...args) => {
-    clearTimeout(timeout);
-    timeout = setTimeout(() => func(...args), wait);
-  };
+// Pending filesystem changes per directory prompt: id -> { timer, dirPath, changes, fullRescan }
+const pendingSyncs = new Map();
+const upsertDirectoryFileAsync = promisify(upsertDirectoryFile);
+const removeDirectoryPathAsync = promisify(removeDirectoryPath);
+const getPromptByIdAsync = promisify(getPromptById);
+const getDefaultIgnorePatternsAsync = promisify(getDefaultIgnorePatterns);
+const getTokenizerModelAsync = promisify(getTokenizerModel);
+const getDirectoryTokenCacheAsync = promisify(getDirectoryTokenCache);
+const saveDirectoryTokenCacheAsync = promisify(saveDirectoryTokenCache);
+const applyDirectoryFileStatesAsync = promisify(applyDirectoryFileStates);
+const searchPromptsAsync = promisify(searchPrompts);
+const getPromptsAsync = promisify(getPrompts);
+// Sync currently running per directory prompt: id -> Promise
+const activeSyncs = new Map();
+const SYNC_DEBOUNCE_MS = 1000;
+// Past this many changed paths in one debounce window a full rescan is cheaper
+const MAX_INCREMENTAL_CHANGES = 500;
+// Kinds of git diff a directory prompt's diff section can show
+const DIFF_MODES = ['working', 'staged', 'refs'];
+
+/**
+ * @function publishPrompt
+ * @description Broadcasts a prompt as the UI lists it: directory prompts with their file
+ *              list and missing flag
+ * @param {string} event - Event name
+ * @param {number} id - Prompt ID
+ */
+const publishPrompt = (event, id) => {
+  getPromptById(id, (err, prompt) => {
+    if (err) return console.error(`Failed to fetch prompt ${id} for ${event}:`, err);
+    if (!prompt) return;
+    if (!prompt.isDirectory) return events.broadcast(event, prompt);
+
+    getDirectoryPromptWithFiles(id, async (filesErr, directory) => {
+      if (filesErr) return console.error(`Failed to fetch files of prompt ${id} for ${event}:`, filesErr);
+      if (directory) events.broadcast(event, await withGitStatus(withDirectoryStatus(directory)));
+    });
+  });
 };
 
+/**
+ * @function resolveIgnorePatterns
+ * @description Returns the ignore patterns a directory prompt scans with: its own, or the
+ *              global defaults when it has none
+ * @param {Object|null} prompt - Directory prompt
+ * @returns {Promise<string>} .gitignore-style patterns
+ */
+const resolveIgnorePatterns = async (prompt) =>
+  (prompt && prompt.ignorePatterns !== null ? prompt.ignorePatterns : getDefaultIgnorePatternsAsync());
+
 /**
  * @function readDirectory
- * @description Reads directory contents recursively, excluding files/patterns listed in .gitignore
+ * @description Reads directory contents recursively, excluding paths matched by the ignore
+ *              rules (.gitignore files at every level, .git/info/exclude, .promptignore)
  * @param {string} dirPath - Directory path to read (absolute or resolvable relative path)
  * @param {boolean} includeContents - Whether to include file contents or just metadata
- * @returns {Promise<Array>} Array of file objects {path, content?, isChecked, size}
+ * @param {Object} matcher - Ignore matcher for the watched root, built with the directory
+ *                           prompt's ignore patterns (see resolveIgnorePatterns)
+ * @param {string} relativeDir - Path of dirPath relative to the watched root
+ * @returns {Promise<Array>} Array of file objects {path, content?, isChecked, size, isBinary}
+ * @throws {Error} ENOENT error if dirPath itself does not exist
  */
-const readDirectory = async (dirPath, includeContents = true) => {
-  try {
-    const ig = ignore();
-    const gitignorePath = path.join(dirPath, '.gitignore');
-    if (await fs.access(gitignorePath).then(() => true).catch(() => false)) {
-      const gitignoreContent = await fs.readFile(gitignorePath, 'utf8');
-      ig.add(gitignoreContent);
-    }
-
-    // Add common binary file types to ignore
-    ig.add([
-      '*.exe', '*.dll', '*.so', '*.dylib',
-      '*.zip', '*.tar', '*.gz', '*.rar',
-      '*.jpg', '*.jpeg', '*.png', '*.gif', '*.bmp',
-      '*.mp3', '*.mp4', '*.avi', '*.mov',
-      '*.pdf', '*.doc', '*.docx', '*.ppt', '*.pptx',
-      '*.xls', '*.xlsx', '*.db', '*.sqlite',
-      'node_modules', '.venv', 'venv', '.git',
-      'dist', 'build', 'coverage',
-      'package-lock.json',
-      '*.log' // Exclude log files
-    ]);
-
-    // Add minecraft files to ignore
-    ig.add(['versions', 'worlds'])
-
+const readDirectory = async (
+  dirPath,
+  includeContents = true,
+  matcher = createIgnoreMatcher(dirPath),
+  relativeDir = ''
+) => {
+  // Let callers distinguish a missing directory from an empty one
+  await fs.access(dirPath);
 
+  try {
     const files = [];
-    
-    // Check if directory exists before trying to read it
-    try {
-      await fs.access(dirPath);
-    } catch (err) {
-      console.error(`Directory no longer exists: ${dirPath}`);
-      return files; // Return empty array if directory doesn't exist
-    }
-    
     const entries = await fs.readdir(dirPath, { withFileTypes: true });
 
     for (const entry of entries) {
       const fullPath = path.join(dirPath, entry.name);
-      const relativePath = path.relative(dirPath, fullPath);
+      const relativePath = path.join(relativeDir, entry.name);
 
       // Explicitly skip .git directories and their contents
       if (entry.name === '.git' || relativePath.startsWith('.git/') || relativePath.startsWith('.git\\')) {
         continue;
       }
       
-      // Skip if the file or directory matches a .gitignore pattern
-      if (ig.ignores(relativePath)) continue;
+      // Skip if the file or directory matches an ignore rule
+      if (await matcher.isIgnored(relativePath, entry.isDirectory())) continue;
 
       // Check if file/directory still exists before processing
       try {
@@ -125,8 +260,10 @@ const readDirectory = async (dirPath, includeContents = true) => {
           const fileObj = { 
             path: relativePath, 
             size: fileSize,
+            mtime: stats.mtimeMs,
             isChecked: false,
             isExcluded: false,
+            isBinary: await sniffBinaryFile(fullPath),
           };
           
           // Only include content if requested and file is text
@@ -149,11 +286,7 @@ const readDirectory = async (dirPath, includeContents = true) => {
         }
       } else if (entry.isDirectory()) {
         try {
-          const subFiles = await readDirectory(fullPath, includeContents);
-          files.push(...subFiles.map(f => ({
-            ...f,
-            path: path.join(relativePath, f.path),
-          })));
+          files.push(...await readDirectory(fullPath, includeContents, matcher, relativePath));
         } catch (dirErr) {
           // Skip this directory if it can't be processed (likely deleted)
           console.error(`Error processing directory ${relativePath}:`, dirErr);
@@ -169,66 +302,373 @@ const readDirectory = async (dirPath, includeContents = true) => {
 };
 
 /**
- * @function updateDirectoryPrompt
- * @description Updates directory prompt in DB when filesystem changes
+ * @function syncDirectoryPrompt
+ * @description Rescans a directory and stores the new file list, preserving checked states.
+ *              Marks the prompt as missing if the directory no longer exists.
  * @param {number} id - Prompt ID
  * @param {string} dirPath - Directory path
+ * @returns {Promise<void>} Resolves once the new file list is stored (never rejects)
  */
-const updateDirectoryPrompt = debounce(async (id, dirPath) => {
+const syncDirectoryPrompt = (id, dirPath) => new Promise((resolve) => {
   console.log(`Updating directory prompt ${id} for path ${dirPath}`);
-  
+  gitStatusCache.delete(id);
+
+  getPromptById(id, (err, prompt) => {
+    if (err) {
+      console.error('Failed to fetch prompt:', err);
+      return resolve();
+    }
+    if (!prompt) {
+      console.error(`Prompt with ID ${id} not found`);
+      return resolve();
+    }
+
+    // Read the current directory state
+    resolveIgnorePatterns(prompt)
+      .then(patterns => readDirectory(dirPath, false, createIgnoreMatcher(dirPath, patterns)))
+      .then(newFiles => {
+        // The directory is back (or was never gone); make sure it is being watched
+        missingDirectories.delete(id);
+        if (!watchers.has(id)) watchDirectory(id, dirPath);
+
+        // Existing rows keep their checked / excluded states
+        syncDirectoryFiles(id, newFiles, (updateErr) => {
+          if (updateErr) {
+            console.error('Failed to update directory prompt:', updateErr);
+          } else {
+            console.log(`Successfully updated directory prompt ${id} with ${newFiles.length} files`);
+            publishPrompt('directory-updated', id);
+          }
+          resolve();
+        });
+      })
+      .catch(readErr => {
+        if (readErr.code === 'ENOENT') {
+          // Keep the stored file list so checked states survive if the directory comes back
+          console.error(`Directory no longer exists: ${dirPath}`);
+          markDirectoryMissing(id);
+        } else {
+          console.error(`Error reading directory ${dirPath}:`, readErr);
+        }
+        resolve();
+      });
+  });
+});
+
+/**
+ * @function applyFileChanges
+ * @description Applies a batch of watcher events to the stored file list without walking
+ *              the whole tree. Only the changed paths are stat'ed: files are added, resized
+ *              or removed, and removed directories drop everything beneath them.
+ * @param {number} id - Prompt ID
+ * @param {string} dirPath - Directory path
+ * @param {Map<string, Set<string>>} changes - Relative path -> fs.watch event types seen for it
+ * @returns {Promise<boolean>} false if the changes need a full rescan instead
+ *          (a directory appeared or was renamed, an ignore file changed, or the root is gone)
+ */
+const applyFileChanges = async (id, dirPath, changes) => {
   try {
-    // Get the current prompt data first to preserve checked states
-    getPrompts((err, prompts) => {
-      if (err) {
-        console.error('Failed to fetch prompts:', err);
-        return;
-      }
-      
-      const prompt = prompts.find(p => p.id === id);
-      if (!prompt) {
-        console.error(`Prompt with ID ${id} not found`);
-        return;
+    // If the root itself is gone every child looks deleted; let the full sync flag it instead
+    await fs.access(dirPath);
+    const matcher = createIgnoreMatcher(dirPath, await resolveIgnorePatterns(await getPromptByIdAsync(id)));
+
+    for (const [relativePath, eventTypes] of changes) {
+      if (isIgnoreRulesFile(relativePath)) return false;
+      if (relativePath.split(path.sep).includes('.git')) continue;
+
+      let stats = null;
+      try {
+        stats = await fs.stat(path.join(dirPath, relativePath));
+      } catch (statErr) {
+        if (statErr.code !== 'ENOENT') throw statErr;
       }
-      
-      // Create a map of existing files with their checked / excluded states
-      const existingFileMap = {};
-      if (prompt.files && Array.isArray(prompt.files)) {
-        prompt.files.forEach(file => {
-          existingFileMap[file.path] = {
-            isChecked: file.isChecked === true,
-            isExcluded: file.isExcluded === true,
-          };
-        });
+
+      if (stats && await matcher.isIgnored(relativePath, stats.isDirectory())) continue;
+
+      if (!stats) {
+        // Deleted file, or a deleted / renamed-away directory and everything under it
+        await removeDirectoryPathAsync(id, relativePath, path.sep);
+      } else if (stats.isDirectory()) {
+        // 'change' on a directory only means its entries changed, and those arrive as
+        // their own events. 'rename' means a whole subtree appeared.
+        if (eventTypes.has('rename')) return false;
+      } else if (stats.isFile()) {
+        const isBinary = await sniffBinaryFile(path.join(dirPath, relativePath));
+        await upsertDirectoryFileAsync(id, { path: relativePath, size: stats.size, mtime: stats.mtimeMs, isBinary });
       }
-      
-      // Read the current directory state
-      readDirectory(dirPath, false)
-        .then(newFiles => {
-          // Preserve checked state for files that still exist
-          const updatedFiles = newFiles.map(file => ({
-            ...file,
-            isChecked: existingFileMap[file.path]?.isChecked === true,
-            isExcluded: existingFileMap[file.path]?.isExcluded === true,
-          }));
-          
-          // Update the prompt with the new file list
-          updatePrompt(id, prompt.name, dirPath, prompt.tags, updatedFiles, (updateErr) => {
-            if (updateErr) {
-              console.error('Failed to update directory prompt:', updateErr);
-            } else {
-              console.log(`Successfully updated directory prompt ${id} with ${updatedFiles.length} files`);
-            }
+    }
+
+    console.log(`Applied ${changes.size} change(s) to directory prompt ${id}`);
+    return true;
+  } catch (changeErr) {
+    console.error(`Incremental update failed for directory prompt ${id}:`, changeErr);
+    return false;
+  }
+};
+
+/**
+ * @function flushDirectorySync
+ * @description Applies one debounced batch of changes, falling back to a full rescan
+ * @param {number} id - Prompt ID
+ * @param {Object} batch - { dirPath, changes, fullRescan } collected by updateDirectoryPrompt
+ * @returns {Promise<void>}
+ */
+const flushDirectorySync = async (id, { dirPath, changes, fullRescan }) => {
+  // Any change, including one inside .git, can change the git status
+  gitStatusCache.delete(id);
+  if (!fullRescan && await applyFileChanges(id, dirPath, changes)) {
+    publishPrompt('directory-updated', id);
+    return;
+  }
+  await syncDirectoryPrompt(id, dirPath);
+};
+
+/**
+ * @function updateDirectoryPrompt
+ * @description Queues a sync for a directory prompt. Every directory has its own debounce
+ *              window, and syncs for the same directory never overlap. Events collected in
+ *              a window are applied incrementally where possible.
+ * @param {number} id - Prompt ID
+ * @param {string} dirPath - Directory path
+ * @param {string} [eventType] - fs.watch event type ('rename' or 'change')
+ * @param {string|null} [filename] - Changed path relative to dirPath. Omitted for manual
+ *                                   refreshes and null when the watcher overflowed; both
+ *                                   force a full rescan.
+ */
+const updateDirectoryPrompt = (id, dirPath, eventType, filename) => {
+  const batch = pendingSyncs.get(id) || { dirPath, changes: new Map(), fullRescan: false };
+  clearTimeout(batch.timer);
+
+  if (!filename) {
+    batch.fullRescan = true;
+  } else if (!batch.fullRescan) {
+    let relativePath = path.normalize(filename);
+    // A git command touches many files under .git; one entry is enough to republish the status
+    if (relativePath.split(path.sep)[0] === '.git' && !isIgnoreRulesFile(relativePath)) relativePath = '.git';
+    if (!batch.changes.has(relativePath)) batch.changes.set(relativePath, new Set());
+    batch.changes.get(relativePath).add(eventType);
+    if (batch.changes.size > MAX_INCREMENTAL_CHANGES) {
+      batch.fullRescan = true;
+      batch.changes.clear();
+    }
+  }
+
+  batch.timer = setTimeout(() => {
+    pendingSyncs.delete(id);
+    runExclusive(id, () => flushDirectorySync(id, batch));
+  }, SYNC_DEBOUNCE_MS);
+  pendingSyncs.set(id, batch);
+};
+
+/**
+ * @function runExclusive
+ * @description Runs a sync task for a directory prompt once any sync already running for
+ *              it has finished, so writes for the same directory never interleave
+ * @param {number} id - Prompt ID
+ * @param {Function} task - Returns a Promise
+ * @returns {Promise<void>} Settles when the task has run
+ */
+const runExclusive = (id, task) => {
+  const previous = activeSyncs.get(id) || Promise.resolve();
+  const run = previous.then(task);
+  activeSyncs.set(id, run);
+  run.finally(() => {
+    if (activeSyncs.get(id) === run) activeSyncs.delete(id);
+  });
+  return run;
+};
+
+/**
+ * @function rescanDirectory
+ * @description Runs a full rescan without waiting for the debounce window, replacing any
+ *              queued batch. Used when the ignore patterns change.
+ * @param {number} id - Prompt ID
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<void>} Resolves once the new file list is stored
+ */
+const rescanDirectory = (id, dirPath) => {
+  cancelPendingSync(id);
+  return runExclusive(id, () => syncDirectoryPrompt(id, dirPath));
+};
+
+/**
+ * @function cancelPendingSync
+ * @description Drops a queued (not yet started) sync, e.g. when the directory is removed
+ * @param {number} id - Prompt ID
+ */
+const cancelPendingSync = (id) => {
+  if (!pendingSyncs.has(id)) return;
+  clearTimeout(pendingSyncs.get(id).timer);
+  pendingSyncs.delete(id);
+};
+
+/**
+ * @function stopWatching
+ * @description Closes and forgets the watcher for a directory prompt, if any
+ * @param {number} id - Prompt ID
+ */
+const stopWatching = (id) => {
+  if (!watchers.has(id)) return;
+  try {
+    watchers.get(id).close();
+  } catch (closeErr) {
+    console.error('Error closing watcher:', closeErr);
+  }
+  watchers.delete(id);
+};
+
+/**
+ * @function markDirectoryMissing
+ * @description Flags a directory prompt as missing and stops its (now useless) watcher
+ * @param {number} id - Prompt ID
+ */
+const markDirectoryMissing = (id) => {
+  const wasMissing = missingDirectories.has(id);
+  missingDirectories.add(id);
+  stopWatching(id);
+  if (!wasMissing) publishPrompt('directory-updated', id);
+};
+
+/**
+ * @function watchDirectory
+ * @description Starts a recursive fs.watch on a directory prompt's path. If the watcher
+ *              errors it is recreated once; failures are logged and the prompt stays usable
+ *              through manual refreshes.
+ * @param {number} id - Prompt ID
+ * @param {string} dirPath - Absolute directory path
+ */
+const watchDirectory = (id, dirPath) => {
+  stopWatching(id);
+
+  try {
+    const watcher = watch(dirPath, { recursive: true }, (eventType, filename) => {
+      console.log(`File system event: ${eventType} - ${filename}`);
+      updateDirectoryPrompt(id, dirPath, eventType, filename);
+    });
+
+    // Handle watcher errors
+    watcher.on('error', (error) => {
+      console.error(`Watcher error for directory ${dirPath}:`, error);
+      // Try to recreate the watcher if it fails
+      if (watchers.has(id)) {
+        stopWatching(id);
+
+        try {
+          const newWatcher = watch(dirPath, { recursive: true }, (eventType, filename) => {
+            updateDirectoryPrompt(id, dirPath, eventType, filename);
           });
-        })
-        .catch(readErr => {
-          console.error(`Error reading directory ${dirPath}:`, readErr);
-        });
+          newWatcher.on('error', (recreatedErr) => {
+            console.error(`Recreated watcher failed for ${dirPath}:`, recreatedErr);
+            stopWatching(id);
+          });
+          watchers.set(id, newWatcher);
+          console.log(`Recreated watcher for directory ${dirPath}`);
+        } catch (recreateErr) {
+          console.error(`Failed to recreate watcher for ${dirPath}:`, recreateErr);
+        }
+      }
     });
-  } catch (error) {
-    console.error(`Error in updateDirectoryPrompt for ${id}:`, error);
+
+    watchers.set(id, watcher);
+    console.log(`Started watching directory: ${dirPath}`);
+  } catch (watchErr) {
+    console.error(`Error setting up watcher for ${dirPath}:`, watchErr);
+    // Continue even if watcher setup fails - manual refresh still works
+  }
+};
+
+/**
+ * @function restoreDirectoryWatchers
+ * @description Re-attaches watchers for every stored directory prompt and rescans them.
+ *              Called once on startup, since watchers do not survive a restart.
+ * @returns {Promise<void>} Resolves once every directory is watched or flagged missing
+ */
+const restoreDirectoryWatchers = async () => {
+  let prompts;
+  try {
+    prompts = await getPromptsAsync();
+  } catch (err) {
+    console.error('Failed to load directory prompts on startup:', err);
+    return;
+  }
+
+  const directories = prompts.filter(p => p.isDirectory);
+  for (const dir of directories) {
+    try {
+      await fs.access(dir.content);
+    } catch (accessErr) {
+      console.error(`Directory no longer exists: ${dir.content}`);
+      markDirectoryMissing(dir.id);
+      continue;
+    }
+    watchDirectory(dir.id, dir.content);
+    // Through runExclusive, so a watcher flush cannot interleave with the startup scan
+    await rescanDirectory(dir.id, dir.content);
+  }
+  console.log(`Restored ${watchers.size} of ${directories.length} directory watchers`);
+};
+
+/**
+ * @function isWatching
+ * @description Tells whether a directory prompt has a watcher attached
+ * @param {number} id - Directory prompt ID
+ * @returns {boolean}
+ */
+const isWatching = (id) => watchers.has(id);
+
+/**
+ * @function withDirectoryStatus
+ * @description Adds the runtime isMissing flag to a directory prompt for API responses
+ * @param {Object} prompt - Prompt object from getPrompts
+ * @returns {Object} Prompt with isMissing set for directory prompts
+ */
+const withDirectoryStatus = (prompt) => (
+  prompt.isDirectory ? { ...prompt, isMissing: missingDirectories.has(prompt.id) } : prompt
+);
+
+/**
+ * @function readCachedGitStatus
+ * @description Reads the git status of a directory prompt, reusing the last read until the
+ *              directory syncs again. Concurrent callers share one git run; failures are not
+ *              cached.
+ * @param {number} id - Directory prompt ID
+ * @param {string} dirPath - Directory path
+ * @returns {Promise<Object|null>} See gitStatus.readGitStatus
+ */
+const readCachedGitStatus = (id, dirPath) => {
+  const cached = gitStatusCache.get(id);
+  if (cached && cached.dirPath === dirPath) return cached.status;
+
+  const entry = { dirPath, status: readGitStatus(dirPath) };
+  gitStatusCache.set(id, entry);
+  entry.status.catch(() => {
+    if (gitStatusCache.get(id) === entry) gitStatusCache.delete(id);
+  });
+  return entry.status;
+};
+
+/**
+ * @function withGitStatus
+ * @description Adds the git branch to a directory prompt and the git status to each of its
+ *              changed files. Directories outside a repository get gitBranch null.
+ * @param {Object} prompt - Prompt object, directory prompts with files
+ * @returns {Promise<Object>} Prompt with gitBranch and per-file gitStatus for directory prompts
+ */
+const withGitStatus = async (prompt) => {
+  if (!prompt.isDirectory || prompt.isMissing) return prompt;
+  try {
+    const status = await readCachedGitStatus(prompt.id, prompt.content);
+    if (!status) return { ...prompt, gitBranch: null };
+    return {
+      ...prompt,
+      gitBranch: status.branch,
+      files: prompt.files.map(file => ({ ...file, gitStatus: status.files[file.path] || null })),
+    };
+  } catch (gitErr) {
+    console.error(`Failed to read git status of ${prompt.content}:`, gitErr.message);
+    return { ...prompt, gitBranch: null };
   }
-}, 1000);
+};
 
 app.post('/prompts', (req, res) => {
   const { name, content, tags } = req.body;
@@ -240,12 +680,13 @@ app.post('/prompts', (req, res) => {
       console.error('Database error:', err.message);
       return res.status(500).json({ error: 'Failed to create prompt: ' + err.message });
     }
+    publishPrompt('prompt-created', id);
     res.status(201).json({ id });
   });
 });
 
 app.get('/prompts', (req, res) => {
-  getPrompts((err, rows) => {
+  getPrompts(async (err, rows) => {
     if (err) {
       console.error('Database error:', err.message);
       return res.status(500).json({ error: 'Failed to fetch prompts: ' + err.message });
@@ -259,13 +700,13 @@ app.get('/prompts', (req, res) => {
           const { content, ...metadata } = file;
           return metadata;
         });
-        return { ...prompt, files: metadataFiles };
+        return withGitStatus(withDirectoryStatus({ ...prompt, files: metadataFiles }));
       }
       return prompt;
     });
     
     try {
-      res.json(metadataRows);
+      res.json(await Promise.all(metadataRows));
     } catch (error) {
       console.error('Error stringifying response:', error);
       res.status(500).json({ 
@@ -286,21 +727,66 @@ app.put('/prompts/:id', (req, res) => {
       console.error('Database error:', err.message);
       return res.status(500).json({ error: 'Failed to update prompt: ' + err.message });
     }
+    publishPrompt('prompt-updated', parseInt(id));
     res.status(204).send();
   });
 });
 
+app.get('/prompts/:id/revisions', (req, res) => {
+  const promptId = parseInt(req.params.id);
+
+  getPromptById(promptId, (err, prompt) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
+    }
+    if (!prompt) return res.status(404).json({ error: 'Prompt not found' });
+
+    getPromptRevisions(promptId, (revErr, revisions) => {
+      if (revErr) {
+        console.error('Database error:', revErr.message);
+        return res.status(500).json({ error: 'Failed to fetch revisions: ' + revErr.message });
+      }
+      res.json(revisions);
+    });
+  });
+});
+
+app.post('/prompts/:id/revisions/:rev/restore', (req, res) => {
+  const promptId = parseInt(req.params.id);
+  const revisionNumber = parseInt(req.params.rev);
+
+  getPromptRevision(promptId, revisionNumber, (err, revision) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch revision: ' + err.message });
+    }
+    if (!revision) return res.status(404).json({ error: 'Revision not found' });
+
+    // Restoring is just another update, so it lands in the history as a new revision
+    updatePrompt(promptId, revision.name, revision.content, revision.tags || '', undefined, (updateErr) => {
+      if (updateErr) {
+        console.error('Database error:', updateErr.message);
+        return res.status(500).json({ error: 'Failed to restore revision: ' + updateErr.message });
+      }
+      publishPrompt('prompt-updated', promptId);
+      res.json({ id: promptId, name: revision.name, content: revision.content, tags: revision.tags || '' });
+    });
+  });
+});
+
 app.delete('/prompts/:id', (req, res) => {
   const { id } = req.params;
-  deletePrompt(id, (err) => {
+  deletePrompt(id, (err, changes) => {
     if (err) {
       console.error('Database error:', err.message);
       return res.status(500).json({ error: 'Failed to delete prompt: ' + err.message });
     }
-    if (watchers.has(parseInt(id))) {
-      watchers.get(parseInt(id)).close();
-      watchers.delete(parseInt(id));
-    }
+    stopWatching(parseInt(id));
+    cancelPendingSync(parseInt(id));
+    missingDirectories.delete(parseInt(id));
+    // Deleting is idempotent, but only an actual deletion is news for other windows
+    if (changes) events.broadcast('prompt-deleted', { id: parseInt(id) });
     res.status(204).send();
   });
 });
@@ -311,7 +797,7 @@ app.get('/directories', (req, res) => {
       console.error('Database error:', err.message);
       return res.status(500).json({ error: 'Failed to fetch directories: ' + err.message });
     }
-    const directories = prompts.filter(p => p.isDirectory);
+    const directories = prompts.filter(p => p.isDirectory).map(withDirectoryStatus);
     res.json(directories);
   });
 });
@@ -324,7 +810,8 @@ app.post('/directory', async (req, res) => {
     const resolvedPath = path.resolve(dirPath);
     await fs.access(resolvedPath);
     // Only store metadata in the database, not file contents
-    const files = await readDirectory(resolvedPath, false);
+    const matcher = createIgnoreMatcher(resolvedPath, await getDefaultIgnorePatternsAsync());
+    const files = await readDirectory(resolvedPath, false, matcher);
     const dirName = path.basename(resolvedPath);
 
     createPrompt(dirName, resolvedPath, 'directory', true, files, (err, id) => {
@@ -333,43 +820,8 @@ app.post('/directory', async (req, res) => {
         return res.status(500).json({ error: 'Failed to create directory prompt: ' + err.message });
       }
 
-      // Use fs.watch with explicit event handling
-      try {
-        const watcher = fs.watch(resolvedPath, { recursive: true }, (eventType, filename) => {
-          console.log(`File system event: ${eventType} - ${filename}`);
-          // Trigger update regardless of event type (change, rename, etc.)
-          updateDirectoryPrompt(id, resolvedPath);
-        });
-        
-        // Handle watcher errors
-        watcher.on('error', (error) => {
-          console.error(`Watcher error for directory ${resolvedPath}:`, error);
-          // Try to recreate the watcher if it fails
-          if (watchers.has(id)) {
-            try {
-              watchers.get(id).close();
-            } catch (closeErr) {
-              console.error('Error closing watcher:', closeErr);
-            }
-            
-            try {
-              const newWatcher = fs.watch(resolvedPath, { recursive: true }, () => {
-                updateDirectoryPrompt(id, resolvedPath);
-              });
-              watchers.set(id, newWatcher);
-              console.log(`Recreated watcher for directory ${resolvedPath}`);
-            } catch (recreateErr) {
-              console.error(`Failed to recreate watcher for ${resolvedPath}:`, recreateErr);
-            }
-          }
-        });
-        
-        watchers.set(id, watcher);
-        console.log(`Started watching directory: ${resolvedPath}`);
-      } catch (watchErr) {
-        console.error(`Error setting up watcher for ${resolvedPath}:`, watchErr);
-        // Continue even if watcher setup fails - we'll rely on polling
-      }
+      watchDirectory(id, resolvedPath);
+      publishPrompt('prompt-created', id);
 
       res.status(201).json({ id });
     });
@@ -387,36 +839,56 @@ app.put('/directory/:id/file', (req, res) => {
     return res.status(400).json({ error: 'filePath and at least one of isChecked / isExcluded are required' });
   }
 
-  getPrompts((err, prompts) => {
+  getPromptById(parseInt(id), (err, prompt) => {
     if (err) {
       console.error('Database error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch prompts: ' + err.message });
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
     }
-    const prompt = prompts.find(p => p.id === parseInt(id));
     if (!prompt || !prompt.isDirectory) {
       return res.status(404).json({ error: 'Directory prompt not found' });
     }
 
-    const updatedFiles = prompt.files.map(file => {
-      if (file.path !== filePath) return file;
-      return {
-        ...file,
-        isChecked: isChecked !== undefined ? isChecked : file.isChecked,
-        isExcluded: isExcluded !== undefined ? isExcluded : file.isExcluded,
-      };
-    });
-
-    updatePrompt(id, prompt.name, prompt.content, prompt.tags, updatedFiles, (updateErr) => {
+    updateDirectoryFileState(prompt.id, filePath, { isChecked, isExcluded }, (updateErr, changes) => {
       if (updateErr) {
         console.error('Database error:', updateErr.message);
         return res.status(500).json({ error: 'Failed to update file state: ' + updateErr.message });
       }
+      if (!changes) return res.status(404).json({ error: 'File not found in directory prompt' });
+      publishPrompt('directory-updated', prompt.id);
       res.status(204).send();
     });
   });
 });
 
 // Add a new endpoint for bulk file state updates
+/**
+ * @function resolveBulkTarget
+ * @description Works out which files a bulk update applies to: an explicit filePaths list,
+ *              or the files of the directory matching a glob / regex pattern
+ * @param {Object} body - Request body {filePaths?, pattern?, patternType?}
+ * @param {Array<Object>} files - The directory's files
+ * @returns {Object} {filePaths, isPattern}, {error, code} when invalid, {} when the body
+ *          names neither
+ */
+const resolveBulkTarget = ({ filePaths, pattern, patternType }, files) => {
+  if (filePaths !== undefined && pattern !== undefined) {
+    return { error: 'Send either filePaths or pattern, not both' };
+  }
+  if (filePaths !== undefined) {
+    if (!Array.isArray(filePaths) || !filePaths.every(p => typeof p === 'string')) {
+      return { error: 'filePaths must be an array of file paths' };
+    }
+    return { filePaths, isPattern: false };
+  }
+  if (pattern === undefined) return {};
+
+  try {
+    return { filePaths: matchPaths(pattern, patternType, files.map(f => f.path)), isPattern: true };
+  } catch (patternErr) {
+    return { error: patternErr.message, code: patternErr.code };
+  }
+};
+
 app.put('/directory/:id/files/bulk', (req, res) => {
   const { id } = req.params;
   const { isChecked } = req.body;
@@ -425,25 +897,57 @@ app.put('/directory/:id/files/bulk', (req, res) => {
     return res.status(400).json({ error: 'isChecked boolean is required' });
   }
 
-  getPrompts((err, prompts) => {
+  getDirectoryPromptWithFiles(parseInt(id), (err, prompt) => {
     if (err) {
       console.error('Database error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch prompts: ' + err.message });
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
+    }
+    if (!prompt) {
+      return res.status(404).json({ error: 'Directory prompt not found' });
+    }
+
+    const target = resolveBulkTarget(req.body, prompt.files);
+    if (target.error) return res.status(400).json({ error: target.error, code: target.code });
+
+    const onUpdated = (updateErr) => {
+      if (updateErr) {
+        console.error('Database error:', updateErr.message);
+        return res.status(500).json({ error: 'Failed to update file states: ' + updateErr.message });
+      }
+      publishPrompt('directory-updated', prompt.id);
+      if (target.isPattern) return res.json({ filePaths: target.filePaths });
+      res.status(204).send();
+    };
+
+    // Without a path list or pattern, every file gets the same checked state
+    if (!target.filePaths) return setAllDirectoryFilesChecked(prompt.id, isChecked, onUpdated);
+    setDirectoryFilesChecked(prompt.id, target.filePaths, isChecked, onUpdated);
+  });
+});
+
+// Check exactly the given files and uncheck the rest, e.g. the files changed in git
+app.put('/directory/:id/files/selection', (req, res) => {
+  const { filePaths } = req.body;
+
+  if (!Array.isArray(filePaths)) {
+    return res.status(400).json({ error: 'filePaths array is required' });
+  }
+
+  getPromptById(parseInt(req.params.id), (err, prompt) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
     }
-    
-    const prompt = prompts.find(p => p.id === parseInt(id));
     if (!prompt || !prompt.isDirectory) {
       return res.status(404).json({ error: 'Directory prompt not found' });
     }
 
-    // Update all files to the same checked state
-    const updatedFiles = prompt.files.map(file => ({ ...file, isChecked }));
-    
-    updatePrompt(id, prompt.name, prompt.content, prompt.tags, updatedFiles, (updateErr) => {
+    selectDirectoryFiles(prompt.id, filePaths, (updateErr) => {
       if (updateErr) {
         console.error('Database error:', updateErr.message);
         return res.status(500).json({ error: 'Failed to update file states: ' + updateErr.message });
       }
+      publishPrompt('directory-updated', prompt.id);
       res.status(204).send();
     });
   });
@@ -452,31 +956,31 @@ app.put('/directory/:id/files/bulk', (req, res) => {
 // Add a new endpoint for bulk exclude updates
 app.put('/directory/:id/files/exclude-bulk', (req, res) => {
   const { id } = req.params;
-  const { isExcluded, filePaths } = req.body;
+  const { isExcluded, filePaths, pattern } = req.body;
 
-  if (typeof isExcluded !== 'boolean' || !Array.isArray(filePaths)) {
-    return res.status(400).json({ error: 'isExcluded boolean and filePaths array are required' });
+  if (typeof isExcluded !== 'boolean' || (filePaths === undefined && pattern === undefined)) {
+    return res.status(400).json({ error: 'isExcluded boolean and a filePaths array or pattern are required' });
   }
 
-  getPrompts((err, prompts) => {
+  getDirectoryPromptWithFiles(parseInt(id), (err, prompt) => {
     if (err) {
       console.error('Database error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch prompts: ' + err.message });
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
     }
-    const prompt = prompts.find(p => p.id === parseInt(id));
-    if (!prompt || !prompt.isDirectory) {
+    if (!prompt) {
       return res.status(404).json({ error: 'Directory prompt not found' });
     }
 
-    const updatedFiles = prompt.files.map(file =>
-      filePaths.includes(file.path) ? { ...file, isExcluded } : file
-    );
+    const target = resolveBulkTarget(req.body, prompt.files);
+    if (target.error) return res.status(400).json({ error: target.error, code: target.code });
 
-    updatePrompt(id, prompt.name, prompt.content, prompt.tags, updatedFiles, (updateErr) => {
+    setDirectoryFilesExcluded(prompt.id, target.filePaths, isExcluded, (updateErr) => {
       if (updateErr) {
         console.error('Database error:', updateErr.message);
         return res.status(500).json({ error: 'Failed to update file states: ' + updateErr.message });
       }
+      publishPrompt('directory-updated', prompt.id);
+      if (target.isPattern) return res.json({ filePaths: target.filePaths });
       res.status(204).send();
     });
   });
@@ -486,12 +990,11 @@ app.delete('/directory/:id', (req, res) => {
   const { id } = req.params;
   const promptId = parseInt(id);
 
-  getPrompts((err, prompts) => {
+  getPromptById(promptId, (err, prompt) => {
     if (err) {
       console.error('Database error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch prompts: ' + err.message });
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
     }
-    const prompt = prompts.find(p => p.id === promptId);
     if (!prompt || !prompt.isDirectory) {
       return res.status(404).json({ error: 'Directory prompt not found' });
     }
@@ -502,20 +1005,216 @@ app.delete('/directory/:id', (req, res) => {
         return res.status(500).json({ error: 'Failed to delete directory: ' + deleteErr.message });
       }
 
-      if (watchers.has(promptId)) {
-        try {
-          watchers.get(promptId).close();
-          watchers.delete(promptId);
-        } catch (watchErr) {
-          console.error('Error closing watcher:', watchErr.message);
-        }
+      stopWatching(promptId);
+      cancelPendingSync(promptId);
+      missingDirectories.delete(promptId);
+      gitStatusCache.delete(promptId);
+      events.broadcast('prompt-deleted', { id: promptId });
+
+      res.status(204).send();
+    });
+  });
+});
+
+// Global default ignore patterns, used by directories without their own
+app.get('/settings/ignore-patterns', (req, res) => {
+  getDefaultIgnorePatterns((err, patterns) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch ignore patterns: ' + err.message });
+    }
+    res.json({ patterns });
+  });
+});
+
+app.put('/settings/ignore-patterns', (req, res) => {
+  const { patterns } = req.body;
+  if (typeof patterns !== 'string') {
+    return res.status(400).json({ error: 'patterns string is required' });
+  }
+
+  setDefaultIgnorePatterns(patterns, (err) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to update ignore patterns: ' + err.message });
+    }
+
+    getPrompts(async (promptsErr, prompts) => {
+      if (promptsErr) {
+        console.error('Database error:', promptsErr.message);
+        return res.status(500).json({ error: 'Failed to fetch prompts: ' + promptsErr.message });
       }
+      // Rescan every directory that follows the defaults before answering
+      const affected = prompts.filter(p => p.isDirectory && p.ignorePatterns === null && !missingDirectories.has(p.id));
+      await Promise.all(affected.map(p => rescanDirectory(p.id, p.content)));
+      res.status(204).send();
+    });
+  });
+});
+
+// Tokenizer model used for token counts in the UI (see tokenizer.js for the ids)
+app.get('/settings/tokenizer-model', (req, res) => {
+  getTokenizerModel((err, model) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch tokenizer model: ' + err.message });
+    }
+    res.json({ model: isTokenizerModel(model) ? model : DEFAULT_TOKENIZER_MODEL });
+  });
+});
 
+app.put('/settings/tokenizer-model', (req, res) => {
+  const { model } = req.body;
+  if (!isTokenizerModel(model)) {
+    return res.status(400).json({
+      error: `model must be one of: ${TOKENIZER_MODELS.join(', ')}`,
+      code: 'INVALID_TOKENIZER_MODEL',
+    });
+  }
+
+  setTokenizerModel(model, (err) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to update tokenizer model: ' + err.message });
+    }
+    res.status(204).send();
+  });
+});
+
+// Set a directory's own ignore patterns, or null to go back to the defaults
+app.put('/directory/:id/ignore-patterns', (req, res) => {
+  const promptId = parseInt(req.params.id);
+  const { patterns } = req.body;
+  if (patterns !== null && typeof patterns !== 'string') {
+    return res.status(400).json({ error: 'patterns must be a string or null' });
+  }
+
+  setDirectoryIgnorePatterns(promptId, patterns, (err, changes) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to update ignore patterns: ' + err.message });
+    }
+    if (!changes) return res.status(404).json({ error: 'Directory prompt not found' });
+
+    getPromptById(promptId, async (promptErr, prompt) => {
+      if (promptErr) {
+        console.error('Database error:', promptErr.message);
+        return res.status(500).json({ error: 'Failed to fetch prompt: ' + promptErr.message });
+      }
+      const wasMissing = missingDirectories.has(promptId);
+      await rescanDirectory(promptId, prompt.content);
+      // The rescan publishes the directory unless it was and still is missing
+      if (wasMissing && missingDirectories.has(promptId)) publishPrompt('directory-updated', promptId);
       res.status(204).send();
     });
   });
 });
 
+// Configure a directory's git diff section, or null to remove it
+app.put('/directory/:id/diff', (req, res) => {
+  const promptId = parseInt(req.params.id);
+  const { diffSection } = req.body;
+
+  if (diffSection !== null) {
+    const { mode, baseRef, headRef } = diffSection || {};
+    if (!DIFF_MODES.includes(mode)) {
+      return res.status(400).json({ error: `diffSection.mode must be one of ${DIFF_MODES.join(', ')}` });
+    }
+    if (mode === 'refs' && (typeof baseRef !== 'string' || !baseRef.trim())) {
+      return res.status(400).json({ error: 'diffSection.baseRef is required for refs mode' });
+    }
+    if (headRef != null && typeof headRef !== 'string') {
+      return res.status(400).json({ error: 'diffSection.headRef must be a string' });
+    }
+  }
+
+  const section = diffSection && {
+    mode: diffSection.mode,
+    baseRef: diffSection.mode === 'refs' ? diffSection.baseRef.trim() : null,
+    headRef: diffSection.mode === 'refs' && diffSection.headRef ? diffSection.headRef.trim() : null,
+  };
+
+  setDirectoryDiffSection(promptId, section, (err, changes) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to update diff section: ' + err.message });
+    }
+    if (!changes) return res.status(404).json({ error: 'Directory prompt not found' });
+    publishPrompt('directory-updated', promptId);
+    res.status(204).send();
+  });
+});
+
+// The diff for a directory's diff section, as it appears in the master prompt
+app.get('/directory/:id/diff', (req, res) => {
+  getDirectoryPromptWithFiles(parseInt(req.params.id), async (err, prompt) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
+    }
+    if (!prompt) {
+      return res.status(404).json({ error: 'Directory prompt not found' });
+    }
+    if (!prompt.diffSection) {
+      return res.status(404).json({ error: 'Directory prompt has no diff section', code: 'NO_DIFF_SECTION' });
+    }
+
+    try {
+      res.json({ diff: await readDirectoryDiff(prompt, await resolveIgnorePatterns(prompt)) });
+    } catch (diffErr) {
+      if (diffErr.status) {
+        return res.status(diffErr.status).json({ error: diffErr.message, code: diffErr.code });
+      }
+      console.error('Git error:', diffErr.message);
+      res.status(500).json({ error: 'Failed to read diff: ' + diffErr.message });
+    }
+  });
+});
+
+// Token counts of every file of a directory, for the file tree
+app.get('/directory/:id/tokens', (req, res) => {
+  const { model, outputFormat = DEFAULT_OUTPUT_FORMAT } = req.query;
+  if (model !== undefined && !isTokenizerModel(model)) {
+    return res.status(400).json({
+      error: `model must be one of: ${TOKENIZER_MODELS.join(', ')}`,
+      code: 'INVALID_TOKENIZER_MODEL',
+    });
+  }
+  if (!isOutputFormat(outputFormat)) {
+    return res.status(400).json({
+      error: `outputFormat must be one of: ${OUTPUT_FORMATS.map(format => format.value).join(', ')}`,
+      code: 'INVALID_OUTPUT_FORMAT',
+    });
+  }
+
+  const promptId = parseInt(req.params.id);
+  getDirectoryPromptWithFiles(promptId, async (err, prompt) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
+    }
+    if (!prompt) {
+      return res.status(404).json({ error: 'Directory prompt not found' });
+    }
+
+    try {
+      const tokenizerModel = model || (await getTokenizerModelAsync()) || DEFAULT_TOKENIZER_MODEL;
+      const { counts, updates } = await countDirectoryTokens(
+        prompt,
+        await getDirectoryTokenCacheAsync(promptId),
+        tokenizerModel,
+        await resolveIgnorePatterns(prompt),
+        outputFormat
+      );
+      await saveDirectoryTokenCacheAsync(promptId, updates);
+      res.json({ model: tokenizerModel, outputFormat, files: counts });
+    } catch (countErr) {
+      console.error('Error counting tokens:', countErr);
+      res.status(500).json({ error: 'Failed to count tokens: ' + countErr.message });
+    }
+  });
+});
+
 // Add a new endpoint to fetch file content on demand
 app.get('/directory/:id/file', (req, res) => {
   const { id } = req.params;
@@ -525,25 +1224,27 @@ app.get('/directory/:id/file', (req, res) => {
     return res.status(400).json({ error: 'File path is required' });
   }
   
-  getPrompts((err, prompts) => {
+  getDirectoryPromptWithFiles(parseInt(id), (err, prompt) => {
     if (err) {
       console.error('Database error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch prompts: ' + err.message });
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
     }
-    
-    const prompt = prompts.find(p => p.id === parseInt(id));
-    if (!prompt || !prompt.isDirectory) {
+    if (!prompt) {
       return res.status(404).json({ error: 'Directory prompt not found' });
     }
     
-    // Read the file content directly from disk
-    const fullPath = path.join(prompt.content, filePath);
-    fs.readFile(fullPath, 'utf8')
+    // Only read paths the guard accepts; it rejects traversal, unknown and ignored paths
+    resolveIgnorePatterns(prompt)
+      .then(patterns => createPathGuard(prompt, patterns)(filePath))
+      .then(fullPath => readTextFile(fullPath))
       .then(content => {
         res.json({ content });
       })
       .catch(fileErr => {
-        console.error(`Error reading file ${filePath}:`, fileErr);
+        console.error(`Error reading file ${filePath}:`, fileErr.message);
+        if (fileErr.status) {
+          return res.status(fileErr.status).json({ error: fileErr.message, code: fileErr.code });
+        }
         // Return 404 status for missing files
         if (fileErr.code === 'ENOENT') {
           return res.status(404).json({ error: 'File not found', code: 'ENOENT' });
@@ -554,18 +1255,72 @@ app.get('/directory/:id/file', (req, res) => {
   });
 });
 
+// Fetch the contents of many files in one request; unreadable files carry their own error
+app.post('/directory/:id/files/contents', (req, res) => {
+  const promptId = parseInt(req.params.id);
+  const { filePaths } = req.body;
+
+  if (!Array.isArray(filePaths) || !filePaths.every(p => typeof p === 'string' && p)) {
+    return res.status(400).json({ error: 'filePaths array is required' });
+  }
+
+  getDirectoryPromptWithFiles(promptId, async (err, prompt) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
+    }
+    if (!prompt) {
+      return res.status(404).json({ error: 'Directory prompt not found' });
+    }
+
+    try {
+      const files = await readDirectoryFiles(prompt, filePaths, await resolveIgnorePatterns(prompt));
+      res.json({ files });
+    } catch (readErr) {
+      console.error('Error reading files:', readErr);
+      res.status(500).json({ error: 'Failed to read files: ' + readErr.message });
+    }
+  });
+});
+
+// Files of a directory prompt that differ from a git ref (committed since the branch
+// point, uncommitted or untracked), limited to the stored file list
+app.get('/directory/:id/git/changed', (req, res) => {
+  const { ref } = req.query;
+
+  getDirectoryPromptWithFiles(parseInt(req.params.id), async (err, prompt) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
+    }
+    if (!prompt) {
+      return res.status(404).json({ error: 'Directory prompt not found' });
+    }
+
+    try {
+      const knownPaths = new Set(prompt.files.map(f => f.path));
+      const changed = await listChangedFiles(prompt.content, ref);
+      res.json({ ref, files: changed.filter(p => knownPaths.has(p)) });
+    } catch (gitErr) {
+      if (gitErr.status) {
+        return res.status(gitErr.status).json({ error: gitErr.message, code: gitErr.code });
+      }
+      console.error('Git error:', gitErr.message);
+      res.status(500).json({ error: 'Failed to compare with ref: ' + gitErr.message });
+    }
+  });
+});
+
 // Add a new endpoint to manually refresh a directory
 app.post('/directory/:id/refresh', (req, res) => {
   const { id } = req.params;
   const promptId = parseInt(id);
   
-  getPrompts((err, prompts) => {
+  getPromptById(promptId, (err, prompt) => {
     if (err) {
       console.error('Database error:', err.message);
-      return res.status(500).json({ error: 'Failed to fetch prompts: ' + err.message });
+      return res.status(500).json({ error: 'Failed to fetch prompt: ' + err.message });
     }
-    
-    const prompt = prompts.find(p => p.id === promptId);
     if (!prompt || !prompt.isDirectory) {
       return res.status(404).json({ error: 'Directory prompt not found' });
     }
@@ -577,4 +1332,244 @@ app.post('/directory/:id/refresh', (req, res) => {
   });
 });
 
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+// Assemble the master prompt for an ordered list of prompts, as the UI would
+app.post('/compose', (req, res) => {
+  const { promptIds, additionalInstructions = '', tokenizerModel, outputFormat, variables = {} } = req.body;
+
+  if (!Array.isArray(promptIds) || !promptIds.every(Number.isInteger)) {
+    return res.status(400).json({ error: 'promptIds must be an array of prompt IDs' });
+  }
+  if (typeof additionalInstructions !== 'string') {
+    return res.status(400).json({ error: 'additionalInstructions must be a string' });
+  }
+  if (tokenizerModel !== undefined && !isTokenizerModel(tokenizerModel)) {
+    return res.status(400).json({
+      error: `tokenizerModel must be one of: ${TOKENIZER_MODELS.join(', ')}`,
+      code: 'INVALID_TOKENIZER_MODEL',
+    });
+  }
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)
+    || !Object.values(variables).every(value => typeof value === 'string')) {
+    return res.status(400).json({ error: 'variables must be an object of strings' });
+  }
+  if (outputFormat !== undefined && !isOutputFormat(outputFormat)) {
+    return res.status(400).json({
+      error: `outputFormat must be one of: ${OUTPUT_FORMATS.map(format => format.value).join(', ')}`,
+      code: 'INVALID_OUTPUT_FORMAT',
+    });
+  }
+
+  getPrompts(async (err, prompts) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch prompts: ' + err.message });
+    }
+
+    const byId = new Map(prompts.map(p => [p.id, p]));
+    const unknownIds = promptIds.filter(id => !byId.has(id));
+    if (unknownIds.length) {
+      return res.status(404).json({ error: `Prompts not found: ${unknownIds.join(', ')}` });
+    }
+
+    const selected = promptIds.map(id => byId.get(id)).map(prompt => (
+      prompt.isDirectory ? prompt : { ...prompt, content: expandIncludes(prompt, prompts) }
+    ));
+    const templateVariables = findTemplateVariables(selected.filter(p => !p.isDirectory).map(p => p.content));
+    const missingVariables = findMissingVariables(templateVariables, variables);
+    if (missingVariables.length) {
+      return res.status(400).json({
+        error: `Missing template variables: ${missingVariables.join(', ')}`,
+        code: 'MISSING_TEMPLATE_VARIABLES',
+        missingVariables,
+      });
+    }
+
+    try {
+      const filled = selected.map(prompt => (
+        prompt.isDirectory ? prompt : { ...prompt, content: fillTemplate(prompt.content, variables) }
+      ));
+      const result = await composePrompts(
+        filled,
+        additionalInstructions,
+        await getDefaultIgnorePatternsAsync(),
+        tokenizerModel || (await getTokenizerModelAsync()) || DEFAULT_TOKENIZER_MODEL,
+        outputFormat
+      );
+      res.json(result);
+    } catch (composeErr) {
+      console.error('Error composing prompt:', composeErr);
+      res.status(500).json({ error: 'Failed to compose prompt: ' + composeErr.message });
+    }
+  });
+});
+
+/**
+ * @function validatePresetBody
+ * @description Validates the name and state of a preset create / update request
+ * @param {Object} body - Request body {name, state}
+ * @returns {Object} {name, state} when valid, otherwise {error}
+ */
+const validatePresetBody = ({ name, state }) => {
+  if (typeof name !== 'string' || !name.trim()) return { error: 'Name is required' };
+  const parsed = parsePresetState(state);
+  return parsed.error ? parsed : { name: name.trim(), state: parsed.state };
+};
+
+// Reports a taken preset name as a conflict, other database errors as server errors
+const sendPresetSaveError = (res, err) => {
+  if (err.code === 'SQLITE_CONSTRAINT') {
+    return res.status(409).json({ error: 'A preset with this name already exists', code: 'PRESET_NAME_TAKEN' });
+  }
+  console.error('Database error:', err.message);
+  res.status(500).json({ error: 'Failed to save preset: ' + err.message });
+};
+
+app.get('/presets', (req, res) => {
+  getPresets((err, presets) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch presets: ' + err.message });
+    }
+    res.json(presets);
+  });
+});
+
+app.post('/presets', (req, res) => {
+  const { name, state, error } = validatePresetBody(req.body);
+  if (error) return res.status(400).json({ error });
+
+  createPreset(name, state, (err, id) => {
+    if (err) return sendPresetSaveError(res, err);
+    res.status(201).json({ id });
+  });
+});
+
+app.put('/presets/:id', (req, res) => {
+  const { name, state, error } = validatePresetBody(req.body);
+  if (error) return res.status(400).json({ error });
+
+  updatePreset(parseInt(req.params.id), name, state, (err, changes) => {
+    if (err) return sendPresetSaveError(res, err);
+    if (!changes) return res.status(404).json({ error: 'Preset not found' });
+    res.status(204).send();
+  });
+});
+
+app.delete('/presets/:id', (req, res) => {
+  deletePreset(parseInt(req.params.id), (err, changes) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to delete preset: ' + err.message });
+    }
+    if (!changes) return res.status(404).json({ error: 'Preset not found' });
+    res.status(204).send();
+  });
+});
+
+// Restores a preset's checked / excluded files; the UI restores the selection itself
+app.post('/presets/:id/apply', (req, res) => {
+  getPresetById(parseInt(req.params.id), (err, preset) => {
+    if (err) {
+      console.error('Database error:', err.message);
+      return res.status(500).json({ error: 'Failed to fetch preset: ' + err.message });
+    }
+    if (!preset) return res.status(404).json({ error: 'Preset not found' });
+
+    getPrompts(async (promptsErr, prompts) => {
+      if (promptsErr) {
+        console.error('Database error:', promptsErr.message);
+        return res.status(500).json({ error: 'Failed to fetch prompts: ' + promptsErr.message });
+      }
+
+      const { directories, missingPromptIds, missingFiles } = planPresetRestore(preset.state, prompts);
+      try {
+        for (const { promptId, checkedPaths, excludedPaths } of directories) {
+          await applyDirectoryFileStatesAsync(promptId, checkedPaths, excludedPaths);
+          publishPrompt('directory-updated', promptId);
+        }
+      } catch (applyErr) {
+        console.error('Database error:', applyErr.message);
+        return res.status(500).json({ error: 'Failed to restore file states: ' + applyErr.message });
+      }
+      res.json({ preset, missingPromptIds, missingFiles });
+    });
+  });
+});
+
+const SEARCH_SCOPES = ['all', 'prompts', 'files'];
+const MAX_PROMPT_RESULTS = 50;
+const MAX_FILE_RESULTS = 100;
+
+// Full-text search. Prompts come from the FTS5 index; files are read on demand, so
+// clients ask for them explicitly (scope all or files).
+app.get('/search', async (req, res) => {
+  const { q, scope = 'all' } = req.query;
+  if (typeof q !== 'string' || !q.trim()) {
+    return res.status(400).json({ error: 'q is required' });
+  }
+  if (!SEARCH_SCOPES.includes(scope)) {
+    return res.status(400).json({ error: `scope must be one of: ${SEARCH_SCOPES.join(', ')}` });
+  }
+  const query = q.trim();
+
+  try {
+    let prompts = [];
+    const ftsQuery = toFtsQuery(query);
+    if (scope !== 'files' && ftsQuery) {
+      const rows = await searchPromptsAsync(ftsQuery, { start: HIGHLIGHT_START, end: HIGHLIGHT_END }, MAX_PROMPT_RESULTS);
+      prompts = rows.map(row => ({
+        id: row.id,
+        name: parseHighlights(row.name),
+        tags: parseHighlights(row.tags),
+        snippet: parseHighlights(row.content),
+      }));
+    }
+
+    let files = [];
+    let truncated = false;
+    if (scope !== 'prompts') {
+      const directories = (await getPromptsAsync())
+        .filter(p => p.isDirectory && !missingDirectories.has(p.id));
+      ({ files, truncated } = await searchDirectoryFiles(directories, query, resolveIgnorePatterns, {
+        maxResults: MAX_FILE_RESULTS,
+      }));
+    }
+
+    res.json({ query, prompts, files, truncated });
+  } catch (searchErr) {
+    console.error('Error searching:', searchErr);
+    res.status(500).json({ error: 'Failed to search: ' + searchErr.message });
+  }
+});
+
+// Live updates for the UI; see events.js for the event names
+app.get('/events', (req, res) => {
+  events.connect(req, res);
+});
+
+// Only listen when started directly; tests require the app and the sync functions
+if (require.main === module) {
+  databaseReady
+    .then((schemaVersion) => {
+      console.log(`Database schema at version ${schemaVersion}`);
+      app.listen(PORT, () => {
+        console.log(`Server running on port ${PORT}`);
+        restoreDirectoryWatchers();
+      });
+    })
+    .catch((err) => {
+      console.error('Refusing to start:', err.message);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  app,
+  ready: databaseReady,
+  events,
+  updateDirectoryPrompt,
+  runExclusive,
+  stopWatching,
+  isWatching,
+  restoreDirectoryWatchers,
+};
\ No newline at end of file
@@ -13,11 +13,18 @@
  * - Mocks the database module to isolate API logic.
  * - Tests written in JavaScript per project rules.
  * - Added repo integration tests for directory watching and state persistence.
+ * - The tests from 'Directory sync' on load the real server.js on an in-memory database (see
+ *   loadServer), with temporary directories on disk and fake timers for the debounce.
  */
 
 const request = require('supertest');
 const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
 const { createPrompt, getPrompts, updatePrompt, deletePrompt } = require('./db');
+const { countTokens } = require('./tokenizer');
 
 jest.mock('./db');
 
@@ -386,3 +393,552 @@ describe('Backend Tests', () => {
     });
   });
 });
+
+/**
+ * @function loadServer
+ * @description Requires a fresh copy of server.js backed by the real db.js on an in-memory
+ *              database, bypassing the db mock used above
+ * @returns {Object} server.js exports
+ */
+const loadServer = () => {
+  process.env.DB_PATH = ':memory:';
+  let server;
+  jest.isolateModules(() => {
+    // A fresh, real db.js in this isolated registry (requireActual would reuse the copy
+    // the automock was generated from, which opened prompts.db)
+    jest.unmock('./db');
+    server = require('./server');
+  });
+  return server;
+};
+
+const server = loadServer();
+let tmpDirs = [];
+let directoryIds = [];
+let promptIds = [];
+
+const writeFile = (dir, file, content = '') => {
+  fs.mkdirSync(path.dirname(path.join(dir, file)), { recursive: true });
+  fs.writeFileSync(path.join(dir, file), content);
+};
+
+const makeTree = (files) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-server-'));
+  Object.entries(files).forEach(([file, content]) => writeFile(dir, file, content));
+  tmpDirs.push(dir);
+  return dir;
+};
+
+// Adds a directory prompt and stops its watcher, so only the events sent by a test count
+const addDirectory = async (dir) => {
+  const response = await request(server.app).post('/directory').send({ path: dir }).expect(201);
+  server.stopWatching(response.body.id);
+  directoryIds.push(response.body.id);
+  return response.body.id;
+};
+
+// Adds a text prompt, removed again by removePrompts
+const addPrompt = async (name, content) => {
+  const response = await request(server.app).post('/prompts').send({ name, content }).expect(201);
+  promptIds.push(response.body.id);
+  return response.body.id;
+};
+
+const removePrompts = async () => {
+  await Promise.all(promptIds.map(id => request(server.app).delete(`/prompts/${id}`)));
+  promptIds = [];
+};
+
+// Resolves once every sync queued for the directory has run
+const settled = (id) => server.runExclusive(id, async () => {});
+
+const getDirectory = async (id) => {
+  const response = await request(server.app).get('/directories').expect(200);
+  return response.body.find(directory => directory.id === id);
+};
+
+// Removes the directory prompts and temporary directories a test created
+const removeDirectories = async () => {
+  await Promise.all(directoryIds.map(async (id) => {
+    await settled(id);
+    await request(server.app).delete(`/directory/${id}`);
+  }));
+  tmpDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  tmpDirs = [];
+  directoryIds = [];
+};
+
+beforeAll(() => server.ready);
+
+describe('Directory sync', () => {
+  // Queues watcher events with fake timers, then lets the debounce window pass
+  const sendEvents = (id, dir, events, waitMs = 1000) => {
+    jest.useFakeTimers();
+    events.forEach(([eventType, filename]) => server.updateDirectoryPrompt(id, dir, eventType, filename));
+    jest.advanceTimersByTime(waitMs);
+    jest.useRealTimers();
+  };
+
+  const filePaths = async (id) => (await getDirectory(id)).files.map(file => file.path).sort();
+
+  afterEach(removeDirectories);
+
+  test('debounces each directory on its own', async () => {
+    const dirA = makeTree({ 'a.js': '' });
+    const dirB = makeTree({ 'b.js': '' });
+    const idA = await addDirectory(dirA);
+    const idB = await addDirectory(dirB);
+    writeFile(dirA, 'a2.js');
+    writeFile(dirB, 'b2.js');
+
+    jest.useFakeTimers();
+    server.updateDirectoryPrompt(idA, dirA, 'rename', 'a2.js');
+    jest.advanceTimersByTime(600);
+    server.updateDirectoryPrompt(idB, dirB, 'rename', 'b2.js');
+    // dirA's window closes without waiting for dirB's event
+    jest.advanceTimersByTime(400);
+    await settled(idA);
+    expect(await filePaths(idA)).toEqual(['a.js', 'a2.js']);
+    expect(await filePaths(idB)).toEqual(['b.js']);
+
+    jest.advanceTimersByTime(600);
+    jest.useRealTimers();
+    await settled(idB);
+    expect(await filePaths(idB)).toEqual(['b.js', 'b2.js']);
+  });
+
+  test('applies changes incrementally and drops everything beneath a deleted directory', async () => {
+    const dir = makeTree({ 'top.js': '', 'sub/a.js': '', 'sub/deep/b.js': '' });
+    const id = await addDirectory(dir);
+    fs.rmSync(path.join(dir, 'sub'), { recursive: true });
+    // Not reported, so only a full rescan would find it
+    writeFile(dir, 'unreported.js');
+
+    sendEvents(id, dir, [['rename', 'sub']]);
+    await settled(id);
+
+    expect(await filePaths(id)).toEqual(['top.js']);
+  });
+
+  test.each([
+    ['the watcher overflows (null filename)', () => [['rename', null]]],
+    ['a directory is renamed into place', () => [['rename', 'moved']]],
+    ['a window has too many changes', () => Array.from({ length: 501 }, (_, i) => ['rename', `gone-${i}.js`])],
+  ])('falls back to a full rescan when %s', async (_, events) => {
+    const dir = makeTree({ 'top.js': '' });
+    const id = await addDirectory(dir);
+    writeFile(dir, 'moved/inner.js');
+
+    sendEvents(id, dir, events());
+    await settled(id);
+
+    expect(await filePaths(id)).toEqual([path.join('moved', 'inner.js'), 'top.js'].sort());
+  });
+
+  test('flags a directory whose root is gone as missing, keeping its files', async () => {
+    const dir = makeTree({ 'top.js': '' });
+    const id = await addDirectory(dir);
+    fs.rmSync(dir, { recursive: true });
+
+    sendEvents(id, dir, [['rename', 'top.js']]);
+    await settled(id);
+
+    const directory = await getDirectory(id);
+    expect(directory.isMissing).toBe(true);
+    expect(directory.files.map(file => file.path)).toEqual(['top.js']);
+  });
+});
+
+describe('Startup', () => {
+  afterEach(removeDirectories);
+
+  test('restoreDirectoryWatchers watches and rescans stored directories', async () => {
+    const dir = makeTree({ 'a.js': '' });
+    const id = await addDirectory(dir);
+    // Changed while the server was down
+    writeFile(dir, 'b.js');
+    fs.rmSync(path.join(dir, 'a.js'));
+    expect(server.isWatching(id)).toBe(false);
+
+    await server.restoreDirectoryWatchers();
+
+    expect(server.isWatching(id)).toBe(true);
+    const directory = await getDirectory(id);
+    expect(directory.files.map(file => file.path)).toEqual(['b.js']);
+    expect(directory.isMissing).toBe(false);
+  });
+
+  test('restoreDirectoryWatchers flags directories deleted while the server was down', async () => {
+    const dir = makeTree({ 'a.js': '' });
+    const id = await addDirectory(dir);
+    fs.rmSync(dir, { recursive: true });
+
+    await server.restoreDirectoryWatchers();
+
+    expect(server.isWatching(id)).toBe(false);
+    const directory = await getDirectory(id);
+    expect(directory.isMissing).toBe(true);
+    expect(directory.files.map(file => file.path)).toEqual(['a.js']);
+  });
+});
+
+describe('Git status', () => {
+  afterEach(removeDirectories);
+
+  const git = (dir, ...args) => execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@example.com', ...args], { cwd: dir, stdio: 'pipe' });
+
+  const gitStatusOf = async (id, filePath) => {
+    const { body } = await request(server.app).get('/prompts').expect(200);
+    return body.find(prompt => prompt.id === id).files.find(file => file.path === filePath).gitStatus;
+  };
+
+  test('GET /prompts reuses the git status until the directory syncs', async () => {
+    const dir = makeTree({ 'a.js': 'one' });
+    git(dir, 'init', '-q');
+    git(dir, 'add', '.');
+    git(dir, 'commit', '-q', '-m', 'initial');
+    const id = await addDirectory(dir);
+    expect(await gitStatusOf(id, 'a.js')).toBeNull();
+
+    // Unwatched change: the cached status still applies
+    writeFile(dir, 'a.js', 'two');
+    expect(await gitStatusOf(id, 'a.js')).toBeNull();
+
+    jest.useFakeTimers();
+    server.updateDirectoryPrompt(id, dir, 'change', 'a.js');
+    jest.advanceTimersByTime(1000);
+    jest.useRealTimers();
+    await settled(id);
+
+    expect(await gitStatusOf(id, 'a.js')).toMatchObject({ modified: true, untracked: false });
+  });
+});
+
+describe('Live updates', () => {
+  let broadcast;
+
+  // Resolves with the payload of the next broadcast of an event
+  const nextBroadcast = (event) => new Promise((resolve) => {
+    broadcast.mockImplementation((name, data) => {
+      if (name === event) resolve(data);
+    });
+  });
+
+  beforeEach(() => {
+    broadcast = jest.spyOn(server.events, 'broadcast');
+  });
+
+  afterEach(async () => {
+    broadcast.mockRestore();
+    await removeDirectories();
+  });
+
+  test.each([
+    ['/file', { filePath: 'a.js', isChecked: true }],
+    ['/files/bulk', { isChecked: true, filePaths: ['a.js'] }],
+    ['/files/selection', { filePaths: ['a.js'] }],
+    ['/files/exclude-bulk', { isExcluded: true, filePaths: ['b.js'] }],
+  ])('PUT /directory/:id%s publishes directory-updated', async (route, body) => {
+    const id = await addDirectory(makeTree({ 'a.js': '', 'b.js': '' }));
+    const published = nextBroadcast('directory-updated');
+
+    await request(server.app).put(`/directory/${id}${route}`).send(body).expect(204);
+
+    const directory = await published;
+    expect(directory.id).toBe(id);
+    expect(directory.files).toEqual(expect.arrayContaining([
+      expect.objectContaining(route.includes('exclude') ? { path: 'b.js', isExcluded: true } : { path: 'a.js', isChecked: true }),
+    ]));
+  });
+
+  test('PUT /directory/:id/ignore-patterns publishes a missing directory', async () => {
+    const dir = makeTree({ 'a.js': '' });
+    const id = await addDirectory(dir);
+    fs.rmSync(dir, { recursive: true });
+    // The first rescan finds the directory gone and publishes that itself
+    const markedMissing = nextBroadcast('directory-updated');
+    await request(server.app).put(`/directory/${id}/ignore-patterns`).send({ patterns: '*.tmp' }).expect(204);
+    await markedMissing;
+    const published = nextBroadcast('directory-updated');
+
+    await request(server.app).put(`/directory/${id}/ignore-patterns`).send({ patterns: '*.log' }).expect(204);
+
+    expect(await published).toMatchObject({ id, ignorePatterns: '*.log', isMissing: true });
+  });
+
+  test('DELETE /prompts/:id only announces prompts that existed', async () => {
+    const { body } = await request(server.app).post('/prompts').send({ name: 'Gone', content: 'x' }).expect(201);
+
+    await request(server.app).delete('/prompts/9999').expect(204);
+    await request(server.app).delete(`/prompts/${body.id}`).expect(204);
+
+    const deletions = broadcast.mock.calls.filter(([name]) => name === 'prompt-deleted');
+    expect(deletions).toEqual([['prompt-deleted', { id: body.id }]]);
+  });
+});
+
+describe('Compose', () => {
+  afterEach(async () => {
+    await removePrompts();
+    await removeDirectories();
+  });
+
+  test('POST /compose joins prompts in the requested order', async () => {
+    const firstId = await addPrompt('First', 'One.');
+    const secondId = await addPrompt('Second', 'Two.');
+    const directoryId = await addDirectory(makeTree({ 'a.js': 'const a = 1;', 'b.js': 'skipped' }));
+    await request(server.app).put(`/directory/${directoryId}/file`).send({ filePath: 'a.js', isChecked: true }).expect(204);
+
+    const { body } = await request(server.app).post('/compose')
+      .send({ promptIds: [secondId, directoryId, firstId], additionalInstructions: 'Be brief.' })
+      .expect(200);
+
+    const directoryName = (await getDirectory(directoryId)).name;
+    expect(body.text).toBe([
+      'Two.',
+      `Directory Tree (${directoryName}):`,
+      '[x] a.js',
+      '[ ] b.js',
+      '```a.js\nconst a = 1;\n```',
+      'One.',
+      '',
+      'Be brief.',
+    ].join('\n'));
+  });
+
+  test('POST /compose reports unknown prompt ids', async () => {
+    const id = await addPrompt('Known', 'Here.');
+
+    const { body } = await request(server.app).post('/compose').send({ promptIds: [id, 9998, 9999] }).expect(404);
+
+    expect(body.error).toBe('Prompts not found: 9998, 9999');
+    await request(server.app).post('/compose').send({ promptIds: ['1'] }).expect(400);
+  });
+
+  test('POST /compose counts tokens with the requested or stored tokenizer model', async () => {
+    const id = await addPrompt('Long', 'a'.repeat(35));
+    const { body: stored } = await request(server.app).get('/settings/tokenizer-model').expect(200);
+
+    try {
+      const { body: claude } = await request(server.app).post('/compose')
+        .send({ promptIds: [id], tokenizerModel: 'claude' })
+        .expect(200);
+      expect(claude.tokenCount).toBe(countTokens('a'.repeat(35), 'claude'));
+
+      await request(server.app).put('/settings/tokenizer-model').send({ model: 'o200k' }).expect(204);
+      const { body: fallback } = await request(server.app).post('/compose').send({ promptIds: [id] }).expect(200);
+      expect(fallback.tokenCount).toBe(countTokens('a'.repeat(35), 'o200k'));
+
+      const { body: invalid } = await request(server.app).post('/compose')
+        .send({ promptIds: [id], tokenizerModel: 'gpt-2' })
+        .expect(400);
+      expect(invalid.code).toBe('INVALID_TOKENIZER_MODEL');
+    } finally {
+      await request(server.app).put('/settings/tokenizer-model').send({ model: stored.model });
+    }
+  });
+
+  test('POST /compose renders the requested output format', async () => {
+    const introId = await addPrompt('Intro', 'Review this.');
+    const directoryId = await addDirectory(makeTree({ 'a.js': 'const a = 1;' }));
+    await request(server.app).put(`/directory/${directoryId}/file`).send({ filePath: 'a.js', isChecked: true }).expect(204);
+
+    const { body } = await request(server.app).post('/compose')
+      .send({ promptIds: [introId, directoryId], additionalInstructions: 'Be brief.', outputFormat: 'xml' })
+      .expect(200);
+
+    const directoryName = (await getDirectory(directoryId)).name;
+    expect(body.text).toBe([
+      '<prompt name="Intro">\nReview this.\n</prompt>',
+      `<directory name="${directoryName}">`,
+      '<tree>\n[x] a.js\n</tree>',
+      '<file path="a.js">\nconst a = 1;\n</file>',
+      '</directory>',
+      '',
+      '<instructions>\nBe brief.\n</instructions>',
+    ].join('\n'));
+  });
+
+  test('POST /compose fills template variables and defaults', async () => {
+    const id = await addPrompt('Review', 'Review {{ticket}} in {{language:English}}, {{ticket}}.');
+
+    const { body } = await request(server.app).post('/compose')
+      .send({ promptIds: [id], variables: { ticket: 'PN-42' } })
+      .expect(200);
+
+    expect(body.text).toBe('Review PN-42 in English, PN-42.');
+  });
+
+  test('POST /compose lists the required variables still missing', async () => {
+    const reviewId = await addPrompt('Review', 'Review {{ticket}} as {{persona:a reviewer}}.');
+    const contextId = await addPrompt('Context', 'Repo {{repo}}, branch {{branch}}.');
+
+    const { body } = await request(server.app).post('/compose')
+      .send({ promptIds: [reviewId, contextId], variables: { branch: 'main', ticket: '' } })
+      .expect(400);
+
+    expect(body).toEqual({
+      error: 'Missing template variables: ticket, repo',
+      code: 'MISSING_TEMPLATE_VARIABLES',
+      missingVariables: ['ticket', 'repo'],
+    });
+    await request(server.app).post('/compose').send({ promptIds: [reviewId], variables: ['PN-42'] }).expect(400);
+  });
+
+  test('POST /compose rejects unknown output formats', async () => {
+    const { body } = await request(server.app).post('/compose')
+      .send({ promptIds: [], outputFormat: 'html' })
+      .expect(400);
+
+    expect(body).toEqual({ error: 'outputFormat must be one of: markdown, xml, plain, json', code: 'INVALID_OUTPUT_FORMAT' });
+  });
+});
+
+describe('Directory files', () => {
+  afterEach(removeDirectories);
+
+  const checkedPaths = async (id) => (await getDirectory(id)).files
+    .filter(file => file.isChecked).map(file => file.path).sort();
+
+  test('POST /directory/:id/files/contents reads files in request order with per-file errors', async () => {
+    const id = await addDirectory(makeTree({ 'a.js': 'const a = 1;', 'src/b.js': 'const b = 2;' }));
+
+    const { body } = await request(server.app).post(`/directory/${id}/files/contents`)
+      .send({ filePaths: ['src/b.js', 'a.js', 'unknown.js', '../a.js'] })
+      .expect(200);
+
+    expect(body.files).toEqual([
+      { path: 'src/b.js', content: 'const b = 2;' },
+      { path: 'a.js', content: 'const a = 1;' },
+      { path: 'unknown.js', error: expect.any(String), code: 'NOT_IN_FILE_LIST' },
+      { path: '../a.js', error: expect.any(String), code: 'OUTSIDE_ROOT' },
+    ]);
+    await request(server.app).post(`/directory/${id}/files/contents`).send({ filePaths: 'a.js' }).expect(400);
+    await request(server.app).post('/directory/9999/files/contents').send({ filePaths: ['a.js'] }).expect(404);
+  });
+
+  test('PUT /directory/:id/files/bulk checks the listed files', async () => {
+    const id = await addDirectory(makeTree({ 'a.js': '', 'b.js': '', 'c.md': '' }));
+
+    await request(server.app).put(`/directory/${id}/files/bulk`)
+      .send({ isChecked: true, filePaths: ['a.js', 'c.md'] })
+      .expect(204);
+    expect(await checkedPaths(id)).toEqual(['a.js', 'c.md']);
+
+    await request(server.app).put(`/directory/${id}/files/bulk`).send({ isChecked: false, filePaths: ['a.js'] }).expect(204);
+    expect(await checkedPaths(id)).toEqual(['c.md']);
+  });
+
+  test('PUT /directory/:id/files/bulk checks the files matching a pattern and lists them', async () => {
+    const id = await addDirectory(makeTree({ 'a.js': '', 'src/b.js': '', 'src/c.md': '' }));
+
+    const { body } = await request(server.app).put(`/directory/${id}/files/bulk`)
+      .send({ isChecked: true, pattern: 'src/**/*.js' })
+      .expect(200);
+
+    expect(body).toEqual({ filePaths: ['src/b.js'] });
+    expect(await checkedPaths(id)).toEqual(['src/b.js']);
+
+    const { body: regex } = await request(server.app).put(`/directory/${id}/files/bulk`)
+      .send({ isChecked: true, pattern: '\\.md$', patternType: 'regex' })
+      .expect(200);
+    expect(regex).toEqual({ filePaths: ['src/c.md'] });
+
+    const { body: invalid } = await request(server.app).put(`/directory/${id}/files/bulk`)
+      .send({ isChecked: true, pattern: '(', patternType: 'regex' })
+      .expect(400);
+    expect(invalid.code).toBe('INVALID_PATTERN');
+  });
+
+  test('GET /directory/:id/tokens counts each file in the requested output format', async () => {
+    const id = await addDirectory(makeTree({ 'a.js': 'const a = 1;' }));
+
+    const { body: markdown } = await request(server.app).get(`/directory/${id}/tokens?model=cl100k`).expect(200);
+    const { body: xml } = await request(server.app)
+      .get(`/directory/${id}/tokens?model=cl100k&outputFormat=xml`)
+      .expect(200);
+
+    expect(markdown).toEqual({
+      model: 'cl100k',
+      outputFormat: 'markdown',
+      files: { 'a.js': countTokens('```a.js\nconst a = 1;\n```', 'cl100k') },
+    });
+    expect(xml).toEqual({
+      model: 'cl100k',
+      outputFormat: 'xml',
+      files: { 'a.js': countTokens('<file path="a.js">\nconst a = 1;\n</file>', 'cl100k') },
+    });
+
+    const { body: invalid } = await request(server.app).get(`/directory/${id}/tokens?outputFormat=html`).expect(400);
+    expect(invalid.code).toBe('INVALID_OUTPUT_FORMAT');
+  });
+});
+
+describe('Presets', () => {
+  let presetIds = [];
+
+  afterEach(async () => {
+    await Promise.all(presetIds.map(id => request(server.app).delete(`/presets/${id}`)));
+    presetIds = [];
+    await removeDirectories();
+  });
+
+  test('POST /presets/:id/apply restores file states and reports what is missing', async () => {
+    const id = await addDirectory(makeTree({ 'a.js': '', 'b.js': '' }));
+    const { body: created } = await request(server.app).post('/presets').send({
+      name: 'Review',
+      state: {
+        selectedPromptIds: [id, 9999],
+        promptOrder: [id, 9999],
+        directories: [{ promptId: id, checkedPaths: ['a.js', 'gone.js'], excludedPaths: ['b.js'] }],
+        additionalInstructions: '',
+      },
+    }).expect(201);
+    presetIds.push(created.id);
+
+    const { body } = await request(server.app).post(`/presets/${created.id}/apply`).expect(200);
+
+    const directory = await getDirectory(id);
+    expect(body.missingPromptIds).toEqual([9999]);
+    expect(body.missingFiles).toEqual([{ promptId: id, promptName: directory.name, path: 'gone.js' }]);
+    expect(directory.files).toEqual(expect.arrayContaining([
+      expect.objectContaining({ path: 'a.js', isChecked: true }),
+      expect.objectContaining({ path: 'b.js', isExcluded: true }),
+    ]));
+    await request(server.app).post('/presets/9999/apply').expect(404);
+  });
+});
+
+describe('Search', () => {
+  afterEach(async () => {
+    await removePrompts();
+    await removeDirectories();
+  });
+
+  test('GET /search finds prompts and file lines', async () => {
+    const promptId = await addPrompt('Aquarium', 'Feed the zebrafish daily.');
+    const directoryId = await addDirectory(makeTree({ 'fish.txt': 'first line\nzebrafish live here' }));
+
+    const { body } = await request(server.app).get('/search').query({ q: 'zebrafish' }).expect(200);
+
+    expect(body.query).toBe('zebrafish');
+    expect(body.prompts.map(prompt => prompt.id)).toEqual([promptId]);
+    expect(body.prompts[0].snippet.text).toContain('zebrafish');
+    expect(body.files).toEqual([
+      expect.objectContaining({ promptId: directoryId, path: 'fish.txt', line: 2 }),
+    ]);
+    expect(body.truncated).toBe(false);
+  });
+
+  test('GET /search limits results to a scope and validates the query', async () => {
+    await addPrompt('Aquarium', 'Feed the zebrafish daily.');
+    await addDirectory(makeTree({ 'fish.txt': 'zebrafish' }));
+
+    const { body } = await request(server.app).get('/search').query({ q: 'zebrafish', scope: 'prompts' }).expect(200);
+
+    expect(body.prompts).toHaveLength(1);
+    expect(body.files).toEqual([]);
+    await request(server.app).get('/search').query({ q: ' ' }).expect(400);
+    await request(server.app).get('/search').query({ q: 'zebrafish', scope: 'tags' }).expect(400);
+  });
+});
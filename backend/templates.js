@@ -0,0 +1,68 @@
+/**
+ * @file templates.js
+ * @description Template variables in text prompts: `{{name}}` placeholders, with an
+ *              optional default as `{{name:default}}`, filled in by POST /compose.
+ *
+ * @notes
+ * - Mirrors frontend/src/utils/templates.js so /compose matches the UI; change both together.
+ * - Directory file contents are code, where `{{` means something else, and are never
+ *   templated.
+ */
+
+// {{name}} or {{name:default}}; names start with a letter or underscore
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*(?::([^}]*))?\}\}/g;
+
+/**
+ * @function findTemplateVariables
+ * @description Lists the variables used in some texts, in order of first use. A variable is
+ *              required unless one of its placeholders gives a default; the first default
+ *              given wins.
+ * @param {Array<string>} texts - Prompt contents
+ * @returns {Array<Object>} { name, defaultValue (undefined if none), isRequired }
+ */
+const findTemplateVariables = (texts) => {
+  const variables = new Map();
+  texts.forEach(text => {
+    if (!text) return;
+    for (const [, name, defaultValue] of text.matchAll(VARIABLE_PATTERN)) {
+      const variable = variables.get(name);
+      if (!variable) {
+        variables.set(name, { name, defaultValue });
+      } else if (variable.defaultValue === undefined) {
+        variable.defaultValue = defaultValue;
+      }
+    }
+  });
+  return [...variables.values()].map(variable => ({
+    ...variable,
+    isRequired: variable.defaultValue === undefined,
+  }));
+};
+
+/**
+ * @function fillTemplate
+ * @description Replaces placeholders with their filled value, or else their default.
+ *              Placeholders with neither are left as they are.
+ * @param {string} text - Prompt content
+ * @param {Object} values - Variable name -> filled value
+ * @returns {string}
+ */
+const fillTemplate = (text, values) => {
+  if (!text) return text;
+  return text.replace(VARIABLE_PATTERN, (placeholder, name, defaultValue) => {
+    if (values[name]) return values[name];
+    return defaultValue !== undefined ? defaultValue : placeholder;
+  });
+};
+
+/**
+ * @function findMissingVariables
+ * @description Lists required variables without a filled value
+ * @param {Array<Object>} variables - From findTemplateVariables
+ * @param {Object} values - Variable name -> filled value
+ * @returns {Array<string>} Names
+ */
+const findMissingVariables = (variables, values) =>
+  variables.filter(variable => variable.isRequired && !values[variable.name]).map(variable => variable.name);
+
+module.exports = { findTemplateVariables, fillTemplate, findMissingVariables };
@@ -0,0 +1,38 @@
+/**
+ * @file templates.test.js
+ * @description Tests for finding and filling template variables in templates.js.
+ *              Expectations are shared with frontend/src/utils/__tests__/templates.test.js.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - templates.js: Module under test
+ */
+
+const { findTemplateVariables, findMissingVariables, fillTemplate } = require('./templates');
+
+describe('templates', () => {
+  test('lists variables in order of first use, merging defaults across texts', () => {
+    const variables = findTemplateVariables([
+      'Translate to {{ language }} for {{ticket}}.',
+      'Ticket {{ticket:none}} as {{persona:a senior reviewer}}, {{empty:}}',
+      null,
+    ]);
+    expect(variables).toEqual([
+      { name: 'language', defaultValue: undefined, isRequired: true },
+      { name: 'ticket', defaultValue: 'none', isRequired: false },
+      { name: 'persona', defaultValue: 'a senior reviewer', isRequired: false },
+      { name: 'empty', defaultValue: '', isRequired: false },
+    ]);
+    expect(findMissingVariables(variables, { language: '' })).toEqual(['language']);
+    expect(findMissingVariables(variables, { language: 'Go' })).toEqual([]);
+  });
+
+  test('ignores braces that are not variables', () => {
+    expect(findTemplateVariables(['{{> header}} {{1st}} {{}} { {x} }'])).toEqual([]);
+  });
+
+  test('uses filled values, then defaults, and leaves the rest in place', () => {
+    expect(fillTemplate('{{a}} {{b:two}} {{c}} {{a:ignored}}', { a: 'one', c: '' }))
+      .toBe('one two {{c}} one');
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * @file tokenCounts.js
+ * @description Per-file token counts of a directory prompt, served from a cache that is
+ *              invalidated by mtime and reused when the content hash is unchanged.
+ *
+ * @dependencies
+ * - crypto: Content hashes
+ * - pathGuard.js: For validating paths before reading them
+ * - binaryFiles.js: For reading text files
+ * - formatters.js: For the block a file contributes to the master prompt in each format
+ * - tokenizer.js: For counting tokens per model
+ *
+ * @notes
+ * - A file's count is the tokens of its block in the master prompt in the chosen output
+ *   format, not of the bare content, so the numbers add up to what including the file
+ *   costs. Counts are cached per model and format.
+ * - Counting is pure: the caller loads the cache rows and saves the returned updates.
+ */
+
+const crypto = require('crypto');
+const { createPathGuard } = require('./pathGuard');
+const { readTextFile } = require('./binaryFiles');
+const { getOutputFormat } = require('./formatters');
+const { countTokens } = require('./tokenizer');
+
+/**
+ * @function hashContent
+ * @description Hashes file contents for cache validation
+ * @param {string} content - File contents
+ * @returns {string} Hex SHA-1
+ */
+const hashContent = (content) => crypto.createHash('sha1').update(content).digest('hex');
+
+/**
+ * @function countDirectoryTokens
+ * @description Counts the tokens of every text file of a directory prompt for a model
+ * @param {Object} prompt - Directory prompt {content: root path, files}
+ * @param {Array<Object>} cacheEntries - From db.getDirectoryTokenCache
+ * @param {string} model - Tokenizer model id
+ * @param {string} ignorePatterns - The prompt's effective ignore patterns
+ * @param {string} outputFormat - Output format value (see formatters.js), default Markdown
+ * @returns {Promise<Object>} { counts: {[path]: number|null}, updates: [{path, mtime, hash,
+ *          tokenCounts}] } where null marks binary or unreadable files and updates are the
+ *          cache entries to save
+ */
+const countDirectoryTokens = async (prompt, cacheEntries, model, ignorePatterns = '', outputFormat) => {
+  const resolvePath = createPathGuard(prompt, ignorePatterns);
+  const format = getOutputFormat(outputFormat);
+  const countKey = `${model}:${format.value}`;
+  const counts = {};
+  const updates = [];
+
+  for (const entry of cacheEntries) {
+    const cached = entry.tokenCounts;
+    if (entry.isBinary) {
+      counts[entry.path] = null;
+      continue;
+    }
+    // hash is only set while the file's mtime is unchanged since it was last hashed
+    if (entry.hash && cached && cached.hash === entry.hash && cached.counts[countKey] !== undefined) {
+      counts[entry.path] = cached.counts[countKey];
+      continue;
+    }
+
+    let content;
+    try {
+      content = await readTextFile(await resolvePath(entry.path));
+    } catch (err) {
+      counts[entry.path] = null;
+      continue;
+    }
+
+    const hash = hashContent(content);
+    // Same content under a new mtime (touch, checkout) keeps the counts of other models and formats
+    const previousCounts = cached && cached.hash === hash ? cached.counts : {};
+    const tokens = previousCounts[countKey] !== undefined
+      ? previousCounts[countKey]
+      : countTokens(format.renderFile({ path: entry.path, content }), model);
+
+    counts[entry.path] = tokens;
+    updates.push({
+      path: entry.path,
+      mtime: entry.mtime,
+      hash,
+      tokenCounts: { hash, counts: { ...previousCounts, [countKey]: tokens } },
+    });
+  }
+
+  return { counts, updates };
+};
+
+module.exports = { countDirectoryTokens, hashContent };
@@ -0,0 +1,102 @@
+/**
+ * @file tokenCounts.test.js
+ * @description Tests for cached per-file token counts in tokenCounts.js.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - tokenCounts.js: Module under test
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { countDirectoryTokens, hashContent } = require('./tokenCounts');
+const { countTokens } = require('./tokenizer');
+
+describe('tokenCounts', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'promptner-tokens-'));
+    fs.writeFileSync(path.join(tmpDir, 'a.js'), 'const a = 1;');
+    fs.writeFileSync(path.join(tmpDir, 'b.js'), 'const b = 2;');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const prompt = () => ({
+    content: tmpDir,
+    isDirectory: true,
+    files: ['a.js', 'b.js', 'gone.js', 'logo.png'].map(p => ({ path: p })),
+  });
+
+  const entry = (filePath, fields = {}) => ({
+    path: filePath, mtime: 1, isBinary: false, hash: null, tokenCounts: null, ...fields,
+  });
+
+  test('counts the fenced block of each text file and returns cache updates', async () => {
+    const { counts, updates } = await countDirectoryTokens(
+      prompt(),
+      [entry('a.js'), entry('gone.js'), entry('logo.png', { isBinary: true })],
+      'o200k'
+    );
+
+    const expected = countTokens('```a.js\nconst a = 1;\n```', 'o200k');
+    expect(counts).toEqual({ 'a.js': expected, 'gone.js': null, 'logo.png': null });
+    expect(updates).toEqual([{
+      path: 'a.js',
+      mtime: 1,
+      hash: hashContent('const a = 1;'),
+      tokenCounts: { hash: hashContent('const a = 1;'), counts: { 'o200k:markdown': expected } },
+    }]);
+  });
+
+  test('serves fresh cache entries without reading the file', async () => {
+    const hash = hashContent('something else');
+    const { counts, updates } = await countDirectoryTokens(
+      prompt(),
+      [entry('a.js', { hash, tokenCounts: { hash, counts: { 'cl100k:markdown': 99 } } })],
+      'cl100k'
+    );
+    expect(counts['a.js']).toBe(99);
+    expect(updates).toEqual([]);
+  });
+
+  test('reuses counts after an mtime change when the content is the same', async () => {
+    const hash = hashContent('const b = 2;');
+    const { counts, updates } = await countDirectoryTokens(
+      prompt(),
+      [entry('b.js', { tokenCounts: { hash, counts: { 'cl100k:markdown': 99, 'o200k:markdown': 98 } } })],
+      'cl100k'
+    );
+    expect(counts['b.js']).toBe(99);
+    expect(updates[0].tokenCounts).toEqual({ hash, counts: { 'cl100k:markdown': 99, 'o200k:markdown': 98 } });
+  });
+
+  test('recounts changed content and drops counts of other models', async () => {
+    const { counts, updates } = await countDirectoryTokens(
+      prompt(),
+      [entry('b.js', { tokenCounts: { hash: 'old', counts: { 'cl100k:markdown': 99, 'o200k:markdown': 98 } } })],
+      'cl100k'
+    );
+    expect(counts['b.js']).toBe(countTokens('```b.js\nconst b = 2;\n```', 'cl100k'));
+    expect(Object.keys(updates[0].tokenCounts.counts)).toEqual(['cl100k:markdown']);
+  });
+
+  test('counts the block of the requested output format alongside counts of other formats', async () => {
+    const hash = hashContent('const b = 2;');
+    const { counts, updates } = await countDirectoryTokens(
+      prompt(),
+      [entry('b.js', { hash, tokenCounts: { hash, counts: { 'cl100k:markdown': 99 } } })],
+      'cl100k',
+      '',
+      'xml'
+    );
+
+    const expected = countTokens('<file path="b.js">\nconst b = 2;\n</file>', 'cl100k');
+    expect(counts['b.js']).toBe(expected);
+    expect(updates[0].tokenCounts).toEqual({ hash, counts: { 'cl100k:markdown': 99, 'cl100k:xml': expected } });
+  });
+});
@@ -0,0 +1,53 @@
+/**
+ * @file tokenizer.js
+ * @description Token counting for the selectable tokenizer models, matching
+ *              frontend/src/utils/tokenizer.js.
+ *
+ * @dependencies
+ * - gpt-tokenizer: cl100k_base and o200k_base encodings
+ *
+ * @notes
+ * - 'claude' and 'llama' have no public tokenizer we can bundle; they are estimated from
+ *   the character count and labelled as approximate in the UI.
+ * - Keep the model list in sync with the frontend.
+ */
+
+const cl100k = require('gpt-tokenizer/encoding/cl100k_base');
+const o200k = require('gpt-tokenizer/encoding/o200k_base');
+
+const TOKENIZER_MODELS = {
+  cl100k: { encode: cl100k.encode },
+  o200k: { encode: o200k.encode },
+  claude: { charsPerToken: 3.5 },
+  llama: { charsPerToken: 4 },
+};
+
+const DEFAULT_TOKENIZER_MODEL = 'cl100k';
+
+/**
+ * @function isTokenizerModel
+ * @description Checks a model id against the supported models
+ * @param {string} model - Model id
+ * @returns {boolean}
+ */
+const isTokenizerModel = (model) => Object.prototype.hasOwnProperty.call(TOKENIZER_MODELS, model);
+
+/**
+ * @function countTokens
+ * @description Counts tokens in text for a model (unknown models use the default)
+ * @param {string} text - Text to count
+ * @param {string} model - Model id
+ * @returns {number}
+ */
+const countTokens = (text, model = DEFAULT_TOKENIZER_MODEL) => {
+  if (!text) return 0;
+  const { encode, charsPerToken } = TOKENIZER_MODELS[isTokenizerModel(model) ? model : DEFAULT_TOKENIZER_MODEL];
+  return encode ? encode(text).length : Math.ceil(text.length / charsPerToken);
+};
+
+module.exports = {
+  TOKENIZER_MODELS: Object.keys(TOKENIZER_MODELS),
+  DEFAULT_TOKENIZER_MODEL,
+  isTokenizerModel,
+  countTokens,
+};
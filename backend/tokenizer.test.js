@@ -0,0 +1,32 @@
+/**
+ * @file tokenizer.test.js
+ * @description Tests for token counting per tokenizer model in tokenizer.js.
+ *
+ * @dependencies
+ * - Jest: Testing framework
+ * - tokenizer.js: Module under test
+ */
+
+const { countTokens, isTokenizerModel, TOKENIZER_MODELS } = require('./tokenizer');
+
+describe('tokenizer', () => {
+  const text = 'const answer = () => 42; // 日本語のコメント';
+
+  test('counts with each encoding', () => {
+    expect(countTokens(text, 'o200k')).toBeLessThan(countTokens(text, 'cl100k'));
+    expect(countTokens(text)).toBe(countTokens(text, 'cl100k'));
+    expect(countTokens('', 'o200k')).toBe(0);
+  });
+
+  test('estimates approximate models from the character count', () => {
+    expect(countTokens('a'.repeat(35), 'claude')).toBe(10);
+    expect(countTokens('a'.repeat(10), 'llama')).toBe(3);
+  });
+
+  test('validates model ids', () => {
+    expect(TOKENIZER_MODELS).toEqual(['cl100k', 'o200k', 'claude', 'llama']);
+    expect(isTokenizerModel('o200k')).toBe(true);
+    expect(isTokenizerModel('toString')).toBe(false);
+    expect(countTokens(text, 'nope')).toBe(countTokens(text, 'cl100k'));
+  });
+});
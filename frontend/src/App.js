@@ -13,14 +13,37 @@
  * - MasterPrompt: For displaying combined selected prompts
  * - SelectedPromptList: For managing selected prompt order
  * - DirectoryManager: For managing watched directories
+ * - PresetSwitcher: For saving and loading named selections
+ * - SearchResults: For full-text search results over prompts and watched files
  *
  * @notes
  * - Fetches prompts on mount and updates state with directory prompts.
  * - Replaced directory picker with a modal for full directory management.
  * - Master Prompt now includes a condensed directory tree and checked file contents.
+ * - Directory prompts with a git diff section get a fenced diff block after their tree,
+ *   matching the backend composer.
+ * - Subscribes to the backend event stream so prompt edits and directory file lists
+ *   update live; after a reconnect the prompts are refetched to catch missed events.
+ * - The master prompt is built as segments (utils/composer.js) so MasterPrompt can fit it
+ *   to a token budget.
+ * - Directory segments are cached per prompt: an update of one directory refetches only
+ *   that directory's files, and a stale build never overwrites a newer one.
+ * - Token counts everywhere use the tokenizer model chosen in MasterPrompt, saved on the
+ *   backend. The output format chosen there is kept here too, so the file tree counts each
+ *   file as the block it adds to the master prompt.
+ * - Text prompts are added with their `{{> prompt-name}}` includes expanded
+ *   (utils/includes.js).
+ * - The working session (selection, order, expanded prompts, search filter, additional
+ *   instructions) is saved to localStorage (utils/session.js) and restored on load; prompts
+ *   deleted in the meantime are dropped from it whenever prompts are fetched.
+ * - "Search Contents" runs the search box text through GET /search (prompt contents and
+ *   watched files); results can select a prompt or check a file, which also selects its
+ *   directory so the file shows up in the master prompt.
+ * - Additional instructions live here rather than in MasterPrompt so presets can save and
+ *   restore them along with the selection and the file states.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import {
   Box,
   Heading,
@@ -42,30 +65,104 @@ import PromptEditor from './components/PromptEditor';
 import MasterPrompt from './components/MasterPrompt';
 import SelectedPromptList from './components/SelectedPromptList';
 import DirectoryManager from './components/DirectoryManager';
-import { getPrompts, createPrompt, updatePrompt, deletePrompt, setDirectory, updateDirectoryFileState, updateDirectoryFileExcludeState, getFileContent, updateAllDirectoryFileStates, refreshDirectoryPrompt, updateDirectoryFilesExcludeBulk } from './api';
+import PresetSwitcher from './components/PresetSwitcher';
+import SearchResults from './components/SearchResults';
+import { buildTreeText, renderSegments } from './utils/composer';
+import { DEFAULT_TOKENIZER_MODEL } from './utils/tokenizer';
+import { DEFAULT_OUTPUT_FORMAT } from './utils/formatters';
+import { expandIncludes } from './utils/includes';
+import { loadSession, saveSession } from './utils/session';
+import { getPrompts, createPrompt, updatePrompt, deletePrompt, setDirectory, updateDirectoryFileState, updateDirectoryFileExcludeState, getFileContents, updateAllDirectoryFileStates, refreshDirectoryPrompt, updateDirectoryFilesExcludeBulk, subscribeToEvents, selectDirectoryFiles, updateDirectoryDiffSection, getDirectoryDiff, getTokenizerModel, updateTokenizerModel, searchContents } from './api';
+
+/**
+ * @function buildDirectorySegment
+ * @description Fetches the checked files and the git diff of a directory prompt as a
+ *              master prompt segment
+ * @param {Object} prompt - Directory prompt
+ * @param {boolean} isSelected - Whether the directory itself is selected; unselected
+ *                              directories only contribute when files are checked
+ * @returns {Promise<Object|null>} Directory segment, or null if it contributes nothing
+ */
+const buildDirectorySegment = async (prompt, isSelected) => {
+  // Get checked files (metadata only at this point)
+  const checkedFiles = prompt.files.filter(f => f.isChecked && !f.isExcluded);
+  if (!checkedFiles.length && !isSelected) return null;
+
+  // Fetch all checked files of this directory in one request
+  let files;
+  try {
+    const contents = checkedFiles.length
+      ? await getFileContents(prompt.id, checkedFiles.map(f => f.path))
+      : [];
+    files = contents
+      // Skip files deleted since the last scan instead of showing an error
+      .filter(file => file.code !== 'ENOENT')
+      .map(file => (file.error === undefined
+        ? { path: file.path, content: file.content }
+        : { path: file.path, error: file.error }));
+  } catch (error) {
+    console.error(`Error fetching contents for ${prompt.name}:`, error);
+    files = checkedFiles.map(file => ({ path: file.path, error: error.message }));
+  }
+  // The git diff section goes between the tree and the file contents
+  let diff = null;
+  if (prompt.diffSection) {
+    try {
+      const content = await getDirectoryDiff(prompt.id);
+      if (content) diff = { content };
+    } catch (error) {
+      diff = { error: error.message };
+    }
+  }
+  return {
+    type: 'directory',
+    promptId: prompt.id,
+    name: prompt.name,
+    tree: buildTreeText(prompt.files),
+    diff,
+    files,
+  };
+};
 
 function App() {
+  const [restoredSession] = useState(loadSession);
   const [prompts, setPrompts] = useState([]);
-  const [selectedPrompts, setSelectedPrompts] = useState([]);
-  const [selectedPromptOrder, setSelectedPromptOrder] = useState([]);
+  const [selectedPrompts, setSelectedPrompts] = useState(restoredSession.selectedPrompts);
+  const [selectedPromptOrder, setSelectedPromptOrder] = useState(restoredSession.selectedPromptOrder);
   const [editingPrompt, setEditingPrompt] = useState(null);
-  const [tagFilter, setTagFilter] = useState('');
-  const [expandedStates, setExpandedStates] = useState({});
+  const [tagFilter, setTagFilter] = useState(restoredSession.tagFilter);
+  const [expandedStates, setExpandedStates] = useState(restoredSession.expandedStates);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [isPromptModalOpen, setIsPromptModalOpen] = useState(false);
-  const [refreshInterval, setRefreshInterval] = useState(null);
+  const [tokenizerModel, setTokenizerModel] = useState(DEFAULT_TOKENIZER_MODEL);
+  const [additionalInstructions, setAdditionalInstructions] = useState(restoredSession.additionalInstructions);
+  const [outputFormat, setOutputFormat] = useState(DEFAULT_OUTPUT_FORMAT);
+  const [searchResults, setSearchResults] = useState(null);
+  const [isSearching, setIsSearching] = useState(false);
   const toast = useToast();
 
   const flexDirection = useBreakpointValue({ base: 'column', md: 'row' });
 
-  const fetchPrompts = async () => {
+  // Drops selections and expanded states of prompts that no longer exist, such as prompts
+  // deleted while the app was closed or while the event stream was down
+  const forgetMissingPrompts = useCallback((data) => {
+    const ids = new Set(data.map(p => p.id));
+    setSelectedPrompts(prev => prev.filter(id => ids.has(id)));
+    setSelectedPromptOrder(prev => prev.filter(id => ids.has(id)));
+    setExpandedStates(prev =>
+      Object.fromEntries(Object.entries(prev).filter(([id]) => ids.has(Number(id))))
+    );
+  }, []);
+
+  const fetchPrompts = useCallback(async ({ silent = false } = {}) => {
     try {
       const data = await getPrompts();
       setPrompts(data);
+      forgetMissingPrompts(data);
     } catch (error) {
       console.error('Error fetching prompts:', error);
       // Only show toast on initial load, not during background refreshes
-      if (!refreshInterval) {
+      if (!silent) {
         toast({
           title: 'Error Fetching Prompts',
           description: error.message,
@@ -75,30 +172,59 @@ function App() {
         });
       }
     }
-  };
+  }, [toast, forgetMissingPrompts]);
   
-  // Function to refresh prompts that can be called after a directory refresh
-  const refreshPrompts = async () => {
+  // Adds a prompt, or replaces the fields of the one with the same ID
+  const upsertPrompt = (prompt) => {
+    setPrompts(prevPrompts =>
+      prevPrompts.some(p => p.id === prompt.id)
+        ? prevPrompts.map(p => (p.id === prompt.id ? { ...p, ...prompt } : p))
+        : [prompt, ...prevPrompts]
+    );
+  };
+
+  // Drops a prompt along with its selection and expanded state
+  const removePrompt = (id) => {
+    setPrompts(prevPrompts => prevPrompts.filter(p => p.id !== id));
+    setSelectedPrompts(prev => prev.filter(pid => pid !== id));
+    setSelectedPromptOrder(prev => prev.filter(pid => pid !== id));
+    setExpandedStates(prev => {
+      const newState = { ...prev };
+      delete newState[id];
+      return newState;
+    });
+  };
+
+  // Loads the saved tokenizer model; counts use the default until it arrives
+  const fetchTokenizerModel = async () => {
     try {
-      await fetchPrompts();
+      const model = await getTokenizerModel();
+      if (model) setTokenizerModel(model);
     } catch (error) {
-      console.error('Error refreshing prompts:', error);
+      console.error('Error fetching tokenizer model:', error);
     }
   };
 
-  // Initial fetch on component mount
+  // Initial fetch on component mount, then live updates from the backend
   useEffect(() => {
     fetchPrompts();
-    
-    // Remove the polling mechanism since we're using manual refresh now
-    // The polling is no longer needed as users will refresh directories manually
-    
-    return () => {
-      if (refreshInterval) {
-        clearInterval(refreshInterval);
-      }
-    };
-  }, []);
+    fetchTokenizerModel();
+
+    return subscribeToEvents(
+      {
+        'prompt-created': upsertPrompt,
+        'prompt-updated': upsertPrompt,
+        'directory-updated': upsertPrompt,
+        'prompt-deleted': ({ id }) => removePrompt(id),
+      },
+      () => fetchPrompts({ silent: true })
+    );
+  }, [fetchPrompts]);
+
+  // Save the working session so a reload restores it
+  useEffect(() => {
+    saveSession({ selectedPrompts, selectedPromptOrder, expandedStates, tagFilter, additionalInstructions });
+  }, [selectedPrompts, selectedPromptOrder, expandedStates, tagFilter, additionalInstructions]);
 
   const handleAddPrompt = async (name, content, tags) => {
     try {
@@ -112,7 +238,7 @@ function App() {
         isDirectory: false,
         files: [],
       };
-      setPrompts([newPrompt, ...prompts]);
+      upsertPrompt(newPrompt);
       toast({
         title: 'Prompt Added',
         description: `${name} has been successfully added.`,
@@ -156,16 +282,18 @@ function App() {
     }
   };
 
+  // A restored revision replaces the prompt locally and stays open in the editor
+  const handleRestoreRevision = (restored) => {
+    setPrompts(prevPrompts =>
+      prevPrompts.map(p => (p.id === restored.id ? { ...p, ...restored } : p))
+    );
+    setEditingPrompt(prev => (prev && prev.id === restored.id ? { ...prev, ...restored } : prev));
+  };
+
   const handleDeletePrompt = async (id) => {
     try {
       await deletePrompt(id);
-      setPrompts(prompts.filter(p => p.id !== id));
-      setSelectedPrompts(selectedPrompts.filter(pid => pid !== id));
-      setExpandedStates(prev => {
-        const newState = { ...prev };
-        delete newState[id];
-        return newState;
-      });
+      removePrompt(id);
       toast({
         title: 'Prompt Deleted',
         status: 'success',
@@ -188,16 +316,13 @@ function App() {
       const newSelection = prev.includes(id) ? prev.filter(pid => pid !== id) : [...prev, id];
       setSelectedPromptOrder(newSelection);
       
-      // If this is a newly selected directory prompt, refresh it
+      // If this is a newly selected directory prompt, rescan it; the new file list
+      // arrives as a directory-updated event
       // TODO: Make directory auto-refresh configurable in settings menu
       if (!prev.includes(id) && newSelection.includes(id)) {
         const prompt = prompts.find(p => p.id === id);
         if (prompt && prompt.isDirectory) {
           refreshDirectoryPrompt(id)
-            .then(() => {
-              // Fetch updated prompts after a short delay to allow backend processing
-              setTimeout(() => refreshPrompts(), 1000);
-            })
             .catch(error => {
               console.error('Error refreshing directory:', error);
               toast({
@@ -221,7 +346,42 @@ function App() {
   };
 
   const handleTagFilterChange = (e) => setTagFilter(e.target.value);
-  const clearTagFilter = () => setTagFilter('');
+  const clearTagFilter = () => {
+    setTagFilter('');
+    setSearchResults(null);
+  };
+
+  // Searches prompt contents and watched files for the search box text
+  const handleSearchContents = async () => {
+    const query = tagFilter.trim();
+    if (!query) return;
+    setIsSearching(true);
+    try {
+      setSearchResults(await searchContents(query));
+    } catch (error) {
+      toast({
+        title: 'Search Failed',
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const handleSelectSearchResult = (id) => {
+    if (!selectedPrompts.includes(id)) handleSelectPrompt(id);
+  };
+
+  // Checks a file found by the search and selects its directory if needed
+  const handleCheckSearchResult = async (promptId, filePath) => {
+    const prompt = prompts.find(p => p.id === promptId);
+    const file = prompt && prompt.files.find(f => f.path === filePath);
+    if (file && !file.isChecked) await handleFileCheckboxChange(promptId, filePath);
+    if (!selectedPrompts.includes(promptId)) handleSelectPrompt(promptId);
+  };
 
   const handleToggleExpand = (id) => {
     setExpandedStates(prev => ({ ...prev, [id]: !prev[id] }));
@@ -240,6 +400,8 @@ function App() {
     if (!prompt || !prompt.isDirectory) return;
 
     const file = prompt.files.find(f => f.path === filePath);
+    // Binary files can never be included in the master prompt
+    if (!file || file.isBinary) return;
     const newCheckedState = !file.isChecked;
 
     try {
@@ -271,7 +433,7 @@ function App() {
       setPrompts(prevPrompts =>
         prevPrompts.map(p =>
           p.id === promptId
-            ? { ...p, files: p.files.map(f => ({ ...f, isChecked })) }
+            ? { ...p, files: p.files.map(f => ({ ...f, isChecked: isChecked && !f.isBinary })) }
             : p
         )
       );
@@ -293,6 +455,99 @@ function App() {
     }
   };
 
+  // Checks exactly the given files (e.g. those changed in git) and unchecks the rest
+  const handleSelectFiles = async (promptId, filePaths) => {
+    const prompt = prompts.find(p => p.id === promptId);
+    if (!prompt || !prompt.isDirectory) return;
+
+    try {
+      await selectDirectoryFiles(promptId, filePaths);
+      const selected = new Set(filePaths);
+      setPrompts(prevPrompts =>
+        prevPrompts.map(p =>
+          p.id === promptId
+            ? { ...p, files: p.files.map(f => ({ ...f, isChecked: selected.has(f.path) && !f.isBinary })) }
+            : p
+        )
+      );
+      toast({
+        title: 'Files Selected',
+        description: `${filePaths.length} file${filePaths.length === 1 ? '' : 's'} selected in ${prompt.name}.`,
+        status: 'success',
+        duration: 2000,
+        isClosable: true,
+      });
+    } catch (error) {
+      toast({
+        title: 'Error Selecting Files',
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    }
+  };
+
+  // Checks or excludes every file of a directory matching a glob or regex; the backend
+  // resolves the pattern and returns the paths it matched
+  const handleApplyFilePattern = async (promptId, target, action) => {
+    const prompt = prompts.find(p => p.id === promptId);
+    if (!prompt || !prompt.isDirectory) return;
+    const isCheck = action === 'check';
+
+    try {
+      const filePaths = isCheck
+        ? await updateAllDirectoryFileStates(promptId, true, target)
+        : await updateDirectoryFilesExcludeBulk(promptId, target, true);
+      const matched = new Set(filePaths);
+      setPrompts(prevPrompts =>
+        prevPrompts.map(p =>
+          p.id === promptId
+            ? {
+                ...p,
+                files: p.files.map(f => {
+                  if (!matched.has(f.path)) return f;
+                  return isCheck ? { ...f, isChecked: !f.isBinary } : { ...f, isExcluded: true };
+                }),
+              }
+            : p
+        )
+      );
+      toast({
+        title: `Files ${isCheck ? 'Checked' : 'Excluded'}`,
+        description: `${filePaths.length} file${filePaths.length === 1 ? '' : 's'} matching ${target.pattern} in ${prompt.name}.`,
+        status: 'success',
+        duration: 2000,
+        isClosable: true,
+      });
+    } catch (error) {
+      toast({
+        title: `Error ${isCheck ? 'Checking' : 'Excluding'} Files`,
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    }
+  };
+
+  const handleDiffSectionChange = async (promptId, diffSection) => {
+    try {
+      await updateDirectoryDiffSection(promptId, diffSection);
+      setPrompts(prevPrompts =>
+        prevPrompts.map(p => (p.id === promptId ? { ...p, diffSection } : p))
+      );
+    } catch (error) {
+      toast({
+        title: 'Error Updating Diff Section',
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    }
+  };
+
   const handleBulkFileExcludeToggle = async (promptId, filePaths, isExcluded) => {
     // Optimistic UI update
     setPrompts(prevPrompts =>
@@ -397,110 +652,100 @@ function App() {
       })
     : prompts;
 
-  // Build a condensed tree structure for directory prompts
-  const buildTreeText = (files, indent = '') => {
-    // Filter out .git and .venv folders and their contents
-    const filteredFiles = files.filter(file => {
-      const parts = file.path.split(/[\\/]/).filter(Boolean);
-      // Check if any part of the path is .git or .venv
-      return !parts.includes('.git') && !parts.includes('.venv') && 
-             // Also check if the path starts with .git/ or .git\
-             !file.path.startsWith('.git/') && !file.path.startsWith('.git\\') &&
-             // Exclude package-lock.json files
-             !file.path.endsWith('package-lock.json') &&
-             // Exclude log files
-             !file.path.endsWith('.log') &&
-             // Exclude files marked as excluded
-             !(file.isExcluded);
-    });
-
-    const tree = {};
-    filteredFiles.forEach(file => {
-      const parts = file.path.split(/[\\/]/).filter(Boolean);
-      let current = tree;
-      parts.forEach((part, index) => {
-        if (!current[part]) {
-          current[part] = { children: {}, isFile: index === parts.length - 1, fileData: file };
-        }
-        current = current[part].children;
-      });
-    });
+  // Directory segments of the last build, per prompt ID: {prompt, isSelected, segment}.
+  // Events replace only the prompt that changed, so every other directory keeps its
+  // fetched file contents instead of refetching them.
+  const directorySegmentCache = useRef(new Map());
 
-    const lines = [];
-    const traverse = (node, levelIndent = '') => {
-      Object.keys(node).forEach(name => {
-        const item = node[name];
-        if (item.isFile) {
-          lines.push(`${levelIndent}${item.fileData.isChecked ? '[x]' : '[ ]'} ${name}`);
-        } else {
-          lines.push(`${levelIndent}- ${name}/`);
-          traverse(item.children, levelIndent + '  ');
-        }
-      });
-    };
-    traverse(tree);
-    return lines.join('\n');
-  };
-
-  const selectedPromptsText = async () => {
-    const textPromises = selectedPromptOrder.map(async (id) => {
+  // Collect the selected prompts, in order, as segments (see utils/composer.js) so the
+  // master prompt can render them or fit them to a token budget
+  const buildSelectedSegments = useCallback(async () => {
+    const cache = directorySegmentCache.current;
+    const segmentPromises = selectedPromptOrder.map(async (id) => {
       const prompt = prompts.find(p => p.id === id);
-      if (!prompt) return '';
+      if (!prompt) return null;
       
       if (prompt.isDirectory) {
-        // Get checked files (metadata only at this point)
-        const checkedFiles = prompt.files.filter(f => 
-          f.isChecked && !f.isExcluded && !f.path.endsWith('package-lock.json') && !f.path.endsWith('.log')
-        );
-        if (!checkedFiles.length && !selectedPrompts.includes(id)) return '';
-        
-        // Build the tree text
-        const treeText = buildTreeText(prompt.files);
-        
-        // Fetch content for each checked file
-        const fileContentsPromises = checkedFiles.map(async (file) => {
-          try {
-            // Fetch the content from the backend
-            const content = await getFileContent(prompt.id, file.path);
-            return `\`\`\`${file.path}\n${content}\n\`\`\``;
-          } catch (error) {
-            console.error(`Error fetching content for ${file.path}:`, error);
-            // Skip deleted files (404 errors) instead of showing error message
-            if (error.status === 404 || (error.message && error.message.includes('404'))) {
-              return null; // Return null for deleted files
-            }
-            return `\`\`\`${file.path}\n[Error loading content: ${error.message}]\n\`\`\``;
-          }
-        });
-        
-        // Wait for all file contents to be fetched
-        const fileContents = await Promise.all(fileContentsPromises);
-        // Filter out null values (deleted files)
-        const validFileContents = fileContents.filter(content => content !== null);
-        return `Directory Tree (${prompt.name}):\n${treeText}\n${validFileContents.join('\n')}`.trim();
+        const isSelected = selectedPrompts.includes(id);
+        const cached = cache.get(id);
+        if (cached && cached.prompt === prompt && cached.isSelected === isSelected) return cached.segment;
+
+        const segment = buildDirectorySegment(prompt, isSelected);
+        cache.set(id, { prompt, isSelected, segment });
+        return segment;
       }
       
-      return prompt.content;
+      return { type: 'text', promptId: prompt.id, name: prompt.name, content: expandIncludes(prompt, prompts) };
     });
     
-    // Wait for all text promises to resolve
-    const texts = await Promise.all(textPromises);
-    return texts.filter(Boolean).join('\n');
-  };
+    // Forget directories that left the selection
+    cache.forEach((_, id) => {
+      if (!selectedPromptOrder.includes(id)) cache.delete(id);
+    });
 
-  // State for the master prompt text
+    // Wait for all segments to resolve
+    const segments = await Promise.all(segmentPromises);
+    return segments.filter(Boolean);
+  }, [prompts, selectedPrompts, selectedPromptOrder]);
+
+  // State for the master prompt segments and their rendered text
+  const [masterSegments, setMasterSegments] = useState([]);
   const [masterPromptText, setMasterPromptText] = useState('');
   
   // Update master prompt text when selections change
   useEffect(() => {
-    const updateMasterPrompt = async () => {
-      const text = await selectedPromptsText();
-      setMasterPromptText(text);
-    };
-    
-    updateMasterPrompt();
-    // Include prompts in the dependency array to ensure updates when files change
-  }, [selectedPrompts, selectedPromptOrder, prompts]);
+    // A build that finishes after a newer one started must not overwrite its segments
+    let isCurrent = true;
+    buildSelectedSegments().then((segments) => {
+      if (!isCurrent) return;
+      setMasterSegments(segments);
+      setMasterPromptText(renderSegments(segments));
+    });
+    return () => { isCurrent = false; };
+    // buildSelectedSegments changes with the selection and the prompts, including their files
+  }, [buildSelectedSegments]);
+
+  // Switches token counts to another model and saves the choice
+  const handleTokenizerModelChange = async (model) => {
+    const previousModel = tokenizerModel;
+    setTokenizerModel(model);
+    try {
+      await updateTokenizerModel(model);
+    } catch (error) {
+      setTokenizerModel(previousModel);
+      toast({
+        title: 'Error Saving Tokenizer Model',
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    }
+  };
+
+  // The current selection as preset state; only directories in the order are saved
+  const capturePresetState = () => ({
+    selectedPromptIds: selectedPrompts,
+    promptOrder: selectedPromptOrder,
+    directories: selectedPromptOrder
+      .map(id => prompts.find(p => p.id === id))
+      .filter(prompt => prompt && prompt.isDirectory)
+      .map(prompt => ({
+        promptId: prompt.id,
+        checkedPaths: prompt.files.filter(f => f.isChecked).map(f => f.path),
+        excludedPaths: prompt.files.filter(f => f.isExcluded).map(f => f.path),
+      })),
+    additionalInstructions,
+  });
+
+  // The backend has restored the file states; restore the rest, minus deleted prompts
+  const handleLoadPreset = (state, missingPromptIds) => {
+    const exists = (id) => !missingPromptIds.includes(id);
+    setSelectedPrompts(state.selectedPromptIds.filter(exists));
+    setSelectedPromptOrder(state.promptOrder.filter(exists));
+    setAdditionalInstructions(state.additionalInstructions);
+    fetchPrompts({ silent: true });
+  };
 
   const handleAddPromptClick = () => {
     setEditingPrompt(null);
@@ -524,8 +769,18 @@ function App() {
           placeholder="Search by name or tag"
           value={tagFilter}
           onChange={handleTagFilterChange}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSearchContents();
+          }}
           maxW="300px"
         />
+        <Button
+          onClick={handleSearchContents}
+          colorScheme="teal"
+          isDisabled={!tagFilter.trim() || isSearching}
+        >
+          Search Contents
+        </Button>
         <Button
           onClick={clearTagFilter}
           colorScheme="gray"
@@ -540,8 +795,22 @@ function App() {
         >
           Manage Directories
         </Button>
+        <Box ml="auto">
+          <PresetSwitcher captureState={capturePresetState} onLoad={handleLoadPreset} />
+        </Box>
       </HStack>
 
+      {searchResults && (
+        <SearchResults
+          results={searchResults}
+          prompts={prompts}
+          selectedPrompts={selectedPrompts}
+          onSelectPrompt={handleSelectSearchResult}
+          onCheckFile={handleCheckSearchResult}
+          onClose={() => setSearchResults(null)}
+        />
+      )}
+
       <Flex direction={flexDirection} gap={6}>
         {/* Column 1: Prompt list and file tree */}
         <Box flex="1" mb={{ base: 4, md: 0 }}>
@@ -560,7 +829,11 @@ function App() {
             onBulkFileCheckboxChange={handleBulkFileCheckboxChange}
             onFileExcludeToggle={handleFileExcludeToggle}
             onBulkFileExcludeToggle={handleBulkFileExcludeToggle}
-            onRefreshPrompts={refreshPrompts}
+            onSelectFiles={handleSelectFiles}
+            onDiffSectionChange={handleDiffSectionChange}
+            onApplyFilePattern={handleApplyFilePattern}
+            tokenizerModel={tokenizerModel}
+            outputFormat={outputFormat}
           />
         </Box>
 
@@ -572,13 +845,23 @@ function App() {
               prompts={prompts}
               onReorder={setSelectedPromptOrder}
               onRemove={handleRemoveSelectedPrompt}
+              tokenizerModel={tokenizerModel}
             />
           </Box>
         </Flex>
 
         {/* Column 3: Master prompt and additional instructions */}
         <Box flex="1">
-          <MasterPrompt selectedPromptsText={masterPromptText} />
+          <MasterPrompt
+            selectedPromptsText={masterPromptText}
+            segments={masterSegments}
+            tokenizerModel={tokenizerModel}
+            onTokenizerModelChange={handleTokenizerModelChange}
+            additionalInstructions={additionalInstructions}
+            onAdditionalInstructionsChange={setAdditionalInstructions}
+            outputFormat={outputFormat}
+            onOutputFormatChange={setOutputFormat}
+          />
         </Box>
       </Flex>
 
@@ -602,6 +885,8 @@ function App() {
               onEditPrompt={handleEditPrompt}
               editingPrompt={editingPrompt}
               hideHeading={true}
+              onRestoreRevision={handleRestoreRevision}
+              prompts={prompts}
             />
           </ModalBody>
         </ModalContent>
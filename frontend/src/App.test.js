@@ -27,6 +27,8 @@ jest.mock('./api');
 describe('<App />', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    api.getPresets.mockResolvedValue([]);
+    window.localStorage.clear();
   });
 
   test('renders the main header', async () => {
@@ -9,6 +9,16 @@
  * - Uses REACT_APP_API_URL from .env for the base URL.
  * - Enhanced error handling for all endpoints.
  * - Added setDirectory and updateDirectoryFileState for repo integration.
+ * - getPromptRevisions / restorePromptRevision back the prompt history drawer.
+ * - getFileContents fetches all checked files of a directory in a single request.
+ * - Ignore pattern functions edit the global defaults and per-directory overrides.
+ * - subscribeToEvents listens to the server's SSE stream for live prompt and directory updates.
+ * - selectDirectoryFiles / getGitChangedFiles back the git-aware file selection.
+ * - updateDirectoryDiffSection / getDirectoryDiff back the git diff section of directory prompts.
+ * - getTokenizerModel / updateTokenizerModel persist the tokenizer model chosen for token counts.
+ * - getDirectoryTokenCounts backs the per-file token counts in the file tree.
+ * - Preset functions save, list and load named master prompt selections.
+ * - searchContents finds prompts by content and lines in watched files (GET /search).
  */
 
 const API_URL = process.env.REACT_APP_API_URL;
@@ -82,6 +92,49 @@ export const updatePrompt = async (id, name, content, tags) => {
   }
 };
 
+/**
+ * @function getPromptRevisions
+ * @description Fetches the saved revisions of a prompt, newest first
+ * @param {number} id - Prompt ID
+ * @returns {Promise<Array>} Array of {revision, name, content, tags, createdAt}
+ */
+export const getPromptRevisions = async (id) => {
+  try {
+    const response = await fetch(`${API_URL}/prompts/${id}/revisions`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch revisions');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function restorePromptRevision
+ * @description Restores a prompt to an earlier revision (recorded as a new revision)
+ * @param {number} id - Prompt ID
+ * @param {number} revision - Revision number to restore
+ * @returns {Promise<Object>} The restored prompt {id, name, content, tags}
+ */
+export const restorePromptRevision = async (id, revision) => {
+  try {
+    const response = await fetch(`${API_URL}/prompts/${id}/revisions/${revision}/restore`, {
+      method: 'POST',
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to restore revision');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
 /**
  * @function deletePrompt
  * @description Deletes a prompt by ID
@@ -171,22 +224,25 @@ export const updateDirectoryFileExcludeState = async (id, filePath, isExcluded)
 
 /**
  * @function updateAllDirectoryFileStates
- * @description Updates the checkbox state of all files in a directory prompt
+ * @description Updates the checkbox state of all files in a directory prompt, or of those
+ *              named by a path list or matching a pattern
  * @param {number} id - Directory prompt ID
- * @param {boolean} isChecked - New checkbox state for all files
- * @returns {Promise<void>}
+ * @param {boolean} isChecked - New checkbox state
+ * @param {Object} target - Optional {filePaths} or {pattern, patternType} ('glob' or 'regex')
+ * @returns {Promise<Array<string>|null>} The matched paths for a pattern, otherwise null
  */
-export const updateAllDirectoryFileStates = async (id, isChecked) => {
+export const updateAllDirectoryFileStates = async (id, isChecked, target = {}) => {
   try {
     const response = await fetch(`${API_URL}/directory/${id}/files/bulk`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ isChecked }),
+      body: JSON.stringify({ isChecked, ...target }),
     });
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(errorData.error || 'Failed to update file states');
     }
+    return response.status === 204 ? null : (await response.json()).filePaths;
   } catch (error) {
     console.error('API error:', error.message);
     throw error;
@@ -223,6 +279,32 @@ export const getFileContent = async (directoryId, filePath) => {
   }
 };
 
+/**
+ * @function getFileContents
+ * @description Fetches the contents of many files of a directory prompt in one request
+ * @param {number} directoryId - Directory prompt ID
+ * @param {Array<string>} filePaths - Paths of the files within the directory
+ * @returns {Promise<Array<Object>>} In request order: {path, content} or {path, error, code}
+ */
+export const getFileContents = async (directoryId, filePaths) => {
+  try {
+    const response = await fetch(`${API_URL}/directory/${directoryId}/files/contents`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filePaths }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch file contents');
+    }
+    const { files } = await response.json();
+    return files;
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
 /**
  * @function refreshDirectoryPrompt
  * @description Manually triggers a refresh of a directory prompt
@@ -252,23 +334,419 @@ export const refreshDirectoryPrompt = async (directoryId) => {
  * @function updateDirectoryFilesExcludeBulk
  * @description Bulk updates exclusion state for a set of files
  * @param {number} id - Directory prompt ID
- * @param {Array<string>} filePaths - File paths to update
+ * @param {Array<string>|Object} target - File paths to update, or {pattern, patternType}
  * @param {boolean} isExcluded - Whether to exclude or include
- * @returns {Promise<void>}
+ * @returns {Promise<Array<string>|null>} The matched paths for a pattern, otherwise null
  */
-export const updateDirectoryFilesExcludeBulk = async (id, filePaths, isExcluded) => {
+export const updateDirectoryFilesExcludeBulk = async (id, target, isExcluded) => {
   try {
     const response = await fetch(`${API_URL}/directory/${id}/files/exclude-bulk`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ filePaths, isExcluded }),
+      body: JSON.stringify({ ...(Array.isArray(target) ? { filePaths: target } : target), isExcluded }),
     });
     if (!response.ok) {
       const errorData = await response.json();
       throw new Error(errorData.error || 'Failed to update file states');
     }
+    return response.status === 204 ? null : (await response.json()).filePaths;
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function getDefaultIgnorePatterns
+ * @description Fetches the global default ignore patterns
+ * @returns {Promise<string>} .gitignore-style patterns
+ */
+export const getDefaultIgnorePatterns = async () => {
+  try {
+    const response = await fetch(`${API_URL}/settings/ignore-patterns`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch ignore patterns');
+    }
+    const { patterns } = await response.json();
+    return patterns;
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function updateDefaultIgnorePatterns
+ * @description Replaces the global default ignore patterns; directories using them are rescanned
+ * @param {string} patterns - .gitignore-style patterns
+ * @returns {Promise<void>}
+ */
+export const updateDefaultIgnorePatterns = async (patterns) => {
+  try {
+    const response = await fetch(`${API_URL}/settings/ignore-patterns`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ patterns }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to update ignore patterns');
+    }
   } catch (error) {
     console.error('API error:', error.message);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * @function getTokenizerModel
+ * @description Fetches the tokenizer model used for token counts
+ * @returns {Promise<string>} Model id, e.g. 'cl100k'
+ */
+export const getTokenizerModel = async () => {
+  try {
+    const response = await fetch(`${API_URL}/settings/tokenizer-model`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch tokenizer model');
+    }
+    const { model } = await response.json();
+    return model;
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function updateTokenizerModel
+ * @description Saves the tokenizer model used for token counts
+ * @param {string} model - Model id (see utils/tokenizer.js)
+ * @returns {Promise<void>}
+ */
+export const updateTokenizerModel = async (model) => {
+  try {
+    const response = await fetch(`${API_URL}/settings/tokenizer-model`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ model }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to update tokenizer model');
+    }
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function updateDirectoryIgnorePatterns
+ * @description Sets a directory's own ignore patterns and rescans it
+ * @param {number} id - Directory prompt ID
+ * @param {string|null} patterns - .gitignore-style patterns, or null to use the defaults
+ * @returns {Promise<void>}
+ */
+export const updateDirectoryIgnorePatterns = async (id, patterns) => {
+  try {
+    const response = await fetch(`${API_URL}/directory/${id}/ignore-patterns`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ patterns }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to update ignore patterns');
+    }
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function subscribeToEvents
+ * @description Opens the server's event stream and dispatches each event to its handler.
+ *              The browser reconnects on its own after a dropped connection.
+ * @param {Object} handlers - Map of event name to handler, called with the parsed payload
+ * @param {Function} [onReconnect] - Called when the stream reopens after a drop, since
+ *                                   events sent in the meantime were missed
+ * @returns {Function} Closes the stream
+ */
+export const subscribeToEvents = (handlers, onReconnect) => {
+  const source = new EventSource(`${API_URL}/events`);
+  let hasConnected = false;
+
+  source.onopen = () => {
+    if (hasConnected && onReconnect) onReconnect();
+    hasConnected = true;
+  };
+  source.onerror = () => {
+    console.error('API error: event stream disconnected, retrying');
+  };
+
+  Object.entries(handlers).forEach(([event, handler]) => {
+    source.addEventListener(event, (message) => {
+      try {
+        handler(JSON.parse(message.data));
+      } catch (error) {
+        console.error(`API error: bad ${event} event:`, error.message);
+      }
+    });
+  });
+
+  return () => source.close();
+};
+
+/**
+ * @function selectDirectoryFiles
+ * @description Checks exactly the given files of a directory prompt and unchecks the rest
+ * @param {number} id - Directory prompt ID
+ * @param {Array<string>} filePaths - File paths to check
+ * @returns {Promise<void>}
+ */
+export const selectDirectoryFiles = async (id, filePaths) => {
+  try {
+    const response = await fetch(`${API_URL}/directory/${id}/files/selection`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ filePaths }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to select files');
+    }
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function getGitChangedFiles
+ * @description Lists files of a directory prompt that differ from a git ref: committed since
+ *              the branch point, uncommitted or untracked
+ * @param {number} id - Directory prompt ID
+ * @param {string} ref - Branch, tag or commit to compare against
+ * @returns {Promise<Array<string>>} Changed file paths
+ */
+export const getGitChangedFiles = async (id, ref) => {
+  try {
+    const response = await fetch(`${API_URL}/directory/${id}/git/changed?ref=${encodeURIComponent(ref)}`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to compare with ref');
+    }
+    const { files } = await response.json();
+    return files;
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function updateDirectoryDiffSection
+ * @description Sets the git diff section of a directory prompt
+ * @param {number} id - Directory prompt ID
+ * @param {Object|null} diffSection - { mode: 'working' | 'staged' | 'refs', baseRef, headRef },
+ *                                    or null to remove the diff section
+ * @returns {Promise<void>}
+ */
+export const updateDirectoryDiffSection = async (id, diffSection) => {
+  try {
+    const response = await fetch(`${API_URL}/directory/${id}/diff`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ diffSection }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to update diff section');
+    }
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function getDirectoryDiff
+ * @description Fetches the diff for a directory prompt's diff section
+ * @param {number} id - Directory prompt ID
+ * @returns {Promise<string>} Unified diff, '' when nothing changed
+ */
+export const getDirectoryDiff = async (id) => {
+  try {
+    const response = await fetch(`${API_URL}/directory/${id}/diff`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch diff');
+    }
+    const { diff } = await response.json();
+    return diff;
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function getDirectoryTokenCounts
+ * @description Fetches the token count of every file of a directory (cached on the backend)
+ * @param {number} id - Directory prompt ID
+ * @param {string} model - Tokenizer model id
+ * @param {string} outputFormat - Output format value; each file is counted as its block in that format
+ * @returns {Promise<Object>} Map of file path to token count, null for binary or unreadable files
+ */
+export const getDirectoryTokenCounts = async (id, model, outputFormat) => {
+  try {
+    const query = `model=${encodeURIComponent(model)}&outputFormat=${encodeURIComponent(outputFormat)}`;
+    const response = await fetch(`${API_URL}/directory/${id}/tokens?${query}`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch token counts');
+    }
+    const { files } = await response.json();
+    return files;
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function getPresets
+ * @description Fetches all saved presets
+ * @returns {Promise<Array>} Presets {id, name, state, createdAt, updatedAt}, ordered by name
+ */
+export const getPresets = async () => {
+  try {
+    const response = await fetch(`${API_URL}/presets`);
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to fetch presets');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function createPreset
+ * @description Saves the current selection as a new preset
+ * @param {string} name - Unique preset name
+ * @param {Object} state - {selectedPromptIds, promptOrder, directories, additionalInstructions}
+ * @returns {Promise<number>} New preset ID
+ */
+export const createPreset = async (name, state) => {
+  try {
+    const response = await fetch(`${API_URL}/presets`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, state }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to create preset');
+    }
+    const { id } = await response.json();
+    return id;
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function updatePreset
+ * @description Renames a preset and replaces its saved selection
+ * @param {number} id - Preset ID
+ * @param {string} name - Unique preset name
+ * @param {Object} state - See createPreset
+ * @returns {Promise<void>}
+ */
+export const updatePreset = async (id, name, state) => {
+  try {
+    const response = await fetch(`${API_URL}/presets/${id}`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, state }),
+    });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to update preset');
+    }
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function deletePreset
+ * @description Deletes a preset
+ * @param {number} id - Preset ID
+ * @returns {Promise<void>}
+ */
+export const deletePreset = async (id) => {
+  try {
+    const response = await fetch(`${API_URL}/presets/${id}`, { method: 'DELETE' });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to delete preset');
+    }
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function applyPreset
+ * @description Restores a preset's checked and excluded files on the backend
+ * @param {number} id - Preset ID
+ * @returns {Promise<Object>} { preset, missingPromptIds, missingFiles: [{promptId, promptName, path}] }
+ */
+export const applyPreset = async (id) => {
+  try {
+    const response = await fetch(`${API_URL}/presets/${id}/apply`, { method: 'POST' });
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to load preset');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * @function searchContents
+ * @description Full-text search over prompts and, unless scope is 'prompts', the files of
+ *              watched directories
+ * @param {string} query - Search text
+ * @param {string} scope - 'all', 'prompts' or 'files'
+ * @returns {Promise<Object>} { query, prompts: [{id, name, tags, snippet}], files: [{promptId,
+ *          promptName, path, line, snippet}], truncated }; snippets are {text, highlights}
+ */
+export const searchContents = async (query, scope = 'all') => {
+  try {
+    const response = await fetch(
+      `${API_URL}/search?q=${encodeURIComponent(query)}&scope=${encodeURIComponent(scope)}`
+    );
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to search');
+    }
+    return await response.json();
+  } catch (error) {
+    console.error('API error:', error.message);
+    throw error;
+  }
+};
@@ -17,6 +17,9 @@
  * - Adds directories via POST /directory with user-input paths.
  * - Removes directories via DELETE /directory/:id.
  * - Updates parent state after each operation to reflect changes.
+ * - Shows a "Missing" badge for directories whose path no longer exists.
+ * - Edits the global default ignore patterns and per-directory overrides (.gitignore
+ *   syntax); saving rescans the affected directories on the backend.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -32,22 +35,40 @@ import {
   VStack,
   Text,
   IconButton,
+  Badge,
+  Box,
+  Checkbox,
+  Textarea,
   useToast,
 } from '@chakra-ui/react';
 import { DeleteIcon } from '@chakra-ui/icons';
-import { getPrompts, setDirectory, deletePrompt } from '../api';
+import {
+  getPrompts,
+  setDirectory,
+  deletePrompt,
+  getDefaultIgnorePatterns,
+  updateDefaultIgnorePatterns,
+  updateDirectoryIgnorePatterns,
+} from '../api';
 
 const DirectoryManager = ({ onClose, onPromptsUpdate }) => {
   const [directories, setDirectories] = useState([]);
   const [newDirPath, setNewDirPath] = useState('');
+  const [defaultPatterns, setDefaultPatterns] = useState('');
+  // Draft of the defaults while their editor is open, null otherwise
+  const [defaultDraft, setDefaultDraft] = useState(null);
+  // Directory whose ignore patterns are being edited: { id, useDefaults, patterns }
+  const [patternDraft, setPatternDraft] = useState(null);
+  const [isSavingPatterns, setIsSavingPatterns] = useState(false);
   const toast = useToast();
 
   useEffect(() => {
     const fetchDirectories = async () => {
       try {
-        const prompts = await getPrompts();
+        const [prompts, patterns] = await Promise.all([getPrompts(), getDefaultIgnorePatterns()]);
         const dirPrompts = prompts.filter(p => p.isDirectory);
         setDirectories(dirPrompts);
+        setDefaultPatterns(patterns);
       } catch (error) {
         toast({
           title: 'Error Fetching Directories',
@@ -122,6 +143,82 @@ const DirectoryManager = ({ onClose, onPromptsUpdate }) => {
     }
   };
 
+  /**
+   * @function refreshDirectories
+   * @description Reloads prompts after a change and passes them up to App
+   */
+  const refreshDirectories = async () => {
+    const updatedPrompts = await getPrompts();
+    setDirectories(updatedPrompts.filter(p => p.isDirectory));
+    onPromptsUpdate(updatedPrompts);
+  };
+
+  const handleSaveDefaultPatterns = async () => {
+    setIsSavingPatterns(true);
+    try {
+      await updateDefaultIgnorePatterns(defaultDraft);
+      setDefaultPatterns(defaultDraft);
+      setDefaultDraft(null);
+      await refreshDirectories();
+      toast({
+        title: 'Default Ignore Patterns Saved',
+        status: 'success',
+        duration: 2000,
+        isClosable: true,
+      });
+    } catch (error) {
+      toast({
+        title: 'Error Saving Ignore Patterns',
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSavingPatterns(false);
+    }
+  };
+
+  const handleEditDirectoryPatterns = (dir) => {
+    if (patternDraft && patternDraft.id === dir.id) {
+      setPatternDraft(null);
+      return;
+    }
+    setPatternDraft({
+      id: dir.id,
+      useDefaults: dir.ignorePatterns === null,
+      patterns: dir.ignorePatterns === null ? defaultPatterns : dir.ignorePatterns,
+    });
+  };
+
+  const handleSaveDirectoryPatterns = async () => {
+    setIsSavingPatterns(true);
+    try {
+      await updateDirectoryIgnorePatterns(
+        patternDraft.id,
+        patternDraft.useDefaults ? null : patternDraft.patterns
+      );
+      setPatternDraft(null);
+      await refreshDirectories();
+      toast({
+        title: 'Ignore Patterns Saved',
+        status: 'success',
+        duration: 2000,
+        isClosable: true,
+      });
+    } catch (error) {
+      toast({
+        title: 'Error Saving Ignore Patterns',
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsSavingPatterns(false);
+    }
+  };
+
   return (
     <ModalContent>
       <ModalHeader>Manage Watched Directories</ModalHeader>
@@ -143,19 +240,102 @@ const DirectoryManager = ({ onClose, onPromptsUpdate }) => {
           ) : (
             <VStack align="stretch" spacing={2}>
               {directories.map(dir => (
-                <HStack key={dir.id} justify="space-between">
-                  <Text>{dir.name} ({dir.content})</Text>
-                  <IconButton
-                    aria-label="Delete Directory"
-                    icon={<DeleteIcon />}
-                    colorScheme="red"
-                    size="sm"
-                    onClick={() => handleDeleteDirectory(dir.id)}
-                  />
-                </HStack>
+                <Box key={dir.id}>
+                  <HStack justify="space-between">
+                    <HStack minW="0">
+                      <Text>{dir.name} ({dir.content})</Text>
+                      {dir.isMissing && (
+                        <Badge colorScheme="red" variant="subtle">Missing</Badge>
+                      )}
+                      {dir.ignorePatterns !== null && (
+                        <Badge colorScheme="purple" variant="subtle">Custom ignores</Badge>
+                      )}
+                    </HStack>
+                    <HStack>
+                      <Button size="sm" variant="outline" onClick={() => handleEditDirectoryPatterns(dir)}>
+                        Ignore Patterns
+                      </Button>
+                      <IconButton
+                        aria-label="Delete Directory"
+                        icon={<DeleteIcon />}
+                        colorScheme="red"
+                        size="sm"
+                        onClick={() => handleDeleteDirectory(dir.id)}
+                      />
+                    </HStack>
+                  </HStack>
+                  {patternDraft && patternDraft.id === dir.id && (
+                    <VStack align="stretch" spacing={2} mt={2} pl={4}>
+                      <Checkbox
+                        isChecked={patternDraft.useDefaults}
+                        onChange={(e) => setPatternDraft({
+                          ...patternDraft,
+                          useDefaults: e.target.checked,
+                          patterns: e.target.checked ? defaultPatterns : patternDraft.patterns,
+                        })}
+                      >
+                        Use default patterns
+                      </Checkbox>
+                      <Textarea
+                        aria-label={`Ignore patterns for ${dir.name}`}
+                        value={patternDraft.patterns}
+                        onChange={(e) => setPatternDraft({ ...patternDraft, patterns: e.target.value })}
+                        isDisabled={patternDraft.useDefaults}
+                        fontFamily="mono"
+                        fontSize="sm"
+                        rows={6}
+                      />
+                      <Button
+                        size="sm"
+                        colorScheme="teal"
+                        alignSelf="flex-end"
+                        onClick={handleSaveDirectoryPatterns}
+                        isLoading={isSavingPatterns}
+                      >
+                        Save
+                      </Button>
+                    </VStack>
+                  )}
+                </Box>
               ))}
             </VStack>
           )}
+          <Box borderTopWidth="1px" pt={3}>
+            <HStack justify="space-between">
+              <Text fontWeight="semibold">Default ignore patterns</Text>
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => setDefaultDraft(defaultDraft === null ? defaultPatterns : null)}
+              >
+                {defaultDraft === null ? 'Edit Defaults' : 'Cancel'}
+              </Button>
+            </HStack>
+            <Text fontSize="sm" color="gray.500">
+              Used by every directory without its own patterns, in .gitignore syntax.
+            </Text>
+            {defaultDraft !== null && (
+              <VStack align="stretch" spacing={2} mt={2}>
+                <Textarea
+                  aria-label="Default ignore patterns"
+                  value={defaultDraft}
+                  onChange={(e) => setDefaultDraft(e.target.value)}
+                  fontFamily="mono"
+                  fontSize="sm"
+                  rows={8}
+                />
+                <Button
+                  size="sm"
+                  colorScheme="teal"
+                  alignSelf="flex-end"
+                  onClick={handleSaveDefaultPatterns}
+                  isLoading={isSavingPatterns}
+                >
+                  Save
+                </Button>
+              </VStack>
+            )}
+          </Box>
         </VStack>
       </ModalBody>
       <ModalFooter>
@@ -8,7 +8,7 @@
  * - Chakra UI: For UI components and icons
  *
  * @props
- * - files: Array of file objects ({path, content, isChecked})
+ * - files: Array of file objects ({path, content, isChecked, isBinary, gitStatus})
  * - promptId: Number, the ID of the directory prompt
  * - onFileCheckboxChange: Function to update file checkbox state
  * - onBulkFileCheckboxChange: Function to update all file checkbox states at once
@@ -16,16 +16,39 @@
  * - onToggleExpand: Function to toggle file/directory expansion state
  * - onFileExcludeToggle: Function to toggle file exclusion
  * - onBulkFileExcludeToggle: Function to toggle all files in a directory's exclusion state
+ * - onSelectFiles: Function to check exactly a given list of file paths
+ * - gitBranch: Current git branch of the directory, or null/undefined if it is not a repository
+ * - diffSection: The directory's git diff section ({mode, baseRef, headRef}) or null
+ * - onDiffSectionChange: Function to set (or, with null, remove) the git diff section
+ * - tokenizerModel: Tokenizer model id for the token counts (see utils/tokenizer.js)
+ * - outputFormat: Master prompt output format; each file is counted as its block in it
+ * - onApplyFilePattern: Function called with (promptId, {pattern, patternType}, action) to
+ *   check ('check') or exclude ('exclude') every file matching a glob or regex
  *
  * @notes
  * - Builds a tree from flat file paths by splitting and nesting.
  * - Supports recursive expansion/collapse of directories.
- * - Assumes backend excludes `.gitignore` contents; displays only provided files.
+ * - Assumes the backend applies the directory's ignore patterns; displays only provided files.
  * - Fixed bug where folders were rendered as files by ensuring directory structure is preserved.
  * - Added select/deselect all functionality with an icon button for better UX.
  * - Added folder-level select/deselect all buttons for each directory.
+ * - Binary files (isBinary) are greyed out and cannot be checked; select-all and check
+ *   counts skip them.
+ * - In git repositories, files show S / M / U badges (staged, modified, untracked) and the
+ *   toolbar can select exactly the staged, modified, untracked or changed-vs-ref files.
+ * - The toolbar also picks the git diff section added to the master prompt: none, working
+ *   tree, staged, or between a base ref and a head ref (default HEAD).
+ * - Files show their token count (fetched from the backend, which caches them) and folders
+ *   the total of their included files, coloured against the model's context window. A
+ *   file's count includes its delimiters in the selected output format, so the totals match
+ *   the master prompt badge. The tree can be sorted by name or by tokens, largest first.
+ * - The filter box narrows the tree to files fuzzily matching what is typed (characters in
+ *   order, preferring the file name), expanding every folder and marking the matched
+ *   characters. Folder actions then apply to the files shown.
+ * - "Select by pattern" checks or excludes every file matching a glob or regex, previewing
+ *   the match count; the backend applies the same pattern (utils/filePatterns.js).
  */
-import React, { useMemo } from 'react';
+import React, { useEffect, useMemo, useState } from 'react';
 import {
   Box,
   Text,
@@ -35,6 +58,11 @@ import {
   Flex,
   Tooltip,
   HStack,
+  Badge,
+  Button,
+  Input,
+  Select,
+  useToast,
 } from '@chakra-ui/react';
 import { 
   ChevronDownIcon, 
@@ -44,6 +72,51 @@ import {
   ViewIcon,
   ViewOffIcon,
 } from '@chakra-ui/icons';
+import { getGitChangedFiles, getDirectoryTokenCounts } from '../api';
+import { getTokenColorScheme, getContextWindow, DEFAULT_TOKENIZER_MODEL } from '../utils/tokenizer';
+import { DEFAULT_OUTPUT_FORMAT } from '../utils/formatters';
+import { PATTERN_TYPES, compilePathPattern, fuzzyFilterFiles } from '../utils/filePatterns';
+
+// Git status groups offered as selection actions, in toolbar order
+const GIT_SELECTIONS = [
+  { key: 'modified', label: 'Modified', matches: status => status.modified },
+  { key: 'staged', label: 'Staged', matches: status => status.staged },
+  { key: 'untracked', label: 'Untracked', matches: status => status.untracked },
+];
+
+// Diff section choices; 'refs' needs a base ref before it is saved
+const DIFF_MODES = [
+  { value: '', label: 'No diff' },
+  { value: 'working', label: 'Working tree diff' },
+  { value: 'staged', label: 'Staged diff' },
+  { value: 'refs', label: 'Diff between refs' },
+];
+
+// Badges shown next to a file for its git status
+const GIT_BADGES = [
+  { key: 'staged', label: 'S', colorScheme: 'green', title: 'Staged' },
+  { key: 'modified', label: 'M', colorScheme: 'orange', title: 'Modified' },
+  { key: 'untracked', label: 'U', colorScheme: 'blue', title: 'Untracked' },
+];
+
+/**
+ * Shortens a token count for display, e.g. 1234 -> '1.2k'
+ * @param {number} tokens - Token count
+ * @returns {string}
+ */
+const formatTokenCount = (tokens) => (tokens < 1000 ? String(tokens) : `${(tokens / 1000).toFixed(1)}k`);
+
+/**
+ * Marks the characters of a file name matched by the filter box
+ * @param {Object} file - File node with name, path and, while filtering, matchPositions
+ * @returns {string|Array} The name, or its characters with matches wrapped in <mark>
+ */
+const highlightName = (file) => {
+  if (!file.matchPositions) return file.name;
+  const offset = file.path.length - file.name.length;
+  const marked = new Set(file.matchPositions.map(position => position - offset));
+  return [...file.name].map((char, index) => (marked.has(index) ? <mark key={index}>{char}</mark> : char));
+};
 
 const FileTree = ({ 
   files, 
@@ -54,16 +127,72 @@ const FileTree = ({
   onToggleExpand,
   onFileExcludeToggle,
   onBulkFileExcludeToggle,
+  onSelectFiles,
+  gitBranch,
+  diffSection,
+  onDiffSectionChange,
+  tokenizerModel = DEFAULT_TOKENIZER_MODEL,
+  outputFormat = DEFAULT_OUTPUT_FORMAT,
+  onApplyFilePattern,
 }) => {
+  const toast = useToast();
+  const [tokenCounts, setTokenCounts] = useState({});
+  const [sortBy, setSortBy] = useState('name');
+  const [compareRef, setCompareRef] = useState('main');
+  const [isComparing, setIsComparing] = useState(false);
+  const [diffDraft, setDiffDraft] = useState({ mode: '', baseRef: 'main', headRef: '' });
+  const [fileFilter, setFileFilter] = useState('');
+  const [pattern, setPattern] = useState('');
+  const [patternType, setPatternType] = useState(PATTERN_TYPES[0].value);
+
+  const isFiltering = fileFilter.trim() !== '';
+  const shownFiles = useMemo(
+    () => (isFiltering ? fuzzyFilterFiles(files || [], fileFilter) : files),
+    [files, fileFilter, isFiltering]
+  );
+
+  // Files the pattern box would act on, or the reason the pattern is invalid
+  const patternPreview = useMemo(() => {
+    if (!pattern.trim()) return null;
+    const compiled = compilePathPattern(pattern, patternType);
+    if (compiled.error) return { error: compiled.error };
+    return { count: (files || []).filter(file => compiled.matches(file.path)).length };
+  }, [files, pattern, patternType]);
+
+  // Follow the saved diff section, e.g. after it changed in another window
+  useEffect(() => {
+    setDiffDraft({
+      mode: diffSection ? diffSection.mode : '',
+      baseRef: (diffSection && diffSection.baseRef) || 'main',
+      headRef: (diffSection && diffSection.headRef) || '',
+    });
+  }, [diffSection]);
+
+  // Paths and mtimes: token counts only need refetching when these change
+  const filesSignature = useMemo(
+    () => (files || []).map(file => `${file.path}:${file.mtime}`).join('\n'),
+    [files]
+  );
+
+  useEffect(() => {
+    let isCurrent = true;
+    getDirectoryTokenCounts(promptId, tokenizerModel, outputFormat)
+      .then(counts => { if (isCurrent) setTokenCounts(counts); })
+      // Counts are informational; api.js already logs the failure
+      .catch(() => {});
+    return () => { isCurrent = false; };
+  }, [promptId, tokenizerModel, outputFormat, filesSignature]);
+
   /**
    * Calculate if all files are checked, none are checked, or some are checked
    */
   const fileCheckStatus = useMemo(() => {
-    if (!files || files.length === 0) return 'none';
+    const checkableFiles = (files || []).filter(file => !file.isBinary);
+    if (checkableFiles.length === 0) return 'none';
     
-    const checkedCount = files.filter(file => file.isChecked).length;
+    const checkedCount = checkableFiles.filter(file => file.isChecked).length;
     if (checkedCount === 0) return 'none';
-    if (checkedCount === files.length) return 'all';
+    if (checkedCount === checkableFiles.length) return 'all';
     return 'some';
   }, [files]);
 
@@ -82,6 +211,62 @@ const FileTree = ({
     onBulkFileCheckboxChange(promptId, newState);
   };
 
+  /**
+   * @function getGitSelection
+   * @description Paths of the files whose git status matches a selection action
+   * @param {Function} matches - Predicate on a file's gitStatus
+   * @returns {Array<string>} Matching file paths
+   */
+  const getGitSelection = (matches) =>
+    (files || []).filter(file => file.gitStatus && matches(file.gitStatus)).map(file => file.path);
+
+  /**
+   * @function handleSelectChangedVsRef
+   * @description Selects exactly the files that differ from the entered git ref
+   */
+  const handleSelectChangedVsRef = async () => {
+    const ref = compareRef.trim();
+    if (!ref) return;
+
+    setIsComparing(true);
+    try {
+      onSelectFiles(promptId, await getGitChangedFiles(promptId, ref));
+    } catch (error) {
+      toast({
+        title: `Cannot Compare with ${ref}`,
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsComparing(false);
+    }
+  };
+
+  /**
+   * @function handleDiffModeChange
+   * @description Saves a diff mode right away, except 'refs' which waits for its refs
+   * @param {Object} e - Select change event
+   */
+  const handleDiffModeChange = (e) => {
+    const mode = e.target.value;
+    setDiffDraft(prev => ({ ...prev, mode }));
+    if (mode !== 'refs') onDiffSectionChange(promptId, mode ? { mode } : null);
+  };
+
+  /**
+   * @function handleApplyDiffRefs
+   * @description Saves the 'refs' diff section with the entered base and head refs
+   */
+  const handleApplyDiffRefs = () => {
+    onDiffSectionChange(promptId, {
+      mode: 'refs',
+      baseRef: diffDraft.baseRef.trim(),
+      headRef: diffDraft.headRef.trim() || null,
+    });
+  };
+
   /**
    * @function getDirectoryCheckStatus
    * @description Determines if all, some, or none of the files in a directory are checked
@@ -103,11 +288,12 @@ const FileTree = ({
     
     Object.values(node.children).forEach(addFilesFromChildren);
     
-    if (allFiles.length === 0) return 'none';
+    const checkableFiles = allFiles.filter(file => !file.isBinary);
+    if (checkableFiles.length === 0) return 'none';
     
-    const checkedCount = allFiles.filter(file => file.isChecked).length;
+    const checkedCount = checkableFiles.filter(file => file.isChecked).length;
     if (checkedCount === 0) return 'none';
-    if (checkedCount === allFiles.length) return 'all';
+    if (checkedCount === checkableFiles.length) return 'all';
     return 'some';
   };
 
@@ -123,7 +309,7 @@ const FileTree = ({
     
     // Update all files in this directory
     node.files.forEach(file => {
-      if (file.isChecked !== newState) {
+      if (!file.isBinary && file.isChecked !== newState) {
         onFileCheckboxChange(promptId, file.path);
       }
     });
@@ -131,7 +317,7 @@ const FileTree = ({
     // Recursively update files in subdirectories
     const updateFilesInChildren = (childNode) => {
       childNode.files.forEach(file => {
-        if (file.isChecked !== newState) {
+        if (!file.isBinary && file.isChecked !== newState) {
           onFileCheckboxChange(promptId, file.path);
         }
       });
@@ -205,20 +391,8 @@ const FileTree = ({
   const buildTree = (fileList) => {
     const tree = { name: '', children: {}, files: [] };
 
-    // Filter out .git and .venv folders and their contents
-    const filteredFiles = (fileList || []).filter(file => {
-      const parts = file.path.split(/[\\/]/).filter(Boolean);
-      // Check if any part of the path is .git or .venv
-      return !parts.includes('.git') && !parts.includes('.venv') && 
-             // Also check if the path starts with .git/ or .git\
-             !file.path.startsWith('.git/') && !file.path.startsWith('.git\\') &&
-             // Exclude package-lock.json files
-             !file.path.endsWith('package-lock.json') &&
-             // Exclude log files
-             !file.path.endsWith('.log');
-    });
-
-    filteredFiles.forEach(file => {
+    // Ignore patterns are applied by the backend scan, so every provided file is shown
+    (fileList || []).forEach(file => {
       const parts = file.path.split(/[\\/]/).filter(Boolean);
       let current = tree;
 
@@ -250,6 +424,38 @@ const FileTree = ({
     return tree;
   };
 
+  /**
+   * @function addTokenTotals
+   * @description Attaches token counts to the files of a tree and totals to its directories.
+   *              Totals skip excluded files, which never reach the master prompt.
+   * @param {Object} node - Directory node from buildTree
+   * @returns {number} The node's total
+   */
+  const addTokenTotals = (node) => {
+    let total = 0;
+    node.files.forEach(file => {
+      const tokens = tokenCounts[file.path];
+      file.tokens = typeof tokens === 'number' ? tokens : null;
+      if (file.tokens !== null && !file.isExcluded) total += file.tokens;
+    });
+    Object.values(node.children).forEach(child => {
+      total += addTokenTotals(child);
+    });
+    node.tokens = total;
+    return total;
+  };
+
+  /**
+   * @function sortEntries
+   * @description Orders subdirectories or files for display: by path, or by tokens with
+   *              the largest first (uncounted files last)
+   * @param {Array<Object>} entries - Directory nodes or files
+   * @returns {Array<Object>}
+   */
+  const sortEntries = (entries) => (sortBy === 'tokens'
+    ? [...entries].sort((a, b) => (b.tokens ?? -1) - (a.tokens ?? -1))
+    : entries);
+
   /**
    * @function renderNode
    * @description Recursively renders a node (file or directory) in the tree
@@ -260,7 +466,8 @@ const FileTree = ({
   const renderNode = (node, parentPath = '') => {
     const fullPath = parentPath ? `${parentPath}/${node.name}` : node.name;
     const isDirectory = Object.keys(node.children).length > 0 || node.files.length > 0;
-    const isExpanded = expandedStates[fullPath] || false;
+    // Filtering shows every match, however deep
+    const isExpanded = isFiltering || expandedStates[fullPath] || false;
     
     // For directories, determine check and exclude statuses
     const dirCheckStatus = isDirectory ? getDirectoryCheckStatus(node) : 'none';
@@ -315,15 +522,25 @@ const FileTree = ({
               </Tooltip>
               
               <Text fontWeight="bold" color={dirExcludeStatus === 'all' ? 'gray.400' : 'inherit'}>{node.name}/</Text>
+              {node.tokens > 0 && (
+                <Badge
+                  ml={2}
+                  colorScheme={getTokenColorScheme(node.tokens, getContextWindow(tokenizerModel))}
+                  variant="subtle"
+                  title={`${node.tokens} tokens in the included files of ${fullPath}/`}
+                >
+                  {formatTokenCount(node.tokens)} tokens
+                </Badge>
+              )}
             </Flex>
             {isExpanded && (
               <Box pl={4}>
                 {/* Render subdirectories */}
-                {Object.values(node.children).map(child => 
+                {sortEntries(Object.values(node.children)).map(child => 
                   renderNode(child, fullPath)
                 )}
                 {/* Render files */}
-                {node.files.map(file => 
+                {sortEntries(node.files).map(file => 
                   renderFileItem(file)
                 )}
               </Box>
@@ -350,8 +567,10 @@ const FileTree = ({
     return (
       <Flex key={file.path} ml={4} alignItems="center">
         <Checkbox
-          isChecked={file.isChecked}
+          isChecked={file.isChecked && !file.isBinary}
+          isDisabled={file.isBinary}
           onChange={() => onFileCheckboxChange(promptId, file.path)}
+          aria-label={file.isBinary ? `${file.path} is binary` : `Include ${file.path}`}
           mr={2}
         />
         <Tooltip
@@ -369,9 +588,37 @@ const FileTree = ({
             mr={2}
           />
         </Tooltip>
-        <Text fontSize="sm" noOfLines={1} title={file.path} color={file.isExcluded ? 'gray.400' : 'inherit'}>
-          {file.name}{fileSize}
+        <Text
+          fontSize="sm"
+          noOfLines={1}
+          title={file.isBinary ? `${file.path} (binary file, cannot be included)` : file.path}
+          color={file.isExcluded || file.isBinary ? 'gray.400' : 'inherit'}
+        >
+          {highlightName(file)}{fileSize}{file.isBinary ? ' · binary' : ''}
         </Text>
+        {file.tokens !== null && file.tokens !== undefined && (
+          <Text
+            fontSize="xs"
+            color="gray.500"
+            ml={2}
+            flexShrink={0}
+            title={`${file.tokens} tokens`}
+            data-testid={`file-tokens-${file.path}`}
+          >
+            {formatTokenCount(file.tokens)} tokens
+          </Text>
+        )}
+        {file.gitStatus && GIT_BADGES.filter(badge => file.gitStatus[badge.key]).map(badge => (
+          <Badge
+            key={badge.key}
+            ml={1}
+            colorScheme={badge.colorScheme}
+            variant="subtle"
+            title={`${badge.title} (git status "${file.gitStatus.code}")`}
+          >
+            {badge.label}
+          </Badge>
+        ))}
       </Flex>
     );
   };
@@ -390,7 +637,17 @@ const FileTree = ({
     return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
   };
 
-  const tree = buildTree(files);
+  /**
+   * @function handleApplyPattern
+   * @description Checks or excludes every file matching the pattern box
+   * @param {string} action - 'check' or 'exclude'
+   */
+  const handleApplyPattern = (action) => {
+    onApplyFilePattern(promptId, { pattern, patternType }, action);
+  };
+
+  const tree = buildTree(shownFiles);
+  addTokenTotals(tree);
 
   return (
     <Box p={2} key={filesKey}>
@@ -417,11 +674,190 @@ const FileTree = ({
               ? 'All files selected' 
               : 'Some files selected'}
         </Text>
+        {tree.tokens > 0 && (
+          <Badge
+            colorScheme={getTokenColorScheme(tree.tokens, getContextWindow(tokenizerModel))}
+            variant="subtle"
+            title={`${tree.tokens} tokens in all included files`}
+          >
+            {formatTokenCount(tree.tokens)} tokens
+          </Badge>
+        )}
+        <Select
+          size="xs"
+          width="auto"
+          value={sortBy}
+          onChange={(e) => setSortBy(e.target.value)}
+          aria-label="Sort files"
+        >
+          <option value="name">Sort by name</option>
+          <option value="tokens">Sort by tokens</option>
+        </Select>
       </HStack>
+
+      {/* Git-aware selection */}
+      {gitBranch != null && onSelectFiles && (
+        <HStack mb={2} spacing={2} flexWrap="wrap">
+          <Text fontSize="xs" color="gray.600" title="Current git branch">
+            {gitBranch}
+          </Text>
+          {GIT_SELECTIONS.map(selection => {
+            const paths = getGitSelection(selection.matches);
+            return (
+              <Button
+                key={selection.key}
+                size="xs"
+                variant="outline"
+                isDisabled={paths.length === 0}
+                onClick={() => onSelectFiles(promptId, paths)}
+                title={`Select only the ${selection.label.toLowerCase()} files`}
+              >
+                {selection.label} ({paths.length})
+              </Button>
+            );
+          })}
+          <Input
+            size="xs"
+            maxW="100px"
+            value={compareRef}
+            onChange={(e) => setCompareRef(e.target.value)}
+            placeholder="main"
+            aria-label="Git ref to compare with"
+          />
+          <Button
+            size="xs"
+            variant="outline"
+            isLoading={isComparing}
+            isDisabled={!compareRef.trim()}
+            onClick={handleSelectChangedVsRef}
+            title="Select only the files changed since branching from this ref"
+          >
+            Changed vs ref
+          </Button>
+        </HStack>
+      )}
+
+      {/* Git diff section */}
+      {gitBranch != null && onDiffSectionChange && (
+        <HStack mb={2} spacing={2} flexWrap="wrap">
+          <Select
+            size="xs"
+            maxW="170px"
+            value={diffDraft.mode}
+            onChange={handleDiffModeChange}
+            aria-label="Git diff section"
+          >
+            {DIFF_MODES.map(mode => (
+              <option key={mode.value} value={mode.value}>{mode.label}</option>
+            ))}
+          </Select>
+          {diffDraft.mode === 'refs' && (
+            <>
+              <Input
+                size="xs"
+                maxW="100px"
+                value={diffDraft.baseRef}
+                onChange={(e) => setDiffDraft(prev => ({ ...prev, baseRef: e.target.value }))}
+                placeholder="main"
+                aria-label="Diff base ref"
+              />
+              <Text fontSize="xs">...</Text>
+              <Input
+                size="xs"
+                maxW="100px"
+                value={diffDraft.headRef}
+                onChange={(e) => setDiffDraft(prev => ({ ...prev, headRef: e.target.value }))}
+                placeholder="HEAD"
+                aria-label="Diff head ref"
+              />
+              <Button
+                size="xs"
+                variant="outline"
+                isDisabled={!diffDraft.baseRef.trim()}
+                onClick={handleApplyDiffRefs}
+                title="Diff the head ref against where it branched from the base ref"
+              >
+                Apply
+              </Button>
+            </>
+          )}
+        </HStack>
+      )}
       
+      {/* Fuzzy filter */}
+      <HStack mb={2} spacing={2}>
+        <Input
+          size="xs"
+          maxW="220px"
+          value={fileFilter}
+          onChange={(e) => setFileFilter(e.target.value)}
+          placeholder="Find files…"
+          aria-label="Filter files"
+        />
+        {isFiltering && (
+          <Text fontSize="xs" color="gray.600">
+            {shownFiles.length} of {(files || []).length} files
+          </Text>
+        )}
+      </HStack>
+
+      {/* Select by pattern */}
+      {onApplyFilePattern && (
+        <HStack mb={2} spacing={2} flexWrap="wrap">
+          <Select
+            size="xs"
+            width="auto"
+            value={patternType}
+            onChange={(e) => setPatternType(e.target.value)}
+            aria-label="Pattern type"
+          >
+            {PATTERN_TYPES.map(type => (
+              <option key={type.value} value={type.value}>{type.label}</option>
+            ))}
+          </Select>
+          <Input
+            size="xs"
+            maxW="180px"
+            value={pattern}
+            onChange={(e) => setPattern(e.target.value)}
+            placeholder={patternType === 'glob' ? 'src/**/*.test.js' : '\\.test\\.js$'}
+            aria-label="File pattern"
+          />
+          {patternPreview && (
+            <Text fontSize="xs" color={patternPreview.error ? 'red.500' : 'gray.600'} data-testid="pattern-preview">
+              {patternPreview.error || `${patternPreview.count} match${patternPreview.count === 1 ? '' : 'es'}`}
+            </Text>
+          )}
+          <Button
+            size="xs"
+            variant="outline"
+            isDisabled={!patternPreview || !patternPreview.count}
+            onClick={() => handleApplyPattern('check')}
+            title="Check every file matching the pattern"
+          >
+            Check matches
+          </Button>
+          <Button
+            size="xs"
+            variant="outline"
+            isDisabled={!patternPreview || !patternPreview.count}
+            onClick={() => handleApplyPattern('exclude')}
+            title="Exclude every file matching the pattern from the master prompt"
+          >
+            Exclude matches
+          </Button>
+        </HStack>
+      )}
+
+      {isFiltering && shownFiles.length === 0 && (
+        <Text fontSize="sm" fontStyle="italic" color="gray.500">
+          No files match "{fileFilter}".
+        </Text>
+      )}
+
       {/* File Tree */}
-      {Object.values(tree.children).map(node => renderNode(node))}
-      {tree.files.map(file => renderFileItem(file))}
+      {sortEntries(Object.values(tree.children)).map(node => renderNode(node))}
+      {sortEntries(tree.files).map(file => renderFileItem(file))}
     </Box>
   );
 };
@@ -4,24 +4,51 @@
  *
  * @dependencies
  * - React
- * - Chakra UI (Box, Heading, Textarea, Button, Badge, HStack, Tooltip, VStack, Text, Spinner)
+ * - Chakra UI (Box, Heading, Textarea, Button, Badge, HStack, Tooltip, VStack, Text, Spinner,
+ *   Checkbox, Input, Select)
  * - @chakra-ui/toast (useToast) for toast notifications
- * - gpt-tokenizer: For accurate GPT token counting
+ * - utils/tokenizer.js: For token counts per tokenizer model
+ * - utils/useTokenCount.js: For counting in a Web Worker without blocking typing
+ * - utils/useBudgetFit.js: For fitting the prompt to a token budget in the same worker
+ * - utils/budget.js: For the budget strategies and cut descriptions
+ * - utils/templates.js: For filling template variables
+ * - utils/formatters.js: For the output formats (Markdown, XML tags, plain text, JSON)
  *
  * @props
  * - selectedPromptsText: String containing the combined content of all selected prompts
+ * - segments: The same selection as structured segments (utils/composer.js); needed for
+ *   budget mode and output formats other than Markdown to see prompt boundaries
+ * - tokenizerModel: Tokenizer model id for token counts (see utils/tokenizer.js)
+ * - onTokenizerModelChange: Function called with a model id when the user picks another
+ * - additionalInstructions, onAdditionalInstructionsChange: Optional; when given, the
+ *   instructions are controlled by the parent (App keeps them for presets)
+ * - outputFormat, onOutputFormatChange: Optional; when given, the output format is
+ *   controlled by the parent (App passes it on to the file tree token counts)
  *
  * @notes
  * - Utilizes the Clipboard API for copying.
  * - Shows a toast notification on successful copy.
- * - Uses GPT-3 tokenizer for accurate token counts.
+ * - Counts tokens with the selected tokenizer model (exact for GPT encodings, estimated for
+ *   Claude and Llama).
  * - Repo Integration Requirements:
  *   - Content Inclusion: Include full contents of checked files from directory prompts (fetched via backend) in the selectedPromptsText.
  *   - Directory Tree Section: Precede file contents with a formatted directory tree of the watched directory.
  *   - Formatting: Delineate file contents with markdown-style code blocks (e.g., ```filename\ncontent\n```), matching the prompt file's delineation style.
+ * - Budget mode fits the prompts to a target token count with the chosen strategy and lists
+ *   every cut below the text. Additional instructions are never cut: they are counted on
+ *   their own and the prompts get the rest of the budget, so a re-fit waits for their
+ *   debounced count rather than every keystroke.
+ * - Without a budget the badge colour is measured against the model's context window.
+ * - The badge count comes from the tokenizer worker, cached per prompt, file and the
+ *   instructions, and debounced; it shows a spinner while a count or a fit is in flight.
+ * - Text prompts may contain `{{variable}}` or `{{variable:default}}` placeholders. A form
+ *   lists the variables of the selected prompts; values are remembered for the browser
+ *   session and copying is blocked until every variable without a default is filled.
+ * - The output format picker decides how prompts, trees and files are delimited in the
+ *   text and the copy; token counts and budget fitting measure the chosen format.
  */
 
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   Box,
   Heading,
@@ -34,12 +61,49 @@ import {
   VStack,
   Text,
   Spinner,
+  Checkbox,
+  Input,
+  Select,
 } from '@chakra-ui/react';
-import { countTokens, getTokenColorScheme, DEFAULT_MAX_TOKENS } from '../utils/tokenizer';
+import { getTokenColorScheme, findTokenizerModel, TOKENIZER_MODELS } from '../utils/tokenizer';
+import { getOutputFormat, OUTPUT_FORMATS, DEFAULT_OUTPUT_FORMAT } from '../utils/formatters';
+import { useTokenCount } from '../utils/useTokenCount';
+import { useBudgetFit } from '../utils/useBudgetFit';
+import { describeCut, BUDGET_STRATEGIES } from '../utils/budget';
+import {
+  findTemplateVariables,
+  findMissingVariables,
+  fillTemplate,
+  fillSegments,
+  loadTemplateValues,
+  saveTemplateValues,
+} from '../utils/templates';
+
+const DEFAULT_BUDGET = 32000;
 
-const MasterPrompt = ({ selectedPromptsText }) => {
-  const [additionalInstructions, setAdditionalInstructions] = useState('');
+const MasterPrompt = ({
+  selectedPromptsText,
+  segments,
+  tokenizerModel,
+  onTokenizerModelChange,
+  additionalInstructions: controlledInstructions,
+  onAdditionalInstructionsChange,
+  outputFormat: controlledOutputFormat,
+  onOutputFormatChange,
+}) => {
+  const [localInstructions, setLocalInstructions] = useState('');
+  const isInstructionsControlled = controlledInstructions !== undefined;
+  const additionalInstructions = isInstructionsControlled ? controlledInstructions : localInstructions;
+  const setAdditionalInstructions = isInstructionsControlled ? onAdditionalInstructionsChange : setLocalInstructions;
+  const [localOutputFormat, setLocalOutputFormat] = useState(DEFAULT_OUTPUT_FORMAT);
+  const isOutputFormatControlled = controlledOutputFormat !== undefined;
+  const outputFormat = isOutputFormatControlled ? controlledOutputFormat : localOutputFormat;
+  const setOutputFormat = isOutputFormatControlled ? onOutputFormatChange : setLocalOutputFormat;
   const [isLoading, setIsLoading] = useState(false);
+  const [isBudgetEnabled, setIsBudgetEnabled] = useState(false);
+  const [budget, setBudget] = useState(DEFAULT_BUDGET);
+  const [budgetStrategy, setBudgetStrategy] = useState(BUDGET_STRATEGIES[0].value);
+  const [templateValues, setTemplateValues] = useState(loadTemplateValues);
   const toast = useToast();
   
   // Track loading state based on whether selectedPromptsText is empty
@@ -49,13 +113,66 @@ const MasterPrompt = ({ selectedPromptsText }) => {
     setIsLoading(selectedPromptsText === '' && isLoading);
   }, [selectedPromptsText]);
   
-  // Combine both texts for token counting and copying
-  const combinedText = [selectedPromptsText, additionalInstructions]
-    .filter(Boolean)
-    .join('\n\n');
-  
-  const tokenCount = countTokens(combinedText);
-  const colorScheme = getTokenColorScheme(tokenCount);
+  // Remember filled variables for the rest of the browser session
+  useEffect(() => {
+    saveTemplateValues(templateValues);
+  }, [templateValues]);
+
+  // Variables of the selected text prompts, and the selection with them filled in
+  const templateVariables = useMemo(() => findTemplateVariables(segments
+    ? segments.filter(segment => segment.type !== 'directory').map(segment => segment.content)
+    : [selectedPromptsText]), [segments, selectedPromptsText]);
+  const missingVariables = findMissingVariables(templateVariables, templateValues);
+  // Without segments the plain text is shown as a single prompt
+  const filledSegments = useMemo(() => (segments
+    ? fillSegments(segments, templateValues)
+    : [{ type: 'text', name: 'Selected prompts', content: fillTemplate(selectedPromptsText, templateValues) }]
+  ), [segments, selectedPromptsText, templateValues]);
+  const format = getOutputFormat(outputFormat);
+  const model = findTokenizerModel(tokenizerModel);
+
+  // Instructions are counted on their own; the prompts get what is left of the budget
+  const instructionParts = useMemo(() => [additionalInstructions].filter(Boolean), [additionalInstructions]);
+  const { tokenCount: instructionTokens, isPending: isCountingInstructions } = useTokenCount(instructionParts, model.id);
+  const promptBudget = Math.max(budget - instructionTokens, 0);
+
+  // Fit the selection to the budget; without segments there is nothing to cut
+  const budgetSegments = isBudgetEnabled && segments && budget > 0 ? filledSegments : null;
+  const { fit: budgetFit, isFitting } = useBudgetFit(
+    budgetSegments,
+    { budget: promptBudget, strategy: budgetStrategy, format: outputFormat },
+    model.id
+  );
+  // Ignore a fit left over from before budget mode was switched off
+  const fit = budgetSegments ? budgetFit : null;
+
+  const shownSegments = fit ? fit.segments : filledSegments;
+  const promptText = format.renderDocument(shownSegments, '');
+
+  // The full text with the additional instructions, for copying
+  const combinedText = format.renderDocument(shownSegments, additionalInstructions);
+
+  // Pieces counted (and cached) separately; a fit already counted its prompts
+  const tokenParts = useMemo(() => (
+    fit ? [] : filledSegments.flatMap(format.renderSegmentParts).filter(Boolean)
+  ), [fit, filledSegments, format]);
+  const { tokenCount: partsTokenCount, isPending: isCountingParts } = useTokenCount(tokenParts, model.id);
+
+  const isCounting = isCountingParts || isCountingInstructions || isFitting;
+  const tokenCount = (fit ? fit.tokenCount : partsTokenCount) + instructionTokens;
+  const maxTokens = fit ? budget : model.contextWindow;
+  const colorScheme = getTokenColorScheme(tokenCount, maxTokens);
+  const tokensSaved = fit ? fit.cuts.reduce((sum, cut) => sum + cut.tokensBefore - cut.tokensAfter, 0) : 0;
+
+  /**
+   * @function handleTemplateValueChange
+   * @description Stores the value of a template variable
+   * @param {string} name - Variable name
+   * @param {string} value - Value typed by the user
+   */
+  const handleTemplateValueChange = (name, value) => {
+    setTemplateValues(prev => ({ ...prev, [name]: value }));
+  };
 
   /**
    * @function handleCopy
@@ -91,26 +208,115 @@ const MasterPrompt = ({ selectedPromptsText }) => {
           Master Prompt
         </Heading>
         <HStack>
-          <Tooltip label={`${tokenCount} tokens out of ${DEFAULT_MAX_TOKENS} max`}>
-            <Badge colorScheme={colorScheme} variant="subtle">
+          <Tooltip
+            label={isCounting
+              ? 'Counting tokens...'
+              : `${tokenCount} tokens out of ${maxTokens} max (${model.label})`}
+          >
+            <Badge colorScheme={colorScheme} variant="subtle" opacity={isCounting ? 0.6 : 1} aria-busy={isCounting}>
+              {isCounting && <Spinner size="xs" mr={1} data-testid="token-count-pending" />}
               {tokenCount} tokens
             </Badge>
           </Tooltip>
-          <Button
-            size="sm"
-            colorScheme="blue"
-            onClick={handleCopy}
-            isDisabled={!combinedText.trim() || isLoading}
+          <Tooltip
+            label={missingVariables.length ? `Fill in ${missingVariables.join(', ')} to copy` : ''}
+            isDisabled={!missingVariables.length}
           >
-            Copy to Clipboard
-          </Button>
+            <Button
+              size="sm"
+              colorScheme="blue"
+              onClick={handleCopy}
+              isDisabled={!combinedText.trim() || isLoading || missingVariables.length > 0}
+            >
+              Copy to Clipboard
+            </Button>
+          </Tooltip>
         </HStack>
       </HStack>
 
+      <HStack mb={2} spacing={3}>
+        <Select
+          size="sm"
+          width="auto"
+          value={model.id}
+          onChange={(e) => onTokenizerModelChange && onTokenizerModelChange(e.target.value)}
+          aria-label="Tokenizer model"
+        >
+          {TOKENIZER_MODELS.map(({ id, label }) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </Select>
+        <Select
+          size="sm"
+          width="auto"
+          value={outputFormat}
+          onChange={(e) => setOutputFormat(e.target.value)}
+          aria-label="Output format"
+        >
+          {OUTPUT_FORMATS.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </Select>
+        <Checkbox
+          isChecked={isBudgetEnabled}
+          onChange={(e) => setIsBudgetEnabled(e.target.checked)}
+          isDisabled={!segments}
+          aria-label="Fit to token budget"
+        >
+          Fit to budget
+        </Checkbox>
+        <Input
+          type="number"
+          size="sm"
+          width="120px"
+          min={1}
+          value={budget}
+          onChange={(e) => setBudget(parseInt(e.target.value, 10) || 0)}
+          isDisabled={!isBudgetEnabled}
+          aria-label="Token budget"
+        />
+        <Select
+          size="sm"
+          width="auto"
+          value={budgetStrategy}
+          onChange={(e) => setBudgetStrategy(e.target.value)}
+          isDisabled={!isBudgetEnabled}
+          aria-label="Budget strategy"
+        >
+          {BUDGET_STRATEGIES.map(({ value, label }) => (
+            <option key={value} value={value}>{label}</option>
+          ))}
+        </Select>
+      </HStack>
+
       <VStack spacing={3} align="stretch">
+        {templateVariables.length > 0 && (
+          <Box borderWidth="1px" borderRadius="md" p={3} data-testid="template-variables">
+            <Text fontSize="sm" fontWeight="semibold" mb={2}>Template variables</Text>
+            <VStack spacing={2} align="stretch">
+              {templateVariables.map(({ name, defaultValue, isRequired }) => (
+                <HStack key={name}>
+                  <Text fontSize="sm" fontFamily="mono" minW="120px">
+                    {name}
+                    {isRequired && <Text as="span" color="red.500"> *</Text>}
+                  </Text>
+                  <Input
+                    size="sm"
+                    value={templateValues[name] || ''}
+                    onChange={(e) => handleTemplateValueChange(name, e.target.value)}
+                    placeholder={isRequired ? 'Required' : `Default: ${defaultValue}`}
+                    isInvalid={missingVariables.includes(name)}
+                    aria-label={`Template variable ${name}`}
+                  />
+                </HStack>
+              ))}
+            </VStack>
+          </Box>
+        )}
+
         <Box position="relative">
           <Textarea
-            value={selectedPromptsText}
+            value={promptText}
             readOnly
             height="300px"
             placeholder="Selected prompts will appear here..."
@@ -133,6 +339,24 @@ const MasterPrompt = ({ selectedPromptsText }) => {
             </Box>
           )}
         </Box>
+
+        {fit && (fit.cuts.length > 0 || !fit.fits) && (
+          <Box fontSize="sm" data-testid="budget-report">
+            {fit.cuts.length > 0 && (
+              <Text fontWeight="semibold">
+                {`Cut ${fit.cuts.length} item${fit.cuts.length === 1 ? '' : 's'} to fit ${budget} tokens (${tokensSaved} tokens saved):`}
+              </Text>
+            )}
+            {fit.cuts.map((cut, index) => (
+              <Text key={index}>{describeCut(cut)}</Text>
+            ))}
+            {!fit.fits && (
+              <Text color="red.500">
+                {`Still ${tokenCount - budget} tokens over budget; try another strategy.`}
+              </Text>
+            )}
+          </Box>
+        )}
         
         <Textarea
           value={additionalInstructions}
@@ -0,0 +1,231 @@
+/**
+ * @file PresetSwitcher.js
+ * @description Header controls for presets: named snapshots of the master prompt selection
+ *              (selected prompts, their order, checked and excluded files per directory and
+ *              the additional instructions) that can be saved, updated, deleted and loaded.
+ *
+ * @dependencies
+ * - React: For component state and lifecycle
+ * - Chakra UI: For form controls and toast notifications
+ * - @chakra-ui/icons: For the delete icon
+ * - api.js: For the preset endpoints
+ *
+ * @props
+ * - captureState: Function returning the current selection as preset state
+ *   {selectedPromptIds, promptOrder, directories, additionalInstructions}
+ * - onLoad: Function called with the loaded preset state and the IDs of prompts that no
+ *   longer exist; the backend has already restored the file states by then
+ *
+ * @notes
+ * - Loading warns about prompts and files that were saved in the preset but are gone.
+ * - "Update" overwrites the loaded preset with the current selection.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Button, HStack, IconButton, Input, Select, useToast } from '@chakra-ui/react';
+import { DeleteIcon } from '@chakra-ui/icons';
+import { getPresets, createPreset, updatePreset, deletePreset, applyPreset } from '../api';
+
+// How many missing files a warning names before summarizing the rest
+const MAX_LISTED_FILES = 5;
+
+/**
+ * Describes what a loaded preset could not restore
+ * @param {Array<number>} missingPromptIds - Saved prompts that no longer exist
+ * @param {Array<Object>} missingFiles - Saved files that no longer exist {promptName, path}
+ * @returns {string}
+ */
+const describeMissing = (missingPromptIds, missingFiles) => {
+  const lines = [];
+  if (missingPromptIds.length) {
+    lines.push(`${missingPromptIds.length} prompt${missingPromptIds.length === 1 ? ' was' : 's were'} deleted.`);
+  }
+  if (missingFiles.length) {
+    const listed = missingFiles
+      .slice(0, MAX_LISTED_FILES)
+      .map(file => `${file.promptName}/${file.path}`)
+      .join(', ');
+    const more = missingFiles.length > MAX_LISTED_FILES ? ` and ${missingFiles.length - MAX_LISTED_FILES} more` : '';
+    lines.push(`Files no longer exist: ${listed}${more}.`);
+  }
+  return lines.join(' ');
+};
+
+const PresetSwitcher = ({ captureState, onLoad }) => {
+  const [presets, setPresets] = useState([]);
+  const [activePresetId, setActivePresetId] = useState(null);
+  const [isNaming, setIsNaming] = useState(false);
+  const [newName, setNewName] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const toast = useToast();
+
+  const activePreset = presets.find(p => p.id === activePresetId) || null;
+
+  const showError = (title, error) => {
+    toast({
+      title,
+      description: error.message,
+      status: 'error',
+      duration: 3000,
+      isClosable: true,
+    });
+  };
+
+  const fetchPresets = async () => {
+    try {
+      setPresets(await getPresets());
+    } catch (error) {
+      console.error('Error fetching presets:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchPresets();
+  }, []);
+
+  const handleLoad = async (id) => {
+    if (!id) return;
+    setIsBusy(true);
+    try {
+      const { preset, missingPromptIds, missingFiles } = await applyPreset(id);
+      setActivePresetId(preset.id);
+      onLoad(preset.state, missingPromptIds);
+      if (missingPromptIds.length || missingFiles.length) {
+        toast({
+          title: `Preset "${preset.name}" loaded with missing items`,
+          description: describeMissing(missingPromptIds, missingFiles),
+          status: 'warning',
+          duration: 8000,
+          isClosable: true,
+        });
+      } else {
+        toast({
+          title: `Preset "${preset.name}" loaded`,
+          status: 'success',
+          duration: 2000,
+          isClosable: true,
+        });
+      }
+    } catch (error) {
+      showError('Error Loading Preset', error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleSaveNew = async () => {
+    const name = newName.trim();
+    if (!name) return;
+    setIsBusy(true);
+    try {
+      const id = await createPreset(name, captureState());
+      await fetchPresets();
+      setActivePresetId(id);
+      setIsNaming(false);
+      setNewName('');
+      toast({
+        title: 'Preset Saved',
+        description: `${name} has been saved.`,
+        status: 'success',
+        duration: 2000,
+        isClosable: true,
+      });
+    } catch (error) {
+      showError('Error Saving Preset', error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleUpdate = async () => {
+    if (!activePreset) return;
+    setIsBusy(true);
+    try {
+      await updatePreset(activePreset.id, activePreset.name, captureState());
+      await fetchPresets();
+      toast({
+        title: 'Preset Updated',
+        description: `${activePreset.name} now matches the current selection.`,
+        status: 'success',
+        duration: 2000,
+        isClosable: true,
+      });
+    } catch (error) {
+      showError('Error Updating Preset', error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!activePreset) return;
+    setIsBusy(true);
+    try {
+      await deletePreset(activePreset.id);
+      setPresets(prev => prev.filter(p => p.id !== activePreset.id));
+      setActivePresetId(null);
+    } catch (error) {
+      showError('Error Deleting Preset', error);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  if (isNaming) {
+    return (
+      <HStack spacing={2} data-testid="preset-switcher">
+        <Input
+          aria-label="Preset name"
+          placeholder="Preset name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') handleSaveNew();
+            if (e.key === 'Escape') setIsNaming(false);
+          }}
+          maxW="200px"
+          autoFocus
+        />
+        <Button onClick={handleSaveNew} colorScheme="blue" isDisabled={!newName.trim() || isBusy}>
+          Save
+        </Button>
+        <Button onClick={() => setIsNaming(false)} variant="ghost">
+          Cancel
+        </Button>
+      </HStack>
+    );
+  }
+
+  return (
+    <HStack spacing={2} data-testid="preset-switcher">
+      <Select
+        aria-label="Preset"
+        placeholder="Load preset…"
+        value={activePresetId ?? ''}
+        onChange={(e) => handleLoad(Number(e.target.value))}
+        maxW="200px"
+        isDisabled={isBusy}
+      >
+        {presets.map(preset => (
+          <option key={preset.id} value={preset.id}>{preset.name}</option>
+        ))}
+      </Select>
+      <Button onClick={() => setIsNaming(true)} isDisabled={isBusy}>
+        Save as Preset
+      </Button>
+      <Button onClick={handleUpdate} isDisabled={!activePreset || isBusy}>
+        Update
+      </Button>
+      <IconButton
+        aria-label="Delete preset"
+        icon={<DeleteIcon />}
+        onClick={handleDelete}
+        isDisabled={!activePreset || isBusy}
+        variant="ghost"
+        colorScheme="red"
+      />
+    </HStack>
+  );
+};
+
+export default PresetSwitcher;
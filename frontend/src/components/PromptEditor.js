@@ -4,17 +4,26 @@
  *
  * @dependencies
  * - React
- * - Chakra UI (Box, Heading, Textarea, Input, Button, Stack)
+ * - Chakra UI (Box, Heading, Textarea, Input, Button, Stack, HStack, Text)
+ * - PromptHistoryDrawer: Revision history for the prompt being edited
+ * - utils/includes.js: For include autocompletion and the "used by" list
  *
  * @props
  * - onAddPrompt: Function to handle creation of a new prompt
  * - onEditPrompt: Function to handle editing of an existing prompt
  * - editingPrompt: The prompt object currently being edited, or null
  * - hideHeading: Boolean to optionally suppress the internal heading
+ * - onRestoreRevision: Function called with the prompt after a revision is restored
+ * - prompts: All prompts, for include suggestions and the "used by" list
  *
  * @notes
  * - If editingPrompt is provided, the form is in "edit mode" and calls onEditPrompt.
  * - Otherwise, it calls onAddPrompt.
+ * - In edit mode a "History" button opens the revision drawer.
+ * - Typing `{{>` in the content suggests text prompt names to include; picking one
+ *   completes the directive.
+ * - In edit mode the prompts that include this one are listed, since renaming or deleting
+ *   it breaks their includes.
  */
 
 import React, { useState, useEffect } from 'react';
@@ -25,12 +34,37 @@ import {
   Input,
   Button,
   Stack,
+  HStack,
+  Text,
 } from '@chakra-ui/react';
+import PromptHistoryDrawer from './PromptHistoryDrawer';
+import { findOpenInclude, findUsedBy } from '../utils/includes';
 
-const PromptEditor = ({ onAddPrompt, onEditPrompt, editingPrompt, hideHeading = false }) => {
+const MAX_INCLUDE_SUGGESTIONS = 8;
+
+const PromptEditor = ({
+  onAddPrompt,
+  onEditPrompt,
+  editingPrompt,
+  hideHeading = false,
+  onRestoreRevision,
+  prompts = [],
+}) => {
   const [name, setName] = useState('');
   const [content, setContent] = useState('');
   const [tags, setTags] = useState('');
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+  // Cursor offset in the content, or null when no include suggestions should show
+  const [cursor, setCursor] = useState(null);
+
+  const openInclude = cursor === null ? null : findOpenInclude(content, cursor);
+  const includeSuggestions = openInclude
+    ? prompts
+      .filter(p => !p.isDirectory && (!editingPrompt || p.id !== editingPrompt.id))
+      .filter(p => p.name.toLowerCase().includes(openInclude.query.toLowerCase()))
+      .slice(0, MAX_INCLUDE_SUGGESTIONS)
+    : [];
+  const usedBy = editingPrompt ? findUsedBy(editingPrompt, prompts) : [];
 
   /**
    * @function resetForm
@@ -40,6 +74,19 @@ const PromptEditor = ({ onAddPrompt, onEditPrompt, editingPrompt, hideHeading =
     setName('');
     setContent('');
     setTags('');
+    setCursor(null);
+  };
+
+  /**
+   * @function handleInsertInclude
+   * @description Completes the include directive at the cursor with a prompt name
+   * @param {string} includeName - Name of the prompt to include
+   */
+  const handleInsertInclude = (includeName) => {
+    // Replace the rest of a directive that was already closed after the cursor
+    const rest = content.slice(cursor).replace(/^[^{}\n]*\}\}/, '');
+    setContent(`${content.slice(0, openInclude.start)}{{> ${includeName}}}${rest}`);
+    setCursor(null);
   };
 
   // When editingPrompt changes (to an actual prompt), fill the form
@@ -84,20 +131,63 @@ const PromptEditor = ({ onAddPrompt, onEditPrompt, editingPrompt, hideHeading =
           />
           <Textarea
             value={content}
-            onChange={(e) => setContent(e.target.value)}
+            onChange={(e) => {
+              setContent(e.target.value);
+              setCursor(e.target.selectionStart);
+            }}
+            onSelect={(e) => setCursor(e.target.selectionStart)}
             placeholder="Enter prompt content"
             required
           />
+          {includeSuggestions.length > 0 && (
+            <Box borderWidth="1px" borderRadius="md" p={1} data-testid="include-suggestions">
+              {includeSuggestions.map(p => (
+                <Button
+                  key={p.id}
+                  type="button"
+                  size="xs"
+                  variant="ghost"
+                  width="100%"
+                  justifyContent="flex-start"
+                  onClick={() => handleInsertInclude(p.name)}
+                >
+                  {p.name}
+                </Button>
+              ))}
+            </Box>
+          )}
+          {editingPrompt && (
+            <Text fontSize="sm" color="gray.600" data-testid="used-by">
+              {usedBy.length
+                ? `Used by ${usedBy.map(p => p.name).join(', ')}; renaming or deleting this prompt breaks their includes.`
+                : 'Not included by other prompts.'}
+            </Text>
+          )}
           <Input
             value={tags}
             onChange={(e) => setTags(e.target.value)}
             placeholder="Tags (comma-separated)"
           />
-          <Button colorScheme="teal" type="submit">
-            {editingPrompt ? 'Update' : 'Add'}
-          </Button>
+          <HStack spacing={3}>
+            <Button colorScheme="teal" type="submit" flex="1">
+              {editingPrompt ? 'Update' : 'Add'}
+            </Button>
+            {editingPrompt && (
+              <Button variant="outline" onClick={() => setIsHistoryOpen(true)}>
+                History
+              </Button>
+            )}
+          </HStack>
         </Stack>
       </form>
+      {editingPrompt && isHistoryOpen && (
+        <PromptHistoryDrawer
+          promptId={editingPrompt.id}
+          isOpen={isHistoryOpen}
+          onClose={() => setIsHistoryOpen(false)}
+          onRestore={onRestoreRevision}
+        />
+      )}
     </Box>
   );
 };
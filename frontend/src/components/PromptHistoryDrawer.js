@@ -0,0 +1,196 @@
+/**
+ * @file PromptHistoryDrawer.js
+ * @description A drawer listing the saved revisions of a prompt, with a side-by-side
+ *              diff between any two revisions and a button to restore one.
+ *
+ * @dependencies
+ * - React: For component state and lifecycle
+ * - Chakra UI: For drawer and layout components
+ * - api.js: For fetching and restoring revisions
+ * - utils/diff.js: For the line diff
+ *
+ * @props
+ * - promptId: ID of the prompt whose history is shown
+ * - isOpen: Whether the drawer is open
+ * - onClose: Function to close the drawer
+ * - onRestore: Function called with the restored prompt {id, name, content, tags}
+ *
+ * @notes
+ * - Defaults to comparing the previous revision (left) with the latest (right).
+ * - Restoring records a new revision rather than rewriting history.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  Drawer,
+  DrawerOverlay,
+  DrawerContent,
+  DrawerHeader,
+  DrawerBody,
+  DrawerFooter,
+  DrawerCloseButton,
+  Box,
+  Button,
+  HStack,
+  Select,
+  Text,
+  useToast,
+} from '@chakra-ui/react';
+import { getPromptRevisions, restorePromptRevision } from '../api';
+import { diffLines, toSideBySide } from '../utils/diff';
+
+const CELL_COLORS = { removed: 'red.50', added: 'green.50', same: 'transparent' };
+
+/**
+ * @function DiffCell
+ * @description One side of a diff row; an empty cell is rendered greyed out
+ */
+const DiffCell = ({ cell }) => (
+  <Box
+    flex="1"
+    minW={0}
+    px={2}
+    bg={cell ? CELL_COLORS[cell.type] : 'gray.50'}
+    whiteSpace="pre-wrap"
+    wordBreak="break-word"
+  >
+    {cell ? cell.text || ' ' : ''}
+  </Box>
+);
+
+const formatRevision = (rev) => `#${rev.revision} — ${rev.name} (${rev.createdAt})`;
+
+const PromptHistoryDrawer = ({ promptId, isOpen, onClose, onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [leftRev, setLeftRev] = useState(null);
+  const [rightRev, setRightRev] = useState(null);
+  const [isRestoring, setIsRestoring] = useState(false);
+  const toast = useToast();
+
+  useEffect(() => {
+    if (!isOpen || !promptId) return;
+
+    const fetchRevisions = async () => {
+      try {
+        const data = await getPromptRevisions(promptId);
+        setRevisions(data);
+        // Newest first: compare the previous revision against the latest one
+        setRightRev(data.length ? data[0].revision : null);
+        setLeftRev(data.length > 1 ? data[1].revision : data.length ? data[0].revision : null);
+      } catch (error) {
+        toast({
+          title: 'Error Fetching History',
+          description: error.message,
+          status: 'error',
+          duration: 3000,
+          isClosable: true,
+        });
+      }
+    };
+    fetchRevisions();
+  }, [isOpen, promptId, toast]);
+
+  const left = revisions.find(r => r.revision === leftRev);
+  const right = revisions.find(r => r.revision === rightRev);
+
+  const rows = useMemo(
+    () => (left && right ? toSideBySide(diffLines(left.content, right.content)) : []),
+    [left, right]
+  );
+
+  /**
+   * @function handleRestore
+   * @description Restores the revision shown on the left
+   */
+  const handleRestore = async () => {
+    if (!left) return;
+    setIsRestoring(true);
+    try {
+      const restored = await restorePromptRevision(promptId, left.revision);
+      toast({
+        title: 'Revision Restored',
+        description: `Restored revision #${left.revision}.`,
+        status: 'success',
+        duration: 2000,
+        isClosable: true,
+      });
+      onRestore && onRestore(restored);
+      onClose();
+    } catch (error) {
+      toast({
+        title: 'Error Restoring Revision',
+        description: error.message,
+        status: 'error',
+        duration: 3000,
+        isClosable: true,
+      });
+    } finally {
+      setIsRestoring(false);
+    }
+  };
+
+  return (
+    <Drawer isOpen={isOpen} onClose={onClose} placement="right" size="xl">
+      <DrawerOverlay />
+      <DrawerContent>
+        <DrawerCloseButton />
+        <DrawerHeader>Prompt History</DrawerHeader>
+        <DrawerBody>
+          {revisions.length === 0 ? (
+            <Text color="gray.500">No revisions saved yet.</Text>
+          ) : (
+            <>
+              <HStack spacing={3} mb={3}>
+                <Select
+                  size="sm"
+                  aria-label="Left revision"
+                  value={leftRev ?? ''}
+                  onChange={(e) => setLeftRev(parseInt(e.target.value, 10))}
+                >
+                  {revisions.map(rev => (
+                    <option key={rev.revision} value={rev.revision}>{formatRevision(rev)}</option>
+                  ))}
+                </Select>
+                <Select
+                  size="sm"
+                  aria-label="Right revision"
+                  value={rightRev ?? ''}
+                  onChange={(e) => setRightRev(parseInt(e.target.value, 10))}
+                >
+                  {revisions.map(rev => (
+                    <option key={rev.revision} value={rev.revision}>{formatRevision(rev)}</option>
+                  ))}
+                </Select>
+              </HStack>
+              {left && right && left.tags !== right.tags && (
+                <Text fontSize="sm" mb={2}>
+                  Tags: <s>{left.tags || '(none)'}</s> → {right.tags || '(none)'}
+                </Text>
+              )}
+              <Box fontFamily="mono" fontSize="sm" borderWidth="1px" borderRadius="md">
+                {rows.map((row, index) => (
+                  <HStack key={index} spacing={0} align="stretch" borderBottomWidth="1px">
+                    <DiffCell cell={row.left} />
+                    <DiffCell cell={row.right} />
+                  </HStack>
+                ))}
+              </Box>
+            </>
+          )}
+        </DrawerBody>
+        <DrawerFooter>
+          <Button
+            colorScheme="teal"
+            onClick={handleRestore}
+            isDisabled={!left || left.revision === revisions[0]?.revision}
+            isLoading={isRestoring}
+          >
+            {left ? `Restore #${left.revision}` : 'Restore'}
+          </Button>
+        </DrawerFooter>
+      </DrawerContent>
+    </Drawer>
+  );
+};
+
+export default PromptHistoryDrawer;
@@ -26,12 +26,19 @@
  * - onBulkFileCheckboxChange: Function to toggle bulk file checkbox state in directory prompts
  * - onFileExcludeToggle: Function to toggle file exclusion state in directory prompts
  * - onBulkFileExcludeToggle: Function to toggle bulk file exclusion state in directory prompts
- * - onRefreshPrompts: Function to refresh prompts after directory refresh
+ * - onSelectFiles: Function to check exactly a given set of files in a directory prompt
+ * - onDiffSectionChange: Function to set or remove a directory prompt's git diff section
+ * - onApplyFilePattern: Function to check or exclude the files matching a glob or regex
+ * - tokenizerModel: Tokenizer model id for the token badges (see utils/tokenizer.js)
+ * - outputFormat: Master prompt output format, passed to the file tree token counts
  *
  * @notes
  * - Added recursive file tree rendering with collapsible states via FileTree component.
  * - Maintains separate expanded states for prompts and file tree nodes.
- * - Added refresh button for directory prompts to manually update file list.
+ * - Directory file lists update live from server events, so there is no refresh button.
+ * - Flags directory prompts whose path no longer exists with a "Missing" badge.
+ * - Text prompts included by others (`{{> name}}`) show a "Used by" badge naming them, so
+ *   it is clear what an edit or delete affects.
  */
 import React, { useState } from 'react';
 import {
@@ -52,12 +59,11 @@ import {
   ChevronDownIcon, 
   ChevronUpIcon,
   CopyIcon,
-  RepeatIcon,
   AddIcon,
 } from '@chakra-ui/icons';
-import { countTokens, getTokenColorScheme } from '../utils/tokenizer';
+import { countTokens, getTokenColorScheme, getContextWindow } from '../utils/tokenizer';
+import { findUsedBy } from '../utils/includes';
 import FileTree from './FileTree';
-import { refreshDirectoryPrompt } from '../api';
 
 const PromptList = ({
   prompts,
@@ -74,11 +80,14 @@ const PromptList = ({
   onBulkFileCheckboxChange,
   onFileExcludeToggle,
   onBulkFileExcludeToggle,
-  onRefreshPrompts,
+  onSelectFiles,
+  onApplyFilePattern,
+  onDiffSectionChange,
+  tokenizerModel,
+  outputFormat,
 }) => {
   const toast = useToast();
   const [expandedFileStates, setExpandedFileStates] = useState({});
-  const [refreshingDirectories, setRefreshingDirectories] = useState({});
 
   const handleCopyPrompt = async (content, name) => {
     try {
@@ -107,40 +116,6 @@ const PromptList = ({
     setExpandedFileStates({});
   };
 
-  const handleRefreshDirectory = async (promptId) => {
-    if (refreshingDirectories[promptId]) return; // Prevent multiple refreshes
-    
-    setRefreshingDirectories(prev => ({ ...prev, [promptId]: true }));
-    
-    try {
-      await refreshDirectoryPrompt(promptId);
-      toast({
-        title: 'Directory Refreshed',
-        description: 'The directory files are being updated.',
-        status: 'success',
-        duration: 2000,
-        isClosable: true,
-      });
-      
-      // Fetch updated prompts after a short delay to allow backend processing
-      setTimeout(async () => {
-        if (onRefreshPrompts) {
-          await onRefreshPrompts();
-        }
-        setRefreshingDirectories(prev => ({ ...prev, [promptId]: false }));
-      }, 1000);
-    } catch (error) {
-      toast({
-        title: 'Refresh Failed',
-        description: error.message,
-        status: 'error',
-        duration: 3000,
-        isClosable: true,
-      });
-      setRefreshingDirectories(prev => ({ ...prev, [promptId]: false }));
-    }
-  };
-
   return (
     <Box bg="white" p={4} borderRadius="md" boxShadow="sm">
       <Flex align="center" justify="space-between" mb={3}>
@@ -165,6 +140,7 @@ const PromptList = ({
         )}
         {prompts.map(prompt => {
           const isExpanded = expandedStates[prompt.id] || false;
+          const usedBy = prompt.isDirectory ? [] : findUsedBy(prompt, prompts);
           return (
             <Box
               key={prompt.id}
@@ -196,26 +172,40 @@ const PromptList = ({
                   <Text fontWeight="bold" noOfLines={1}>
                     {prompt.name}
                   </Text>
+                  {prompt.isMissing && (
+                    <Badge
+                      ml={2}
+                      colorScheme="red"
+                      variant="subtle"
+                      title={`${prompt.content} no longer exists`}
+                    >
+                      Missing
+                    </Badge>
+                  )}
+                  {usedBy.length > 0 && (
+                    <Badge
+                      ml={2}
+                      colorScheme="purple"
+                      variant="subtle"
+                      title={`Included by ${usedBy.map(p => p.name).join(', ')}`}
+                      data-testid={`used-by-${prompt.id}`}
+                    >
+                      Used by {usedBy.length}
+                    </Badge>
+                  )}
                 </Flex>
                 <Flex gap={2} alignItems="center">
                   {!prompt.isDirectory && (
                     <Badge
-                      colorScheme={getTokenColorScheme(countTokens(prompt.content))}
+                      colorScheme={getTokenColorScheme(
+                        countTokens(prompt.content, tokenizerModel),
+                        getContextWindow(tokenizerModel)
+                      )}
                       variant="subtle"
                     >
-                      {countTokens(prompt.content)} tokens
+                      {countTokens(prompt.content, tokenizerModel)} tokens
                     </Badge>
                   )}
-                  {prompt.isDirectory && (
-                    <IconButton
-                      aria-label="Refresh Directory"
-                      icon={<RepeatIcon />}
-                      size="sm"
-                      isLoading={refreshingDirectories[prompt.id]}
-                      onClick={() => handleRefreshDirectory(prompt.id)}
-                      title="Refresh directory files"
-                    />
-                  )}
                   <IconButton
                     aria-label={isExpanded ? 'Collapse Prompt' : 'Expand Prompt'}
                     icon={isExpanded ? <ChevronUpIcon /> : <ChevronDownIcon />}
@@ -263,10 +253,17 @@ const PromptList = ({
                       promptId={prompt.id}
                       onFileCheckboxChange={onFileCheckboxChange}
                       onBulkFileCheckboxChange={onBulkFileCheckboxChange}
+                      onSelectFiles={onSelectFiles}
+                      gitBranch={prompt.gitBranch}
+                      diffSection={prompt.diffSection}
+                      onDiffSectionChange={onDiffSectionChange}
+                      onApplyFilePattern={onApplyFilePattern}
                       onFileExcludeToggle={onFileExcludeToggle}
                       onBulkFileExcludeToggle={onBulkFileExcludeToggle}
                       expandedStates={expandedFileStates}
                       onToggleExpand={handleToggleFileExpand}
+                      tokenizerModel={tokenizerModel}
+                      outputFormat={outputFormat}
                     />
                   ) : (
                     <Text color="gray.600" noOfLines={isExpanded ? undefined : 2}>
@@ -0,0 +1,129 @@
+/**
+ * @file SearchResults.js
+ * @description Lists full-text search results: prompts whose name, content or tags match,
+ *              and matching lines in the files of watched directories, each with an action
+ *              to add it to the master prompt.
+ *
+ * @dependencies
+ * - React: For component rendering
+ * - Chakra UI: For layout components
+ * - @chakra-ui/icons: For the close icon
+ *
+ * @props
+ * - results: Response of api.searchContents {query, prompts, files, truncated}
+ * - prompts: Array of all prompt objects, to show which files are already checked
+ * - selectedPrompts: Array of selected prompt IDs
+ * - onSelectPrompt: Function called with a prompt ID to select it
+ * - onCheckFile: Function called with (promptId, filePath) to check a file
+ * - onClose: Function to dismiss the results
+ *
+ * @notes
+ * - Snippets come with highlight offsets from the backend and are marked with <mark>.
+ */
+
+import React from 'react';
+import { Box, Button, Flex, Heading, IconButton, Stack, Text } from '@chakra-ui/react';
+import { SmallCloseIcon } from '@chakra-ui/icons';
+
+/**
+ * @function Highlighted
+ * @description Renders a snippet with its highlighted ranges marked
+ */
+const Highlighted = ({ snippet }) => {
+  const parts = [];
+  let offset = 0;
+  snippet.highlights.forEach(([start, end]) => {
+    if (start > offset) parts.push(snippet.text.slice(offset, start));
+    parts.push(<mark key={start}>{snippet.text.slice(start, end)}</mark>);
+    offset = end;
+  });
+  if (offset < snippet.text.length) parts.push(snippet.text.slice(offset));
+  return <>{parts}</>;
+};
+
+const SearchResults = ({ results, prompts, selectedPrompts, onSelectPrompt, onCheckFile, onClose }) => {
+  const isFileChecked = (promptId, filePath) => {
+    const prompt = prompts.find(p => p.id === promptId);
+    const file = prompt && prompt.files.find(f => f.path === filePath);
+    return Boolean(file && file.isChecked);
+  };
+
+  const isEmpty = !results.prompts.length && !results.files.length;
+
+  return (
+    <Box data-testid="search-results" bg="white" p={4} mb={4} borderRadius="md" boxShadow="sm">
+      <Flex justify="space-between" align="center" mb={2}>
+        <Heading as="h2" size="md">
+          {`Search results for "${results.query}"`}
+        </Heading>
+        <IconButton
+          aria-label="Close search results"
+          icon={<SmallCloseIcon />}
+          size="sm"
+          variant="ghost"
+          onClick={onClose}
+        />
+      </Flex>
+
+      {isEmpty && (
+        <Text fontStyle="italic" color="gray.500">
+          Nothing matches.
+        </Text>
+      )}
+
+      {results.prompts.length > 0 && (
+        <Stack spacing={2} mb={3}>
+          {results.prompts.map(result => {
+            const isSelected = selectedPrompts.includes(result.id);
+            return (
+              <Flex key={result.id} data-testid={`search-prompt-${result.id}`} justify="space-between" align="center" gap={2}>
+                <Box minW={0}>
+                  <Text fontWeight="bold"><Highlighted snippet={result.name} /></Text>
+                  <Text fontSize="sm" color="gray.600" noOfLines={2}><Highlighted snippet={result.snippet} /></Text>
+                </Box>
+                <Button size="sm" onClick={() => onSelectPrompt(result.id)} isDisabled={isSelected}>
+                  {isSelected ? 'Selected' : 'Select'}
+                </Button>
+              </Flex>
+            );
+          })}
+        </Stack>
+      )}
+
+      {results.files.length > 0 && (
+        <Stack spacing={2}>
+          {results.files.map(result => {
+            const isChecked = isFileChecked(result.promptId, result.path);
+            return (
+              <Flex
+                key={`${result.promptId}:${result.path}:${result.line}`}
+                data-testid={`search-file-${result.path}:${result.line}`}
+                justify="space-between"
+                align="center"
+                gap={2}
+              >
+                <Box minW={0}>
+                  <Text fontSize="sm" fontWeight="bold">{`${result.promptName}/${result.path}:${result.line}`}</Text>
+                  <Text fontSize="sm" fontFamily="mono" color="gray.600" noOfLines={1}>
+                    <Highlighted snippet={result.snippet} />
+                  </Text>
+                </Box>
+                <Button size="sm" onClick={() => onCheckFile(result.promptId, result.path)} isDisabled={isChecked}>
+                  {isChecked ? 'Checked' : 'Check file'}
+                </Button>
+              </Flex>
+            );
+          })}
+        </Stack>
+      )}
+
+      {results.truncated && (
+        <Text fontSize="sm" color="gray.500" mt={2}>
+          Showing the first {results.files.length} file matches; refine the search to see more.
+        </Text>
+      )}
+    </Box>
+  );
+};
+
+export default SearchResults;
@@ -14,6 +14,7 @@
  * - prompts: Array of all prompt objects
  * - onReorder: Function to handle reordering of selected prompts
  * - onRemove: Function to handle removal of a selected prompt
+ * - tokenizerModel: Tokenizer model id for the per-prompt token counts
  *
  * @notes
  * - Uses @dnd-kit for drag-and-drop with Pointer and Keyboard sensors.
@@ -38,7 +39,7 @@ import {
 import { SortablePrompt } from './SortablePrompt';
 import { Box, Heading, Text } from '@chakra-ui/react';
 
-const SelectedPromptList = ({ selectedPrompts, prompts, onReorder, onRemove }) => {
+const SelectedPromptList = ({ selectedPrompts, prompts, onReorder, onRemove, tokenizerModel }) => {
   const sensors = useSensors(
     useSensor(PointerSensor),
     useSensor(KeyboardSensor, {
@@ -81,7 +82,7 @@ const SelectedPromptList = ({ selectedPrompts, prompts, onReorder, onRemove }) =
             strategy={verticalListSortingStrategy}
           >
             {selectedPromptObjects.map((prompt) => (
-              <SortablePrompt key={prompt.id} prompt={prompt} onRemove={onRemove} />
+              <SortablePrompt key={prompt.id} prompt={prompt} onRemove={onRemove} tokenizerModel={tokenizerModel} />
             ))}
           </SortableContext>
         </DndContext>
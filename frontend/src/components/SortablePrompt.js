@@ -7,23 +7,28 @@
  * - React: For component rendering
  * - @dnd-kit/sortable: For drag-and-drop functionality
  * - @dnd-kit/utilities: For CSS transform utilities
- * - Chakra UI (Box, Text, DragHandleIcon, Tooltip, IconButton): UI components and icons
+ * - Chakra UI (Box, Text, Badge, DragHandleIcon, Tooltip, IconButton): UI components and icons
+ * - utils/tokenizer.js: For the token count badge
  *
  * @props
  * - prompt: Object containing prompt details (id, name, content)
  * - onRemove: Function to remove the prompt from the SelectedPromptList
+ * - tokenizerModel: Tokenizer model id for the token count
  *
  * @notes
  * - Uses useSortable to enable dragging with a handle (DragHandleIcon).
  * - Added data-testid to DragHandleIcon for Cypress testing reliability.
+ * - Text prompts show their token count; a directory's count depends on its checked files
+ *   and is part of the master prompt badge instead.
  */
 import React from 'react';
 import { useSortable } from '@dnd-kit/sortable';
 import { CSS } from '@dnd-kit/utilities';
-import { Box, Text, Tooltip, IconButton } from '@chakra-ui/react';
+import { Box, Text, Badge, Tooltip, IconButton } from '@chakra-ui/react';
 import { DragHandleIcon, CloseIcon } from '@chakra-ui/icons';
+import { countTokens, getTokenColorScheme, getContextWindow } from '../utils/tokenizer';
 
-export function SortablePrompt({ prompt, onRemove }) {
+export function SortablePrompt({ prompt, onRemove, tokenizerModel }) {
   const {
     attributes,
     listeners,
@@ -43,6 +48,8 @@ export function SortablePrompt({ prompt, onRemove }) {
     ? `${prompt.content.slice(0, PREVIEW_CHAR_LIMIT)}…`
     : prompt.content;
 
+  const tokenCount = prompt.isDirectory ? null : countTokens(prompt.content, tokenizerModel);
+
   return (
     <Tooltip label={tooltipPreview} hasArrow openDelay={300} placement="auto" maxW="400px" whiteSpace="pre-wrap">
       <Box
@@ -78,6 +85,15 @@ export function SortablePrompt({ prompt, onRemove }) {
               {prompt.content}
             </Text>
           )}
+          {tokenCount !== null && (
+            <Badge
+              colorScheme={getTokenColorScheme(tokenCount, getContextWindow(tokenizerModel))}
+              variant="subtle"
+              data-testid={`selected-tokens-${prompt.id}`}
+            >
+              {tokenCount} tokens
+            </Badge>
+          )}
         </Box>
         {onRemove && (
           <IconButton
@@ -0,0 +1,252 @@
+/**
+ * @file FileTree.test.js
+ * @description Unit tests for the <FileTree /> component's git features (status badges,
+ *              the modified / staged / untracked / changed-vs-ref actions and the diff section),
+ *              token counts and the file finder.
+ *
+ * @dependencies
+ * - React
+ * - @testing-library/react
+ * - FileTree (component under test)
+ *
+ * @notes
+ * - api.js is mocked for the changed-vs-ref lookup and the token counts
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, cleanup, waitFor, within } from '@testing-library/react';
+import FileTree from '../FileTree';
+import { getGitChangedFiles, getDirectoryTokenCounts } from '../../api';
+
+jest.mock('../../api', () => ({
+  getGitChangedFiles: jest.fn(),
+  getDirectoryTokenCounts: jest.fn(),
+}));
+
+describe('<FileTree /> git features', () => {
+  const mockOnSelectFiles = jest.fn();
+  const mockOnDiffSectionChange = jest.fn();
+
+  const files = [
+    { path: 'a.js', isChecked: false, gitStatus: { code: ' M', staged: false, modified: true, untracked: false } },
+    { path: 'b.js', isChecked: true, gitStatus: { code: 'MM', staged: true, modified: true, untracked: false } },
+    { path: 'c.js', isChecked: false, gitStatus: { code: '??', staged: false, modified: false, untracked: true } },
+    { path: 'd.js', isChecked: false, gitStatus: null },
+  ];
+
+  const renderTree = (props = {}) => render(
+    <FileTree
+      files={files}
+      promptId={7}
+      onFileCheckboxChange={jest.fn()}
+      onBulkFileCheckboxChange={jest.fn()}
+      onFileExcludeToggle={jest.fn()}
+      onBulkFileExcludeToggle={jest.fn()}
+      onSelectFiles={mockOnSelectFiles}
+      onDiffSectionChange={mockOnDiffSectionChange}
+      diffSection={null}
+      expandedStates={{}}
+      onToggleExpand={jest.fn()}
+      gitBranch="feature"
+      {...props}
+    />
+  );
+
+  beforeEach(() => {
+    getDirectoryTokenCounts.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    cleanup();
+    jest.clearAllMocks();
+  });
+
+  test('shows status badges and selects files by git status', () => {
+    renderTree();
+
+    expect(screen.getByText('feature')).toBeInTheDocument();
+    expect(screen.getAllByText('M')).toHaveLength(2);
+    expect(screen.getAllByText('S')).toHaveLength(1);
+    expect(screen.getAllByText('U')).toHaveLength(1);
+
+    fireEvent.click(screen.getByText('Modified (2)'));
+    expect(mockOnSelectFiles).toHaveBeenLastCalledWith(7, ['a.js', 'b.js']);
+
+    fireEvent.click(screen.getByText('Staged (1)'));
+    expect(mockOnSelectFiles).toHaveBeenLastCalledWith(7, ['b.js']);
+
+    fireEvent.click(screen.getByText('Untracked (1)'));
+    expect(mockOnSelectFiles).toHaveBeenLastCalledWith(7, ['c.js']);
+  });
+
+  test('selects the files changed against an entered ref', async () => {
+    getGitChangedFiles.mockResolvedValue(['a.js', 'd.js']);
+    renderTree();
+
+    fireEvent.change(screen.getByLabelText('Git ref to compare with'), { target: { value: 'develop' } });
+    fireEvent.click(screen.getByText('Changed vs ref'));
+
+    await waitFor(() => expect(mockOnSelectFiles).toHaveBeenCalledWith(7, ['a.js', 'd.js']));
+    expect(getGitChangedFiles).toHaveBeenCalledWith(7, 'develop');
+  });
+
+  test('saves diff modes, waiting for refs in refs mode', () => {
+    renderTree();
+    const modeSelect = screen.getByLabelText('Git diff section');
+
+    fireEvent.change(modeSelect, { target: { value: 'staged' } });
+    expect(mockOnDiffSectionChange).toHaveBeenLastCalledWith(7, { mode: 'staged' });
+
+    fireEvent.change(modeSelect, { target: { value: 'refs' } });
+    expect(mockOnDiffSectionChange).toHaveBeenCalledTimes(1);
+    fireEvent.change(screen.getByLabelText('Diff base ref'), { target: { value: 'develop' } });
+    fireEvent.click(screen.getByText('Apply'));
+    expect(mockOnDiffSectionChange).toHaveBeenLastCalledWith(7, { mode: 'refs', baseRef: 'develop', headRef: null });
+
+    fireEvent.change(modeSelect, { target: { value: '' } });
+    expect(mockOnDiffSectionChange).toHaveBeenLastCalledWith(7, null);
+  });
+
+  test('hides git actions outside a repository', () => {
+    renderTree({ gitBranch: null });
+    expect(screen.queryByText('Changed vs ref')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText('Git diff section')).not.toBeInTheDocument();
+  });
+});
+
+describe('<FileTree /> token counts', () => {
+  const files = [
+    { path: 'docs/guide.md', mtime: 1, isChecked: false },
+    { path: 'src/a.js', mtime: 1, isChecked: false },
+    { path: 'src/big.js', mtime: 1, isChecked: false },
+    { path: 'src/skip.js', mtime: 1, isChecked: false, isExcluded: true },
+    { path: 'logo.png', mtime: 1, isChecked: false, isBinary: true },
+  ];
+
+  const tree = (props = {}) => (
+    <FileTree
+      files={files}
+      promptId={7}
+      onFileCheckboxChange={jest.fn()}
+      onBulkFileCheckboxChange={jest.fn()}
+      onFileExcludeToggle={jest.fn()}
+      onBulkFileExcludeToggle={jest.fn()}
+      expandedStates={{ docs: true, src: true }}
+      onToggleExpand={jest.fn()}
+      tokenizerModel="o200k"
+      {...props}
+    />
+  );
+  const renderTree = () => render(tree());
+
+  beforeEach(() => {
+    getDirectoryTokenCounts.mockResolvedValue({
+      'docs/guide.md': 300,
+      'src/a.js': 20,
+      'src/big.js': 1500,
+      'src/skip.js': 40,
+      'logo.png': null,
+    });
+  });
+
+  afterEach(() => {
+    cleanup();
+    jest.clearAllMocks();
+  });
+
+  test('shows file counts and folder totals of included files', async () => {
+    renderTree();
+
+    expect(await screen.findByTestId('file-tokens-src/big.js')).toHaveTextContent('1.5k tokens');
+    expect(getDirectoryTokenCounts).toHaveBeenCalledWith(7, 'o200k', 'markdown');
+    expect(screen.getByTestId('file-tokens-src/a.js')).toHaveTextContent('20 tokens');
+    expect(screen.queryByTestId('file-tokens-logo.png')).not.toBeInTheDocument();
+    // src/ leaves out the excluded skip.js; the whole directory adds docs/
+    expect(screen.getByTitle('1520 tokens in the included files of src/')).toHaveTextContent('1.5k tokens');
+    expect(screen.getByTitle('1820 tokens in all included files')).toBeInTheDocument();
+  });
+
+  test('refetches the counts when the output format changes', async () => {
+    const { rerender } = renderTree();
+    await screen.findByTestId('file-tokens-src/big.js');
+
+    getDirectoryTokenCounts.mockResolvedValue({ 'src/big.js': 1600 });
+    rerender(tree({ outputFormat: 'xml' }));
+
+    expect(getDirectoryTokenCounts).toHaveBeenLastCalledWith(7, 'o200k', 'xml');
+    await waitFor(() => expect(screen.getByTestId('file-tokens-src/big.js')).toHaveTextContent('1.6k tokens'));
+  });
+
+  test('sorts folders and files by tokens, largest first', async () => {
+    renderTree();
+    await screen.findByTestId('file-tokens-src/big.js');
+
+    const fileOrder = () => screen.getAllByTestId(/^file-tokens-/).map(el => el.dataset.testid.slice(12));
+    expect(fileOrder()).toEqual(['docs/guide.md', 'src/a.js', 'src/big.js', 'src/skip.js']);
+
+    fireEvent.change(screen.getByLabelText('Sort files'), { target: { value: 'tokens' } });
+    expect(fileOrder()).toEqual(['src/big.js', 'src/skip.js', 'src/a.js', 'docs/guide.md']);
+    expect(screen.getAllByText(/^(docs|src)\/$/).map(el => el.textContent)).toEqual(['src/', 'docs/']);
+  });
+});
+
+describe('<FileTree /> file finder', () => {
+  const files = [
+    { path: 'README.md', isChecked: false },
+    { path: 'src/app.test.js', isChecked: false },
+    { path: 'src/components/Button.js', isChecked: false },
+    { path: 'src/components/Button.test.js', isChecked: false },
+  ];
+
+  const renderTree = (props = {}) => render(
+    <FileTree
+      files={files}
+      promptId={7}
+      onFileCheckboxChange={jest.fn()}
+      onBulkFileCheckboxChange={jest.fn()}
+      onFileExcludeToggle={jest.fn()}
+      onBulkFileExcludeToggle={jest.fn()}
+      expandedStates={{}}
+      onToggleExpand={jest.fn()}
+      {...props}
+    />
+  );
+
+  beforeEach(() => {
+    getDirectoryTokenCounts.mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    cleanup();
+    jest.clearAllMocks();
+  });
+
+  test('narrows the tree to fuzzy matches and marks the matched characters', () => {
+    renderTree();
+
+    fireEvent.change(screen.getByLabelText('Filter files'), { target: { value: 'btn test' } });
+    expect(screen.getByText('1 of 4 files')).toBeInTheDocument();
+    // Collapsed folders open while filtering
+    const name = screen.getByTitle('src/components/Button.test.js');
+    expect(within(name).getAllByText(/./, { selector: 'mark' }).map(mark => mark.textContent).join('')).toBe('Btntest');
+    expect(screen.queryByTitle('README.md')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Filter files'), { target: { value: 'zzz' } });
+    expect(screen.getByText('No files match "zzz".')).toBeInTheDocument();
+  });
+
+  test('previews pattern matches and applies them', () => {
+    const onApplyFilePattern = jest.fn();
+    renderTree({ onApplyFilePattern });
+
+    fireEvent.change(screen.getByLabelText('File pattern'), { target: { value: '*.test.js' } });
+    expect(screen.getByTestId('pattern-preview')).toHaveTextContent('2 matches');
+    fireEvent.click(screen.getByText('Check matches'));
+    expect(onApplyFilePattern).toHaveBeenCalledWith(7, { pattern: '*.test.js', patternType: 'glob' }, 'check');
+
+    fireEvent.change(screen.getByLabelText('Pattern type'), { target: { value: 'regex' } });
+    fireEvent.change(screen.getByLabelText('File pattern'), { target: { value: '(' } });
+    expect(screen.getByTestId('pattern-preview')).toHaveTextContent(/Invalid regular expression/);
+    expect(screen.getByText('Exclude matches')).toBeDisabled();
+  });
+});
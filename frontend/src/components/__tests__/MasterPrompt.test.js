@@ -12,12 +12,20 @@
  * - Mocks the Clipboard API (navigator.clipboard.writeText) with Jest so `.toHaveBeenCalledWith()` works.
  * - Uses renderWithChakra from setupTests.js to provide ChakraProvider context.
  * - Verifies the copy button is disabled if there's no text.
+ * - Token counts and budget fits are debounced, so tests wait for them with findBy queries.
+ * - Replaces the worker client with mocks that count and fit on the main thread so fit
+ *   requests can be inspected.
  */
 
 import React from 'react';
-import { screen, fireEvent } from '@testing-library/react';
+import { screen, fireEvent, waitFor } from '@testing-library/react';
 import { renderWithChakra } from '../../setupTests'; // Import custom render
 import MasterPrompt from '../MasterPrompt';
+import { countTokensInWorker, fitToBudgetInWorker } from '../../utils/tokenWorker';
+import { countTokens } from '../../utils/tokenizer';
+import { fitToBudget } from '../../utils/budget';
+
+jest.mock('../../utils/tokenWorker', () => ({ countTokensInWorker: jest.fn(), fitToBudgetInWorker: jest.fn() }));
 
 describe('<MasterPrompt />', () => {
   beforeEach(() => {
@@ -28,6 +36,11 @@ describe('<MasterPrompt />', () => {
       },
       writable: true,
     });
+    window.sessionStorage.clear();
+    countTokensInWorker.mockImplementation((texts, model) =>
+      Promise.resolve(texts.map(text => countTokens(text, model))));
+    fitToBudgetInWorker.mockImplementation((segments, options, model) =>
+      Promise.resolve(fitToBudget(segments, { ...options, countTokens: (text) => countTokens(text, model) })));
   });
 
   test('renders the combined text in the textarea', () => {
@@ -52,4 +65,110 @@ describe('<MasterPrompt />', () => {
     fireEvent.click(copyButton);
     expect(navigator.clipboard.writeText).toHaveBeenCalledWith('Some text');
   });
+
+  test('budget mode fits the segments and lists what was cut', async () => {
+    const bigFile = Array.from({ length: 200 }, (_, i) => `const value${i} = ${i};`).join('\n');
+    const segments = [
+      { type: 'text', promptId: 1, name: 'Intro', content: 'Review this.' },
+      {
+        type: 'directory',
+        promptId: 2,
+        name: 'repo',
+        tree: '[x] big.js\n[x] small.js',
+        diff: null,
+        files: [{ path: 'big.js', content: bigFile }, { path: 'small.js', content: 'small();' }],
+      },
+    ];
+    renderWithChakra(<MasterPrompt selectedPromptsText="full text" segments={segments} />);
+
+    fireEvent.click(screen.getByLabelText('Fit to token budget'));
+    fireEvent.change(screen.getByLabelText('Token budget'), { target: { value: '100' } });
+
+    expect(await screen.findByTestId('budget-report')).toHaveTextContent('Dropped big.js from repo');
+    const textarea = screen.getByPlaceholderText(/Selected prompts will appear here.../i);
+    expect(textarea.value).toContain('```small.js\nsmall();\n```');
+    expect(textarea.value).not.toContain('big.js\nconst');
+
+    fireEvent.change(screen.getByLabelText('Budget strategy'), { target: { value: 'drop-prompts' } });
+    await waitFor(() => expect(screen.getByTestId('budget-report')).toHaveTextContent('Dropped prompt repo'));
+    expect(textarea.value).toBe('Review this.');
+  });
+
+  test('budget mode leaves room for the additional instructions', async () => {
+    const segments = [
+      { type: 'text', promptId: 1, name: 'Intro', content: 'Review this.' },
+      { type: 'text', promptId: 2, name: 'Extra', content: 'word '.repeat(20) },
+    ];
+    renderWithChakra(<MasterPrompt selectedPromptsText="" segments={segments} />);
+
+    fireEvent.click(screen.getByLabelText('Fit to token budget'));
+    fireEvent.change(screen.getByLabelText('Budget strategy'), { target: { value: 'drop-prompts' } });
+    fireEvent.change(screen.getByLabelText('Token budget'), { target: { value: '28' } });
+    expect(await screen.findByText('24 tokens')).toBeInTheDocument();
+    expect(screen.queryByTestId('budget-report')).not.toBeInTheDocument();
+
+    // 7 tokens of instructions leave 21 for the prompts
+    fireEvent.change(screen.getByPlaceholderText(/Add additional instructions here/i), {
+      target: { value: 'Be brief and precise, please.' },
+    });
+    expect(await screen.findByTestId('budget-report')).toHaveTextContent('Dropped prompt Extra');
+    expect(await screen.findByText('10 tokens')).toBeInTheDocument();
+    expect(screen.getByTestId('budget-report')).not.toHaveTextContent('over budget');
+  });
+
+  test('counts tokens with the selected model and reports model changes', async () => {
+    const onTokenizerModelChange = jest.fn();
+    renderWithChakra(
+      <MasterPrompt
+        selectedPromptsText={'a'.repeat(35)}
+        tokenizerModel="claude"
+        onTokenizerModelChange={onTokenizerModelChange}
+      />
+    );
+
+    expect(screen.getByTestId('token-count-pending')).toBeInTheDocument();
+    expect(await screen.findByText('10 tokens')).toBeInTheDocument();
+    expect(screen.queryByTestId('token-count-pending')).not.toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText('Tokenizer model'), { target: { value: 'o200k' } });
+    expect(onTokenizerModelChange).toHaveBeenCalledWith('o200k');
+  });
+
+  test('fills template variables and blocks copying until required ones are set', () => {
+    const segments = [
+      { type: 'text', promptId: 1, name: 'Review', content: 'Review {{ticket}} in {{language:English}}.' },
+      { type: 'text', promptId: 2, name: 'Persona', content: 'You are a {{persona:reviewer}} for {{ticket}}.' },
+    ];
+    const { unmount } = renderWithChakra(<MasterPrompt selectedPromptsText="" segments={segments} />);
+
+    const textarea = screen.getByPlaceholderText(/Selected prompts will appear here.../i);
+    const copyButton = screen.getByRole('button', { name: /Copy to Clipboard/i });
+    expect(screen.getByTestId('template-variables')).toBeInTheDocument();
+    expect(textarea).toHaveValue('Review {{ticket}} in English.\nYou are a reviewer for {{ticket}}.');
+    expect(copyButton).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Template variable ticket'), { target: { value: 'PN-42' } });
+    fireEvent.change(screen.getByLabelText('Template variable language'), { target: { value: 'German' } });
+    expect(textarea).toHaveValue('Review PN-42 in German.\nYou are a reviewer for PN-42.');
+    expect(copyButton).not.toBeDisabled();
+
+    // Values survive a remount within the session
+    unmount();
+    renderWithChakra(<MasterPrompt selectedPromptsText="" segments={segments} />);
+    expect(screen.getByLabelText('Template variable ticket')).toHaveValue('PN-42');
+  });
+
+  test('renders and copies the selected output format', () => {
+    const segments = [{ type: 'text', promptId: 1, name: 'Intro', content: 'Review this.' }];
+    renderWithChakra(<MasterPrompt selectedPromptsText="Review this." segments={segments} />);
+
+    fireEvent.change(screen.getByLabelText('Output format'), { target: { value: 'xml' } });
+    fireEvent.change(screen.getByPlaceholderText(/Add additional instructions here/i), { target: { value: 'Be brief.' } });
+
+    expect(screen.getByPlaceholderText(/Selected prompts will appear here.../i))
+      .toHaveValue('<prompt name="Intro">\nReview this.\n</prompt>');
+    fireEvent.click(screen.getByRole('button', { name: /Copy to Clipboard/i }));
+    expect(navigator.clipboard.writeText).toHaveBeenCalledWith(
+      '<prompt name="Intro">\nReview this.\n</prompt>\n\n<instructions>\nBe brief.\n</instructions>'
+    );
+  });
 });
@@ -0,0 +1,96 @@
+/**
+ * @file PresetSwitcher.test.js
+ * @description Unit tests for the <PresetSwitcher /> component: listing, saving, updating,
+ *              deleting and loading presets.
+ *
+ * @dependencies
+ * - React
+ * - @testing-library/react
+ * - PresetSwitcher (component under test)
+ *
+ * @notes
+ * - api.js is mocked; loading resolves with what POST /presets/:id/apply returns.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import PresetSwitcher from '../PresetSwitcher';
+import { getPresets, createPreset, updatePreset, deletePreset, applyPreset } from '../../api';
+
+jest.mock('../../api', () => ({
+  getPresets: jest.fn(),
+  createPreset: jest.fn(),
+  updatePreset: jest.fn(),
+  deletePreset: jest.fn(),
+  applyPreset: jest.fn(),
+}));
+
+const state = {
+  selectedPromptIds: [1, 2],
+  promptOrder: [2, 1],
+  directories: [{ promptId: 2, checkedPaths: ['a.js'], excludedPaths: [] }],
+  additionalInstructions: 'Be brief',
+};
+
+const morning = { id: 7, name: 'Morning', state };
+
+describe('<PresetSwitcher />', () => {
+  beforeEach(() => {
+    getPresets.mockResolvedValue([morning]);
+  });
+
+  test('lists presets and disables update and delete until one is loaded', async () => {
+    render(<PresetSwitcher captureState={jest.fn()} onLoad={jest.fn()} />);
+
+    expect(await screen.findByRole('option', { name: 'Morning' })).toBeInTheDocument();
+    expect(screen.getByText('Update')).toBeDisabled();
+    expect(screen.getByLabelText('Delete preset')).toBeDisabled();
+  });
+
+  test('loads a preset and passes its state and missing prompts on', async () => {
+    applyPreset.mockResolvedValue({ preset: morning, missingPromptIds: [1], missingFiles: [] });
+    const onLoad = jest.fn();
+    render(<PresetSwitcher captureState={jest.fn()} onLoad={onLoad} />);
+    await screen.findByRole('option', { name: 'Morning' });
+
+    fireEvent.change(screen.getByLabelText('Preset'), { target: { value: '7' } });
+
+    await waitFor(() => expect(onLoad).toHaveBeenCalledWith(state, [1]));
+    expect(applyPreset).toHaveBeenCalledWith(7);
+    expect(screen.getByText('Update')).not.toBeDisabled();
+  });
+
+  test('saves the captured state under a new name', async () => {
+    createPreset.mockResolvedValue(8);
+    const captureState = jest.fn(() => state);
+    render(<PresetSwitcher captureState={captureState} onLoad={jest.fn()} />);
+    await screen.findByRole('option', { name: 'Morning' });
+
+    fireEvent.click(screen.getByText('Save as Preset'));
+    fireEvent.change(screen.getByLabelText('Preset name'), { target: { value: ' Review ' } });
+    fireEvent.click(screen.getByText('Save'));
+
+    await waitFor(() => expect(createPreset).toHaveBeenCalledWith('Review', state));
+    expect(await screen.findByLabelText('Preset')).toBeInTheDocument();
+    expect(getPresets).toHaveBeenCalledTimes(2);
+  });
+
+  test('updates and deletes the loaded preset', async () => {
+    applyPreset.mockResolvedValue({ preset: morning, missingPromptIds: [], missingFiles: [] });
+    updatePreset.mockResolvedValue();
+    deletePreset.mockResolvedValue();
+    const captureState = jest.fn(() => state);
+    render(<PresetSwitcher captureState={captureState} onLoad={jest.fn()} />);
+    await screen.findByRole('option', { name: 'Morning' });
+    fireEvent.change(screen.getByLabelText('Preset'), { target: { value: '7' } });
+    await waitFor(() => expect(screen.getByText('Update')).not.toBeDisabled());
+
+    fireEvent.click(screen.getByText('Update'));
+    await waitFor(() => expect(updatePreset).toHaveBeenCalledWith(7, 'Morning', state));
+
+    await waitFor(() => expect(screen.getByLabelText('Delete preset')).not.toBeDisabled());
+    fireEvent.click(screen.getByLabelText('Delete preset'));
+    await waitFor(() => expect(deletePreset).toHaveBeenCalledWith(7));
+    await waitFor(() => expect(screen.queryByRole('option', { name: 'Morning' })).not.toBeInTheDocument());
+  });
+});
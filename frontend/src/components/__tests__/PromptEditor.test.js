@@ -12,11 +12,18 @@
  * - Mocks onAddPrompt and onEditPrompt to verify correct calls
  * - Distinguishes between "Add Prompt" and "Edit Prompt" headings
  * - Added cleanup to prevent state pollution
+ * - api.js is mocked for the revision history drawer
  */
 
 import React from 'react';
-import { render, screen, fireEvent, cleanup } from '@testing-library/react';
+import { render, screen, fireEvent, cleanup, waitFor } from '@testing-library/react';
 import PromptEditor from '../PromptEditor';
+import { getPromptRevisions, restorePromptRevision } from '../../api';
+
+jest.mock('../../api', () => ({
+  getPromptRevisions: jest.fn(),
+  restorePromptRevision: jest.fn(),
+}));
 
 describe('<PromptEditor />', () => {
   const mockOnAddPrompt = jest.fn();
@@ -91,4 +98,74 @@ describe('<PromptEditor />', () => {
       'tagUpdated'
     );
   });
-});
\ No newline at end of file
+
+  test('restores an earlier revision from the history drawer', async () => {
+    const mockOnRestore = jest.fn();
+    getPromptRevisions.mockResolvedValue([
+      { revision: 2, name: 'Name', content: 'new line', tags: '', createdAt: '2024-01-02' },
+      { revision: 1, name: 'Name', content: 'old line', tags: '', createdAt: '2024-01-01' },
+    ]);
+    restorePromptRevision.mockResolvedValue({ id: 3, name: 'Name', content: 'old line', tags: '' });
+
+    render(
+      <PromptEditor
+        onAddPrompt={mockOnAddPrompt}
+        onEditPrompt={mockOnEditPrompt}
+        editingPrompt={{ id: 3, name: 'Name', content: 'new line', tags: '' }}
+        onRestoreRevision={mockOnRestore}
+      />
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /History/i }));
+    expect(await screen.findByText('old line')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: /Restore #1/i }));
+    await waitFor(() => expect(mockOnRestore).toHaveBeenCalledWith(
+      { id: 3, name: 'Name', content: 'old line', tags: '' }
+    ));
+    expect(restorePromptRevision).toHaveBeenCalledWith(3, 1);
+  });
+
+  test('suggests prompt names after {{> and completes the include', () => {
+    const prompts = [
+      { id: 1, name: 'Preamble', content: 'Be precise.' },
+      { id: 2, name: 'Persona', content: 'Reviewer' },
+      { id: 3, name: 'repo', content: '/tmp/repo', isDirectory: true },
+    ];
+    render(
+      <PromptEditor
+        onAddPrompt={mockOnAddPrompt}
+        onEditPrompt={mockOnEditPrompt}
+        editingPrompt={null}
+        prompts={prompts}
+      />
+    );
+
+    const contentTextarea = screen.getByPlaceholderText(/Enter prompt content/i);
+    fireEvent.change(contentTextarea, { target: { value: 'Start {{> pre' } });
+    expect(screen.getByTestId('include-suggestions')).toHaveTextContent(/^Preamble$/);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Preamble' }));
+    expect(contentTextarea).toHaveValue('Start {{> Preamble}}');
+    expect(screen.queryByTestId('include-suggestions')).not.toBeInTheDocument();
+  });
+
+  test('lists the prompts that include the edited prompt', () => {
+    const editingData = { id: 1, name: 'Preamble', content: 'Be precise.', tags: '' };
+    const prompts = [
+      editingData,
+      { id: 2, name: 'Review', content: '{{> Preamble}}\nReview this.' },
+      { id: 3, name: 'Other', content: 'Unrelated' },
+    ];
+    render(
+      <PromptEditor
+        onAddPrompt={mockOnAddPrompt}
+        onEditPrompt={mockOnEditPrompt}
+        editingPrompt={editingData}
+        prompts={prompts}
+      />
+    );
+
+    expect(screen.getByTestId('used-by')).toHaveTextContent(/^Used by Review;/);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * @file SearchResults.test.js
+ * @description Unit tests for the <SearchResults /> component: highlighted snippets and the
+ *              select / check actions.
+ *
+ * @dependencies
+ * - React
+ * - @testing-library/react
+ * - SearchResults (component under test)
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import SearchResults from '../SearchResults';
+
+const results = {
+  query: 'token',
+  prompts: [
+    {
+      id: 1,
+      name: { text: 'Token review', highlights: [[0, 5]] },
+      tags: { text: 'review', highlights: [] },
+      snippet: { text: 'Check the tokenizer.', highlights: [[10, 19]] },
+    },
+  ],
+  files: [
+    { promptId: 4, promptName: 'repo', path: 'a.js', line: 2, snippet: { text: 'parseToken();', highlights: [[5, 10]] } },
+    { promptId: 4, promptName: 'repo', path: 'b.js', line: 7, snippet: { text: 'token', highlights: [[0, 5]] } },
+  ],
+  truncated: false,
+};
+
+const prompts = [
+  { id: 1, name: 'Token review', content: 'Check the tokenizer.', isDirectory: false, files: [] },
+  {
+    id: 4,
+    name: 'repo',
+    isDirectory: true,
+    files: [{ path: 'a.js', isChecked: false }, { path: 'b.js', isChecked: true }],
+  },
+];
+
+const renderResults = (props = {}) => render(
+  <SearchResults
+    results={results}
+    prompts={prompts}
+    selectedPrompts={[]}
+    onSelectPrompt={jest.fn()}
+    onCheckFile={jest.fn()}
+    onClose={jest.fn()}
+    {...props}
+  />
+);
+
+describe('<SearchResults />', () => {
+  test('marks the highlighted parts of names and snippets', () => {
+    renderResults();
+
+    const promptResult = screen.getByTestId('search-prompt-1');
+    expect(within(promptResult).getByText('Token', { selector: 'mark' })).toBeInTheDocument();
+    expect(within(promptResult).getByText('tokenizer', { selector: 'mark' })).toBeInTheDocument();
+    expect(screen.getByText('repo/a.js:2')).toBeInTheDocument();
+    expect(within(screen.getByTestId('search-file-a.js:2')).getByText('Token', { selector: 'mark' })).toBeInTheDocument();
+  });
+
+  test('selects prompts and checks files that are not yet in the master prompt', () => {
+    const onSelectPrompt = jest.fn();
+    const onCheckFile = jest.fn();
+    renderResults({ onSelectPrompt, onCheckFile });
+
+    fireEvent.click(screen.getByText('Select'));
+    expect(onSelectPrompt).toHaveBeenCalledWith(1);
+
+    fireEvent.click(within(screen.getByTestId('search-file-a.js:2')).getByText('Check file'));
+    expect(onCheckFile).toHaveBeenCalledWith(4, 'a.js');
+    expect(within(screen.getByTestId('search-file-b.js:7')).getByText('Checked')).toBeDisabled();
+  });
+
+  test('shows selected prompts and empty results', () => {
+    const { rerender } = renderResults({ selectedPrompts: [1] });
+    expect(screen.getByText('Selected')).toBeDisabled();
+
+    rerender(
+      <SearchResults
+        results={{ query: 'nope', prompts: [], files: [], truncated: false }}
+        prompts={prompts}
+        selectedPrompts={[]}
+        onSelectPrompt={jest.fn()}
+        onCheckFile={jest.fn()}
+        onClose={jest.fn()}
+      />
+    );
+    expect(screen.getByText('Nothing matches.')).toBeInTheDocument();
+  });
+});
@@ -20,6 +20,7 @@
  * - Mocks all Chakra UI components and hooks used in the app
  * - Ensures clipboard API is available for MasterPrompt tests
  * - Polyfills TextDecoder and TextEncoder for gpt-tokenizer compatibility in Jest
+ * - Replaces the tokenizer worker client with in-thread counting and budget fitting
  */
 
 import '@testing-library/jest-dom';
@@ -49,13 +50,17 @@ jest.mock('@chakra-ui/react', () => ({
   Text: ({ children, ...props }) => <p {...props}>{children}</p>,
   VStack: ({ children, ...props }) => <div {...props}>{children}</div>,
   HStack: ({ children, ...props }) => <div {...props}>{children}</div>,
-  Checkbox: ({ children, isChecked, onChange, ...props }) => (
-    <input
-      type="checkbox"
-      checked={isChecked}
-      onChange={onChange}
-      {...props}
-    >{children}</input>
+  Checkbox: ({ children, isChecked, isDisabled, onChange, ...props }) => (
+    <label>
+      <input
+        type="checkbox"
+        checked={isChecked}
+        disabled={isDisabled}
+        onChange={onChange}
+        {...props}
+      />
+      {children}
+    </label>
   ),
   IconButton: ({ children, isDisabled, ...props }) => (
     <button {...props} disabled={isDisabled}>{children}</button>
@@ -70,6 +75,14 @@ jest.mock('@chakra-ui/react', () => ({
   ModalCloseButton: (props) => <button {...props}>X</button>,
   ModalBody: ({ children, ...props }) => <div {...props}>{children}</div>,
   ModalFooter: ({ children, ...props }) => <div {...props}>{children}</div>,
+  Drawer: ({ children, isOpen }) => (isOpen ? <div>{children}</div> : null),
+  DrawerOverlay: () => null,
+  DrawerContent: ({ children, ...props }) => <div {...props}>{children}</div>,
+  DrawerHeader: ({ children, ...props }) => <div {...props}>{children}</div>,
+  DrawerCloseButton: (props) => <button {...props}>X</button>,
+  DrawerBody: ({ children, ...props }) => <div {...props}>{children}</div>,
+  DrawerFooter: ({ children, ...props }) => <div {...props}>{children}</div>,
+  Select: ({ children, ...props }) => <select {...props}>{children}</select>,
   Tooltip: ({ children, ...props }) => <div {...props}>{children}</div>,
   Badge: ({ children, ...props }) => <span {...props}>{children}</span>,
   Spinner: (props) => <div {...props}>Spinner</div>,
@@ -89,6 +102,23 @@ jest.mock('@chakra-ui/icons', () => ({
   ChevronUpIcon: (props) => <svg {...props}><title>ChevronUpIcon Mock</title></svg>,
   ChevronRightIcon: (props) => <svg {...props}><title>ChevronRightIcon Mock</title></svg>,
   CopyIcon: (props) => <svg {...props}><title>CopyIcon Mock</title></svg>,
+  CheckIcon: (props) => <svg {...props}><title>CheckIcon Mock</title></svg>,
+  SmallCloseIcon: (props) => <svg {...props}><title>SmallCloseIcon Mock</title></svg>,
+  ViewIcon: (props) => <svg {...props}><title>ViewIcon Mock</title></svg>,
+  ViewOffIcon: (props) => <svg {...props}><title>ViewOffIcon Mock</title></svg>,
+}));
+
+// Web Workers and import.meta are unavailable in Jest; count and fit on the main thread instead
+jest.mock('./utils/tokenWorker', () => ({
+  countTokensInWorker: (texts, model) => {
+    const { countTokens } = jest.requireActual('./utils/tokenizer');
+    return Promise.resolve(texts.map(text => countTokens(text, model)));
+  },
+  fitToBudgetInWorker: (segments, options, model) => {
+    const { countTokens } = jest.requireActual('./utils/tokenizer');
+    const { fitToBudget } = jest.requireActual('./utils/budget');
+    return Promise.resolve(fitToBudget(segments, { ...options, countTokens: (text) => countTokens(text, model) }));
+  },
 }));
 
 // Mock the global clipboard API
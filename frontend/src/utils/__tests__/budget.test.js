@@ -0,0 +1,143 @@
+/**
+ * @file budget.test.js
+ * @description Tests for fitting master prompt segments to a token budget.
+ *
+ * @dependencies
+ * - budget.js (module under test)
+ * - composer.js
+ * - formatters.js
+ *
+ * @notes
+ * - Counts characters instead of tokens so expected sizes are easy to reason about.
+ */
+
+import { fitToBudget, outlineContent, describeCut } from '../budget';
+import { renderSegments, combineWithInstructions } from '../composer';
+import { getOutputFormat } from '../formatters';
+
+const countChars = (text) => (text ? text.length : 0);
+
+const lines = (prefix, count) => Array.from({ length: count }, (_, i) => `${prefix} line ${i + 1}`).join('\n');
+
+const segments = [
+  { type: 'text', promptId: 1, name: 'Intro', content: 'Review this code.' },
+  {
+    type: 'directory',
+    promptId: 2,
+    name: 'repo',
+    tree: '[x] big.js\n[x] small.js',
+    diff: null,
+    files: [
+      { path: 'big.js', content: lines('big', 40) },
+      { path: 'small.js', content: 'const small = 1;' },
+    ],
+  },
+  { type: 'text', promptId: 3, name: 'Style', content: lines('style', 5) },
+];
+
+const fullSize = countChars(renderSegments(segments));
+
+const fitWith = (strategy, budget, additionalInstructions = '') =>
+  fitToBudget(segments, { budget, strategy, additionalInstructions, countTokens: countChars });
+
+describe('fitToBudget', () => {
+  test('leaves a selection that already fits untouched', () => {
+    const result = fitWith('drop-largest-files', fullSize);
+    expect(result).toEqual({ segments, cuts: [], tokenCount: fullSize, fits: true });
+  });
+
+  test('drops the largest files first and keeps the rest', () => {
+    const result = fitWith('drop-largest-files', fullSize - 100);
+
+    expect(result.fits).toBe(true);
+    expect(result.cuts).toEqual([
+      expect.objectContaining({ type: 'dropped-file', prompt: 'repo', path: 'big.js', tokensAfter: 0 }),
+    ]);
+    expect(result.segments[1].files.map(f => f.path)).toEqual(['small.js']);
+    // The input is not modified
+    expect(segments[1].files).toHaveLength(2);
+  });
+
+  test('truncates files to their head and tail', () => {
+    const result = fitWith('truncate-files', fullSize - 200);
+    const { content } = result.segments[1].files[0];
+
+    expect(result.fits).toBe(true);
+    expect(result.tokenCount).toBeLessThanOrEqual(fullSize - 200);
+    expect(content.startsWith('big line 1\n')).toBe(true);
+    expect(content.endsWith('big line 40')).toBe(true);
+    expect(content).toMatch(/\.\.\. \[\d+ lines omitted\] \.\.\./);
+    expect(result.cuts.map(cut => cut.path)).toEqual(['big.js']);
+    expect(result.segments[1].files[1].content).toBe('const small = 1;');
+  });
+
+  test('replaces the largest files with outlines', () => {
+    const code = ['export const run = () => {', ...Array(30).fill('  work();'), '};', 'class Runner {}'].join('\n');
+    const withCode = [{ ...segments[1], files: [{ path: 'run.js', content: code }] }];
+    const size = countChars(renderSegments(withCode));
+
+    const result = fitToBudget(withCode, { budget: size - 100, strategy: 'outline-files', countTokens: countChars });
+
+    expect(result.fits).toBe(true);
+    expect(result.segments[0].files[0].content).toBe(
+      '[Outline: 2 of 33 lines, bodies omitted]\n1: export const run = () => {\n33: class Runner {}'
+    );
+    expect(result.cuts[0]).toMatchObject({ type: 'outlined-file', path: 'run.js' });
+  });
+
+  test('drops prompts from the end of the selected order and keeps the instructions', () => {
+    const instructions = 'Be brief.';
+    const total = countChars(combineWithInstructions(renderSegments(segments), instructions));
+
+    const result = fitWith('drop-prompts', total - 10, instructions);
+
+    expect(result.cuts).toEqual([
+      expect.objectContaining({ type: 'dropped-prompt', prompt: 'Style', tokensAfter: 0 }),
+    ]);
+    expect(result.segments.map(s => s.name)).toEqual(['Intro', 'repo']);
+    expect(result.tokenCount).toBe(countChars(combineWithInstructions(renderSegments(result.segments), instructions)));
+  });
+
+  test('reports when nothing more can be cut', () => {
+    const result = fitWith('drop-largest-files', 10);
+    expect(result.fits).toBe(false);
+    expect(result.cuts).toHaveLength(2);
+  });
+
+  test('measures the chosen output format', () => {
+    const xmlSize = countChars(getOutputFormat('xml').renderDocument(segments, ''));
+    const result = fitToBudget(segments, {
+      budget: xmlSize - 1,
+      strategy: 'drop-largest-files',
+      countTokens: countChars,
+      format: 'xml',
+    });
+    expect(result.cuts.map(cut => cut.path)).toEqual(['big.js']);
+    expect(result.tokenCount).toBe(countChars(getOutputFormat('xml').renderDocument(result.segments, '')));
+  });
+
+  test('rejects unknown strategies', () => {
+    expect(() => fitWith('shrink-everything', 10)).toThrow('Unknown budget strategy: shrink-everything');
+  });
+});
+
+describe('outlineContent', () => {
+  test('notes when a file has no declarations', () => {
+    expect(outlineContent('just\ntext')).toBe('[Outline: no declarations found, 2 lines omitted]');
+  });
+
+  test('keeps markdown headings and python definitions', () => {
+    expect(outlineContent('# Title\ntext\ndef run(x):\n    pass')).toBe(
+      '[Outline: 2 of 4 lines, bodies omitted]\n1: # Title\n3: def run(x):'
+    );
+  });
+});
+
+describe('describeCut', () => {
+  test('describes each kind of cut', () => {
+    expect(describeCut({ type: 'dropped-file', prompt: 'repo', path: 'a.js', tokensBefore: 50, tokensAfter: 0 }))
+      .toBe('Dropped a.js from repo (-50 tokens)');
+    expect(describeCut({ type: 'dropped-prompt', prompt: 'Style', tokensBefore: 9, tokensAfter: 0 }))
+      .toBe('Dropped prompt Style (-9 tokens)');
+  });
+});
@@ -0,0 +1,78 @@
+/**
+ * @file composer.test.js
+ * @description Tests for rendering master prompt segments to text.
+ *
+ * @dependencies
+ * - composer.js (module under test)
+ */
+
+import { buildTreeText, renderSegment, renderSegmentParts, renderSegments, combineWithInstructions } from '../composer';
+
+describe('buildTreeText', () => {
+  test('nests folders and marks checked files, hiding excluded ones', () => {
+    const files = [
+      { path: 'README.md', isChecked: true },
+      { path: 'src/a.js', isChecked: false },
+      { path: 'src/b.js', isChecked: true, isExcluded: true },
+    ];
+    expect(buildTreeText(files)).toBe('[x] README.md\n- src/\n  [ ] a.js');
+  });
+});
+
+describe('renderSegments', () => {
+  test('renders text prompts, directory trees, diffs and file blocks in order', () => {
+    const segments = [
+      { type: 'text', content: 'Intro' },
+      {
+        type: 'directory',
+        name: 'repo',
+        tree: '[x] a.js',
+        diff: { content: '+added' },
+        files: [{ path: 'a.js', content: 'a' }, { path: 'b.js', error: 'EACCES' }],
+      },
+      { type: 'text', content: '' },
+    ];
+
+    expect(renderSegments(segments)).toBe([
+      'Intro',
+      'Directory Tree (repo):',
+      '[x] a.js',
+      '```diff\n+added\n```',
+      '```a.js\na\n```',
+      '```b.js\n[Error loading content: EACCES]\n```',
+    ].join('\n'));
+  });
+
+  test('inlines diff errors and trims directories without content', () => {
+    expect(renderSegments([{ type: 'directory', name: 'repo', tree: '', diff: { error: 'bad ref' }, files: [] }]))
+      .toBe('Directory Tree (repo):\n\n```diff\n[Error loading diff: bad ref]\n```');
+    expect(renderSegments([{ type: 'directory', name: 'repo', tree: '[ ] a.js', diff: null, files: [] }]))
+      .toBe('Directory Tree (repo):\n[ ] a.js');
+  });
+});
+
+describe('renderSegmentParts', () => {
+  test('splits a segment into parts that join back to its text', () => {
+    const directory = {
+      type: 'directory',
+      name: 'repo',
+      tree: '[x] a.js',
+      diff: { content: '+added' },
+      files: [{ path: 'a.js', content: 'a' }],
+    };
+    expect(renderSegmentParts(directory)).toEqual([
+      'Directory Tree (repo):\n[x] a.js',
+      '```diff\n+added\n```',
+      '```a.js\na\n```',
+    ]);
+    expect(renderSegmentParts(directory).join('\n')).toBe(renderSegment(directory));
+    expect(renderSegmentParts({ type: 'text', content: '' })).toEqual([]);
+  });
+});
+
+describe('combineWithInstructions', () => {
+  test('appends instructions after a blank line', () => {
+    expect(combineWithInstructions('Prompt', 'Do it')).toBe('Prompt\n\nDo it');
+    expect(combineWithInstructions('', 'Do it')).toBe('Do it');
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * @file diff.test.js
+ * @description Tests for the line diff helpers used by the prompt history view.
+ *
+ * @dependencies
+ * - diff.js (module under test)
+ */
+
+import { diffLines, toSideBySide } from '../diff';
+
+describe('diffLines', () => {
+  test('marks unchanged, removed and added lines', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc\nd')).toEqual([
+      { type: 'same', text: 'a' },
+      { type: 'removed', text: 'b' },
+      { type: 'added', text: 'x' },
+      { type: 'same', text: 'c' },
+      { type: 'added', text: 'd' },
+    ]);
+  });
+
+  test('returns only unchanged lines for identical texts', () => {
+    expect(diffLines('a\nb', 'a\nb').every(op => op.type === 'same')).toBe(true);
+  });
+});
+
+describe('toSideBySide', () => {
+  test('lines up replaced lines and leaves gaps for inserts', () => {
+    const rows = toSideBySide(diffLines('a\nb\nc', 'a\nx\nc\nd'));
+    expect(rows.map(({ left, right }) => [left && left.text, right && right.text])).toEqual([
+      ['a', 'a'],
+      ['b', 'x'],
+      ['c', 'c'],
+      [null, 'd'],
+    ]);
+  });
+});
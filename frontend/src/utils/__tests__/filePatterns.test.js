@@ -0,0 +1,62 @@
+/**
+ * @file filePatterns.test.js
+ * @description Tests for the file tree's fuzzy matching and glob / regex patterns.
+ *
+ * @dependencies
+ * - filePatterns.js (module under test)
+ */
+
+import { compilePathPattern, fuzzyMatch, fuzzyFilterFiles } from '../filePatterns';
+
+const paths = [
+  'README.md',
+  'src/index.js',
+  'src/app.test.js',
+  'src/components/Button.js',
+  'src/components/Button.test.js',
+];
+
+const matching = (pattern, patternType) => {
+  const { matches } = compilePathPattern(pattern, patternType);
+  return paths.filter(matches);
+};
+
+describe('compilePathPattern', () => {
+  test('matches globs like the backend', () => {
+    expect(matching('src/**/*.test.js')).toEqual(['src/app.test.js', 'src/components/Button.test.js']);
+    expect(matching('*.md')).toEqual(['README.md']);
+    expect(matching('components')).toEqual(['src/components/Button.js', 'src/components/Button.test.js']);
+    expect(matching('src/{index,app.test}.js')).toEqual(['src/index.js', 'src/app.test.js']);
+  });
+
+  test('matches Windows paths with / in the pattern', () => {
+    const { matches } = compilePathPattern('src/**/*.js');
+    expect(matches('src\\components\\Button.js')).toBe(true);
+    expect(compilePathPattern('^src/components/', 'regex').matches('src\\components\\Button.js')).toBe(true);
+  });
+
+  test('matches regexes and reports invalid patterns', () => {
+    expect(matching('Button\\.js$', 'regex')).toEqual(['src/components/Button.js']);
+    expect(compilePathPattern('(', 'regex').error).toMatch(/Invalid regular expression/);
+    expect(compilePathPattern('src/{a,b').error).toBe('Unclosed { in glob');
+    expect(compilePathPattern('a'.repeat(501)).error).toMatch(/at most 500/);
+  });
+});
+
+describe('fuzzyMatch', () => {
+  test('prefers matching within the file name', () => {
+    expect(fuzzyMatch('bt', 'src/components/Button.js')).toEqual([15, 17]);
+    expect(fuzzyMatch('scb', 'src/components/Button.js')).toEqual([0, 2, 15]);
+    expect(fuzzyMatch('xyz', 'src/index.js')).toBeNull();
+    expect(fuzzyMatch('bt', 'src\\components\\Button.js')).toEqual([15, 17]);
+  });
+
+  test('filters files in their original order', () => {
+    const files = paths.map(path => ({ path }));
+    expect(fuzzyFilterFiles(files, 'test').map(file => file.path)).toEqual([
+      'src/app.test.js',
+      'src/components/Button.test.js',
+    ]);
+    expect(fuzzyFilterFiles(files, 'rd')[0]).toEqual({ path: 'README.md', matchPositions: [0, 3] });
+  });
+});
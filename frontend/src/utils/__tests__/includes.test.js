@@ -0,0 +1,46 @@
+/**
+ * @file includes.test.js
+ * @description Tests for expanding prompt includes and finding where a prompt is used.
+ *
+ * @dependencies
+ * - includes.js (module under test)
+ */
+
+import { findIncludes, expandIncludes, findUsedBy, findOpenInclude } from '../includes';
+
+const prompts = [
+  { id: 1, name: 'preamble', content: 'You are {{> persona }}.' },
+  { id: 2, name: 'persona', content: 'a careful reviewer' },
+  { id: 3, name: 'loop-a', content: 'A {{> loop-b}}' },
+  { id: 4, name: 'loop-b', content: 'B {{>loop-a}}' },
+  { id: 5, name: 'repo', content: '/tmp/repo', isDirectory: true },
+];
+
+describe('expandIncludes', () => {
+  test('expands includes recursively', () => {
+    expect(expandIncludes({ name: 'task', content: '{{> preamble}}\nReview {{> persona}}.' }, prompts))
+      .toBe('You are a careful reviewer.\nReview a careful reviewer.');
+  });
+
+  test('inlines cycles, unknown names and directory prompts as errors', () => {
+    expect(expandIncludes(prompts[2], prompts)).toBe('A B [Include error: cycle loop-a → loop-b → loop-a]');
+    expect(expandIncludes({ name: 'x', content: '{{> missing}} {{> repo}}' }, prompts))
+      .toBe('[Include error: no prompt named "missing"] [Include error: "repo" is a directory prompt]');
+  });
+});
+
+describe('findIncludes and findUsedBy', () => {
+  test('lists direct includes and the prompts that include a prompt', () => {
+    expect(findIncludes('{{> a}} {{>b}} {{> a }} {{name}}')).toEqual(['a', 'b']);
+    expect(findUsedBy(prompts[1], prompts).map(p => p.name)).toEqual(['preamble']);
+    expect(findUsedBy(prompts[0], prompts)).toEqual([]);
+  });
+});
+
+describe('findOpenInclude', () => {
+  test('finds an unclosed directive ending at the cursor', () => {
+    expect(findOpenInclude('Hi {{> pre', 10)).toEqual({ start: 3, query: 'pre' });
+    expect(findOpenInclude('Hi {{> pre}} x', 14)).toBeNull();
+    expect(findOpenInclude('{{> a\nb', 7)).toBeNull();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @file session.test.js
+ * @description Tests for saving and restoring the working session in localStorage.
+ *
+ * @dependencies
+ * - session.js (module under test)
+ */
+
+import { loadSession, saveSession, SESSION_VERSION, EMPTY_SESSION } from '../session';
+
+const session = {
+  selectedPrompts: [3, 1],
+  selectedPromptOrder: [1, 3],
+  expandedStates: { 3: true },
+  tagFilter: 'review',
+  additionalInstructions: 'Be brief',
+};
+
+describe('session storage', () => {
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  test('starts empty and round-trips a saved session', () => {
+    expect(loadSession()).toEqual(EMPTY_SESSION);
+    saveSession(session);
+    expect(loadSession()).toEqual(session);
+  });
+
+  test('drops sessions saved with another schema version', () => {
+    window.localStorage.setItem('promptner.session', JSON.stringify({ ...session, version: SESSION_VERSION + 1 }));
+    expect(loadSession()).toEqual(EMPTY_SESSION);
+  });
+
+  test('falls back field by field when the stored session is malformed', () => {
+    window.localStorage.setItem('promptner.session', JSON.stringify({
+      version: SESSION_VERSION,
+      selectedPrompts: ['3'],
+      selectedPromptOrder: [3],
+      expandedStates: [],
+      tagFilter: 5,
+      additionalInstructions: 'Keep me',
+    }));
+    expect(loadSession()).toEqual({ ...EMPTY_SESSION, selectedPromptOrder: [3], additionalInstructions: 'Keep me' });
+
+    window.localStorage.setItem('promptner.session', '{not json');
+    expect(loadSession()).toEqual(EMPTY_SESSION);
+  });
+});
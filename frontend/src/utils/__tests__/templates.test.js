@@ -0,0 +1,60 @@
+/**
+ * @file templates.test.js
+ * @description Tests for finding and filling template variables in prompt content.
+ *
+ * @dependencies
+ * - templates.js (module under test)
+ */
+
+import {
+  findTemplateVariables,
+  findMissingVariables,
+  fillTemplate,
+  fillSegments,
+  loadTemplateValues,
+  saveTemplateValues,
+} from '../templates';
+
+describe('findTemplateVariables', () => {
+  test('lists variables in order of first use, merging defaults across texts', () => {
+    const variables = findTemplateVariables([
+      'Translate to {{ language }} for {{ticket}}.',
+      'Ticket {{ticket:none}} as {{persona:a senior reviewer}}, {{empty:}}',
+      null,
+    ]);
+    expect(variables).toEqual([
+      { name: 'language', defaultValue: undefined, isRequired: true },
+      { name: 'ticket', defaultValue: 'none', isRequired: false },
+      { name: 'persona', defaultValue: 'a senior reviewer', isRequired: false },
+      { name: 'empty', defaultValue: '', isRequired: false },
+    ]);
+    expect(findMissingVariables(variables, { language: '' })).toEqual(['language']);
+    expect(findMissingVariables(variables, { language: 'Go' })).toEqual([]);
+  });
+
+  test('ignores braces that are not variables', () => {
+    expect(findTemplateVariables(['{{> header}} {{1st}} {{}} { {x} }'])).toEqual([]);
+  });
+});
+
+describe('fillTemplate', () => {
+  test('uses filled values, then defaults, and leaves the rest in place', () => {
+    expect(fillTemplate('{{a}} {{b:two}} {{c}} {{a:ignored}}', { a: 'one', c: '' }))
+      .toBe('one two {{c}} one');
+  });
+
+  test('fills text segments only', () => {
+    const directory = { type: 'directory', name: 'repo', tree: '', diff: null, files: [{ path: 'a.hbs', content: '{{name}}' }] };
+    expect(fillSegments([{ type: 'text', content: 'Hi {{name}}' }, directory], { name: 'Ada' }))
+      .toEqual([{ type: 'text', content: 'Hi Ada' }, directory]);
+  });
+});
+
+describe('template value storage', () => {
+  test('round-trips values through session storage', () => {
+    window.sessionStorage.clear();
+    expect(loadTemplateValues()).toEqual({});
+    saveTemplateValues({ ticket: 'PN-1' });
+    expect(loadTemplateValues()).toEqual({ ticket: 'PN-1' });
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * @file tokenizer.test.js
+ * @description Tests for token counting per tokenizer model.
+ *
+ * @dependencies
+ * - tokenizer.js (module under test)
+ */
+
+import { countTokens, getContextWindow, getTokenColorScheme, DEFAULT_MAX_TOKENS } from '../tokenizer';
+
+describe('countTokens', () => {
+  const text = 'const answer = () => 42; // 日本語のコメント';
+
+  test('counts with the cl100k encoding by default and o200k on request', () => {
+    expect(countTokens(text)).toBe(countTokens(text, 'cl100k'));
+    expect(countTokens(text, 'o200k')).toBeLessThan(countTokens(text, 'cl100k'));
+    expect(countTokens('', 'o200k')).toBe(0);
+  });
+
+  test('estimates approximate models from the character count', () => {
+    expect(countTokens('a'.repeat(35), 'claude')).toBe(10);
+    expect(countTokens('a'.repeat(10), 'llama')).toBe(3);
+  });
+});
+
+describe('getContextWindow', () => {
+  test('gives each model its own window, falling back to the default', () => {
+    expect(getContextWindow('claude')).toBe(200000);
+    expect(getContextWindow('unknown')).toBe(DEFAULT_MAX_TOKENS);
+    expect(getTokenColorScheme(160000, getContextWindow('claude'))).toBe('orange');
+  });
+});
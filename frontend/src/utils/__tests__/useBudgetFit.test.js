@@ -0,0 +1,76 @@
+/**
+ * @file useBudgetFit.test.js
+ * @description Tests for the debounced budget fit hook.
+ *
+ * @dependencies
+ * - @testing-library/react (renderHook)
+ * - useBudgetFit.js (module under test)
+ *
+ * @notes
+ * - Replaces the worker client with a mock that fits on the main thread so calls can be
+ *   inspected.
+ */
+
+import { renderHook, waitFor } from '@testing-library/react';
+import { useBudgetFit } from '../useBudgetFit';
+import { fitToBudgetInWorker } from '../tokenWorker';
+import { fitToBudget } from '../budget';
+import { countTokens } from '../tokenizer';
+
+jest.mock('../tokenWorker', () => ({ fitToBudgetInWorker: jest.fn() }));
+
+const segments = [
+  { type: 'text', promptId: 1, name: 'Intro', content: 'Review this.' },
+  { type: 'text', promptId: 2, name: 'Extra', content: 'word '.repeat(200) },
+];
+
+describe('useBudgetFit', () => {
+  beforeEach(() => {
+    fitToBudgetInWorker.mockImplementation((segs, options, model) =>
+      Promise.resolve(fitToBudget(segs, { ...options, countTokens: (text) => countTokens(text, model) })));
+  });
+
+  test('fits in the worker and refits when an option changes', async () => {
+    const { result, rerender } = renderHook(({ budget }) => useBudgetFit(segments, {
+      budget,
+      strategy: 'drop-prompts',
+      format: 'markdown',
+    }, 'claude', 0), { initialProps: { budget: 10000 } });
+
+    expect(result.current.isFitting).toBe(true);
+    await waitFor(() => expect(result.current.isFitting).toBe(false));
+    expect(result.current.fit.cuts).toEqual([]);
+    expect(fitToBudgetInWorker).toHaveBeenCalledWith(
+      segments, { budget: 10000, strategy: 'drop-prompts', format: 'markdown' }, 'claude'
+    );
+
+    rerender({ budget: 20 });
+    await waitFor(() => expect(result.current.fit.cuts).toHaveLength(1));
+    expect(result.current.fit.segments).toEqual([segments[0]]);
+    expect(fitToBudgetInWorker).toHaveBeenCalledTimes(2);
+  });
+
+  test('returns no fit without segments', () => {
+    const { result } = renderHook(() => useBudgetFit(null, { budget: 100, strategy: 'drop-prompts' }, 'claude', 0));
+
+    expect(result.current).toEqual({ fit: null, isFitting: false });
+    expect(fitToBudgetInWorker).not.toHaveBeenCalled();
+  });
+
+  test('keeps only the answer to the latest request', async () => {
+    let resolveFirst;
+    fitToBudgetInWorker.mockImplementationOnce(() => new Promise(resolve => { resolveFirst = resolve; }));
+    const { result, rerender } = renderHook(({ budget }) => useBudgetFit(segments, {
+      budget,
+      strategy: 'drop-prompts',
+    }, 'claude', 0), { initialProps: { budget: 10000 } });
+
+    await waitFor(() => expect(fitToBudgetInWorker).toHaveBeenCalledTimes(1));
+    rerender({ budget: 20 });
+    await waitFor(() => expect(result.current.isFitting).toBe(false));
+    resolveFirst({ segments, cuts: [], tokenCount: 0, fits: true });
+    await Promise.resolve();
+
+    expect(result.current.fit.cuts).toHaveLength(1);
+  });
+});
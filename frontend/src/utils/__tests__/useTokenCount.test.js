@@ -0,0 +1,52 @@
+/**
+ * @file useTokenCount.test.js
+ * @description Tests for the debounced, per-part cached token count hook.
+ *
+ * @dependencies
+ * - @testing-library/react (renderHook)
+ * - useTokenCount.js (module under test)
+ *
+ * @notes
+ * - Replaces the worker client with a mock that counts on the main thread so calls can be
+ *   inspected.
+ */
+
+import { renderHook, waitFor } from '@testing-library/react';
+import { useTokenCount } from '../useTokenCount';
+import { countTokensInWorker } from '../tokenWorker';
+import { countTokens } from '../tokenizer';
+
+jest.mock('../tokenWorker', () => ({ countTokensInWorker: jest.fn() }));
+
+describe('useTokenCount', () => {
+  beforeEach(() => {
+    countTokensInWorker.mockImplementation((texts, model) =>
+      Promise.resolve(texts.map(text => countTokens(text, model))));
+  });
+
+  test('sums the parts once counted and only recounts parts that changed', async () => {
+    const { result, rerender } = renderHook(({ parts }) => useTokenCount(parts, 'claude', 0), {
+      initialProps: { parts: ['a'.repeat(7), 'b'.repeat(14)] },
+    });
+
+    expect(result.current.isPending).toBe(true);
+    await waitFor(() => expect(result.current).toEqual({ tokenCount: 6, isPending: false }));
+    expect(countTokensInWorker).toHaveBeenCalledWith(['a'.repeat(7), 'b'.repeat(14)], 'claude');
+
+    rerender({ parts: ['a'.repeat(7), 'c'.repeat(35)] });
+    await waitFor(() => expect(result.current).toEqual({ tokenCount: 12, isPending: false }));
+    expect(countTokensInWorker).toHaveBeenLastCalledWith(['c'.repeat(35)], 'claude');
+  });
+
+  test('answers from the cache without a worker round trip', async () => {
+    const parts = ['x'.repeat(35)];
+    const { result, rerender } = renderHook(({ list }) => useTokenCount(list, 'claude', 0), {
+      initialProps: { list: parts },
+    });
+    await waitFor(() => expect(result.current.tokenCount).toBe(10));
+
+    rerender({ list: [...parts] });
+    expect(result.current).toEqual({ tokenCount: 10, isPending: false });
+    expect(countTokensInWorker).toHaveBeenCalledTimes(1);
+  });
+});
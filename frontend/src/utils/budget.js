@@ -0,0 +1,287 @@
+/**
+ * @file budget.js
+ * @description Fits master prompt segments (see composer.js) to a token budget with one of
+ *              several strategies, recording every cut so the UI can report it. Sizes are
+ *              measured in the chosen output format (see formatters.js).
+ */
+
+import { countTokens as defaultCountTokens } from './tokenizer';
+import { getOutputFormat, DEFAULT_OUTPUT_FORMAT } from './formatters';
+
+export const BUDGET_STRATEGIES = [
+  { value: 'drop-largest-files', label: 'Drop largest files' },
+  { value: 'truncate-files', label: 'Truncate files to head and tail' },
+  { value: 'outline-files', label: 'Replace files with outlines' },
+  { value: 'drop-prompts', label: 'Drop lowest-priority prompts' },
+];
+
+// Lines that start a declaration worth keeping in an outline, across common languages
+const OUTLINE_PATTERNS = [
+  /^\s*(export\s+)?(default\s+)?(abstract\s+)?(async\s+)?(function\*?|class|interface|type|enum|namespace|module)\s+[\w$]/,
+  /^\s*(export\s+)?(const|let|var)\s+[\w$]+\s*=\s*(async\s+)?(function\b|\([^)]*\)\s*=>|[\w$]+\s*=>)/,
+  /^\s*(async\s+)?def\s+\w+|^\s*class\s+\w+/,
+  /^\s*(pub(\([^)]*\))?\s+)?(async\s+)?(fn|struct|enum|trait|impl|mod)\b/,
+  /^\s*func\s+|^\s*type\s+\w+\s+(struct|interface)\b/,
+  /^\s*(public|private|protected|internal)\s+[\w<>[\],\s]*\(/,
+  /^#{1,6}\s+\S/,
+];
+
+// Rough cost of the "lines omitted" marker, so the estimate does not undershoot
+const MARKER_TOKENS = 12;
+// Passes at tightening the truncation cap when the estimate was too optimistic
+const MAX_TRUNCATE_ROUNDS = 5;
+
+/**
+ * Copies segments so strategies can replace files without touching the originals
+ * @param {Array<Object>} segments - Master prompt segments
+ * @returns {Array<Object>}
+ */
+const cloneSegments = (segments) =>
+  segments.map(segment => (segment.type === 'directory' ? { ...segment, files: [...segment.files] } : segment));
+
+/**
+ * Lists the loaded files of all directory segments with their block token counts
+ * @param {Array<Object>} segments - Cloned segments
+ * @param {Function} countTokens - Token counter
+ * @param {Object} format - Output format
+ * @returns {Array<Object>} { segment, file, tokens }
+ */
+const listFiles = (segments, countTokens, format) => {
+  const files = [];
+  segments.forEach(segment => {
+    if (segment.type !== 'directory') return;
+    segment.files.forEach(file => {
+      if (file.error === undefined) files.push({ segment, file, tokens: countTokens(format.renderFile(file)) });
+    });
+  });
+  return files;
+};
+
+/**
+ * Replaces a file of a directory segment (null removes it)
+ * @param {Object} segment - Directory segment
+ * @param {Object} file - File to replace
+ * @param {Object|null} replacement - New file entry
+ */
+const replaceFile = (segment, file, replacement) => {
+  const index = segment.files.indexOf(file);
+  if (replacement) segment.files[index] = replacement;
+  else segment.files.splice(index, 1);
+};
+
+/**
+ * Reduces a file to the declarations found in it
+ * @param {string} content - File contents
+ * @returns {string} Outline text
+ */
+export const outlineContent = (content) => {
+  const lines = content.split('\n');
+  const outline = [];
+  lines.forEach((line, index) => {
+    if (OUTLINE_PATTERNS.some(pattern => pattern.test(line))) outline.push(`${index + 1}: ${line.trimEnd()}`);
+  });
+  if (!outline.length) return `[Outline: no declarations found, ${lines.length} lines omitted]`;
+  return [`[Outline: ${outline.length} of ${lines.length} lines, bodies omitted]`, ...outline].join('\n');
+};
+
+/**
+ * Keeps the first and last lines of a file within a token cap
+ * @param {Object} entry - { lines, lineTokens } for the file's content
+ * @param {number} cap - Tokens to keep, split between head and tail
+ * @returns {Object} { head, tail, tokens } - line counts kept and their estimated tokens
+ */
+const headAndTail = ({ lines, lineTokens }, cap) => {
+  const half = cap / 2;
+  let head = 0;
+  let headTokens = 0;
+  while (head < lines.length && headTokens + lineTokens[head] <= half) headTokens += lineTokens[head++];
+  let tail = 0;
+  let tailTokens = 0;
+  while (tail < lines.length - head && tailTokens + lineTokens[lines.length - 1 - tail] <= half) {
+    tailTokens += lineTokens[lines.length - 1 - tail++];
+  }
+  return { head, tail, tokens: headTokens + tailTokens + MARKER_TOKENS };
+};
+
+/**
+ * Shared loop for strategies that shrink or drop files one at a time, largest first
+ * @param {Object} context - { segments, budget, tokenCount, measure, countTokens, format }
+ * @param {string} type - Cut type to report
+ * @param {Function} shrink - (file) => replacement file entry, or null to drop it
+ * @returns {Object} { segments, cuts }
+ */
+const cutLargestFiles = ({ segments, budget, tokenCount, measure, countTokens, format }, type, shrink) => {
+  const work = cloneSegments(segments);
+  const cuts = [];
+  let estimate = tokenCount;
+
+  const candidates = listFiles(work, countTokens, format).sort((a, b) => b.tokens - a.tokens);
+  for (const { segment, file, tokens } of candidates) {
+    // The running estimate ignores separators; confirm before stopping
+    if (estimate <= budget) {
+      estimate = measure(work);
+      if (estimate <= budget) break;
+    }
+    const replacement = shrink(file);
+    const tokensAfter = replacement ? countTokens(format.renderFile(replacement)) : 0;
+    if (tokensAfter >= tokens) continue;
+
+    replaceFile(segment, file, replacement);
+    cuts.push({ type, prompt: segment.name, path: file.path, tokensBefore: tokens, tokensAfter });
+    estimate -= tokens - tokensAfter;
+  }
+  return { segments: work, cuts };
+};
+
+/**
+ * Truncates every file above a shared token cap to its head and tail, choosing the largest
+ * cap that fits so small files are left alone
+ * @param {Object} context - { segments, budget, tokenCount, measure, countTokens, format }
+ * @returns {Object} { segments, cuts }
+ */
+const truncateFiles = ({ segments, budget, tokenCount, measure, countTokens, format }) => {
+  const work = cloneSegments(segments);
+  const entries = listFiles(work, countTokens, format).map(entry => {
+    const lines = entry.file.content.split('\n');
+    // Per-line counts (+1 for the newline) slightly overestimate the joined text
+    const lineTokens = lines.map(line => countTokens(line) + 1);
+    const contentTokens = lineTokens.reduce((sum, n) => sum + n, 0);
+    return { ...entry, lines, lineTokens, overhead: Math.max(0, entry.tokens - contentTokens), contentTokens };
+  });
+  const fixedTokens = tokenCount - entries.reduce((sum, entry) => sum + entry.tokens, 0);
+  const maxCap = Math.max(0, ...entries.map(entry => entry.contentTokens));
+
+  const estimateAt = (cap) => entries.reduce((sum, entry) => (
+    sum + (entry.contentTokens <= cap ? entry.tokens : entry.overhead + headAndTail(entry, cap).tokens)
+  ), fixedTokens);
+
+  const apply = (cap) => {
+    entries.forEach(entry => {
+      const { segment, file } = entry;
+      const current = segment.files.find(f => f.path === file.path);
+      if (entry.contentTokens <= cap) {
+        replaceFile(segment, current, file);
+        return;
+      }
+      const { head, tail } = headAndTail(entry, cap);
+      const omitted = entry.lines.length - head - tail;
+      const content = [
+        ...entry.lines.slice(0, head),
+        `... [${omitted} lines omitted] ...`,
+        ...entry.lines.slice(entry.lines.length - tail),
+      ].join('\n');
+      replaceFile(segment, current, { ...file, content });
+    });
+  };
+
+  let target = budget;
+  for (let round = 0; round < MAX_TRUNCATE_ROUNDS; round++) {
+    // Largest cap whose estimate fits the target
+    let low = 0;
+    let high = maxCap;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (estimateAt(mid) <= target) low = mid;
+      else high = mid - 1;
+    }
+    apply(low);
+    const actual = measure(work);
+    if (actual <= budget || low === 0) break;
+    target -= actual - budget;
+  }
+
+  const cuts = [];
+  entries.forEach(({ segment, file, tokens }) => {
+    const current = segment.files.find(f => f.path === file.path);
+    if (current === file) return;
+    cuts.push({
+      type: 'truncated-file',
+      prompt: segment.name,
+      path: file.path,
+      tokensBefore: tokens,
+      tokensAfter: countTokens(format.renderFile(current)),
+    });
+  });
+  return { segments: work, cuts };
+};
+
+/**
+ * Drops whole prompts from the end of the selected order (lowest priority) until it fits
+ * @param {Object} context - { segments, budget, tokenCount, measure, countTokens, format }
+ * @returns {Object} { segments, cuts }
+ */
+const dropPrompts = ({ segments, budget, tokenCount, measure, countTokens, format }) => {
+  const work = [...segments];
+  const cuts = [];
+  let estimate = tokenCount;
+
+  while (work.length) {
+    if (estimate <= budget) {
+      estimate = measure(work);
+      if (estimate <= budget) break;
+    }
+    const segment = work.pop();
+    const tokens = countTokens(format.renderSegment(segment));
+    cuts.push({ type: 'dropped-prompt', prompt: segment.name, tokensBefore: tokens, tokensAfter: 0 });
+    estimate -= tokens;
+  }
+  return { segments: work, cuts };
+};
+
+const STRATEGY_FUNCTIONS = {
+  'drop-largest-files': (context) => cutLargestFiles(context, 'dropped-file', () => null),
+  'truncate-files': truncateFiles,
+  'outline-files': (context) => cutLargestFiles(context, 'outlined-file', file => ({
+    ...file,
+    content: outlineContent(file.content),
+  })),
+  'drop-prompts': dropPrompts,
+};
+
+/**
+ * Fits the master prompt to a token budget. Additional instructions are never cut.
+ * @param {Array<Object>} segments - Master prompt segments in selected order
+ * @param {Object} options - { budget, strategy, additionalInstructions, countTokens, format }
+ *        where format is an output format value (default Markdown)
+ * @returns {Object} { segments, cuts, tokenCount, fits } where cuts lists
+ *          {type, prompt, path?, tokensBefore, tokensAfter} in the order they were made
+ */
+export const fitToBudget = (segments, {
+  budget,
+  strategy,
+  additionalInstructions = '',
+  countTokens = defaultCountTokens,
+  format: formatValue = DEFAULT_OUTPUT_FORMAT,
+}) => {
+  const fitStrategy = STRATEGY_FUNCTIONS[strategy];
+  if (!fitStrategy) throw new Error(`Unknown budget strategy: ${strategy}`);
+
+  const format = getOutputFormat(formatValue);
+  const measure = (segs) => countTokens(format.renderDocument(segs, additionalInstructions));
+  const tokenCount = measure(segments);
+  if (tokenCount <= budget) return { segments, cuts: [], tokenCount, fits: true };
+
+  const result = fitStrategy({ segments, budget, tokenCount, measure, countTokens, format });
+  const fittedCount = measure(result.segments);
+  return { ...result, tokenCount: fittedCount, fits: fittedCount <= budget };
+};
+
+/**
+ * Describes a cut for the budget report
+ * @param {Object} cut - Cut from fitToBudget
+ * @returns {string}
+ */
+export const describeCut = (cut) => {
+  switch (cut.type) {
+    case 'dropped-file':
+      return `Dropped ${cut.path} from ${cut.prompt} (-${cut.tokensBefore} tokens)`;
+    case 'truncated-file':
+      return `Truncated ${cut.path} in ${cut.prompt} to head and tail (${cut.tokensBefore} → ${cut.tokensAfter} tokens)`;
+    case 'outlined-file':
+      return `Replaced ${cut.path} in ${cut.prompt} with an outline (${cut.tokensBefore} → ${cut.tokensAfter} tokens)`;
+    case 'dropped-prompt':
+      return `Dropped prompt ${cut.prompt} (-${cut.tokensBefore} tokens)`;
+    default:
+      return `${cut.type}: ${cut.prompt}`;
+  }
+};
@@ -0,0 +1,121 @@
+/**
+ * @file composer.js
+ * @description Structured master prompt: selected prompts as segments (text prompts, and
+ *              directory prompts with their tree, diff and file contents) and rendering them
+ *              to the text that gets copied. Output must match backend/composer.js.
+ */
+
+/**
+ * Builds the condensed directory tree with [x]/[ ] markers for checked files
+ * @param {Array<Object>} files - Directory files, ordered by path
+ * @returns {string} Tree text
+ */
+export const buildTreeText = (files) => {
+  const tree = {};
+  // Ignore patterns are applied by the backend scan; only user-excluded files are hidden here
+  files.filter(file => !file.isExcluded).forEach(file => {
+    const parts = file.path.split(/[\\/]/).filter(Boolean);
+    let current = tree;
+    parts.forEach((part, index) => {
+      if (!current[part]) {
+        current[part] = { children: {}, isFile: index === parts.length - 1, fileData: file };
+      }
+      current = current[part].children;
+    });
+  });
+
+  const lines = [];
+  const traverse = (node, levelIndent = '') => {
+    Object.keys(node).forEach(name => {
+      const item = node[name];
+      if (item.isFile) {
+        lines.push(`${levelIndent}${item.fileData.isChecked ? '[x]' : '[ ]'} ${name}`);
+      } else {
+        lines.push(`${levelIndent}- ${name}/`);
+        traverse(item.children, levelIndent + '  ');
+      }
+    });
+  };
+  traverse(tree);
+  return lines.join('\n');
+};
+
+/**
+ * Wraps content in a fenced block labelled with a file path or language. The fence is
+ * longer than any backtick run in the content, so code blocks inside it stay intact.
+ * @param {string} label - Text after the opening fence
+ * @param {string} content - Block content
+ * @returns {string}
+ */
+export const formatBlock = (label, content) => {
+  const longestRun = (content.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0);
+  const fence = '`'.repeat(Math.max(3, longestRun + 1));
+  return `${fence}${label}\n${content}\n${fence}`;
+};
+
+/**
+ * Renders a directory file entry: its contents, or the error that prevented loading them
+ * @param {Object} file - {path, content} or {path, error}
+ * @returns {string}
+ */
+export const renderFileBlock = (file) => formatBlock(
+  file.path,
+  file.error === undefined ? file.content : `[Error loading content: ${file.error}]`
+);
+
+/**
+ * Renders a directory's git diff section, or the error that prevented loading it
+ * @param {Object} diff - {content} or {error}
+ * @returns {string}
+ */
+export const renderDiffBlock = (diff) => formatBlock(
+  'diff',
+  diff.error === undefined ? diff.content : `[Error loading diff: ${diff.error}]`
+);
+
+/**
+ * Renders one segment of the master prompt
+ * @param {Object} segment - {type: 'text', content} or {type: 'directory', name, tree,
+ *                           diff: {content}|{error}|null, files}
+ * @returns {string}
+ */
+export const renderSegment = (segment) => {
+  if (segment.type !== 'directory') return segment.content;
+
+  const blocks = [];
+  if (segment.diff) blocks.push(renderDiffBlock(segment.diff));
+  segment.files.forEach(file => blocks.push(renderFileBlock(file)));
+  return `Directory Tree (${segment.name}):\n${segment.tree}\n${blocks.join('\n')}`.trim();
+};
+
+/**
+ * Splits a segment into the pieces it renders to (header and tree, diff, each file), so
+ * token counts can be cached per piece. Joining the pieces with '\n' gives renderSegment.
+ * @param {Object} segment - Master prompt segment
+ * @returns {Array<string>}
+ */
+export const renderSegmentParts = (segment) => {
+  if (segment.type !== 'directory') return [segment.content].filter(Boolean);
+  return [
+    `Directory Tree (${segment.name}):\n${segment.tree}`,
+    ...(segment.diff ? [renderDiffBlock(segment.diff)] : []),
+    ...segment.files.map(renderFileBlock),
+  ];
+};
+
+/**
+ * Renders the selected prompts, in order, to the master prompt text (without the
+ * additional instructions)
+ * @param {Array<Object>} segments - Segments from App's selection
+ * @returns {string}
+ */
+export const renderSegments = (segments) => segments.map(renderSegment).filter(Boolean).join('\n');
+
+/**
+ * Appends the additional instructions the way MasterPrompt does
+ * @param {string} selectedText - Rendered segments
+ * @param {string} additionalInstructions - Free text from the user
+ * @returns {string}
+ */
+export const combineWithInstructions = (selectedText, additionalInstructions) =>
+  [selectedText, additionalInstructions].filter(Boolean).join('\n\n');
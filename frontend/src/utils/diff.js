@@ -0,0 +1,98 @@
+/**
+ * @file diff.js
+ * @description Line-based diff used to compare prompt revisions side by side
+ */
+
+// Above this many line pairs the LCS table gets too large to build in the browser
+const MAX_LCS_CELLS = 4 * 1000 * 1000;
+
+/**
+ * Computes a line diff between two texts using a longest-common-subsequence table
+ * @param {string} oldText - Text on the left
+ * @param {string} newText - Text on the right
+ * @returns {Array<{type: 'same'|'removed'|'added', text: string}>} Diff operations in order
+ */
+export const diffLines = (oldText = '', newText = '') => {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // Trim the common prefix and suffix so the table only covers the changed middle
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map(text => ({ type: 'same', text }));
+  const tail = a.slice(endA).map(text => ({ type: 'same', text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+
+  // Too big to diff properly: show the whole middle as replaced
+  if (midA.length * midB.length > MAX_LCS_CELLS) {
+    return [
+      ...head,
+      ...midA.map(text => ({ type: 'removed', text })),
+      ...midB.map(text => ({ type: 'added', text })),
+      ...tail,
+    ];
+  }
+
+  // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+  const lcs = Array.from({ length: midA.length + 1 }, () => new Array(midB.length + 1).fill(0));
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i][j] = midA[i] === midB[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const middle = [];
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      middle.push({ type: 'same', text: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      middle.push({ type: 'removed', text: midA[i++] });
+    } else {
+      middle.push({ type: 'added', text: midB[j++] });
+    }
+  }
+  while (i < midA.length) middle.push({ type: 'removed', text: midA[i++] });
+  while (j < midB.length) middle.push({ type: 'added', text: midB[j++] });
+
+  return [...head, ...middle, ...tail];
+};
+
+/**
+ * Pairs diff operations into rows for a side-by-side view. Runs of removed lines are
+ * lined up against the added lines that follow them; unmatched cells are null.
+ * @param {Array} ops - Output of diffLines
+ * @returns {Array<{left: Object|null, right: Object|null}>} Rows of {type, text} cells
+ */
+export const toSideBySide = (ops) => {
+  const rows = [];
+  let k = 0;
+  while (k < ops.length) {
+    if (ops[k].type === 'same') {
+      rows.push({ left: ops[k], right: ops[k] });
+      k++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].type === 'removed') removed.push(ops[k++]);
+    while (k < ops.length && ops[k].type === 'added') added.push(ops[k++]);
+    for (let n = 0; n < Math.max(removed.length, added.length); n++) {
+      rows.push({ left: removed[n] || null, right: added[n] || null });
+    }
+  }
+  return rows;
+};
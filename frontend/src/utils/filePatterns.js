@@ -0,0 +1,130 @@
+/**
+ * @file filePatterns.js
+ * @description File path matching for the file tree: quick-open style fuzzy matching for
+ *              the filter box, and glob / regex patterns for "select by pattern". Pattern
+ *              matching mirrors backend/filePatterns.js so match counts agree with what
+ *              the bulk endpoints update; change both together. Paths are matched with `/`
+ *              separators, so Windows paths stored with `\` match the same patterns.
+ */
+
+export const PATTERN_TYPES = [
+  { value: 'glob', label: 'Glob' },
+  { value: 'regex', label: 'Regex' },
+];
+
+// The backend rejects longer patterns
+export const MAX_PATTERN_LENGTH = 500;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Compiles a glob into an anchored regular expression over relative paths. `*` and `?`
+ * stay within a path segment, `**` crosses segments, `[abc]` / `[!abc]` are character
+ * classes and `{a,b}` alternatives. A glob without a `/` matches file names at any depth;
+ * a leading `/` anchors it to the root. A glob matching a folder matches its files.
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp}
+ */
+export const globToRegExp = (glob) => {
+  const isAnchored = glob.startsWith('/');
+  const body = isAnchored ? glob.slice(1) : glob;
+  let source = '';
+  let braceDepth = 0;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+    if (char === '*' && body[i + 1] === '*') {
+      const isWholeSegment = (i === 0 || body[i - 1] === '/') && body[i + 2] === '/';
+      // `**/` matches zero or more folders; any other `**` matches anything
+      source += isWholeSegment ? '(?:.*/)?' : '.*';
+      i += isWholeSegment ? 2 : 1;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[') {
+      // A `]` right after `[` or `[!` belongs to the class
+      const start = body[i + 1] === '!' || body[i + 1] === '^' ? i + 2 : i + 1;
+      const end = body.indexOf(']', start + 1);
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        const negate = start === i + 2 ? '^' : '';
+        source += `[${negate}${body.slice(start, end).replace(/\\/g, '\\\\')}]`;
+        i = end;
+      }
+    } else if (char === '{') {
+      braceDepth++;
+      source += '(?:';
+    } else if (char === '}' && braceDepth > 0) {
+      braceDepth--;
+      source += ')';
+    } else if (char === ',' && braceDepth > 0) {
+      source += '|';
+    } else {
+      source += escapeRegExp(char);
+    }
+  }
+  if (braceDepth > 0) throw new Error('Unclosed { in glob');
+
+  const anyFolder = !isAnchored && !body.includes('/') ? '(?:.*/)?' : '';
+  return new RegExp(`^${anyFolder}${source}(?:/.*)?$`);
+};
+
+/**
+ * Compiles a glob or regex (JavaScript syntax, unanchored, case-sensitive) into a
+ * predicate on relative file paths
+ * @param {string} pattern - Glob or regular expression
+ * @param {string} patternType - 'glob' or 'regex'
+ * @returns {Object} { matches: (filePath) => boolean } or { error } for an invalid pattern
+ */
+export const compilePathPattern = (pattern, patternType = 'glob') => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return { error: `pattern must be at most ${MAX_PATTERN_LENGTH} characters` };
+  }
+  try {
+    const regExp = patternType === 'regex' ? new RegExp(pattern) : globToRegExp(pattern.trim());
+    return { matches: (filePath) => regExp.test(filePath.replace(/\\/g, '/')) };
+  } catch (error) {
+    return { error: error.message };
+  }
+};
+
+/**
+ * Matches the query's characters in order, ignoring case and whitespace, preferring a
+ * match within the file name over one spread across folders
+ * @param {string} query - Filter text
+ * @param {string} filePath - Relative file path
+ * @returns {Array<number>|null} Offsets of the matched characters, or null
+ */
+export const fuzzyMatch = (query, filePath) => {
+  const needle = query.replace(/\s+/g, '').toLowerCase();
+  const haystack = filePath.toLowerCase();
+
+  const matchFrom = (from) => {
+    const positions = [];
+    let offset = from;
+    for (const char of needle) {
+      offset = haystack.indexOf(char, offset);
+      if (offset === -1) return null;
+      positions.push(offset);
+      offset++;
+    }
+    return positions;
+  };
+
+  const nameStart = Math.max(filePath.lastIndexOf('/'), filePath.lastIndexOf('\\')) + 1;
+  return matchFrom(nameStart) || matchFrom(0);
+};
+
+/**
+ * Narrows files to those matching a fuzzy query
+ * @param {Array<Object>} files - File objects with a path
+ * @param {string} query - Filter text
+ * @returns {Array<Object>} Matching files, in their original order, with matchPositions
+ */
+export const fuzzyFilterFiles = (files, query) => files.reduce((matched, file) => {
+  const positions = fuzzyMatch(query, file.path);
+  if (positions) matched.push({ ...file, matchPositions: positions });
+  return matched;
+}, []);
@@ -0,0 +1,161 @@
+/**
+ * @file formatters.js
+ * @description Output formats for the master prompt. Each format decides how prompts,
+ *              directory trees, diffs and files are delimited and how file contents are
+ *              protected from clashing with those delimiters.
+ *
+ * A format is { value, label, renderFile, renderSegment, renderSegmentParts, renderDocument }:
+ * - renderFile(file): one file entry, used by budget.js to price files
+ * - renderSegment(segment): one prompt (see composer.js for segments)
+ * - renderSegmentParts(segment): the segment in pieces for per-piece token caching
+ * - renderDocument(segments, additionalInstructions): the full text that gets copied
+ *
+ * backend/formatters.js renders the same formats for POST /compose; change both together.
+ *
+ * Backticks in file contents only matter to Markdown, which lengthens the fence around
+ * them (composer.formatBlock). XML, plain text and JSON keep contents as they are, apart
+ * from XML breaking up closing tags and JSON string escaping.
+ */
+
+import {
+  renderFileBlock,
+  renderSegment,
+  renderSegmentParts,
+  renderSegments,
+  combineWithInstructions,
+} from './composer';
+
+const fileText = (file) => (file.error === undefined ? file.content : `[Error loading content: ${file.error}]`);
+const diffText = (diff) => (diff.error === undefined ? diff.content : `[Error loading diff: ${diff.error}]`);
+
+// Text prompts without content are left out by every format
+const nonEmpty = (segments) => segments.filter(segment => segment.type === 'directory' || segment.content);
+
+/**
+ * Escapes a value for an XML attribute
+ * @param {string} value - Attribute value
+ * @returns {string}
+ */
+const escapeAttribute = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Wraps content in an XML-style tag. Contents stay raw (backticks and markup need no
+ * escaping); only a literal closing tag of the same name is broken up so it cannot end
+ * the element early.
+ * @param {string} name - Tag name
+ * @param {Object} attributes - Attribute name -> value
+ * @param {string} content - Element content
+ * @returns {string}
+ */
+const xmlElement = (name, attributes, content) => {
+  const attributeText = Object.entries(attributes)
+    .map(([key, value]) => ` ${key}="${escapeAttribute(value)}"`)
+    .join('');
+  const safeContent = content.split(`</${name}>`).join(`<\\/${name}>`);
+  return `<${name}${attributeText}>\n${safeContent}\n</${name}>`;
+};
+
+const markdown = {
+  value: 'markdown',
+  label: 'Markdown',
+  renderFile: renderFileBlock,
+  renderSegment,
+  renderSegmentParts,
+  renderDocument: (segments, additionalInstructions) =>
+    combineWithInstructions(renderSegments(segments), additionalInstructions),
+};
+
+const xmlParts = (segment) => {
+  if (segment.type !== 'directory') {
+    return segment.content ? [xmlElement('prompt', { name: segment.name || '' }, segment.content)] : [];
+  }
+  return [
+    `<directory name="${escapeAttribute(segment.name)}">\n${xmlElement('tree', {}, segment.tree)}`,
+    ...(segment.diff ? [xmlElement('diff', {}, diffText(segment.diff))] : []),
+    ...segment.files.map(file => xmlElement('file', { path: file.path }, fileText(file))),
+    '</directory>',
+  ];
+};
+
+const xml = {
+  value: 'xml',
+  label: 'XML tags',
+  renderFile: (file) => xmlElement('file', { path: file.path }, fileText(file)),
+  renderSegment: (segment) => xmlParts(segment).join('\n'),
+  renderSegmentParts: xmlParts,
+  renderDocument: (segments, additionalInstructions) => [
+    nonEmpty(segments).map(segment => xmlParts(segment).join('\n')).join('\n'),
+    additionalInstructions ? xmlElement('instructions', {}, additionalInstructions) : '',
+  ].filter(Boolean).join('\n\n'),
+};
+
+const plainFile = (file) => `--- ${file.path} ---\n${fileText(file)}\n--- end of ${file.path} ---`;
+
+const plainParts = (segment) => {
+  if (segment.type !== 'directory') return [segment.content].filter(Boolean);
+  return [
+    `Directory tree (${segment.name}):\n${segment.tree}`,
+    ...(segment.diff ? [`--- git diff ---\n${diffText(segment.diff)}\n--- end of git diff ---`] : []),
+    ...segment.files.map(plainFile),
+  ];
+};
+
+const plain = {
+  value: 'plain',
+  label: 'Plain text',
+  renderFile: plainFile,
+  renderSegment: (segment) => plainParts(segment).join('\n'),
+  renderSegmentParts: plainParts,
+  // Blank lines between prompts, as there are no other delimiters around text prompts
+  renderDocument: (segments, additionalInstructions) => [
+    ...nonEmpty(segments).map(segment => plainParts(segment).join('\n')),
+    additionalInstructions,
+  ].filter(Boolean).join('\n\n'),
+};
+
+const jsonSegment = (segment) => (segment.type !== 'directory'
+  ? { type: 'prompt', name: segment.name, content: segment.content }
+  : {
+    type: 'directory',
+    name: segment.name,
+    tree: segment.tree,
+    ...(segment.diff ? { diff: segment.diff } : {}),
+    files: segment.files,
+  });
+
+const json = {
+  value: 'json',
+  label: 'JSON',
+  renderFile: (file) => JSON.stringify(file, null, 2),
+  renderSegment: (segment) => JSON.stringify(jsonSegment(segment), null, 2),
+  // Approximate pieces: the directory without its files, then each file
+  renderSegmentParts: (segment) => {
+    if (segment.type !== 'directory') return segment.content ? [JSON.stringify(jsonSegment(segment), null, 2)] : [];
+    const { files, ...directory } = jsonSegment(segment);
+    return [JSON.stringify(directory, null, 2), ...files.map(file => JSON.stringify(file, null, 2))];
+  },
+  renderDocument: (segments, additionalInstructions) => {
+    const prompts = nonEmpty(segments).map(jsonSegment);
+    if (!prompts.length && !additionalInstructions) return '';
+    return JSON.stringify({
+      prompts,
+      ...(additionalInstructions ? { instructions: additionalInstructions } : {}),
+    }, null, 2);
+  },
+};
+
+export const OUTPUT_FORMATS = [markdown, xml, plain, json];
+
+export const DEFAULT_OUTPUT_FORMAT = markdown.value;
+
+/**
+ * Looks up an output format, falling back to Markdown
+ * @param {string} value - Format value
+ * @returns {Object}
+ */
+export const getOutputFormat = (value) =>
+  OUTPUT_FORMATS.find(format => format.value === value) || markdown;
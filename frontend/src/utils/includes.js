@@ -0,0 +1,68 @@
+/**
+ * @file includes.js
+ * @description Prompt includes: `{{> prompt-name}}` embeds another text prompt by name,
+ *              expanded recursively when the master prompt is composed. Mirrors
+ *              backend/includes.js; change both together.
+ */
+
+// {{> name}}; the name runs to the closing braces and is matched after trimming
+const INCLUDE_PATTERN = /\{\{>\s*([^{}]*?)\s*\}\}/g;
+
+// Text typed so far of an include directive that is not closed yet, ending at the cursor
+const OPEN_INCLUDE_PATTERN = /\{\{>[ \t]*([^{}\n]*)$/;
+
+/**
+ * Lists the prompt names a content includes directly, without duplicates
+ * @param {string} content - Prompt content
+ * @returns {Array<string>}
+ */
+export const findIncludes = (content) => {
+  if (!content) return [];
+  return [...new Set([...content.matchAll(INCLUDE_PATTERN)].map(match => match[1]))];
+};
+
+/**
+ * Expands the includes of a prompt, recursively. Problems are inlined as
+ * `[Include error: ...]` so the master prompt shows where an include failed.
+ * @param {Object} prompt - Text prompt {name, content}
+ * @param {Array<Object>} prompts - All prompts, to resolve names against
+ * @returns {string} Content with every include replaced
+ */
+export const expandIncludes = (prompt, prompts) => {
+  const byName = new Map();
+  prompts.forEach(p => {
+    // The first prompt with a name wins, as in the editor's suggestions
+    if (!byName.has(p.name)) byName.set(p.name, p);
+  });
+
+  const expand = (content, chain) => content.replace(INCLUDE_PATTERN, (directive, name) => {
+    if (chain.includes(name)) return `[Include error: cycle ${[...chain, name].join(' → ')}]`;
+    const included = byName.get(name);
+    if (!included) return `[Include error: no prompt named "${name}"]`;
+    if (included.isDirectory) return `[Include error: "${name}" is a directory prompt]`;
+    return expand(included.content || '', [...chain, name]);
+  });
+
+  return prompt.content ? expand(prompt.content, [prompt.name]) : prompt.content;
+};
+
+/**
+ * Lists the prompts that include a prompt directly
+ * @param {Object} prompt - Prompt {id, name}
+ * @param {Array<Object>} prompts - All prompts
+ * @returns {Array<Object>} Including prompts, in list order
+ */
+export const findUsedBy = (prompt, prompts) => prompts.filter(p => (
+  p.id !== prompt.id && !p.isDirectory && findIncludes(p.content).includes(prompt.name)
+));
+
+/**
+ * Finds the include directive being typed at the cursor, for autocompletion
+ * @param {string} content - Editor content
+ * @param {number} cursor - Cursor offset
+ * @returns {Object|null} { start, query } - where the directive starts and the name typed so far
+ */
+export const findOpenInclude = (content, cursor) => {
+  const match = content.slice(0, cursor).match(OPEN_INCLUDE_PATTERN);
+  return match ? { start: match.index, query: match[1] } : null;
+};
@@ -0,0 +1,58 @@
+/**
+ * @file session.js
+ * @description The working session (selected prompts, their order, expanded prompts, the
+ *              search filter and the additional instructions), kept in localStorage so a
+ *              reload picks up where the user left off. File check states are stored on the
+ *              backend and need no saving here.
+ */
+
+const STORAGE_KEY = 'promptner.session';
+
+// Bump when the stored shape changes; sessions saved with another version are dropped
+export const SESSION_VERSION = 1;
+
+export const EMPTY_SESSION = {
+  selectedPrompts: [],
+  selectedPromptOrder: [],
+  expandedStates: {},
+  tagFilter: '',
+  additionalInstructions: '',
+};
+
+const isIdArray = (value) => Array.isArray(value) && value.every(Number.isInteger);
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Reads the saved session. Fields that are missing or malformed fall back to their empty
+ * value; prompts deleted since are left for the caller to reconcile once prompts load.
+ * @returns {Object} { selectedPrompts, selectedPromptOrder, expandedStates, tagFilter, additionalInstructions }
+ */
+export const loadSession = () => {
+  let stored;
+  try {
+    stored = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+  } catch (error) {
+    return EMPTY_SESSION;
+  }
+  if (!isPlainObject(stored) || stored.version !== SESSION_VERSION) return EMPTY_SESSION;
+
+  return {
+    selectedPrompts: isIdArray(stored.selectedPrompts) ? stored.selectedPrompts : [],
+    selectedPromptOrder: isIdArray(stored.selectedPromptOrder) ? stored.selectedPromptOrder : [],
+    expandedStates: isPlainObject(stored.expandedStates) ? stored.expandedStates : {},
+    tagFilter: typeof stored.tagFilter === 'string' ? stored.tagFilter : '',
+    additionalInstructions: typeof stored.additionalInstructions === 'string' ? stored.additionalInstructions : '',
+  };
+};
+
+/**
+ * Saves the session
+ * @param {Object} session - See loadSession
+ */
+export const saveSession = (session) => {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SESSION_VERSION, ...session }));
+  } catch (error) {
+    // Storage can be full or disabled; the session then lasts until the page is reloaded
+  }
+};
@@ -0,0 +1,98 @@
+/**
+ * @file templates.js
+ * @description Template variables in prompt content: `{{name}}` placeholders, with an
+ *              optional default as `{{name:default}}`, filled in when the master prompt is
+ *              composed. backend/templates.js fills them the same way for POST /compose;
+ *              change both together.
+ */
+
+// {{name}} or {{name:default}}; names start with a letter or underscore
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][\w.-]*)\s*(?::([^}]*))?\}\}/g;
+
+// Filled values are remembered for the browser session, shared by all prompts
+const STORAGE_KEY = 'promptner.templateValues';
+
+/**
+ * Lists the variables used in some texts, in order of first use. A variable is required
+ * unless one of its placeholders gives a default; the first default given wins.
+ * @param {Array<string>} texts - Prompt contents
+ * @returns {Array<Object>} { name, defaultValue (undefined if none), isRequired }
+ */
+export const findTemplateVariables = (texts) => {
+  const variables = new Map();
+  texts.forEach(text => {
+    if (!text) return;
+    for (const [, name, defaultValue] of text.matchAll(VARIABLE_PATTERN)) {
+      const variable = variables.get(name);
+      if (!variable) {
+        variables.set(name, { name, defaultValue });
+      } else if (variable.defaultValue === undefined) {
+        variable.defaultValue = defaultValue;
+      }
+    }
+  });
+  return [...variables.values()].map(variable => ({
+    ...variable,
+    isRequired: variable.defaultValue === undefined,
+  }));
+};
+
+/**
+ * Replaces placeholders with their filled value, or else their default. Placeholders with
+ * neither are left as they are so the preview shows what is missing.
+ * @param {string} text - Prompt content
+ * @param {Object} values - Variable name -> filled value
+ * @returns {string}
+ */
+export const fillTemplate = (text, values) => {
+  if (!text) return text;
+  return text.replace(VARIABLE_PATTERN, (placeholder, name, defaultValue) => {
+    if (values[name]) return values[name];
+    return defaultValue !== undefined ? defaultValue : placeholder;
+  });
+};
+
+/**
+ * Fills the variables of the text segments (see composer.js). Directory file contents are
+ * code, where `{{` means something else, and are never templated.
+ * @param {Array<Object>} segments - Master prompt segments
+ * @param {Object} values - Variable name -> filled value
+ * @returns {Array<Object>}
+ */
+export const fillSegments = (segments, values) => segments.map(segment => (
+  segment.type === 'directory' ? segment : { ...segment, content: fillTemplate(segment.content, values) }
+));
+
+/**
+ * Lists required variables without a filled value
+ * @param {Array<Object>} variables - From findTemplateVariables
+ * @param {Object} values - Variable name -> filled value
+ * @returns {Array<string>} Names
+ */
+export const findMissingVariables = (variables, values) =>
+  variables.filter(variable => variable.isRequired && !values[variable.name]).map(variable => variable.name);
+
+/**
+ * Reads the values filled earlier in this browser session
+ * @returns {Object} Variable name -> value
+ */
+export const loadTemplateValues = () => {
+  try {
+    const values = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+    return values && typeof values === 'object' ? values : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Remembers filled values for the rest of the browser session
+ * @param {Object} values - Variable name -> value
+ */
+export const saveTemplateValues = (values) => {
+  try {
+    window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(values));
+  } catch (error) {
+    // Storage can be full or disabled; values then last until the page is reloaded
+  }
+};
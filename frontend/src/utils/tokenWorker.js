@@ -0,0 +1,79 @@
+/**
+ * @file tokenWorker.js
+ * @description Main-thread client for tokenizer.worker.js: sends texts to count or
+ *              segments to fit to a budget and resolves with the worker's answer. Falls
+ *              back to running in place where Web Workers are unavailable.
+ *
+ * @notes
+ * - Mocked in setupTests.js, since Jest cannot parse `import.meta`.
+ */
+
+import { countTokens } from './tokenizer';
+import { fitToBudget } from './budget';
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+/**
+ * Starts the worker on first use
+ * @returns {Worker|null} null if the environment has no Web Workers
+ */
+const getWorker = () => {
+  if (worker || typeof Worker === 'undefined') return worker;
+
+  worker = new Worker(new URL('./tokenizer.worker.js', import.meta.url));
+  worker.onmessage = ({ data }) => {
+    const request = pendingRequests.get(data.id);
+    if (!request) return;
+    pendingRequests.delete(data.id);
+    if (data.error) request.reject(new Error(data.error));
+    else request.resolve(data);
+  };
+  // A crashed worker fails its pending requests; the next request starts a new one
+  worker.onerror = (event) => {
+    pendingRequests.forEach(request => request.reject(new Error(event.message || 'Token counting failed')));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+/**
+ * Sends a request to the worker
+ * @param {Worker} tokenWorker - Started worker
+ * @param {Object} message - Request without its id
+ * @returns {Promise<Object>} The worker's answer
+ */
+const request = (tokenWorker, message) => new Promise((resolve, reject) => {
+  const id = ++nextRequestId;
+  pendingRequests.set(id, { resolve, reject });
+  tokenWorker.postMessage({ id, ...message });
+});
+
+/**
+ * Counts tokens of several texts in the worker
+ * @param {Array<string>} texts - Texts to count
+ * @param {string} model - Tokenizer model id
+ * @returns {Promise<Array<number>>} Counts in the order of texts
+ */
+export const countTokensInWorker = (texts, model) => {
+  const tokenWorker = getWorker();
+  if (!tokenWorker) return Promise.resolve(texts.map(text => countTokens(text, model)));
+  return request(tokenWorker, { texts, model }).then(data => data.counts);
+};
+
+/**
+ * Fits segments to a token budget in the worker (see budget.js fitToBudget)
+ * @param {Array<Object>} segments - Master prompt segments
+ * @param {Object} options - { budget, strategy, additionalInstructions, format }
+ * @param {string} model - Tokenizer model id
+ * @returns {Promise<Object>} The fit result
+ */
+export const fitToBudgetInWorker = (segments, options, model) => {
+  const tokenWorker = getWorker();
+  const countInPlace = (text) => countTokens(text, model);
+  if (!tokenWorker) return Promise.resolve().then(() => fitToBudget(segments, { ...options, countTokens: countInPlace }));
+  return request(tokenWorker, { fit: { segments, options }, model }).then(data => data.fit);
+};
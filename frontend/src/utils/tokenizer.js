@@ -1,21 +1,52 @@
 /**
  * @file tokenizer.js
- * @description Provides consistent token counting and color coding functions using gpt-tokenizer
+ * @description Provides consistent token counting and color coding functions for the
+ *              selectable tokenizer models. Keep the model list in sync with backend/tokenizer.js.
  */
 
-import { encode } from 'gpt-tokenizer';
+import { encode as encodeCl100k } from 'gpt-tokenizer/esm/encoding/cl100k_base';
+import { encode as encodeO200k } from 'gpt-tokenizer/esm/encoding/o200k_base';
 
-// Default maximum tokens (can be configured via settings later)
+// Claude and Llama tokenizers cannot be bundled, so their counts are estimated from characters
+export const TOKENIZER_MODELS = [
+  { id: 'cl100k', label: 'GPT-4 / GPT-3.5 (cl100k)', contextWindow: 128 * 1024, encode: encodeCl100k },
+  { id: 'o200k', label: 'GPT-4o (o200k)', contextWindow: 128 * 1024, encode: encodeO200k },
+  { id: 'claude', label: 'Claude (approximate)', contextWindow: 200 * 1000, charsPerToken: 3.5 },
+  { id: 'llama', label: 'Llama (approximate)', contextWindow: 128 * 1024, charsPerToken: 4 },
+];
+
+export const DEFAULT_TOKENIZER_MODEL = 'cl100k';
+
+// Default maximum tokens, the default model's context window
 export const DEFAULT_MAX_TOKENS = 128 * 1024; // 128k tokens
 
 /**
- * Counts tokens in text using gpt-tokenizer (browser-compatible)
+ * Looks up a tokenizer model, falling back to the default for unknown ids
+ * @param {string} modelId - Model id
+ * @returns {Object} The model entry from TOKENIZER_MODELS
+ */
+export const findTokenizerModel = (modelId) =>
+  TOKENIZER_MODELS.find(model => model.id === modelId)
+  || TOKENIZER_MODELS.find(model => model.id === DEFAULT_TOKENIZER_MODEL);
+
+/**
+ * Returns the context window of a tokenizer model
+ * @param {string} modelId - Model id
+ * @returns {number} Maximum tokens
+ */
+export const getContextWindow = (modelId) => findTokenizerModel(modelId).contextWindow;
+
+/**
+ * Counts tokens in text for a tokenizer model (browser-compatible)
  * @param {string} text - The text to count tokens in
+ * @param {string} modelId - Model id (defaults to cl100k)
  * @returns {number} The number of tokens
  */
-export const countTokens = (text) => {
+export const countTokens = (text, modelId = DEFAULT_TOKENIZER_MODEL) => {
   if (!text) return 0;
   
+  const { encode, charsPerToken } = findTokenizerModel(modelId);
+  if (!encode) return Math.ceil(text.length / charsPerToken);
   try {
     const tokens = encode(text);
     return tokens.length;
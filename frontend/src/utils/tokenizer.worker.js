@@ -0,0 +1,23 @@
+/**
+ * @file tokenizer.worker.js
+ * @description Web Worker that counts tokens and fits prompts to a token budget off the
+ *              main thread. Receives {id, texts, model} and answers {id, counts}, or
+ *              {id, fit: {segments, options}, model} and answers {id, fit} with the result
+ *              of fitToBudget. Failures answer {id, error}.
+ */
+
+import { countTokens } from './tokenizer';
+import { fitToBudget } from './budget';
+
+globalThis.onmessage = ({ data: { id, texts, fit, model } }) => {
+  try {
+    if (fit) {
+      const result = fitToBudget(fit.segments, { ...fit.options, countTokens: (text) => countTokens(text, model) });
+      postMessage({ id, fit: result });
+    } else {
+      postMessage({ id, counts: texts.map(text => countTokens(text, model)) });
+    }
+  } catch (error) {
+    postMessage({ id, error: error.message });
+  }
+};
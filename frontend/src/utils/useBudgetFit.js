@@ -0,0 +1,51 @@
+/**
+ * @file useBudgetFit.js
+ * @description React hook that fits master prompt segments to a token budget in the
+ *              tokenizer worker (see budget.js). Requests are debounced and only answers to
+ *              the latest request are kept.
+ */
+
+import { useEffect, useState } from 'react';
+import { fitToBudgetInWorker } from './tokenWorker';
+import { TOKEN_COUNT_DELAY_MS } from './useTokenCount';
+
+/**
+ * Fits segments to a budget whenever the segments or an option changes
+ * @param {Array<Object>|null} segments - Segments to fit; pass a memoized array, or null
+ *        to turn fitting off
+ * @param {Object} options - { budget, strategy, format }
+ * @param {string} model - Tokenizer model id
+ * @param {number} delay - Debounce delay in ms
+ * @returns {Object} { fit, isFitting } - fit is the last fitToBudget result (null when
+ *          off); isFitting while a newer one is computed
+ */
+export const useBudgetFit = (segments, { budget, strategy, format }, model, delay = TOKEN_COUNT_DELAY_MS) => {
+  const [state, setState] = useState({ fit: null, isFitting: false });
+
+  useEffect(() => {
+    if (!segments) {
+      setState(prev => (prev.fit || prev.isFitting ? { fit: null, isFitting: false } : prev));
+      return undefined;
+    }
+
+    setState(prev => (prev.isFitting ? prev : { ...prev, isFitting: true }));
+    let isCurrent = true;
+    const timer = setTimeout(() => {
+      fitToBudgetInWorker(segments, { budget, strategy, format }, model)
+        .then(fit => {
+          if (isCurrent) setState({ fit, isFitting: false });
+        })
+        .catch(error => {
+          console.error('Error fitting to budget:', error);
+          if (isCurrent) setState({ fit: null, isFitting: false });
+        });
+    }, delay);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [segments, budget, strategy, format, model, delay]);
+
+  return state;
+};
@@ -0,0 +1,64 @@
+/**
+ * @file useTokenCount.js
+ * @description React hook that counts the tokens of a text split into parts (prompts,
+ *              files, instructions) in the tokenizer worker. Counts are cached per part, so
+ *              an edit only recounts the part that changed, and requests are debounced.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { countTokensInWorker } from './tokenWorker';
+
+// Wait for typing to pause before counting
+export const TOKEN_COUNT_DELAY_MS = 300;
+
+/**
+ * Counts tokens of the given parts and sums them. The sum can differ from counting the
+ * joined text by a few tokens where parts meet.
+ * @param {Array<string>} parts - Texts to count; pass a memoized array
+ * @param {string} model - Tokenizer model id
+ * @param {number} delay - Debounce delay in ms
+ * @returns {Object} { tokenCount, isPending } - isPending while uncached parts are counted
+ */
+export const useTokenCount = (parts, model, delay = TOKEN_COUNT_DELAY_MS) => {
+  // Model id -> Map of part text -> token count, pruned to the current parts
+  const cacheRef = useRef(new Map());
+  const [state, setState] = useState({ tokenCount: 0, isPending: false });
+
+  useEffect(() => {
+    const counts = cacheRef.current.get(model) || new Map();
+    const update = (next) => setState(prev => (
+      prev.tokenCount === next.tokenCount && prev.isPending === next.isPending ? prev : next
+    ));
+    const finish = () => {
+      cacheRef.current = new Map([[model, new Map(parts.map(part => [part, counts.get(part)]))]]);
+      update({ tokenCount: parts.reduce((total, part) => total + counts.get(part), 0), isPending: false });
+    };
+
+    const missing = [...new Set(parts.filter(part => !counts.has(part)))];
+    if (!missing.length) {
+      finish();
+      return undefined;
+    }
+
+    setState(prev => (prev.isPending ? prev : { ...prev, isPending: true }));
+    let isCurrent = true;
+    const timer = setTimeout(() => {
+      countTokensInWorker(missing, model)
+        .then(results => {
+          results.forEach((tokens, index) => counts.set(missing[index], tokens));
+          if (isCurrent) finish();
+        })
+        .catch(error => {
+          console.error('Error counting tokens:', error);
+          if (isCurrent) setState(prev => ({ ...prev, isPending: false }));
+        });
+    }, delay);
+
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [parts, model, delay]);
+
+  return state;
+};